@@ -1,20 +1,29 @@
 // js/app.js — Main application entry point
 
-import { openDB } from './db.js';
+import { openDB, STORES } from './db.js';
+import { undo, redo, setUndoCallback } from './undo.js';
+import { purgeExpiredTrash } from './trash.js';
+import { takeDailySnapshot } from './snapshots.js';
+import { initSync } from './sync.js';
+import { initRemoteSync, setRemoteSyncCallback } from './remote-sync.js';
 import { initTheme, setupThemeToggle } from './components/theme.js';
 import {
   loadProfileSelector,
   setupProfileSelector,
   setupProfileManager,
   setProfileChangeCallback,
+  setActiveProfileId,
   ensureDefaultProfile,
   initProfilesView,
   renderProfiles,
 } from './components/profile.js';
 import { initHomeView, renderHome } from './views/home.js';
 import { initItemsView, renderItems } from './views/items.js';
+import { initGoalsView, renderGoals } from './views/goals.js';
+import { initReportsView, renderReports } from './views/reports.js';
 import { initCategoriesView, renderCategories } from './views/categories.js';
 import { initConfigView, renderConfig, setDataChangeCallback } from './views/data.js';
+import { showToast } from './components/toast.js';
 
 // Current active view
 let currentView = 'viewHome';
@@ -23,6 +32,8 @@ let currentView = 'viewHome';
 const viewRenderers = {
   viewHome: renderHome,
   viewItems: renderItems,
+  viewGoals: renderGoals,
+  viewReports: renderReports,
   viewCategories: renderCategories,
   viewProfiles: renderProfiles,
   viewConfig: renderConfig,
@@ -47,8 +58,12 @@ function setupNavigation() {
 
       // Show/hide FABs
       document.querySelectorAll('.fab').forEach((f) => (f.style.display = 'none'));
-      if (viewId === 'viewItems') {
+      if (viewId === 'viewHome') {
+        document.getElementById('fabAddTransaction').style.display = 'flex';
+      } else if (viewId === 'viewItems') {
         document.getElementById('fabAddItem').style.display = 'flex';
+      } else if (viewId === 'viewGoals') {
+        document.getElementById('fabAddGoal').style.display = 'flex';
       } else if (viewId === 'viewCategories') {
         document.getElementById('fabAddCategory').style.display = 'flex';
       } else if (viewId === 'viewProfiles') {
@@ -75,6 +90,26 @@ function handleProfileChange() {
   renderCurrentView();
 }
 
+// After undo/redo, refresh the selector and whatever is on screen
+async function handleHistoryChange(action, entry) {
+  // Switch back to a profile that undo just brought back
+  const restored = entry.changes.find((c) =>
+    c.storeName === STORES.PROFILES && (action === 'undo' ? c.before && !c.after : c.after && !c.before)
+  );
+  if (restored) setActiveProfileId(restored.key);
+
+  await loadProfileSelector();
+  renderCurrentView();
+  showToast(`${action === 'undo' ? 'Undone' : 'Redone'}: ${entry.label}`, 'info');
+}
+
+// After a remote sync brought in changes, refresh the selector and whatever is on screen
+async function handleRemoteSync(result) {
+  if (result.updated === 0) return;
+  await loadProfileSelector();
+  renderCurrentView();
+}
+
 // Initialize app
 async function init() {
   try {
@@ -85,9 +120,22 @@ async function init() {
     // Open database
     await openDB();
 
+    // Drop trash entries older than the retention period
+    await purgeExpiredTrash();
+
+    // Start the sync change log (records data created before it existed)
+    await initSync();
+
     // Ensure at least one profile
     await ensureDefaultProfile();
 
+    // Daily snapshot — on start, and when the tab comes back after a while
+    await takeDailySnapshot();
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState !== 'visible') return;
+      takeDailySnapshot().catch((err) => showToast(`Daily snapshot failed: ${err.message}`, 'error'));
+    });
+
     // Load profiles into selector
     await loadProfileSelector();
     setupProfileSelector();
@@ -96,10 +144,14 @@ async function init() {
     // Set callbacks
     setProfileChangeCallback(handleProfileChange);
     setDataChangeCallback(renderCurrentView);
+    setUndoCallback(handleHistoryChange);
+    setRemoteSyncCallback(handleRemoteSync);
 
     // Init views
     initHomeView();
     initItemsView();
+    initGoalsView();
+    initReportsView();
     initCategoriesView();
     initProfilesView();
     initConfigView();
@@ -107,8 +159,10 @@ async function init() {
     // Setup navigation
     setupNavigation();
 
-    // Initial FAB visibility
+    // Initial FAB visibility (Home is the initial view)
+    document.getElementById('fabAddTransaction').style.display = 'flex';
     document.getElementById('fabAddItem').style.display = 'none';
+    document.getElementById('fabAddGoal').style.display = 'none';
     document.getElementById('fabAddCategory').style.display = 'none';
     document.getElementById('fabAddProfile').style.display = 'none';
 
@@ -122,6 +176,9 @@ async function init() {
       });
     }
 
+    // Remote sync (WebDAV / REST) — syncs now and after changes when set up in Config
+    initRemoteSync();
+
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
       // Skip if user is typing in an input/textarea/select
@@ -138,6 +195,23 @@ async function init() {
         return;
       }
 
+      // Ctrl/Cmd+Z = Undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y = Redo
+      if (e.ctrlKey || e.metaKey) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+          e.preventDefault();
+          undo()
+            .then((label) => { if (!label) showToast('Nothing to undo', 'info'); })
+            .catch((err) => showToast(`Undo failed: ${err.message}`, 'error'));
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+          e.preventDefault();
+          redo()
+            .then((label) => { if (!label) showToast('Nothing to redo', 'info'); })
+            .catch((err) => showToast(`Redo failed: ${err.message}`, 'error'));
+        }
+        return;
+      }
+
       const shortcutsOverlay = document.getElementById('shortcutsOverlay');
 
       // Dismiss shortcuts overlay
@@ -148,8 +222,8 @@ async function init() {
         }
       }
 
-      // Tab navigation: 1-5
-      const navKeys = { '1': 'viewHome', '2': 'viewItems', '3': 'viewCategories', '4': 'viewProfiles', '5': 'viewConfig' };
+      // Tab navigation: 1-7 (Goals and Reports came later and took the next free keys)
+      const navKeys = { '1': 'viewHome', '2': 'viewItems', '3': 'viewCategories', '4': 'viewProfiles', '5': 'viewConfig', '6': 'viewGoals', '7': 'viewReports' };
       if (navKeys[e.key]) {
         e.preventDefault();
         const navItem = document.querySelector(`.nav-item[data-view="${navKeys[e.key]}"]`);
@@ -157,32 +231,39 @@ async function init() {
         return;
       }
 
-      // Arrow keys for month navigation (Home view only)
-      if (e.key === 'ArrowLeft' && currentView === 'viewHome') {
+      // Arrow keys for month navigation (Home) and year navigation (Reports)
+      if (e.key === 'ArrowLeft' && (currentView === 'viewHome' || currentView === 'viewReports')) {
         e.preventDefault();
-        document.getElementById('btnPrevMonth').click();
+        document.getElementById(currentView === 'viewHome' ? 'btnPrevMonth' : 'btnPrevYear').click();
         return;
       }
-      if (e.key === 'ArrowRight' && currentView === 'viewHome') {
+      if (e.key === 'ArrowRight' && (currentView === 'viewHome' || currentView === 'viewReports')) {
         e.preventDefault();
-        document.getElementById('btnNextMonth').click();
+        document.getElementById(currentView === 'viewHome' ? 'btnNextMonth' : 'btnNextYear').click();
         return;
       }
 
-      // T = Today
+      // T = Today (this year on Reports)
       if (e.key === 't' || e.key === 'T') {
         if (currentView === 'viewHome') {
           e.preventDefault();
           document.getElementById('btnToday').click();
+        } else if (currentView === 'viewReports') {
+          e.preventDefault();
+          document.getElementById('btnThisYear').click();
         }
         return;
       }
 
-      // N = New item, category, or profile
+      // N = New expense, item, goal, category, or profile
       if (e.key === 'n' || e.key === 'N') {
         e.preventDefault();
-        if (currentView === 'viewItems') {
+        if (currentView === 'viewHome') {
+          document.getElementById('fabAddTransaction').click();
+        } else if (currentView === 'viewItems') {
           document.getElementById('fabAddItem').click();
+        } else if (currentView === 'viewGoals') {
+          document.getElementById('fabAddGoal').click();
         } else if (currentView === 'viewCategories') {
           document.getElementById('fabAddCategory').click();
         } else if (currentView === 'viewProfiles') {
@@ -0,0 +1,62 @@
+// js/category-limits.js — Per-category monthly spending limits with parent rollup
+
+import { isIncome, getTransactionCategoryId, getTransactionAmount } from './models.js';
+
+/**
+ * Compute spent vs. limit for every category in a month.
+ *
+ * - Spent: sum of the month's expense transaction amounts (actual when known,
+ *   planned otherwise) in the category — via their budget item, or directly
+ *   for ad-hoc transactions. A parent's spent includes all of its sub-categories.
+ * - Limit: the category's own `monthlyLimit` (a parent's limit covers the
+ *   rolled-up spending of its sub-categories as well).
+ *
+ * Returns Map<categoryId, { spent, limit, over }> (limit is null when none applies).
+ */
+function computeCategoryLimits(categories, budgetItems, transactions) {
+  const itemMap = new Map(budgetItems.map((i) => [i.id, i]));
+  const catMap = new Map(categories.map((c) => [c.id, c]));
+
+  const ownSpent = new Map();
+  for (const txn of transactions) {
+    if (isIncome(txn)) continue;
+    const catId = getTransactionCategoryId(txn, itemMap);
+    if (!catMap.has(catId)) continue;
+    ownSpent.set(catId, (ownSpent.get(catId) || 0) + getTransactionAmount(txn));
+  }
+
+  const childMap = new Map();
+  for (const c of categories) {
+    if (c.parentId && catMap.has(c.parentId)) {
+      if (!childMap.has(c.parentId)) childMap.set(c.parentId, []);
+      childMap.get(c.parentId).push(c);
+    }
+  }
+
+  const result = new Map();
+  for (const c of categories) {
+    const children = childMap.get(c.id) || [];
+    let spent = ownSpent.get(c.id) || 0;
+    for (const child of children) {
+      spent += ownSpent.get(child.id) || 0;
+    }
+    const limit = hasLimit(c) ? c.monthlyLimit : null;
+    result.set(c.id, { spent, limit, over: limit != null && spent > limit });
+  }
+  return result;
+}
+
+function hasLimit(category) {
+  return typeof category.monthlyLimit === 'number' && category.monthlyLimit >= 0;
+}
+
+/**
+ * Share of the limit used, as a whole percentage capped at 100 (for progress bars).
+ */
+function getLimitPercent({ spent, limit }) {
+  if (limit == null) return 0;
+  if (limit === 0) return spent > 0 ? 100 : 0;
+  return Math.min(100, Math.round((spent / limit) * 100));
+}
+
+export { computeCategoryLimits, getLimitPercent };
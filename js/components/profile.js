@@ -1,12 +1,19 @@
 // js/components/profile.js — Profile management (CRUD)
 
-import { dbGetAll, dbAdd, dbPut, dbDelete, dbGetByIndex, STORES, dbClear } from '../db.js';
-import { createProfile, createCategory } from '../models.js';
+import { dbGetAll, dbGet, dbAdd, dbPut, runBatch, STORES, dbClear } from '../db.js';
+import { createProfile, createCategory, TRASH_KIND, SNAPSHOT_REASON } from '../models.js';
+import { moveToTrash } from '../trash.js';
+import { takeSnapshot } from '../snapshots.js';
 import { openModal, showConfirm } from './modal.js';
 import { showToast } from './toast.js';
+import { runUndoable, undo } from '../undo.js';
 
 const ACTIVE_PROFILE_KEY = 'tyb_active_profile';
 const CURRENCY_KEY = 'tyb_currency';
+// The active profile's region settings, read by the formatters in models.js
+const LOCALE_KEY = 'tyb_locale';
+const WEEK_START_KEY = 'tyb_week_start';
+const DATE_FORMAT_KEY = 'tyb_date_format';
 let onProfileChange = null;
 
 // Common currency options
@@ -33,6 +40,30 @@ const CURRENCY_OPTIONS = [
   { code: 'SEK', symbol: 'kr', name: 'Swedish Krona' },
 ];
 
+// Number & date locales offered per profile (null = the browser's language)
+const LOCALE_OPTIONS = [
+  { code: 'en-IN', name: 'English (India)' },
+  { code: 'en-US', name: 'English (US)' },
+  { code: 'en-GB', name: 'English (UK)' },
+  { code: 'en-AU', name: 'English (Australia)' },
+  { code: 'en-CA', name: 'English (Canada)' },
+  { code: 'en-SG', name: 'English (Singapore)' },
+  { code: 'en-ZA', name: 'English (South Africa)' },
+  { code: 'hi-IN', name: 'Hindi (India)' },
+  { code: 'de-DE', name: 'German (Germany)' },
+  { code: 'de-CH', name: 'German (Switzerland)' },
+  { code: 'fr-FR', name: 'French (France)' },
+  { code: 'es-ES', name: 'Spanish (Spain)' },
+  { code: 'it-IT', name: 'Italian (Italy)' },
+  { code: 'nl-NL', name: 'Dutch (Netherlands)' },
+  { code: 'sv-SE', name: 'Swedish (Sweden)' },
+  { code: 'pt-BR', name: 'Portuguese (Brazil)' },
+  { code: 'ja-JP', name: 'Japanese (Japan)' },
+  { code: 'zh-CN', name: 'Chinese (China)' },
+  { code: 'ko-KR', name: 'Korean (South Korea)' },
+  { code: 'ar-AE', name: 'Arabic (UAE)' },
+];
+
 function detectDefaultCurrency() {
   try {
     const locale = navigator.language || navigator.userLanguage || 'en-IN';
@@ -69,6 +100,60 @@ function getCurrencyInfo() {
   return CURRENCY_OPTIONS.find(c => c.code === code) || CURRENCY_OPTIONS[0];
 }
 
+/**
+ * Region settings the formatters use: the display currency and the active
+ * profile's locale, first day of week and date format (null = browser default).
+ * New profiles start with these.
+ */
+function getDisplaySettings() {
+  const weekStart = localStorage.getItem(WEEK_START_KEY);
+  return {
+    baseCurrency: getCurrency(),
+    locale: localStorage.getItem(LOCALE_KEY),
+    weekStart: weekStart !== null ? Number(weekStart) : null,
+    dateFormat: localStorage.getItem(DATE_FORMAT_KEY),
+  };
+}
+
+/**
+ * Point the formatters at the active profile's settings: the display currency
+ * follows its base currency, so amounts without a currency of their own are
+ * shown in it, and its locale, first day of week and date format replace the
+ * previous profile's.
+ */
+async function applyProfileSettings() {
+  const profileId = getActiveProfileId();
+  if (!profileId) return;
+  await pinProfileCurrencies();
+  const profile = await dbGet(STORES.PROFILES, profileId);
+  if (!profile) return;
+  setCurrency(profile.baseCurrency);
+  storeSetting(LOCALE_KEY, profile.locale);
+  storeSetting(WEEK_START_KEY, profile.weekStart);
+  storeSetting(DATE_FORMAT_KEY, profile.dateFormat);
+}
+
+/**
+ * Profiles saved before multi-currency support (or imported from then) have no
+ * base currency and were shown in the display currency. Pin them to it before
+ * another profile's base currency replaces it — not an undo step.
+ */
+async function pinProfileCurrencies() {
+  const currency = getCurrency();
+  const profiles = await dbGetAll(STORES.PROFILES);
+  if (profiles.every((p) => p.baseCurrency)) return;
+  await runBatch([STORES.PROFILES], async (batch) => {
+    for (const p of await batch.getAll(STORES.PROFILES)) {
+      if (!p.baseCurrency) await batch.put(STORES.PROFILES, { ...p, baseCurrency: currency });
+    }
+  });
+}
+
+function storeSetting(key, value) {
+  if (value == null) localStorage.removeItem(key);
+  else localStorage.setItem(key, String(value));
+}
+
 function setProfileChangeCallback(cb) {
   onProfileChange = cb;
 }
@@ -106,12 +191,14 @@ async function loadProfileSelector() {
     setActiveProfileId(profiles[0].id);
     select.value = profiles[0].id;
   }
+  await applyProfileSettings();
 }
 
 function setupProfileSelector() {
   const select = document.getElementById('profileSelect');
-  select.addEventListener('change', () => {
+  select.addEventListener('change', async () => {
     setActiveProfileId(select.value);
+    await applyProfileSettings();
     if (onProfileChange) onProfileChange();
   });
 }
@@ -180,8 +267,11 @@ async function renderProfiles() {
       const save = async () => {
         const newName = input.value.trim();
         if (newName && newName !== currentName) {
-          const profile = { id, name: newName };
-          await dbPut(STORES.PROFILES, profile);
+          // Keep other profile fields (e.g. holidays) intact
+          const existing = await dbGet(STORES.PROFILES, id);
+          await runUndoable(`Rename "${currentName}"`, (tag) =>
+            dbPut(STORES.PROFILES, { ...existing, id, name: newName }, tag)
+          );
           await loadProfileSelector();
           showToast(`Renamed to "${newName}"`, 'success');
         }
@@ -200,20 +290,38 @@ async function renderProfiles() {
     li.querySelector('[data-action="delete"]').addEventListener('click', async () => {
       const confirmed = await showConfirm(
         'Delete Profile',
-        'This will permanently delete this profile and ALL its categories, items, and transactions. This cannot be undone.',
+        'This will move this profile and ALL its categories, items, and transactions to the trash. You can restore them from Config → Trash.',
         { danger: true, okText: 'Delete' }
       );
       if (!confirmed) return;
 
-      // Delete all related data
-      const categories = await dbGetByIndex(STORES.CATEGORIES, 'profileId', id);
-      const items = await dbGetByIndex(STORES.BUDGET_ITEMS, 'profileId', id);
-      const txns = await dbGetByIndex(STORES.TRANSACTIONS, 'profileId', id);
+      try {
+        await takeSnapshot(SNAPSHOT_REASON.BEFORE_PROFILE_DELETE);
+      } catch (err) {
+        showToast(`Could not save a snapshot, nothing was deleted: ${err.message}`, 'error');
+        return;
+      }
 
-      for (const c of categories) await dbDelete(STORES.CATEGORIES, c.id);
-      for (const i of items) await dbDelete(STORES.BUDGET_ITEMS, i.id);
-      for (const t of txns) await dbDelete(STORES.TRANSACTIONS, t.id);
-      await dbDelete(STORES.PROFILES, id);
+      // The profile and all related data are read and trashed in one transaction
+      const profile = await dbGet(STORES.PROFILES, id);
+      try {
+        await runUndoable(`Delete profile "${profile.name}"`, (tag) => moveToTrash({
+          kind: TRASH_KIND.PROFILE,
+          label: profile.name,
+          profileId: id,
+          records: async (batch) => ({
+            [STORES.PROFILES]: [await batch.get(STORES.PROFILES, id)],
+            [STORES.CATEGORIES]: await batch.getByIndex(STORES.CATEGORIES, 'profileId', id),
+            [STORES.BUDGET_ITEMS]: await batch.getByIndex(STORES.BUDGET_ITEMS, 'profileId', id),
+            [STORES.GOALS]: await batch.getByIndex(STORES.GOALS, 'profileId', id),
+            [STORES.TRANSACTIONS]: await batch.getByIndex(STORES.TRANSACTIONS, 'profileId', id),
+            [STORES.EXCHANGE_RATES]: await batch.getByIndex(STORES.EXCHANGE_RATES, 'profileId', id),
+          }),
+        }, tag));
+      } catch (err) {
+        showToast(`Delete failed, nothing was deleted: ${err.message}`, 'error');
+        return;
+      }
 
       // Select another profile or clear
       const remaining = await dbGetAll(STORES.PROFILES);
@@ -225,7 +333,7 @@ async function renderProfiles() {
 
       await loadProfileSelector();
       if (onProfileChange) onProfileChange();
-      showToast('Profile deleted', 'success');
+      showToast('Profile moved to trash', 'success', { actionText: 'Undo', onAction: undo });
       renderProfiles();
     });
   });
@@ -263,8 +371,8 @@ function openProfileForm() {
       showToast('Please enter a profile name', 'error');
       return;
     }
-    const profile = createProfile(name);
-    await dbAdd(STORES.PROFILES, profile);
+    const profile = createProfile(name, getDisplaySettings());
+    await runUndoable(`Create profile "${name}"`, (tag) => dbAdd(STORES.PROFILES, profile, tag));
     setActiveProfileId(profile.id);
     await loadProfileSelector();
     if (onProfileChange) onProfileChange();
@@ -280,9 +388,7 @@ function openProfileForm() {
 async function ensureDefaultProfile() {
   const profiles = await dbGetAll(STORES.PROFILES);
   if (profiles.length === 0) {
-    const profile = createProfile('Personal');
-    await dbAdd(STORES.PROFILES, profile);
-    setActiveProfileId(profile.id);
+    const profile = createProfile('Personal', getDisplaySettings());
 
     // Auto-create a "General" default category
     const category = createCategory({
@@ -290,7 +396,11 @@ async function ensureDefaultProfile() {
       name: 'General',
       description: 'Default category',
     });
-    await dbAdd(STORES.CATEGORIES, category);
+    await runBatch([STORES.PROFILES, STORES.CATEGORIES], async (batch) => {
+      await batch.add(STORES.PROFILES, profile);
+      await batch.add(STORES.CATEGORIES, category);
+    });
+    setActiveProfileId(profile.id);
   }
 }
 
@@ -307,5 +417,9 @@ export {
   getCurrency,
   setCurrency,
   getCurrencyInfo,
+  getDisplaySettings,
+  applyProfileSettings,
+  pinProfileCurrencies,
   CURRENCY_OPTIONS,
+  LOCALE_OPTIONS,
 };
@@ -2,16 +2,36 @@
 
 const toastContainer = document.getElementById('toastContainer');
 
-function showToast(message, type = 'info') {
+/**
+ * Show a toast. Pass `{ actionText, onAction }` to add an action button
+ * (e.g. "Undo"); action toasts stay on screen longer. When `onAction` returns a
+ * promise that rejects, an error toast says so.
+ */
+function showToast(message, type = 'info', options = {}) {
   const toast = document.createElement('div');
   toast.className = `toast toast--${type}`;
   toast.textContent = message;
+
+  if (options.actionText && options.onAction) {
+    toast.classList.add('toast--action');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'toast__action';
+    btn.textContent = options.actionText;
+    btn.addEventListener('click', () => {
+      toast.remove();
+      Promise.resolve(options.onAction())
+        .catch((err) => showToast(`${options.actionText} failed: ${err.message}`, 'error'));
+    });
+    toast.appendChild(btn);
+  }
+
   toastContainer.appendChild(toast);
 
   // Auto-remove after animation ends
   setTimeout(() => {
     toast.remove();
-  }, 3000);
+  }, options.actionText ? 6000 : 3000);
 }
 
 export { showToast };
@@ -0,0 +1,111 @@
+// js/crypto-backup.js — Passphrase-encrypted backup files (PBKDF2 + AES-GCM via Web Crypto)
+
+const ENCRYPTED_FORMAT = 'tickyourbudget-encrypted';
+const ENCRYPTED_VERSION = 1;
+
+// OWASP's recommendation for PBKDF2-HMAC-SHA256; stored in the file so it can be raised later
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Encrypt export data with a passphrase. Returns the envelope object to be
+ * saved as JSON:
+ * { format, version, kdf: { name, hash, iterations, salt }, cipher: { name, iv }, data }
+ * (salt, iv and data are base64). The header is bound to the ciphertext as
+ * AES-GCM additional data, so editing it (e.g. lowering the iterations) breaks decryption.
+ */
+async function encryptBackup(data, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const header = {
+    format: ENCRYPTED_FORMAT,
+    version: ENCRYPTED_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+  };
+
+  const key = await deriveKey(passphrase, header.kdf);
+  const plaintext = new TextEncoder().encode(JSON.stringify(data));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: headerBytes(header) },
+    key,
+    plaintext
+  );
+  return { ...header, data: toBase64(new Uint8Array(ciphertext)) };
+}
+
+/**
+ * Decrypt an envelope made by encryptBackup(). Returns the export data; throws
+ * when the passphrase is wrong or the file was changed.
+ */
+async function decryptBackup(envelope, passphrase) {
+  if (!isEncryptedBackup(envelope)) throw new Error('Not an encrypted backup');
+  if (envelope.version > ENCRYPTED_VERSION) {
+    throw new Error('This backup was made by a newer version of the app. Update the app to open it.');
+  }
+  const { kdf, cipher } = envelope;
+  if (kdf.name !== 'PBKDF2' || cipher.name !== 'AES-GCM') throw new Error('Unsupported encryption settings');
+
+  const key = await deriveKey(passphrase, kdf);
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(cipher.iv), additionalData: headerBytes(envelope) },
+      key,
+      fromBase64(envelope.data)
+    );
+  } catch (err) {
+    // AES-GCM can't tell a wrong key from a damaged file
+    throw new Error('Wrong passphrase, or the file is damaged');
+  }
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+function isEncryptedBackup(data) {
+  return !!data && typeof data === 'object' && data.format === ENCRYPTED_FORMAT
+    && !!data.kdf && !!data.cipher && typeof data.data === 'string';
+}
+
+async function deriveKey(passphrase, kdf) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase.normalize('NFC')),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: fromBase64(kdf.salt) },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// The authenticated header: everything except the ciphertext, in a fixed key order
+function headerBytes({ format, version, kdf, cipher }) {
+  return new TextEncoder().encode(JSON.stringify([
+    format, version, kdf.name, kdf.hash, kdf.iterations, kdf.salt, cipher.name, cipher.iv,
+  ]));
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  // Chunked — String.fromCharCode(...bytes) overflows the stack on large backups
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(str) {
+  const binary = atob(str);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+export { MIN_PASSPHRASE_LENGTH, encryptBackup, decryptBackup, isEncryptedBackup };
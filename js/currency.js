@@ -0,0 +1,94 @@
+// js/currency.js — Multi-currency: dated exchange rates & converting amounts into a profile's base currency
+
+import { convertMinorUnits } from './money.js';
+
+/**
+ * Currency a profile's totals are shown in: its own base currency, or the
+ * display currency for profiles saved before multi-currency support.
+ */
+function getBaseCurrency(profile) {
+  // Read the display currency from localStorage (avoids circular import with profile.js)
+  return (profile && profile.baseCurrency) || localStorage.getItem('tyb_currency') || 'INR';
+}
+
+/**
+ * Currency a budget item's or transaction's amounts are in (null = base currency).
+ */
+function getRecordCurrency(record, baseCurrency) {
+  return (record && record.currency) || baseCurrency;
+}
+
+/**
+ * How much 1 `from` is worth in `to` on `date`, from a profile's exchange rates.
+ * Uses the latest rate entered on or before the date — or the earliest one after
+ * it, so a rate added today also converts older amounts. A rate entered the other
+ * way round (1 `to` = x `from`) counts as its inverse. Null when there is none.
+ */
+function findRate(rates, from, to, date) {
+  if (from === to) return 1;
+  const candidates = [];
+  for (const r of rates) {
+    if (!(r.rate > 0)) continue;
+    if (r.currency === from && r.baseCurrency === to) candidates.push({ date: r.date, rate: r.rate });
+    else if (r.currency === to && r.baseCurrency === from) candidates.push({ date: r.date, rate: 1 / r.rate });
+  }
+  if (candidates.length === 0) return null;
+
+  candidates.sort((a, b) => a.date.localeCompare(b.date));
+  const before = candidates.filter((c) => c.date <= date);
+  return before.length > 0 ? before[before.length - 1].rate : candidates[0].rate;
+}
+
+/**
+ * `amount` (minor units of `from`) converted into minor units of `to` at the
+ * rate for `date`. Null when no rate is known.
+ */
+function convertAmount(amount, from, to, date, rates) {
+  const rate = findRate(rates, from, to, date);
+  return rate == null ? null : convertMinorUnits(amount, from, to, rate);
+}
+
+/**
+ * Copy of a transaction with its planned, actual and paid amounts in the base
+ * currency, at the rate for the transaction's date. A transaction already in the
+ * base currency is returned as is; null when no rate is known.
+ */
+function convertTransaction(transaction, baseCurrency, rates) {
+  const from = getRecordCurrency(transaction, baseCurrency);
+  if (from === baseCurrency) return transaction;
+  const rate = findRate(rates, from, baseCurrency, transaction.date);
+  if (rate == null) return null;
+  const convert = (amount) => convertMinorUnits(amount, from, baseCurrency, rate);
+  return {
+    ...transaction,
+    currency: baseCurrency,
+    snapshotAmount: convert(transaction.snapshotAmount),
+    actualAmount: transaction.actualAmount != null ? convert(transaction.actualAmount) : null,
+    payments: (transaction.payments || []).map((p) => ({ ...p, amount: convert(p.amount) })),
+  };
+}
+
+/**
+ * Convert a list of transactions for totals. Returns { converted, missing }:
+ * the transactions in the base currency, and the ones left out because no rate
+ * is known for their currency.
+ */
+function convertTransactions(transactions, baseCurrency, rates) {
+  const converted = [];
+  const missing = [];
+  for (const t of transactions) {
+    const c = convertTransaction(t, baseCurrency, rates);
+    if (c) converted.push(c);
+    else missing.push(t);
+  }
+  return { converted, missing };
+}
+
+export {
+  getBaseCurrency,
+  getRecordCurrency,
+  findRate,
+  convertAmount,
+  convertTransaction,
+  convertTransactions,
+};
@@ -1,17 +1,42 @@
 // js/db.js — IndexedDB wrapper for tickyourbudget
 
+import { stampExport, prepareImport } from './export-schema.js';
+import { generateId, IMPORT_RESOLUTION, CHANGE_OP } from './models.js';
+import { recordToMinorUnits, createCurrencyResolver } from './money.js';
+import { getBaseCurrency } from './currency.js';
+
 const DB_NAME = 'tickyourbudget';
-const DB_VERSION = 1;
+const DB_VERSION = 7;
 
 const STORES = {
   PROFILES: 'profiles',
   CATEGORIES: 'categories',
   BUDGET_ITEMS: 'budgetItems',
   TRANSACTIONS: 'transactions',
+  TRASH: 'trash',
+  SNAPSHOTS: 'snapshots',
+  CHANGE_LOG: 'changeLog',
+  GOALS: 'goals',
+  EXCHANGE_RATES: 'exchangeRates',
 };
 
 let _db = null;
 
+// Write listeners — notified after every dbAdd/dbPut/dbDelete/dbClear with
+// { storeName, key, before, after, tag } (null = record absent). Used by undo.js.
+// `tag` is whatever the caller passed as the write helper's last argument
+// (null when none): undo.js tags the writes of an undoable action with it.
+const _writeListeners = new Set();
+
+function addWriteListener(fn) {
+  _writeListeners.add(fn);
+  return () => _writeListeners.delete(fn);
+}
+
+function notifyWrite(storeName, key, before, after, tag = null) {
+  for (const fn of _writeListeners) fn({ storeName, key, before, after, tag });
+}
+
 function openDB() {
   if (_db) return Promise.resolve(_db);
 
@@ -48,6 +73,37 @@ function openDB() {
         txStore.createIndex('date', 'date', { unique: false });
         txStore.createIndex('profileId_date', ['profileId', 'date'], { unique: false });
       }
+
+      // Trash (v2) — soft-deleted records, one entry per delete action
+      if (!db.objectStoreNames.contains(STORES.TRASH)) {
+        db.createObjectStore(STORES.TRASH, { keyPath: 'id' });
+      }
+
+      // Snapshots (v3) — automatic full copies of all data
+      if (!db.objectStoreNames.contains(STORES.SNAPSHOTS)) {
+        db.createObjectStore(STORES.SNAPSHOTS, { keyPath: 'id' });
+      }
+
+      // Change log (v4) — every write to the data stores, exchanged between devices by sync.js
+      if (!db.objectStoreNames.contains(STORES.CHANGE_LOG)) {
+        const logStore = db.createObjectStore(STORES.CHANGE_LOG, { keyPath: 'id' });
+        logStore.createIndex('record', ['storeName', 'recordId'], { unique: false });
+      }
+
+      // Goals (v5) — savings goals, each funded by a monthly contribution budget item
+      if (!db.objectStoreNames.contains(STORES.GOALS)) {
+        const goalStore = db.createObjectStore(STORES.GOALS, { keyPath: 'id' });
+        goalStore.createIndex('profileId', 'profileId', { unique: false });
+      }
+
+      // Exchange rates (v6) — dated rates per profile for converting into its base currency
+      if (!db.objectStoreNames.contains(STORES.EXCHANGE_RATES)) {
+        const rateStore = db.createObjectStore(STORES.EXCHANGE_RATES, { keyPath: 'id' });
+        rateStore.createIndex('profileId', 'profileId', { unique: false });
+      }
+
+      // Amounts (v7) — decimal numbers become integer minor units
+      if (e.oldVersion > 0 && e.oldVersion < 7) migrateToMinorUnits(e.target.transaction);
     };
 
     request.onsuccess = (e) => {
@@ -61,27 +117,104 @@ function openDB() {
   });
 }
 
+// Stores holding money, and the entity their amounts are converted as
+const MONEY_ENTITIES = {
+  [STORES.CATEGORIES]: 'category',
+  [STORES.BUDGET_ITEMS]: 'budgetItem',
+  [STORES.GOALS]: 'goal',
+  [STORES.TRANSACTIONS]: 'transaction',
+};
+
+/**
+ * v7: amounts were stored as decimal numbers; convert them to integer minor
+ * units of their currency inside the upgrade transaction — live records,
+ * trashed ones and the sync change log alike. Snapshots hold exports and are
+ * migrated when restored (export-schema.js).
+ */
+function migrateToMinorUnits(tx) {
+  const stores = [STORES.PROFILES, ...Object.keys(MONEY_ENTITIES), STORES.TRASH, STORES.CHANGE_LOG];
+  const loaded = {};
+  let pending = stores.length;
+  for (const storeName of stores) {
+    const req = tx.objectStore(storeName).getAll();
+    req.onsuccess = () => {
+      loaded[storeName] = req.result;
+      if (--pending === 0) convertAll();
+    };
+  }
+
+  function convertAll() {
+    const trash = loaded[STORES.TRASH];
+    const log = loaded[STORES.CHANGE_LOG];
+    // Deleted records' currencies come from the trash and the log; live records win
+    const known = (storeName) => [
+      ...log.filter((c) => c.storeName === storeName && c.op === CHANGE_OP.CREATE).map((c) => c.fields),
+      ...trash.flatMap((entry) => entry.records[storeName] || []),
+      ...loaded[storeName],
+    ];
+    const resolve = createCurrencyResolver({
+      profiles: known(STORES.PROFILES),
+      budgetItems: known(STORES.BUDGET_ITEMS),
+      transactions: known(STORES.TRANSACTIONS),
+      goals: known(STORES.GOALS),
+    }, getBaseCurrency(null));
+    const convert = (storeName, record, id = record.id) => {
+      const entity = MONEY_ENTITIES[storeName];
+      return recordToMinorUnits(entity, record, resolve(entity, { id, ...record }));
+    };
+
+    for (const storeName of Object.keys(MONEY_ENTITIES)) {
+      for (const record of loaded[storeName]) tx.objectStore(storeName).put(convert(storeName, record));
+    }
+    for (const entry of trash) {
+      const records = {};
+      for (const [storeName, list] of Object.entries(entry.records)) {
+        records[storeName] = MONEY_ENTITIES[storeName] ? list.map((r) => convert(storeName, r)) : list;
+      }
+      tx.objectStore(STORES.TRASH).put({ ...entry, records });
+    }
+    for (const change of log) {
+      if (!change.fields || !MONEY_ENTITIES[change.storeName]) continue;
+      tx.objectStore(STORES.CHANGE_LOG).put({ ...change, fields: convert(change.storeName, change.fields, change.recordId) });
+    }
+  }
+}
+
 // Generic CRUD helpers
 
-async function dbAdd(storeName, record) {
+async function dbAdd(storeName, record, tag = null) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
     const tx = db.transaction(storeName, 'readwrite');
     const store = tx.objectStore(storeName);
+    const after = structuredClone(record);
     const req = store.add(record);
-    req.onsuccess = () => resolve(record);
+    req.onsuccess = () => {
+      notifyWrite(storeName, req.result, null, after, tag);
+      resolve(record);
+    };
     req.onerror = () => reject(req.error);
   });
 }
 
-async function dbPut(storeName, record) {
+async function dbPut(storeName, record, tag = null) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
     const tx = db.transaction(storeName, 'readwrite');
     const store = tx.objectStore(storeName);
-    const req = store.put(record);
-    req.onsuccess = () => resolve(record);
-    req.onerror = () => reject(req.error);
+    const after = structuredClone(record);
+    // Read the previous version in the same transaction so listeners get a before-image
+    const getReq = store.get(record[store.keyPath]);
+    getReq.onsuccess = () => {
+      const before = getReq.result || null;
+      const req = store.put(record);
+      req.onsuccess = () => {
+        notifyWrite(storeName, req.result, before, after, tag);
+        resolve(record);
+      };
+      req.onerror = () => reject(req.error);
+    };
+    getReq.onerror = () => reject(getReq.error);
   });
 }
 
@@ -96,14 +229,22 @@ async function dbGet(storeName, id) {
   });
 }
 
-async function dbDelete(storeName, id) {
+async function dbDelete(storeName, id, tag = null) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
     const tx = db.transaction(storeName, 'readwrite');
     const store = tx.objectStore(storeName);
-    const req = store.delete(id);
-    req.onsuccess = () => resolve();
-    req.onerror = () => reject(req.error);
+    const getReq = store.get(id);
+    getReq.onsuccess = () => {
+      const before = getReq.result || null;
+      const req = store.delete(id);
+      req.onsuccess = () => {
+        if (before) notifyWrite(storeName, id, before, null, tag);
+        resolve();
+      };
+      req.onerror = () => reject(req.error);
+    };
+    getReq.onerror = () => reject(getReq.error);
   });
 }
 
@@ -143,21 +284,114 @@ async function dbGetByIndexRange(storeName, indexName, lower, upper) {
   });
 }
 
-async function dbClear(storeName) {
+async function dbClear(storeName, tag = null) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
     const tx = db.transaction(storeName, 'readwrite');
     const store = tx.objectStore(storeName);
-    const req = store.clear();
-    req.onsuccess = () => resolve();
-    req.onerror = () => reject(req.error);
+    const getReq = store.getAll();
+    getReq.onsuccess = () => {
+      const before = getReq.result || [];
+      const req = store.clear();
+      req.onsuccess = () => {
+        for (const record of before) notifyWrite(storeName, record[store.keyPath], record, null, tag);
+        resolve();
+      };
+      req.onerror = () => reject(req.error);
+    };
+    getReq.onerror = () => reject(getReq.error);
   });
 }
 
-async function dbClearAll() {
-  for (const name of Object.values(STORES)) {
-    await dbClear(name);
-  }
+// Snapshots are kept, so clearing can be reverted even after a reload.
+// The change log is cleared too: this device starts over as far as sync is concerned.
+async function dbClearAll(tag = null) {
+  const storeNames = Object.values(STORES).filter((name) => name !== STORES.SNAPSHOTS);
+  await runBatch(storeNames, async (batch) => {
+    for (const name of storeNames) await batch.clear(name);
+  }, tag);
+}
+
+// Unit of work
+
+/**
+ * Run reads and writes across several stores in one IndexedDB transaction.
+ * `fn(batch)` gets promise-returning helpers (get, getAll, getByIndex, count, add,
+ * put, delete, clear). Inside `fn`, await only these — awaiting anything else (including
+ * the dbGet/dbPut helpers) lets the transaction commit early. If `fn` throws or a
+ * request fails, nothing is written. Write listeners are notified once the
+ * transaction has committed, every write with `tag`. Resolves with the value `fn` returns.
+ */
+async function runBatch(storeNames, fn, tag = null) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, 'readwrite');
+    const changes = []; // { storeName, key, before, after }
+    let result;
+    let failure = null;
+
+    const fail = (err) => {
+      if (failure) return;
+      failure = err;
+      try {
+        tx.abort();
+      } catch (e) {
+        // Already finished or aborting
+      }
+    };
+
+    const request = (req) => new Promise((res, rej) => {
+      req.onsuccess = () => res(req.result);
+      req.onerror = () => rej(req.error);
+    });
+
+    const batch = {
+      get: (storeName, key) => request(tx.objectStore(storeName).get(key)).then((r) => r || null),
+      getAll: (storeName) => request(tx.objectStore(storeName).getAll()),
+      getByIndex: (storeName, indexName, value) =>
+        request(tx.objectStore(storeName).index(indexName).getAll(value)),
+      count: (storeName) => request(tx.objectStore(storeName).count()),
+      async add(storeName, record) {
+        const store = tx.objectStore(storeName);
+        const after = structuredClone(record);
+        const key = await request(store.add(record));
+        changes.push({ storeName, key, before: null, after });
+        return record;
+      },
+      async put(storeName, record) {
+        const store = tx.objectStore(storeName);
+        const after = structuredClone(record);
+        const before = (await request(store.get(record[store.keyPath]))) || null;
+        const key = await request(store.put(record));
+        changes.push({ storeName, key, before, after });
+        return record;
+      },
+      async delete(storeName, key) {
+        const store = tx.objectStore(storeName);
+        const before = (await request(store.get(key))) || null;
+        await request(store.delete(key));
+        if (before) changes.push({ storeName, key, before, after: null });
+      },
+      async clear(storeName) {
+        const store = tx.objectStore(storeName);
+        const before = await request(store.getAll());
+        await request(store.clear());
+        for (const record of before) changes.push({ storeName, key: record[store.keyPath], before: record, after: null });
+      },
+    };
+
+    tx.oncomplete = () => {
+      for (const c of changes) notifyWrite(c.storeName, c.key, c.before, c.after, tag);
+      resolve(result);
+    };
+    tx.onabort = () => reject(failure || tx.error || new Error('The change was cancelled; nothing was written'));
+
+    try {
+      Promise.resolve(fn(batch)).then((value) => { result = value; }, fail);
+    } catch (err) {
+      fail(err);
+    }
+  });
 }
 
 // Profile-scoped helpers
@@ -170,6 +404,14 @@ async function getProfileBudgetItems(profileId) {
   return dbGetByIndex(STORES.BUDGET_ITEMS, 'profileId', profileId);
 }
 
+async function getProfileGoals(profileId) {
+  return dbGetByIndex(STORES.GOALS, 'profileId', profileId);
+}
+
+async function getProfileExchangeRates(profileId) {
+  return dbGetByIndex(STORES.EXCHANGE_RATES, 'profileId', profileId);
+}
+
 async function getProfileTransactions(profileId) {
   return dbGetByIndex(STORES.TRANSACTIONS, 'profileId', profileId);
 }
@@ -186,13 +428,6 @@ async function getTransactionsForMonth(profileId, year, month) {
   );
 }
 
-async function deleteTransactionsByBudgetItem(budgetItemId) {
-  const txns = await dbGetByIndex(STORES.TRANSACTIONS, 'budgetItemId', budgetItemId);
-  for (const txn of txns) {
-    await dbDelete(STORES.TRANSACTIONS, txn.id);
-  }
-}
-
 // Export full profile data
 async function exportProfileData(profileId) {
   const profiles = await dbGetAll(STORES.PROFILES);
@@ -200,8 +435,10 @@ async function exportProfileData(profileId) {
   if (!profile) return null;
   const categories = await getProfileCategories(profileId);
   const budgetItems = await getProfileBudgetItems(profileId);
+  const goals = await getProfileGoals(profileId);
   const transactions = await getProfileTransactions(profileId);
-  return { profile, categories, budgetItems, transactions };
+  const exchangeRates = await getProfileExchangeRates(profileId);
+  return stampExport({ profile, categories, budgetItems, goals, transactions, exchangeRates });
 }
 
 // Export ALL data
@@ -209,42 +446,31 @@ async function exportAllData() {
   const profiles = await dbGetAll(STORES.PROFILES);
   const categories = await dbGetAll(STORES.CATEGORIES);
   const budgetItems = await dbGetAll(STORES.BUDGET_ITEMS);
+  const goals = await dbGetAll(STORES.GOALS);
   const transactions = await dbGetAll(STORES.TRANSACTIONS);
-  return { profiles, categories, budgetItems, transactions };
+  const exchangeRates = await dbGetAll(STORES.EXCHANGE_RATES);
+  return stampExport({ profiles, categories, budgetItems, goals, transactions, exchangeRates });
 }
 
-// Import data (validates & merges, deduplicates profiles by name)
-async function importData(data) {
-  if (!data || typeof data !== 'object') throw new Error('Invalid data format');
-
-  // Support both single-profile and multi-profile exports
-  const profiles = data.profiles || (data.profile ? [data.profile] : []);
-  const categories = data.categories || [];
-  const budgetItems = data.budgetItems || [];
-  const transactions = data.transactions || [];
-
-  // Validate required fields
-  for (const p of profiles) {
-    if (!p.id || !p.name) throw new Error('Invalid profile: missing id or name');
-  }
-  for (const c of categories) {
-    if (!c.id || !c.profileId || !c.name) throw new Error('Invalid category: missing id, profileId, or name');
-  }
-  for (const b of budgetItems) {
-    if (!b.id || !b.profileId || !b.categoryId || !b.name || b.amount == null)
-      throw new Error('Invalid budget item: missing required fields');
-  }
-  for (const t of transactions) {
-    if (!t.id || !t.budgetItemId || !t.profileId || !t.date)
-      throw new Error('Invalid transaction: missing required fields');
-  }
-
-  // Build a map of existing profile names → ids for dedup
+// Stores an import writes to, parents first
+const IMPORT_STORES = [
+  STORES.PROFILES, STORES.CATEGORIES, STORES.BUDGET_ITEMS, STORES.GOALS, STORES.TRANSACTIONS, STORES.EXCHANGE_RATES,
+];
+
+/**
+ * Dry run of an import: migrates and validates the data, maps profiles onto
+ * existing ones with the same name, and sorts every record per store into
+ * added (new id), identical (no change) or conflicts (same id, different content).
+ * Nothing is written. Returns { stores: { [storeName]: { added, identical, conflicts } } }
+ * where each conflict is { local, imported, changes: [fieldName] }.
+ */
+async function planImport(data) {
+  const { profiles, categories, budgetItems, goals, transactions, exchangeRates } = prepareImport(data);
+
+  // An imported profile whose name matches an existing one merges into it:
+  // its id (and every reference to it) is remapped to the existing profile's id
   const existingProfiles = await dbGetAll(STORES.PROFILES);
   const nameToId = new Map(existingProfiles.map(p => [p.name.toLowerCase(), p.id]));
-
-  // For each imported profile, if a profile with the same name exists,
-  // remap the imported id to the existing id so data merges into it.
   const idRemap = new Map(); // oldImportedId → existingId
   for (const p of profiles) {
     const existingId = nameToId.get(p.name.trim().toLowerCase());
@@ -252,31 +478,147 @@ async function importData(data) {
       idRemap.set(p.id, existingId);
     }
   }
-
-  // Apply remap to all records
   function remap(id) { return idRemap.get(id) || id; }
 
-  for (const p of profiles) {
-    if (idRemap.has(p.id)) continue; // skip — already exists
-    await dbPut(STORES.PROFILES, p);
+  const records = {
+    [STORES.PROFILES]: profiles.map((p) => ({ ...p, id: remap(p.id) })),
+    [STORES.CATEGORIES]: categories.map((c) => ({ ...c, profileId: remap(c.profileId) })),
+    [STORES.BUDGET_ITEMS]: budgetItems.map((b) => ({ ...b, profileId: remap(b.profileId) })),
+    [STORES.GOALS]: goals.map((g) => ({ ...g, profileId: remap(g.profileId) })),
+    [STORES.TRANSACTIONS]: transactions.map((t) => ({ ...t, profileId: remap(t.profileId) })),
+    [STORES.EXCHANGE_RATES]: exchangeRates.map((r) => ({ ...r, profileId: remap(r.profileId) })),
+  };
+
+  const plan = { stores: {} };
+  for (const storeName of IMPORT_STORES) {
+    const local = new Map((await dbGetAll(storeName)).map((r) => [r.id, r]));
+    const bucket = { added: [], identical: [], conflicts: [] };
+    for (const imported of records[storeName]) {
+      const existing = local.get(imported.id);
+      if (!existing) {
+        bucket.added.push(imported);
+        continue;
+      }
+      const changes = changedFields(existing, imported);
+      if (changes.length === 0) bucket.identical.push(imported);
+      else bucket.conflicts.push({ local: existing, imported, changes });
+    }
+    plan.stores[storeName] = bucket;
   }
-  for (const c of categories) {
-    c.profileId = remap(c.profileId);
-    await dbPut(STORES.CATEGORIES, c);
+  return plan;
+}
+
+/**
+ * Write a plan from planImport() in a single IndexedDB transaction — either
+ * everything is stored or nothing is. `resolutions` maps "storeName:id" to an
+ * IMPORT_RESOLUTION for each conflict; missing entries keep the local record.
+ *
+ * Keeping both gives the imported record a new id and points the imported
+ * records that referenced it at the copy. Keeping both for a profile imports
+ * the whole profile as a separate copy. Returns { added, replaced, copied }.
+ */
+async function commitImport(plan, resolutions = {}, tag = null) {
+  const resolutionOf = (storeName, id) => resolutions[`${storeName}:${id}`] || IMPORT_RESOLUTION.LOCAL;
+  const profilePlan = plan.stores[STORES.PROFILES];
+
+  // Profiles imported as a copy take all of their records with them
+  const copiedProfiles = new Set(
+    profilePlan.conflicts
+      .filter((c) => resolutionOf(STORES.PROFILES, c.imported.id) === IMPORT_RESOLUTION.BOTH)
+      .map((c) => c.imported.id)
+  );
+
+  // First pass: decide what to write and which ids get a fresh one
+  const idMap = new Map(); // imported id → id of the copy
+  const pending = []; // { storeName, record, kind }
+  for (const storeName of IMPORT_STORES) {
+    const { added, identical, conflicts } = plan.stores[storeName];
+    const inCopiedProfile = (r) =>
+      copiedProfiles.has(storeName === STORES.PROFILES ? r.id : r.profileId);
+
+    for (const record of added) {
+      pending.push({ storeName, record, kind: 'added' });
+    }
+    for (const record of identical) {
+      if (inCopiedProfile(record)) {
+        idMap.set(record.id, generateId());
+        pending.push({ storeName, record, kind: 'copied' });
+      }
+    }
+    for (const { imported } of conflicts) {
+      const resolution = inCopiedProfile(imported) ? IMPORT_RESOLUTION.BOTH : resolutionOf(storeName, imported.id);
+      if (resolution === IMPORT_RESOLUTION.IMPORTED) {
+        pending.push({ storeName, record: imported, kind: 'replaced' });
+      } else if (resolution === IMPORT_RESOLUTION.BOTH) {
+        idMap.set(imported.id, generateId());
+        pending.push({ storeName, record: imported, kind: 'copied' });
+      }
+    }
   }
-  for (const b of budgetItems) {
-    b.profileId = remap(b.profileId);
-    await dbPut(STORES.BUDGET_ITEMS, b);
+
+  // Second pass: rewrite ids and references of the records being written
+  const existingNames = new Set((await dbGetAll(STORES.PROFILES)).map((p) => p.name.toLowerCase()));
+  const mapId = (id) => (id && idMap.get(id)) || id;
+  const writes = pending.map(({ storeName, record, kind }) => {
+    const copy = { ...record, id: mapId(record.id) };
+    if ('profileId' in copy) copy.profileId = mapId(copy.profileId);
+    if (copy.parentId) copy.parentId = mapId(copy.parentId);
+    if (copy.categoryId) copy.categoryId = mapId(copy.categoryId);
+    if (copy.budgetItemId) copy.budgetItemId = mapId(copy.budgetItemId);
+    if (storeName === STORES.PROFILES && kind === 'copied') {
+      copy.name = uniqueProfileName(`${record.name} (imported)`, existingNames);
+    }
+    return { storeName, record: copy, kind };
+  });
+
+  await runBatch(IMPORT_STORES, async (batch) => {
+    for (const { storeName, record } of writes) await batch.put(storeName, record);
+  }, tag);
+
+  const count = (kind) => writes.filter((w) => w.kind === kind).length;
+  return { added: count('added'), replaced: count('replaced'), copied: count('copied') };
+}
+
+/**
+ * Import without a preview: conflicts are resolved with `resolution` for every record.
+ */
+async function importData(data, resolution = IMPORT_RESOLUTION.IMPORTED, tag = null) {
+  const plan = await planImport(data);
+  const resolutions = {};
+  for (const storeName of IMPORT_STORES) {
+    for (const { imported } of plan.stores[storeName].conflicts) {
+      resolutions[`${storeName}:${imported.id}`] = resolution;
+    }
   }
-  for (const t of transactions) {
-    t.profileId = remap(t.profileId);
-    await dbPut(STORES.TRANSACTIONS, t);
+  return commitImport(plan, resolutions, tag);
+}
+
+// Field names whose values differ between two versions of a record
+function changedFields(local, imported) {
+  const keys = new Set([...Object.keys(local), ...Object.keys(imported)]);
+  return [...keys].filter((k) => canonicalJSON(local[k] ?? null) !== canonicalJSON(imported[k] ?? null));
+}
+
+// JSON with sorted object keys, so key order doesn't count as a change
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
   }
+  return JSON.stringify(value);
+}
+
+function uniqueProfileName(name, existingNames) {
+  let candidate = name;
+  for (let n = 2; existingNames.has(candidate.toLowerCase()); n++) candidate = `${name} ${n}`;
+  existingNames.add(candidate.toLowerCase());
+  return candidate;
 }
 
 export {
   STORES,
   openDB,
+  addWriteListener,
   dbAdd,
   dbPut,
   dbGet,
@@ -286,12 +628,17 @@ export {
   dbGetByIndexRange,
   dbClear,
   dbClearAll,
+  runBatch,
   getProfileCategories,
   getProfileBudgetItems,
+  getProfileGoals,
   getProfileTransactions,
+  getProfileExchangeRates,
   getTransactionsForMonth,
-  deleteTransactionsByBudgetItem,
   exportProfileData,
   exportAllData,
+  planImport,
+  commitImport,
   importData,
+  canonicalJSON,
 };
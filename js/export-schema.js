@@ -0,0 +1,411 @@
+// js/export-schema.js — Export format version, migrations of older exports & record validation
+
+import {
+  FREQUENCY,
+  FREQUENCY_LIST,
+  RECURRENCE_UNIT,
+  MONTH_DAY_RULE,
+  SHIFT_POLICY,
+  ITEM_TYPE,
+  ITEM_TYPE_LIST,
+  TX_STATUS,
+  DATE_DISPLAY_FORMAT,
+} from './models.js';
+import { recordToMinorUnits, createCurrencyResolver } from './money.js';
+import { getBaseCurrency } from './currency.js';
+
+const EXPORT_FORMAT = 'tickyourbudget';
+const APP_VERSION = '1.1.0';
+
+// Bump when the shape of exported records changes, and add a migration from the previous version
+const EXPORT_SCHEMA_VERSION = 9;
+
+/**
+ * Migrations keyed by the version they upgrade *from*. Each takes the parsed
+ * export and returns it in the next version's shape.
+ */
+const MIGRATIONS = {
+  // 1 → 2: exports made before versioning. Fill in fields added since
+  // (income type, actual amounts, payments, holidays, shift policy, limits).
+  1: (data) => {
+    const profile = (p) => ({ ...p, holidays: p.holidays || [] });
+    const result = {
+      ...data,
+      categories: (data.categories || []).map((c) => ({
+        ...c,
+        description: c.description || '',
+        parentId: c.parentId || null,
+        monthlyLimit: c.monthlyLimit ?? null,
+      })),
+      budgetItems: (data.budgetItems || []).map((b) => ({
+        ...b,
+        type: b.type || ITEM_TYPE.EXPENSE,
+        description: b.description || '',
+        frequency: b.frequency || FREQUENCY.MONTHLY,
+        recurrence: b.recurrence || null,
+        shiftPolicy: b.shiftPolicy || SHIFT_POLICY.NONE,
+        endDate: b.endDate || null,
+      })),
+      transactions: (data.transactions || []).map((t) => ({
+        ...t,
+        budgetItemId: t.budgetItemId || null,
+        type: t.type || ITEM_TYPE.EXPENSE,
+        actualAmount: t.actualAmount ?? null,
+        payments: t.payments || [],
+      })),
+    };
+    if (data.profile) result.profile = profile(data.profile);
+    if (data.profiles) result.profiles = data.profiles.map(profile);
+    return result;
+  },
+  // 2 → 3: savings goals were added
+  2: (data) => ({ ...data, goals: data.goals || [] }),
+  // 3 → 4: budget items can carry loan terms
+  3: (data) => ({
+    ...data,
+    budgetItems: (data.budgetItems || []).map((b) => ({ ...b, loan: b.loan || null })),
+  }),
+  // 4 → 5: multi-currency — records without a currency are in the profile's base currency
+  4: (data) => {
+    const profile = (p) => ({ ...p, baseCurrency: p.baseCurrency || null });
+    const result = {
+      ...data,
+      budgetItems: (data.budgetItems || []).map((b) => ({ ...b, currency: b.currency || null })),
+      transactions: (data.transactions || []).map((t) => ({ ...t, currency: t.currency || null })),
+      exchangeRates: data.exchangeRates || [],
+    };
+    if (data.profile) result.profile = profile(data.profile);
+    if (data.profiles) result.profiles = data.profiles.map(profile);
+    return result;
+  },
+  // 5 → 6: profiles carry their own locale, first day of week & date format
+  5: (data) => {
+    const profile = (p) => ({ ...p, locale: p.locale || null, weekStart: p.weekStart ?? null, dateFormat: p.dateFormat || null });
+    const result = { ...data };
+    if (data.profile) result.profile = profile(data.profile);
+    if (data.profiles) result.profiles = data.profiles.map(profile);
+    return result;
+  },
+  // 6 → 7: amounts become integer minor units (cents) of their currency
+  6: (data) => {
+    const resolve = createCurrencyResolver({
+      profiles: data.profiles || (data.profile ? [data.profile] : []),
+      budgetItems: data.budgetItems || [],
+      transactions: data.transactions || [],
+      goals: data.goals || [],
+    }, getBaseCurrency(null));
+    const convert = (entity, records) => (records || []).map((r) => recordToMinorUnits(entity, r, resolve(entity, r)));
+    return {
+      ...data,
+      categories: convert('category', data.categories),
+      budgetItems: convert('budgetItem', data.budgetItems),
+      goals: convert('goal', data.goals),
+      transactions: convert('transaction', data.transactions),
+    };
+  },
+  // 7 → 8: profiles can carry an opening account balance for the cash-flow forecast
+  7: (data) => {
+    const profile = (p) => ({ ...p, openingBalance: p.openingBalance ?? null, openingBalanceDate: p.openingBalanceDate || null });
+    const result = { ...data };
+    if (data.profile) result.profile = profile(data.profile);
+    if (data.profiles) result.profiles = data.profiles.map(profile);
+    return result;
+  },
+  // 8 → 9: goals remember the day they were reached
+  8: (data) => ({
+    ...data,
+    goals: (data.goals || []).map((g) => ({ ...g, reachedDate: g.reachedDate || null })),
+  }),
+};
+
+// ===== Schema =====
+// Field rules: type (id | string | number | money | date | currency | locale | enum | array | object),
+// required, nullable, min, values (enum), of (array items), fields (object). `money` is a whole
+// number of minor units (cents), never negative unless the rule is `signed`.
+
+const HOLIDAY_FIELDS = {
+  date: { type: 'date', required: true },
+  name: { type: 'string' },
+};
+
+const PAYMENT_FIELDS = {
+  id: { type: 'id', required: true },
+  date: { type: 'date', required: true },
+  amount: { type: 'money', required: true },
+  note: { type: 'string' },
+};
+
+const RECURRENCE_FIELDS = {
+  interval: { type: 'number', required: true, min: 1 },
+  unit: { type: 'enum', required: true, values: Object.values(RECURRENCE_UNIT) },
+  monthDay: { type: 'enum', values: Object.values(MONTH_DAY_RULE) },
+  nth: { type: 'number' },
+  weekday: { type: 'number', min: 0 },
+};
+
+const LOAN_FIELDS = {
+  principal: { type: 'money', required: true },
+  annualRate: { type: 'number', required: true, min: 0 },
+  termMonths: { type: 'number', required: true, min: 1 },
+};
+
+const SCHEMA = {
+  profile: {
+    id: { type: 'id', required: true },
+    name: { type: 'string', required: true },
+    holidays: { type: 'array', of: HOLIDAY_FIELDS },
+    baseCurrency: { type: 'currency', nullable: true },
+    locale: { type: 'locale', nullable: true },
+    weekStart: { type: 'enum', nullable: true, values: [0, 1, 2, 3, 4, 5, 6] },
+    dateFormat: { type: 'enum', nullable: true, values: Object.values(DATE_DISPLAY_FORMAT) },
+    openingBalance: { type: 'money', nullable: true, signed: true },
+    openingBalanceDate: { type: 'date', nullable: true },
+  },
+  category: {
+    id: { type: 'id', required: true },
+    profileId: { type: 'id', required: true },
+    name: { type: 'string', required: true },
+    description: { type: 'string' },
+    parentId: { type: 'id', nullable: true },
+    monthlyLimit: { type: 'money', nullable: true },
+  },
+  budgetItem: {
+    id: { type: 'id', required: true },
+    profileId: { type: 'id', required: true },
+    categoryId: { type: 'id', required: true },
+    name: { type: 'string', required: true },
+    amount: { type: 'money', required: true },
+    type: { type: 'enum', required: true, values: ITEM_TYPE_LIST },
+    description: { type: 'string' },
+    frequency: { type: 'enum', required: true, values: FREQUENCY_LIST },
+    recurrence: { type: 'object', nullable: true, fields: RECURRENCE_FIELDS },
+    shiftPolicy: { type: 'enum', values: Object.values(SHIFT_POLICY) },
+    startDate: { type: 'date', required: true },
+    endDate: { type: 'date', nullable: true },
+    loan: { type: 'object', nullable: true, fields: LOAN_FIELDS },
+    currency: { type: 'currency', nullable: true },
+  },
+  goal: {
+    id: { type: 'id', required: true },
+    profileId: { type: 'id', required: true },
+    categoryId: { type: 'id', required: true },
+    budgetItemId: { type: 'id', nullable: true },
+    name: { type: 'string', required: true },
+    targetAmount: { type: 'money', required: true },
+    targetDate: { type: 'date', required: true },
+    startingAmount: { type: 'money', required: true },
+    startDate: { type: 'date', required: true },
+    reachedDate: { type: 'date', nullable: true },
+  },
+  transaction: {
+    id: { type: 'id', required: true },
+    budgetItemId: { type: 'id', nullable: true },
+    categoryId: { type: 'id' },
+    profileId: { type: 'id', required: true },
+    date: { type: 'date', required: true },
+    type: { type: 'enum', required: true, values: ITEM_TYPE_LIST },
+    // "Partially Paid" is derived from payments and never stored
+    status: { type: 'enum', required: true, values: [TX_STATUS.PENDING, TX_STATUS.PAID, TX_STATUS.RECEIVED] },
+    snapshotAmount: { type: 'money', required: true },
+    actualAmount: { type: 'money', nullable: true },
+    snapshotName: { type: 'string', required: true },
+    payments: { type: 'array', of: PAYMENT_FIELDS },
+    statementId: { type: 'string' },
+    currency: { type: 'currency', nullable: true },
+  },
+  exchangeRate: {
+    id: { type: 'id', required: true },
+    profileId: { type: 'id', required: true },
+    currency: { type: 'currency', required: true },
+    baseCurrency: { type: 'currency', required: true },
+    date: { type: 'date', required: true },
+    rate: { type: 'number', required: true, min: 0 },
+  },
+};
+
+const ENTITY_LABELS = {
+  profile: 'Profile',
+  category: 'Category',
+  budgetItem: 'Budget item',
+  goal: 'Goal',
+  transaction: 'Transaction',
+  exchangeRate: 'Exchange rate',
+};
+
+/**
+ * Add the format/version stamp to export data. The record lists stay top-level,
+ * so the file reads the same as before apart from the stamp.
+ */
+function stampExport(data) {
+  return {
+    format: EXPORT_FORMAT,
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    appVersion: APP_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...data,
+  };
+}
+
+/**
+ * Bring an export of any supported version up to the current schema and validate
+ * every record. Returns { profiles, categories, budgetItems, goals, transactions,
+ * exchangeRates }; throws an Error describing the problems when anything is
+ * invalid (nothing is written).
+ */
+function prepareImport(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Invalid data format');
+  if (data.format != null && data.format !== EXPORT_FORMAT) throw new Error('Not a tickyourbudget export');
+
+  // Exports made before versioning carry no stamp
+  let version = data.schemaVersion ?? 1;
+  if (!Number.isInteger(version) || version < 1) throw new Error(`Unknown export version "${version}"`);
+  if (version > EXPORT_SCHEMA_VERSION) {
+    throw new Error(`This file was exported by a newer version of the app (format v${version}). Update the app to import it.`);
+  }
+
+  let migrated = data;
+  for (; version < EXPORT_SCHEMA_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+
+  // Support both single-profile and multi-profile exports
+  const lists = {
+    profile: migrated.profiles || (migrated.profile ? [migrated.profile] : []),
+    category: migrated.categories || [],
+    budgetItem: migrated.budgetItems || [],
+    goal: migrated.goals || [],
+    transaction: migrated.transactions || [],
+    exchangeRate: migrated.exchangeRates || [],
+  };
+
+  const errors = [];
+  for (const [entity, records] of Object.entries(lists)) {
+    if (!Array.isArray(records)) {
+      errors.push(`${ENTITY_LABELS[entity]} list is not an array`);
+      continue;
+    }
+    const ids = new Set();
+    records.forEach((record, i) => {
+      const label = `${ENTITY_LABELS[entity]} ${describeRecord(record, i)}`;
+      for (const problem of validateFields(record, SCHEMA[entity])) errors.push(`${label}: ${problem}`);
+      if (record && typeof record === 'object' && record.id) {
+        if (ids.has(record.id)) errors.push(`${label}: duplicate id`);
+        ids.add(record.id);
+      }
+    });
+  }
+  // Ad-hoc transactions have a categoryId instead of a budgetItemId
+  lists.transaction.forEach((t, i) => {
+    if (t && typeof t === 'object' && !t.budgetItemId && !t.categoryId) {
+      errors.push(`Transaction ${describeRecord(t, i)}: needs a budgetItemId or a categoryId`);
+    }
+  });
+
+  if (errors.length > 0) {
+    const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+    throw new Error(errors.slice(0, 3).join('; ') + more);
+  }
+
+  return {
+    profiles: lists.profile,
+    categories: lists.category,
+    budgetItems: lists.budgetItem,
+    goals: lists.goal,
+    transactions: lists.transaction,
+    exchangeRates: lists.exchangeRate,
+  };
+}
+
+/**
+ * Problems with one record of an entity ('profile', 'category', 'budgetItem',
+ * 'goal', 'transaction', 'exchangeRate'); empty when valid. Used for records that arrive outside an export.
+ */
+function validateRecord(entity, record) {
+  const problems = validateFields(record, SCHEMA[entity]);
+  if (entity === 'transaction' && record && !record.budgetItemId && !record.categoryId) {
+    problems.push('needs a budgetItemId or a categoryId');
+  }
+  return problems;
+}
+
+function describeRecord(record, index) {
+  const name = record && (record.name || record.snapshotName);
+  return name ? `"${name}"` : `#${index + 1}`;
+}
+
+/**
+ * Check a record against a field map. Returns a list of problems (empty = valid).
+ * Fields not in the schema are rejected so typos and stray data aren't stored.
+ */
+function validateFields(record, fields) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return ['is not an object'];
+  const problems = [];
+  for (const [key, rule] of Object.entries(fields)) {
+    const value = record[key];
+    if (value === undefined || value === null) {
+      if (rule.required) problems.push(`${key} is required`);
+      else if (value === null && !rule.nullable) problems.push(`${key} must not be null`);
+      continue;
+    }
+    const problem = checkValue(value, rule);
+    if (problem) problems.push(`${key} ${problem}`);
+  }
+  for (const key of Object.keys(record)) {
+    if (!(key in fields)) problems.push(`unknown field "${key}"`);
+  }
+  return problems;
+}
+
+function checkValue(value, rule) {
+  switch (rule.type) {
+    case 'id':
+      return typeof value === 'string' && value.trim() ? null : 'must be a non-empty string';
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      return rule.required && !value.trim() ? 'must not be empty' : null;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+      return rule.min != null && value < rule.min ? `must be at least ${rule.min}` : null;
+    case 'money':
+      if (rule.signed) return Number.isInteger(value) ? null : 'must be a whole number of minor units (e.g. cents)';
+      return Number.isInteger(value) && value >= 0 ? null : 'must be a whole number of minor units (e.g. cents) of at least 0';
+    case 'date':
+      return isValidDate(value) ? null : 'must be a date (YYYY-MM-DD)';
+    case 'currency':
+      return typeof value === 'string' && /^[A-Z]{3}$/.test(value) ? null : 'must be a currency code (e.g. USD)';
+    case 'locale':
+      return typeof value === 'string' && isValidLocale(value) ? null : 'must be a language tag (e.g. en-US)';
+    case 'enum':
+      return rule.values.includes(value) ? null : `must be one of ${rule.values.join(', ')}`;
+    case 'array': {
+      if (!Array.isArray(value)) return 'must be a list';
+      for (let i = 0; i < value.length; i++) {
+        const problems = validateFields(value[i], rule.of);
+        if (problems.length > 0) return `[${i + 1}] ${problems[0]}`;
+      }
+      return null;
+    }
+    case 'object': {
+      const problems = validateFields(value, rule.fields);
+      return problems.length > 0 ? `→ ${problems[0]}` : null;
+    }
+    default:
+      return null;
+  }
+}
+
+function isValidLocale(value) {
+  try {
+    return Intl.getCanonicalLocales(value).length === 1;
+  } catch (e) {
+    return false;
+  }
+}
+
+function isValidDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const d = new Date(value + 'T00:00:00Z');
+  return !isNaN(d) && d.toISOString().startsWith(value);
+}
+
+export { EXPORT_FORMAT, EXPORT_SCHEMA_VERSION, APP_VERSION, stampExport, prepareImport, validateRecord };
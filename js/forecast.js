@@ -0,0 +1,92 @@
+// js/forecast.js — Cash-flow forecast: day-by-day running account balance from the opening balance
+
+import { isIncome, getTransactionAmount, toISODate } from './models.js';
+
+const MONTHS_KEY = 'tyb_forecast_months';
+const DEFAULT_MONTHS = 6;
+
+// "Next N months" choices shown in Reports
+const FORECAST_MONTH_OPTIONS = [3, 6, 12, 24];
+
+function getForecastMonths() {
+  const months = parseInt(localStorage.getItem(MONTHS_KEY), 10);
+  return FORECAST_MONTH_OPTIONS.includes(months) ? months : DEFAULT_MONTHS;
+}
+
+function setForecastMonths(months) {
+  localStorage.setItem(MONTHS_KEY, String(months));
+}
+
+/**
+ * Last day the forecast covers: the end of the month `months` months after
+ * today's, e.g. 6 months from Oct 19 → Apr 30.
+ */
+function getForecastEndDate(months, today = new Date().toISOString().split('T')[0]) {
+  const year = parseInt(today.substring(0, 4), 10);
+  const month = parseInt(today.substring(5, 7), 10) - 1 + months;
+  return toISODate(new Date(year, month + 1, 0));
+}
+
+/**
+ * Walk the account balance forward, one day at a time.
+ *
+ * - Starts from `openingBalance` on `openingDate` (0 on `from` when no opening
+ *   balance is set). Every transaction dated on or after the opening date
+ *   counts: income adds its amount, an expense takes it away (actual when
+ *   known, planned otherwise) — on its date, paid or not.
+ * - Transactions before `from` only move the starting balance; from `from` to
+ *   `to` each day with money in or out gets a row.
+ * - `transactions` are recorded, `projected` are planned from budget items and
+ *   not saved yet; all in one currency.
+ *
+ * Returns { from, to, startBalance, endBalance, days, lowest, firstNegativeDate },
+ * where each day is { date, income, expenses, balance, negative, entries } and
+ * `lowest` is { date, balance }.
+ */
+function buildForecast({ openingBalance = null, openingDate = null, from, to, transactions, projected = [] }) {
+  const start = openingBalance != null && openingDate ? openingDate : from;
+  let balance = openingBalance != null && openingDate ? openingBalance : 0;
+
+  const entries = [
+    ...transactions.map((t) => ({ txn: t, projected: false })),
+    ...projected.map((t) => ({ txn: t, projected: true })),
+  ]
+    .filter(({ txn }) => txn.date >= start && txn.date <= to)
+    .sort((a, b) => a.txn.date.localeCompare(b.txn.date));
+
+  const dayMap = new Map();
+  for (const { txn, projected: isProjected } of entries) {
+    const amount = isIncome(txn) ? getTransactionAmount(txn) : -getTransactionAmount(txn);
+    if (txn.date < from) {
+      balance += amount;
+      continue;
+    }
+    if (!dayMap.has(txn.date)) dayMap.set(txn.date, { date: txn.date, income: 0, expenses: 0, balance: 0, negative: false, entries: [] });
+    const day = dayMap.get(txn.date);
+    if (amount >= 0) day.income += amount;
+    else day.expenses -= amount;
+    day.entries.push({ id: txn.id, name: txn.snapshotName, amount, projected: isProjected });
+  }
+
+  const startBalance = balance;
+  let lowest = { date: from, balance };
+  let firstNegativeDate = balance < 0 ? from : null;
+  const days = [...dayMap.values()];
+  for (const day of days) {
+    balance += day.income - day.expenses;
+    day.balance = balance;
+    day.negative = balance < 0;
+    if (balance < lowest.balance) lowest = { date: day.date, balance };
+    if (day.negative && !firstNegativeDate) firstNegativeDate = day.date;
+  }
+
+  return { from, to, startBalance, endBalance: balance, days, lowest, firstNegativeDate };
+}
+
+export {
+  FORECAST_MONTH_OPTIONS,
+  getForecastMonths,
+  setForecastMonths,
+  getForecastEndDate,
+  buildForecast,
+};
@@ -0,0 +1,216 @@
+// js/goals.js — Savings goals (sinking funds): progress, monthly contribution sizing & recalculation
+
+import { runBatch, STORES } from './db.js';
+import { getOccurrencesInMonth } from './transaction-engine.js';
+import {
+  createBudgetItem,
+  FREQUENCY,
+  ITEM_TYPE,
+  GOAL_STATUS,
+  getPaidAmount,
+  isOpen,
+  isSettled,
+  toISODate,
+} from './models.js';
+
+/**
+ * The monthly budget item that saves towards a goal, from `startDate` until the
+ * target date. Its amount is set by planContribution().
+ */
+function createContributionItem(goal, startDate = goal.startDate) {
+  return createBudgetItem({
+    profileId: goal.profileId,
+    categoryId: goal.categoryId,
+    name: goal.name,
+    amount: 0,
+    type: ITEM_TYPE.EXPENSE,
+    description: 'Savings goal contribution',
+    frequency: FREQUENCY.MONTHLY,
+    startDate,
+    endDate: goal.targetDate,
+  });
+}
+
+/**
+ * Where a goal stands on `today` (YYYY-MM-DD), from its contribution item and
+ * that item's transactions.
+ *
+ * - saved: `startingAmount` plus everything paid on the contributions (partial
+ *   payments and actual amounts included).
+ * - openCount: contributions still to come — the item's occurrences from this
+ *   month up to the target date that are not settled yet. Contributions skipped
+ *   in earlier months are not made up for one by one; what they left unsaved is
+ *   spread over the open ones.
+ * - contribution: the remaining amount divided by openCount, rounded up to the
+ *   minor unit (amounts are minor units, like everywhere else).
+ * - history: one entry per month from the goal's start to its target date (or
+ *   this month, when later) with the straight-line `planned` balance and the
+ *   `saved` balance at the end of the month (null for months still ahead).
+ */
+function getGoalProgress(goal, item, contributions, today = new Date().toISOString().split('T')[0]) {
+  const saved = goal.startingAmount + contributions.reduce((sum, t) => sum + getPaidAmount(t), 0);
+  const remaining = Math.max(0, goal.targetAmount - saved);
+  const openCount = item ? countOpenContributions(goal, item, contributions, today) : 0;
+  const contribution = remaining > 0 && openCount > 0 ? Math.ceil(remaining / openCount - 1e-6) : 0;
+  const history = getSavingsHistory(goal, contributions, today);
+
+  let status = GOAL_STATUS.ON_TRACK;
+  if (remaining === 0) {
+    status = GOAL_STATUS.REACHED;
+  } else if (goal.targetDate < today) {
+    status = GOAL_STATUS.OVERDUE;
+  } else {
+    // Compare with the plan at the end of last month — this month isn't over yet
+    const current = history.findIndex((h) => h.month === today.substring(0, 7));
+    const lastMonth = history[current - 1];
+    if (lastMonth && lastMonth.saved < lastMonth.planned) status = GOAL_STATUS.BEHIND;
+  }
+
+  const percent = goal.targetAmount > 0 ? Math.min(100, Math.floor((saved / goal.targetAmount) * 100)) : 100;
+  return { saved, remaining, percent, openCount, contribution, status, history };
+}
+
+function countOpenContributions(goal, item, contributions, today) {
+  // While a goal is reached its item ends early; count against the target date
+  const schedule = { ...item, endDate: goal.targetDate };
+  const last = new Date(goal.targetDate + 'T00:00:00');
+  let open = 0;
+  for (let cursor = monthStart(today); cursor <= last; cursor = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1)) {
+    const prefix = toISODate(cursor).substring(0, 7);
+    const dates = getOccurrencesInMonth(schedule, cursor.getFullYear(), cursor.getMonth());
+    const settled = contributions.filter((t) => t.date.startsWith(prefix) && isSettled(t)).length;
+    open += Math.max(0, dates.length - settled);
+  }
+  return open;
+}
+
+function getSavingsHistory(goal, contributions, today) {
+  const targetMonth = goal.targetDate.substring(0, 7);
+  const thisMonth = today.substring(0, 7);
+  const lastMonth = targetMonth > thisMonth ? targetMonth : thisMonth;
+
+  const months = [];
+  for (let cursor = monthStart(goal.startDate); toISODate(cursor).substring(0, 7) <= lastMonth;
+    cursor = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1)) {
+    months.push(toISODate(cursor).substring(0, 7));
+  }
+
+  const planMonths = Math.max(1, months.indexOf(targetMonth) + 1);
+  const toSave = goal.targetAmount - goal.startingAmount;
+  return months.map((month, i) => ({
+    month,
+    planned: Math.round(goal.startingAmount + (toSave * Math.min(i + 1, planMonths)) / planMonths),
+    saved: month > thisMonth ? null : goal.startingAmount + contributions
+      .filter((t) => t.date.substring(0, 7) <= month)
+      .reduce((sum, t) => sum + getPaidAmount(t), 0),
+  }));
+}
+
+/**
+ * Resize a goal's contribution item to what is left to save, and the open
+ * contributions already generated from this month on with it (pending, nothing
+ * paid, no actual amount — so Home shows the new amount right away). Settled and
+ * past transactions are left as they are.
+ *
+ * A reached goal drops to 0. The day it is first reached is kept as the goal's
+ * `reachedDate`, the item ends on it for good and the open contributions from
+ * this month on are removed; falling short of the target again clears it. When
+ * the target date has passed with nothing left to spread the rest over, the
+ * amount is kept.
+ * Returns { goal, item, transactions, removed } — the records to write and the
+ * ids of the transactions to delete.
+ */
+function planContribution(goal, item, contributions, today = new Date().toISOString().split('T')[0]) {
+  const { status, openCount, contribution } = getGoalProgress(goal, item, contributions, today);
+  const reached = status === GOAL_STATUS.REACHED;
+  const reachedDate = reached ? goal.reachedDate || today : null;
+  const amount = reached || openCount > 0 ? contribution : item.amount;
+  const endDate = reachedDate && reachedDate < goal.targetDate ? reachedDate : goal.targetDate;
+  const firstOfMonth = today.substring(0, 8) + '01';
+  const open = contributions.filter((t) => t.date >= firstOfMonth && isOpen(t));
+
+  return {
+    goal: { ...goal, reachedDate },
+    item: { ...item, amount, endDate },
+    transactions: reached ? [] : open
+      .filter((t) => t.snapshotAmount !== amount)
+      .map((t) => ({ ...t, snapshotAmount: amount })),
+    removed: reached ? open.map((t) => t.id) : [],
+  };
+}
+
+/**
+ * Store a new goal together with its contribution item, in one transaction.
+ * The item already carries the first monthly amount. Returns the stored goal.
+ */
+async function addGoal(goal, tag = null, today = new Date().toISOString().split('T')[0]) {
+  const draft = createContributionItem(goal);
+  const { goal: linked, item } = planContribution({ ...goal, budgetItemId: draft.id }, draft, [], today);
+  await runBatch([STORES.GOALS, STORES.BUDGET_ITEMS], async (batch) => {
+    await batch.add(STORES.BUDGET_ITEMS, item);
+    await batch.add(STORES.GOALS, linked);
+  }, tag);
+  return linked;
+}
+
+/**
+ * Save an edited goal and carry its name, category and target over to the
+ * contribution item, resized in the same transaction. A contribution item that
+ * was deleted in the Items view is created again, starting today.
+ */
+async function updateGoal(goal, tag = null, today = new Date().toISOString().split('T')[0]) {
+  return runBatch([STORES.GOALS, STORES.BUDGET_ITEMS, STORES.TRANSACTIONS], async (batch) => {
+    const existing = goal.budgetItemId ? await batch.get(STORES.BUDGET_ITEMS, goal.budgetItemId) : null;
+    const base = existing
+      ? { ...existing, name: goal.name, categoryId: goal.categoryId, endDate: goal.targetDate }
+      : createContributionItem(goal, today < goal.startDate ? goal.startDate : today);
+    const contributions = existing ? await batch.getByIndex(STORES.TRANSACTIONS, 'budgetItemId', base.id) : [];
+    const { goal: linked, item, transactions, removed } =
+      planContribution({ ...goal, budgetItemId: base.id }, base, contributions, today);
+
+    await batch.put(STORES.BUDGET_ITEMS, item);
+    for (const txn of transactions) await batch.put(STORES.TRANSACTIONS, txn);
+    for (const id of removed) await batch.delete(STORES.TRANSACTIONS, id);
+    await batch.put(STORES.GOALS, linked);
+    return linked;
+  }, tag);
+}
+
+/**
+ * Recalculate every goal of a profile after contributions were paid, skipped or
+ * changed. Runs before Home and the Goals view render, like transaction
+ * generation, and only writes what changed. Returns the number of items resized.
+ */
+async function refreshGoalContributions(profileId, today = new Date().toISOString().split('T')[0]) {
+  return runBatch([STORES.GOALS, STORES.BUDGET_ITEMS, STORES.TRANSACTIONS], async (batch) => {
+    let resized = 0;
+    for (const goal of await batch.getByIndex(STORES.GOALS, 'profileId', profileId)) {
+      const current = goal.budgetItemId ? await batch.get(STORES.BUDGET_ITEMS, goal.budgetItemId) : null;
+      if (!current) continue;
+      const contributions = await batch.getByIndex(STORES.TRANSACTIONS, 'budgetItemId', current.id);
+      const { goal: planned, item, transactions, removed } = planContribution(goal, current, contributions, today);
+      if (planned.reachedDate !== (goal.reachedDate || null)) await batch.put(STORES.GOALS, planned);
+      if (item.amount !== current.amount || item.endDate !== current.endDate) {
+        await batch.put(STORES.BUDGET_ITEMS, item);
+        resized++;
+      }
+      for (const txn of transactions) await batch.put(STORES.TRANSACTIONS, txn);
+      for (const id of removed) await batch.delete(STORES.TRANSACTIONS, id);
+    }
+    return resized;
+  });
+}
+
+function monthStart(dateStr) {
+  const d = new Date(dateStr + 'T00:00:00');
+  return new Date(d.getFullYear(), d.getMonth(), 1);
+}
+
+export {
+  createContributionItem,
+  getGoalProgress,
+  planContribution,
+  addGoal,
+  updateGoal,
+  refreshGoalContributions,
+};
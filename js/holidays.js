@@ -0,0 +1,111 @@
+// js/holidays.js — Business-day calendar: per-profile holiday lists & date shifting
+
+import { SHIFT_POLICY, toISODate } from './models.js';
+
+/**
+ * Build a lookup Set of holiday dates (YYYY-MM-DD) from a profile record.
+ */
+function getHolidaySet(profile) {
+  const holidays = (profile && profile.holidays) || [];
+  return new Set(holidays.map((h) => h.date));
+}
+
+function isWeekend(date) {
+  const dow = date.getDay();
+  return dow === 0 || dow === 6;
+}
+
+/**
+ * A business day is a weekday that is not in the holiday set.
+ * `date` is a local Date; `holidays` is an optional Set of YYYY-MM-DD strings.
+ */
+function isBusinessDay(date, holidays = null) {
+  if (isWeekend(date)) return false;
+  return !(holidays && holidays.has(toISODate(date)));
+}
+
+/**
+ * Move a YYYY-MM-DD date to the previous/next business day according to the policy.
+ * Dates that already fall on a business day (or policy "none") are returned unchanged.
+ */
+function shiftToBusinessDay(dateStr, policy, holidays = null) {
+  if (!policy || policy === SHIFT_POLICY.NONE) return dateStr;
+  const step = policy === SHIFT_POLICY.PREVIOUS ? -1 : 1;
+  const d = new Date(dateStr + 'T00:00:00');
+  // Guard against pathological holiday lists (e.g. a whole year imported by mistake)
+  for (let i = 0; i < 366 && !isBusinessDay(d, holidays); i++) {
+    d.setDate(d.getDate() + step);
+  }
+  return toISODate(d);
+}
+
+/**
+ * Parse a pasted/imported holiday list. Accepts:
+ * - one holiday per line: `YYYY-MM-DD`, optionally followed by `,` `;` or a tab and a name
+ * - iCalendar (.ics) files: all-day VEVENTs with DTSTART and SUMMARY
+ * Returns [{ date, name }] (invalid lines are skipped).
+ */
+function parseHolidayList(text) {
+  if (!text) return [];
+  if (/BEGIN:VCALENDAR/i.test(text)) return parseICS(text);
+
+  const holidays = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+    const match = line.match(/^(\d{4}-\d{2}-\d{2})\s*(?:[,;\t]\s*(.*))?$/);
+    if (!match || !isValidISODate(match[1])) continue;
+    holidays.push({ date: match[1], name: (match[2] || '').replace(/^"|"$/g, '').trim() });
+  }
+  return holidays;
+}
+
+function parseICS(text) {
+  // Unfold continuation lines (RFC 5545 §3.1)
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const holidays = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (/^BEGIN:VEVENT/i.test(line)) {
+      current = { date: null, name: '' };
+    } else if (/^END:VEVENT/i.test(line)) {
+      if (current && current.date) holidays.push(current);
+      current = null;
+    } else if (current) {
+      const dt = line.match(/^DTSTART[^:]*:(\d{4})(\d{2})(\d{2})/i);
+      if (dt) {
+        const date = `${dt[1]}-${dt[2]}-${dt[3]}`;
+        if (isValidISODate(date)) current.date = date;
+      }
+      const summary = line.match(/^SUMMARY[^:]*:(.*)$/i);
+      if (summary) current.name = summary[1].replace(/\\([,;\\])/g, '$1').trim();
+    }
+  }
+  return holidays;
+}
+
+/**
+ * Merge holiday lists by date (incoming names win), sorted by date.
+ */
+function mergeHolidays(existing, incoming) {
+  const byDate = new Map((existing || []).map((h) => [h.date, h]));
+  for (const h of incoming) {
+    byDate.set(h.date, { date: h.date, name: h.name || (byDate.get(h.date) || {}).name || '' });
+  }
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function isValidISODate(str) {
+  const d = new Date(str + 'T00:00:00');
+  return !isNaN(d) && toISODate(d) === str;
+}
+
+export {
+  getHolidaySet,
+  isWeekend,
+  isBusinessDay,
+  shiftToBusinessDay,
+  parseHolidayList,
+  mergeHolidays,
+};
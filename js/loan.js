@@ -0,0 +1,244 @@
+// js/loan.js — Loans & debts: amortization schedule, remaining balance & snowball/avalanche payoff planning
+
+import { runBatch, STORES } from './db.js';
+import { LOAN_STRATEGY, getPaidAmount, isLoan, isOpen, isSettled, toISODate } from './models.js';
+
+// Stop after this many months — a payment that doesn't cover the interest never pays a loan off
+const MAX_MONTHS = 1200;
+
+/**
+ * Fixed monthly payment that pays a loan off over its term (annuity formula),
+ * rounded up to the minor unit so the last payment is never the largest.
+ * Amounts here are minor units, like everywhere else.
+ */
+function getLoanPayment(loan) {
+  const rate = getMonthlyRate(loan);
+  const raw = rate === 0
+    ? loan.principal / loan.termMonths
+    : (loan.principal * rate) / (1 - Math.pow(1 + rate, -loan.termMonths));
+  return Math.ceil(raw - 1e-6);
+}
+
+function getMonthlyRate(loan) {
+  return loan.annualRate / 100 / 12;
+}
+
+/**
+ * Which payment (1, 2, …) of a loan item falls on `date`. Payments are due on
+ * the start date's day every month; a date moved by the item's weekend/holiday
+ * policy still counts for the month it was due in, even across a month boundary.
+ */
+function getPaymentNumber(item, date) {
+  const start = new Date(item.startDate + 'T00:00:00');
+  const d = new Date(date + 'T00:00:00');
+  const months = (d.getFullYear() - start.getFullYear()) * 12 + d.getMonth() - start.getMonth();
+  return Math.round(months + (d.getDate() - start.getDate()) / 30) + 1;
+}
+
+/**
+ * Month-by-month amortization of a loan item, from its first payment until the
+ * balance reaches zero. Each row is { number, month (YYYY-MM), payment, interest,
+ * principal, balance, actual }.
+ *
+ * - Months before this one use what was actually paid on that month's
+ *   transaction — nothing for a payment left pending. Months without a
+ *   transaction are assumed paid as scheduled, so a loan added part-way through
+ *   its term starts at the right balance.
+ * - A payment ticked off (or partly paid) early counts as paid, extra included.
+ * - Everything else pays the item's amount; the last payment only what is left.
+ *
+ * `actual` marks rows taken from what was paid. A payment that never covers
+ * the interest stops after MAX_MONTHS with a balance left.
+ */
+function getAmortizationSchedule(item, transactions = [], today = new Date().toISOString().split('T')[0]) {
+  const rate = getMonthlyRate(item.loan);
+  const thisMonth = today.substring(0, 7);
+  const start = new Date(item.startDate + 'T00:00:00');
+
+  const byNumber = new Map();
+  for (const t of transactions) {
+    const n = getPaymentNumber(item, t.date);
+    byNumber.set(n, [...(byNumber.get(n) || []), t]);
+  }
+
+  const rows = [];
+  let balance = item.loan.principal;
+  for (let number = 1; balance > 0 && number <= MAX_MONTHS; number++) {
+    const month = toISODate(new Date(start.getFullYear(), start.getMonth() + number - 1, 1)).substring(0, 7);
+    const interest = Math.round(balance * rate);
+    const owed = balance + interest;
+    const txns = byNumber.get(number) || [];
+    const paid = txns.reduce((sum, t) => sum + getPaidAmount(t), 0);
+    const actual = txns.length > 0 && (month < thisMonth || txns.every(isSettled));
+
+    const payment = actual ? Math.min(paid, owed) : Math.min(Math.max(item.amount, paid), owed);
+    const principal = payment - interest;
+    balance -= principal;
+    rows.push({ number, month, payment, interest, principal, balance, actual });
+  }
+  return rows;
+}
+
+/**
+ * Where a loan stands on `today`: the balance still owed after the payments
+ * made so far, the payments and interest still to come and the month of the
+ * last payment (null when the payment never covers the interest).
+ */
+function getLoanStatus(item, transactions = [], today = new Date().toISOString().split('T')[0]) {
+  const schedule = getAmortizationSchedule(item, transactions, today);
+  const thisMonth = today.substring(0, 7);
+  let made = 0;
+  while (made < schedule.length && (schedule[made].month < thisMonth || schedule[made].actual)) made++;
+
+  const last = schedule[schedule.length - 1];
+  const ahead = schedule.slice(made);
+  return {
+    balance: made > 0 ? schedule[made - 1].balance : item.loan.principal,
+    paymentsLeft: ahead.length,
+    interestPaid: schedule.slice(0, made).reduce((sum, row) => sum + row.interest, 0),
+    interestLeft: ahead.reduce((sum, row) => sum + row.interest, 0),
+    payoffMonth: last && last.balance <= 0 ? last.month : null,
+    paidOff: ahead.length === 0 && (!last || last.balance <= 0),
+    schedule,
+  };
+}
+
+/**
+ * Principal & interest of each of the loan's transactions, as
+ * Map<transactionId, row> — for showing the split next to a payment.
+ */
+function getPaymentSplits(item, transactions, today = new Date().toISOString().split('T')[0]) {
+  const schedule = getAmortizationSchedule(item, transactions, today);
+  const splits = new Map();
+  for (const t of transactions) {
+    const row = schedule[getPaymentNumber(item, t.date) - 1];
+    if (row) splits.set(t.id, row);
+  }
+  return splits;
+}
+
+/**
+ * Bring a loan's generated payments in line with its schedule after payments
+ * were made, skipped or paid with extra: open payments from this month on
+ * (pending, nothing paid, no actual amount) take the scheduled amount, and open
+ * payments after the payoff are removed. Settled and past ones are left alone.
+ * Returns { transactions, removed } — the records to write and to delete.
+ */
+function planLoanPayments(item, transactions, today = new Date().toISOString().split('T')[0]) {
+  const schedule = getAmortizationSchedule(item, transactions, today);
+  const firstOfMonth = today.substring(0, 8) + '01';
+  const result = { transactions: [], removed: [] };
+
+  for (const t of transactions) {
+    if (t.date < firstOfMonth || !isOpen(t)) continue;
+    const row = schedule[getPaymentNumber(item, t.date) - 1];
+    if (!row) result.removed.push(t);
+    else if (row.payment !== t.snapshotAmount) result.transactions.push({ ...t, snapshotAmount: row.payment });
+  }
+  return result;
+}
+
+/**
+ * Recalculate the payments of every loan of a profile. Runs before Home
+ * renders, like goal contributions, and only writes what changed.
+ */
+async function refreshLoanPayments(profileId, today = new Date().toISOString().split('T')[0]) {
+  return runBatch([STORES.BUDGET_ITEMS, STORES.TRANSACTIONS], async (batch) => {
+    let changed = 0;
+    for (const item of await batch.getByIndex(STORES.BUDGET_ITEMS, 'profileId', profileId)) {
+      if (!isLoan(item)) continue;
+      const payments = await batch.getByIndex(STORES.TRANSACTIONS, 'budgetItemId', item.id);
+      const { transactions, removed } = planLoanPayments(item, payments, today);
+      for (const txn of transactions) await batch.put(STORES.TRANSACTIONS, txn);
+      for (const txn of removed) await batch.delete(STORES.TRANSACTIONS, txn.id);
+      changed += transactions.length + removed.length;
+    }
+    return changed;
+  });
+}
+
+/**
+ * Month-by-month payoff of several debts ({ id, name, balance, annualRate,
+ * payment }) from their current balances. Every strategy keeps up the regular
+ * payments. Snowball and avalanche also pay `extra` each month and roll a
+ * paid-off debt's payment over, both onto one debt at a time: the smallest
+ * balance first (snowball) or the highest rate first (avalanche).
+ * Returns { months, totalInterest, payoffs: [{ id, name, months }], complete } —
+ * `complete` is false when the payments never cover the interest.
+ */
+function simulatePayoff(debts, strategy, extra = 0) {
+  const active = debts.filter((d) => d.balance > 0).map((d) => ({ ...d }));
+  const budget = strategy === LOAN_STRATEGY.MINIMUM
+    ? null
+    : active.reduce((sum, d) => sum + d.payment, 0) + extra;
+
+  let months = 0;
+  let totalInterest = 0;
+  const payoffs = [];
+  while (active.some((d) => d.balance > 0) && months < MAX_MONTHS) {
+    months++;
+    const open = active.filter((d) => d.balance > 0);
+    for (const d of open) {
+      const interest = Math.round(d.balance * getMonthlyRate(d));
+      d.balance += interest;
+      totalInterest += interest;
+    }
+
+    let left = budget;
+    for (const d of open) {
+      const pay = Math.min(d.payment, d.balance);
+      d.balance -= pay;
+      if (left != null) left -= pay;
+    }
+    if (left != null) {
+      for (const d of orderTargets(open, strategy)) {
+        if (left <= 0) break;
+        const pay = Math.min(left, d.balance);
+        d.balance -= pay;
+        left -= pay;
+      }
+    }
+
+    for (const d of open) {
+      if (d.balance <= 0) payoffs.push({ id: d.id, name: d.name, months });
+    }
+  }
+
+  return {
+    months,
+    totalInterest,
+    payoffs,
+    complete: active.every((d) => d.balance <= 0),
+  };
+}
+
+function orderTargets(debts, strategy) {
+  const open = debts.filter((d) => d.balance > 0);
+  if (strategy === LOAN_STRATEGY.AVALANCHE) {
+    return open.sort((a, b) => b.annualRate - a.annualRate || a.balance - b.balance);
+  }
+  return open.sort((a, b) => a.balance - b.balance || b.annualRate - a.annualRate);
+}
+
+/**
+ * simulatePayoff() for every strategy, keyed by LOAN_STRATEGY value.
+ */
+function comparePayoffStrategies(debts, extra = 0) {
+  const results = {};
+  for (const strategy of Object.values(LOAN_STRATEGY)) {
+    results[strategy] = simulatePayoff(debts, strategy, extra);
+  }
+  return results;
+}
+
+export {
+  getLoanPayment,
+  getPaymentNumber,
+  getAmortizationSchedule,
+  getLoanStatus,
+  getPaymentSplits,
+  planLoanPayments,
+  refreshLoanPayments,
+  simulatePayoff,
+  comparePayoffStrategies,
+};
@@ -1,5 +1,7 @@
 // js/models.js — Data model helpers & UUID generation
 
+import { getMinorUnitDigits, fromMinorUnits } from './money.js';
+
 function generateId() {
   // crypto.randomUUID is available in secure contexts (HTTPS / localhost)
   if (typeof crypto !== 'undefined' && crypto.randomUUID) {
@@ -20,79 +22,519 @@ const FREQUENCY = {
   MONTHLY: 'Monthly',
   QUARTERLY: 'Quarterly',
   YEARLY: 'Yearly',
+  CUSTOM: 'Custom',
 };
 
 const FREQUENCY_LIST = Object.values(FREQUENCY);
 
+// Custom recurrence rules (used when frequency is FREQUENCY.CUSTOM)
+
+const RECURRENCE_UNIT = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+  YEAR: 'year',
+};
+
+const MONTH_DAY_RULE = {
+  SAME_DAY: 'sameDay',
+  NTH_WEEKDAY: 'nthWeekday',
+  LAST_DAY: 'lastDay',
+  LAST_BUSINESS_DAY: 'lastBusinessDay',
+};
+
+// What to do when an occurrence falls on a weekend or profile holiday
+const SHIFT_POLICY = {
+  NONE: 'none',
+  PREVIOUS: 'previous',
+  NEXT: 'next',
+};
+
+const SHIFT_POLICY_LABELS = {
+  [SHIFT_POLICY.NONE]: 'Keep date',
+  [SHIFT_POLICY.PREVIOUS]: 'Previous business day',
+  [SHIFT_POLICY.NEXT]: 'Next business day',
+};
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// How a profile shows dates — the locale's own style, or a fixed numeric order
+const DATE_DISPLAY_FORMAT = {
+  LOCALE: 'locale',
+  DMY: 'DD/MM/YYYY',
+  MDY: 'MM/DD/YYYY',
+  YMD: 'YYYY-MM-DD',
+};
+
+const ITEM_TYPE = {
+  EXPENSE: 'Expense',
+  INCOME: 'Income',
+};
+
+const ITEM_TYPE_LIST = Object.values(ITEM_TYPE);
+
 const TX_STATUS = {
   PENDING: 'Pending',
   PAID: 'Paid',
+  RECEIVED: 'Received',
+  // Derived only (see getTransactionState) — never stored on a transaction
+  PARTIALLY_PAID: 'Partially Paid',
+};
+
+// What a trash entry was created from (the record the user deleted)
+const TRASH_KIND = {
+  PROFILE: 'profile',
+  CATEGORY: 'category',
+  BUDGET_ITEM: 'budgetItem',
+  GOAL: 'goal',
+  TRANSACTION: 'transaction',
+};
+
+const TRASH_KIND_LABELS = {
+  [TRASH_KIND.PROFILE]: 'Profile',
+  [TRASH_KIND.CATEGORY]: 'Category',
+  [TRASH_KIND.BUDGET_ITEM]: 'Item',
+  [TRASH_KIND.GOAL]: 'Goal',
+  [TRASH_KIND.TRANSACTION]: 'Transaction',
+};
+
+// Where a savings goal stands (derived by getGoalProgress, never stored)
+const GOAL_STATUS = {
+  ON_TRACK: 'onTrack',
+  BEHIND: 'behind', // saved less than the straight-line plan by the end of last month
+  REACHED: 'reached',
+  OVERDUE: 'overdue', // target date passed without reaching the target
+};
+
+const GOAL_STATUS_LABELS = {
+  [GOAL_STATUS.ON_TRACK]: 'On track',
+  [GOAL_STATUS.BEHIND]: 'Behind',
+  [GOAL_STATUS.REACHED]: 'Reached',
+  [GOAL_STATUS.OVERDUE]: 'Overdue',
+};
+
+// How extra money is spread over several loans in the payoff planner
+const LOAN_STRATEGY = {
+  MINIMUM: 'minimum', // regular payments only
+  SNOWBALL: 'snowball', // extra goes to the smallest balance first
+  AVALANCHE: 'avalanche', // extra goes to the highest interest rate first
+};
+
+const LOAN_STRATEGY_LABELS = {
+  [LOAN_STRATEGY.MINIMUM]: 'Regular payments',
+  [LOAN_STRATEGY.SNOWBALL]: 'Snowball',
+  [LOAN_STRATEGY.AVALANCHE]: 'Avalanche',
+};
+
+// Why a snapshot was taken
+const SNAPSHOT_REASON = {
+  DAILY: 'daily',
+  MANUAL: 'manual',
+  BEFORE_IMPORT: 'beforeImport',
+  BEFORE_CLEAR: 'beforeClear',
+  BEFORE_PROFILE_DELETE: 'beforeProfileDelete',
+  BEFORE_RESTORE: 'beforeRestore',
+  BEFORE_SYNC: 'beforeSync',
+};
+
+const SNAPSHOT_REASON_LABELS = {
+  [SNAPSHOT_REASON.DAILY]: 'Daily',
+  [SNAPSHOT_REASON.MANUAL]: 'Manual',
+  [SNAPSHOT_REASON.BEFORE_IMPORT]: 'Before import',
+  [SNAPSHOT_REASON.BEFORE_CLEAR]: 'Before Clear All Data',
+  [SNAPSHOT_REASON.BEFORE_PROFILE_DELETE]: 'Before profile delete',
+  [SNAPSHOT_REASON.BEFORE_RESTORE]: 'Before snapshot restore',
+  [SNAPSHOT_REASON.BEFORE_SYNC]: 'Before sync',
+};
+
+// Where remote sync keeps the change log
+const REMOTE_SYNC_TYPE = {
+  OFF: 'off',
+  WEBDAV: 'webdav',
+  REST: 'rest',
+};
+
+const REMOTE_SYNC_TYPE_LABELS = {
+  [REMOTE_SYNC_TYPE.OFF]: 'Off',
+  [REMOTE_SYNC_TYPE.WEBDAV]: 'WebDAV (Nextcloud, ownCloud…)',
+  [REMOTE_SYNC_TYPE.REST]: 'REST server',
+};
+
+// What a change log entry did to its record
+const CHANGE_OP = {
+  CREATE: 'create', // record didn't exist — `fields` holds the whole record
+  UPDATE: 'update', // `fields` holds only the fields that changed
+  DELETE: 'delete', // tombstone
+};
+
+// How an imported record that differs from the local record with the same id is handled
+const IMPORT_RESOLUTION = {
+  LOCAL: 'local', // keep the local record, skip the imported one
+  IMPORTED: 'imported', // overwrite the local record
+  BOTH: 'both', // keep the local record and add the imported one as a copy (new id)
+};
+
+const IMPORT_RESOLUTION_LABELS = {
+  [IMPORT_RESOLUTION.LOCAL]: 'Keep local',
+  [IMPORT_RESOLUTION.IMPORTED]: 'Take imported',
+  [IMPORT_RESOLUTION.BOTH]: 'Keep both',
 };
 
-function createProfile(name) {
+/**
+ * `baseCurrency` is the ISO 4217 code totals are converted into; null means the
+ * display currency (profiles saved before multi-currency support have none).
+ * `locale` (BCP 47 tag), `weekStart` (0 = Sunday) and `dateFormat`
+ * (DATE_DISPLAY_FORMAT) are null to follow the browser's language.
+ */
+function createProfile(name, { baseCurrency = null, locale = null, weekStart = null, dateFormat = null } = {}) {
   return {
     id: generateId(),
     name: name.trim(),
+    holidays: [],
+    baseCurrency,
+    locale,
+    weekStart,
+    dateFormat,
+    // Account balance (minor units of the base currency, may be negative) on a date, for the forecast
+    openingBalance: null,
+    openingBalanceDate: null,
   };
 }
 
-function createCategory({ profileId, name, description = '', parentId = null }) {
+function createCategory({ profileId, name, description = '', parentId = null, monthlyLimit = null }) {
   return {
     id: generateId(),
     profileId,
     name: name.trim(),
     description: description.trim(),
     parentId,
+    monthlyLimit,
   };
 }
 
+// Amounts are integer minor units (cents) of the record's currency — see money.js
+
 function createBudgetItem({
   profileId,
   categoryId,
   name,
   amount,
   description = '',
+  type = ITEM_TYPE.EXPENSE,
   frequency = FREQUENCY.MONTHLY,
+  recurrence = null,
+  shiftPolicy = SHIFT_POLICY.NONE,
   startDate,
   endDate = null,
+  loan = null,
+  currency = null,
 }) {
   return {
     id: generateId(),
     profileId,
     categoryId,
     name: name.trim(),
-    amount: parseFloat(amount),
+    amount: Math.round(amount),
+    type,
     description: description.trim(),
     frequency,
+    recurrence: frequency === FREQUENCY.CUSTOM ? recurrence : null,
+    shiftPolicy,
     startDate: startDate || new Date().toISOString().split('T')[0],
     endDate: endDate || null,
+    loan,
+    currency,
   };
 }
 
-function createTransaction({ budgetItemId, profileId, date, amount, name }) {
+/**
+ * Terms of a loan or debt, kept as `loan` on a monthly expense item. The item's
+ * amount is the monthly payment; it stops once the balance is paid off.
+ * `annualRate` is a percentage (e.g. 6.9).
+ */
+function createLoan({ principal, annualRate = 0, termMonths }) {
+  return {
+    principal: Math.round(principal),
+    annualRate: parseFloat(annualRate) || 0,
+    termMonths: Math.max(1, parseInt(termMonths, 10) || 1),
+  };
+}
+
+/**
+ * A savings goal (sinking fund). `budgetItemId` is the monthly contribution item
+ * that saves towards it; its amount is recalculated from what has been saved.
+ * `startingAmount` is money already put aside before the goal was created.
+ * `reachedDate` is set the first time the target is reached (null until then).
+ */
+function createGoal({
+  profileId,
+  categoryId,
+  budgetItemId = null,
+  name,
+  targetAmount,
+  targetDate,
+  startingAmount = 0,
+  startDate,
+}) {
+  return {
+    id: generateId(),
+    profileId,
+    categoryId,
+    budgetItemId,
+    name: name.trim(),
+    targetAmount: Math.round(targetAmount),
+    targetDate,
+    startingAmount: Math.round(startingAmount) || 0,
+    startDate: startDate || new Date().toISOString().split('T')[0],
+    reachedDate: null,
+  };
+}
+
+function createRecurrence({
+  interval = 1,
+  unit = RECURRENCE_UNIT.MONTH,
+  monthDay = MONTH_DAY_RULE.SAME_DAY,
+  nth = 1,
+  weekday = 1,
+} = {}) {
+  return {
+    interval: Math.max(1, parseInt(interval, 10) || 1),
+    unit,
+    monthDay,
+    nth: parseInt(nth, 10),
+    weekday: parseInt(weekday, 10),
+  };
+}
+
+/**
+ * `currency` is the ISO 4217 code the amounts are in; null means the profile's
+ * base currency. Generated transactions copy it from their budget item.
+ */
+function createTransaction({ budgetItemId, profileId, date, amount, name, type = ITEM_TYPE.EXPENSE, currency = null }) {
   return {
     id: generateId(),
     budgetItemId,
     profileId,
     date,
+    type,
     status: TX_STATUS.PENDING,
-    snapshotAmount: parseFloat(amount),
+    snapshotAmount: Math.round(amount),
+    actualAmount: null,
     snapshotName: name,
+    payments: [],
+    currency,
   };
 }
 
-// Formatting helpers
+/**
+ * Ad-hoc (unbudgeted) transaction: logged directly on Home, not generated
+ * from a budget item. It carries its own category instead.
+ */
+function createAdHocTransaction({ profileId, categoryId, date, amount, name, type = ITEM_TYPE.EXPENSE, currency = null }) {
+  return {
+    ...createTransaction({ budgetItemId: null, profileId, date, amount, name: name.trim(), type, currency }),
+    categoryId,
+  };
+}
 
-function formatCurrency(amount) {
-  // Read currency from localStorage (avoids circular import with profile.js)
-  const currencyCode = localStorage.getItem('tyb_currency') || 'INR';
+function createPayment({ date, amount, note = '' }) {
+  return {
+    id: generateId(),
+    date,
+    amount: Math.round(amount),
+    note: note.trim(),
+  };
+}
+
+/**
+ * A dated exchange rate kept per profile: from `date` on, 1 `currency` is worth
+ * `rate` in `baseCurrency` (the profile's base currency when it was entered).
+ */
+function createExchangeRate({ profileId, currency, baseCurrency, date, rate }) {
+  return {
+    id: generateId(),
+    profileId,
+    currency,
+    baseCurrency,
+    date: date || new Date().toISOString().split('T')[0],
+    rate: parseFloat(rate),
+  };
+}
+
+/**
+ * A trash entry holds everything one delete removed, keyed by store name
+ * (e.g. a category together with its sub-categories), so it can be restored as a unit.
+ */
+function createTrashEntry({ kind, label, profileId = null, records }) {
+  return {
+    id: generateId(),
+    kind,
+    label,
+    profileId,
+    deletedAt: new Date().toISOString(),
+    records,
+  };
+}
+
+/**
+ * A snapshot is a full exportAllData() copy kept in the `snapshots` store.
+ * `counts` are stored alongside so the list doesn't have to read `data`.
+ */
+function createSnapshot({ reason, data }) {
+  return {
+    id: generateId(),
+    reason,
+    createdAt: new Date().toISOString(),
+    counts: {
+      profiles: data.profiles.length,
+      categories: data.categories.length,
+      budgetItems: data.budgetItems.length,
+      transactions: data.transactions.length,
+    },
+    data,
+  };
+}
+
+/**
+ * One entry of the sync change log. `ts` orders entries across devices (ties are
+ * broken by deviceId, then id); `unset` lists fields an update removed.
+ */
+function createChange({ deviceId, ts, storeName, recordId, op, fields = null, unset = [] }) {
+  const change = { id: generateId(), deviceId, ts, storeName, recordId, op };
+  if (op !== CHANGE_OP.DELETE) change.fields = fields;
+  if (unset.length > 0) change.unset = unset;
+  return change;
+}
+
+// Type & status helpers (records saved before types existed count as expenses)
+
+function isIncome(record) {
+  return !!record && record.type === ITEM_TYPE.INCOME;
+}
+
+function isLoan(item) {
+  return !!item && !!item.loan;
+}
+
+function getSettledStatus(record) {
+  return isIncome(record) ? TX_STATUS.RECEIVED : TX_STATUS.PAID;
+}
+
+function isSettled(transaction) {
+  return transaction.status === TX_STATUS.PAID || transaction.status === TX_STATUS.RECEIVED;
+}
+
+function isAdHoc(transaction) {
+  return !transaction.budgetItemId;
+}
+
+/**
+ * Category a transaction belongs to: its budget item's category, or its own
+ * `categoryId` for ad-hoc transactions. `itemMap` is Map<budgetItemId, item>.
+ */
+function getTransactionCategoryId(transaction, itemMap) {
+  if (isAdHoc(transaction)) return transaction.categoryId || null;
+  const item = itemMap.get(transaction.budgetItemId);
+  return item ? item.categoryId : null;
+}
+
+// Planned vs. actual amounts. `snapshotAmount` is the planned amount and is
+// never overwritten; `actualAmount` is set once the real amount is known.
+// Ad-hoc transactions were never planned, so their planned amount is 0.
+
+function getPlannedAmount(transaction) {
+  return isAdHoc(transaction) ? 0 : transaction.snapshotAmount;
+}
+
+function getTransactionAmount(transaction) {
+  return transaction.actualAmount != null ? transaction.actualAmount : transaction.snapshotAmount;
+}
+
+function getVariance(transaction) {
+  return getTransactionAmount(transaction) - getPlannedAmount(transaction);
+}
+
+function hasActualAmount(transaction) {
+  return !isAdHoc(transaction) && transaction.actualAmount != null;
+}
+
+// Payment helpers (transactions saved before payments existed have none)
+
+function getPaymentsTotal(transaction) {
+  return (transaction.payments || []).reduce((sum, p) => sum + p.amount, 0);
+}
+
+/**
+ * Amount actually paid (or received). A settled transaction counts in full,
+ * even when it was ticked off without recording individual payments.
+ */
+function getPaidAmount(transaction) {
+  const total = getPaymentsTotal(transaction);
+  return isSettled(transaction) ? Math.max(getTransactionAmount(transaction), total) : total;
+}
+
+/**
+ * Display state: the stored status, or PARTIALLY_PAID for a pending
+ * transaction that has at least one payment recorded.
+ */
+function getTransactionState(transaction) {
+  if (!isSettled(transaction) && getPaymentsTotal(transaction) > 0) return TX_STATUS.PARTIALLY_PAID;
+  return transaction.status;
+}
+
+// Nothing settled, paid or entered yet, so its planned amount can still be replaced
+function isOpen(transaction) {
+  return !isSettled(transaction) && getPaymentsTotal(transaction) === 0 && transaction.actualAmount == null;
+}
+
+// A local date as YYYY-MM-DD (toISOString() would give the UTC date)
+function toISODate(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+// Formatting helpers — they read the active profile's settings, which profile.js
+// keeps in localStorage (avoids circular import with profile.js)
+
+// Locale numbers and dates are formatted in; undefined = the browser's language
+function getDisplayLocale() {
+  return localStorage.getItem('tyb_locale') || undefined;
+}
+
+// First day of the week (0 = Sunday): the profile's choice, else the locale's
+function getWeekStart() {
+  const stored = localStorage.getItem('tyb_week_start');
+  if (stored !== null && stored !== '') return Number(stored);
+  return getLocaleWeekStart(getDisplayLocale() || navigator.language);
+}
+
+// First day of the week a locale uses (Sunday where the browser can't tell)
+function getLocaleWeekStart(locale) {
   try {
-    return new Intl.NumberFormat(undefined, {
+    const intlLocale = new Intl.Locale(locale);
+    const info = typeof intlLocale.getWeekInfo === 'function' ? intlLocale.getWeekInfo() : intlLocale.weekInfo;
+    if (info && info.firstDay) return info.firstDay % 7;
+  } catch (e) { /* fallback */ }
+  return 0;
+}
+
+// DATE_DISPLAY_FORMAT value dates are shown in
+function getDateDisplayFormat() {
+  return localStorage.getItem('tyb_date_format') || DATE_DISPLAY_FORMAT.LOCALE;
+}
+
+// `amount` is in minor units; `currency` formats it in its own currency, the display currency otherwise
+function formatCurrency(amount, currency = null) {
+  const currencyCode = currency || localStorage.getItem('tyb_currency') || 'INR';
+  try {
+    return new Intl.NumberFormat(getDisplayLocale(), {
       style: 'currency',
       currency: currencyCode,
       minimumFractionDigits: 0,
-      maximumFractionDigits: 2,
-    }).format(amount);
+      maximumFractionDigits: getMinorUnitDigits(currencyCode),
+    }).format(fromMinorUnits(amount, currencyCode));
   } catch (e) {
     // Fallback if currency code is invalid
     return new Intl.NumberFormat(undefined, {
@@ -100,31 +542,114 @@ function formatCurrency(amount) {
       currency: 'INR',
       minimumFractionDigits: 0,
       maximumFractionDigits: 2,
-    }).format(amount);
+    }).format(fromMinorUnits(amount, 'INR'));
   }
 }
 
 function formatDate(dateStr) {
   if (!dateStr) return '';
-  const d = new Date(dateStr + 'T00:00:00');
-  return d.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+  const [y, m, d] = dateStr.split('-');
+  switch (getDateDisplayFormat()) {
+    case DATE_DISPLAY_FORMAT.DMY: return `${d}/${m}/${y}`;
+    case DATE_DISPLAY_FORMAT.MDY: return `${m}/${d}/${y}`;
+    case DATE_DISPLAY_FORMAT.YMD: return dateStr;
+    default:
+      return new Date(dateStr + 'T00:00:00')
+        .toLocaleDateString(getDisplayLocale(), { month: 'short', day: 'numeric', year: 'numeric' });
+  }
+}
+
+function ordinal(n) {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  const suffix = teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return n + suffix;
+}
+
+// Human-readable summary of a budget item's schedule, e.g. "Every 2 months on the last business day"
+function describeFrequency(item) {
+  const rule = item.recurrence;
+  if (item.frequency !== FREQUENCY.CUSTOM || !rule) return item.frequency;
+
+  const unitLabel = rule.interval === 1 ? rule.unit : `${rule.interval} ${rule.unit}s`;
+  let text = `Every ${unitLabel}`;
+  if (rule.unit === RECURRENCE_UNIT.MONTH || rule.unit === RECURRENCE_UNIT.YEAR) {
+    if (rule.monthDay === MONTH_DAY_RULE.NTH_WEEKDAY) {
+      const nthLabel = rule.nth === -1 ? 'last' : ordinal(rule.nth);
+      text += ` on the ${nthLabel} ${WEEKDAY_NAMES[rule.weekday]}`;
+    } else if (rule.monthDay === MONTH_DAY_RULE.LAST_DAY) {
+      text += ' on the last day';
+    } else if (rule.monthDay === MONTH_DAY_RULE.LAST_BUSINESS_DAY) {
+      text += ' on the last business day';
+    }
+  }
+  return text;
 }
 
 function getMonthLabel(year, month) {
   const d = new Date(year, month, 1);
-  return d.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  return d.toLocaleDateString(getDisplayLocale(), { month: 'long', year: 'numeric' });
 }
 
 export {
   generateId,
   FREQUENCY,
   FREQUENCY_LIST,
+  RECURRENCE_UNIT,
+  MONTH_DAY_RULE,
+  WEEKDAY_NAMES,
+  DATE_DISPLAY_FORMAT,
+  SHIFT_POLICY,
+  SHIFT_POLICY_LABELS,
+  ITEM_TYPE,
+  ITEM_TYPE_LIST,
   TX_STATUS,
+  TRASH_KIND,
+  TRASH_KIND_LABELS,
+  GOAL_STATUS,
+  GOAL_STATUS_LABELS,
+  LOAN_STRATEGY,
+  LOAN_STRATEGY_LABELS,
+  IMPORT_RESOLUTION,
+  IMPORT_RESOLUTION_LABELS,
+  SNAPSHOT_REASON,
+  SNAPSHOT_REASON_LABELS,
+  CHANGE_OP,
+  REMOTE_SYNC_TYPE,
+  REMOTE_SYNC_TYPE_LABELS,
   createProfile,
   createCategory,
   createBudgetItem,
+  createGoal,
+  createLoan,
+  createRecurrence,
   createTransaction,
+  createAdHocTransaction,
+  createPayment,
+  createExchangeRate,
+  createTrashEntry,
+  createSnapshot,
+  createChange,
+  isIncome,
+  isLoan,
+  getSettledStatus,
+  isSettled,
+  isAdHoc,
+  getTransactionCategoryId,
+  getPlannedAmount,
+  getTransactionAmount,
+  getVariance,
+  hasActualAmount,
+  getPaymentsTotal,
+  getPaidAmount,
+  getTransactionState,
+  isOpen,
+  toISODate,
+  getDisplayLocale,
+  getWeekStart,
+  getLocaleWeekStart,
+  getDateDisplayFormat,
   formatCurrency,
   formatDate,
+  describeFrequency,
   getMonthLabel,
 };
@@ -0,0 +1,144 @@
+// js/money.js — Exact money: amounts stored as integer minor units (cents, fils, …) with currency-aware precision
+
+/**
+ * Decimal places of each currency's minor unit, from ISO 4217. A fixed table
+ * rather than Intl's currency data, whose digits differ between browsers — a
+ * stored amount must mean the same on every device. Everything else has 2.
+ */
+const MINOR_UNIT_DIGITS = {
+  // No minor unit
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  // Thousandths
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+};
+
+function getMinorUnitDigits(currency) {
+  return MINOR_UNIT_DIGITS[currency] ?? 2;
+}
+
+/**
+ * A decimal amount (e.g. 12.5 dollars) in minor units (1250 cents). Rounds via
+ * the decimal string, half away from zero like parseMoney(), so 1.005 becomes
+ * 101 rather than 100 and -1.005 becomes -101.
+ */
+function toMinorUnits(amount, currency) {
+  const digits = getMinorUnitDigits(currency);
+  const shifted = Number(`${amount}e${digits}`);
+  const exact = Number.isFinite(shifted) ? shifted : amount * 10 ** digits;
+  return Math.sign(exact) * Math.round(Math.abs(exact));
+}
+
+/**
+ * Minor units back to a decimal number — only for display and input fields;
+ * totals are summed in minor units.
+ */
+function fromMinorUnits(minor, currency) {
+  return minor / 10 ** getMinorUnitDigits(currency);
+}
+
+/**
+ * Parse what was typed into an amount field ("12.50") into minor units, reading
+ * the digits directly so no float rounding is involved. Null when it is not a
+ * number. Extra decimals are rounded half up.
+ */
+function parseMoney(input, currency) {
+  const text = String(input ?? '').trim();
+  const match = text.match(/^(-?)(\d*)(?:\.(\d*))?$/);
+  if (!match || (match[2] === '' && !match[3])) return null;
+  const digits = getMinorUnitDigits(currency);
+  const fraction = (match[3] || '').padEnd(digits + 1, '0');
+  let minor = Number(match[2] || '0') * 10 ** digits + Number(fraction.substring(0, digits) || '0');
+  if (Number(fraction[digits]) >= 5) minor++;
+  return match[1] ? -minor : minor;
+}
+
+/**
+ * Minor units as the plain decimal string an amount field or CSV cell holds,
+ * e.g. 1250 → "12.50", 500 JPY → "500".
+ */
+function formatMoneyInput(minor, currency) {
+  return fromMinorUnits(minor, currency).toFixed(getMinorUnitDigits(currency));
+}
+
+// Step attribute for an amount input in this currency ("0.01", "1", "0.001")
+function getMoneyStep(currency) {
+  const digits = getMinorUnitDigits(currency);
+  return digits === 0 ? '1' : `0.${'0'.repeat(digits - 1)}1`;
+}
+
+/**
+ * Minor units of `from` converted into minor units of `to` at `rate` (1 from =
+ * rate to), accounting for the two currencies' decimal places.
+ */
+function convertMinorUnits(minor, from, to, rate) {
+  return Math.round(minor * rate * 10 ** (getMinorUnitDigits(to) - getMinorUnitDigits(from)));
+}
+
+// ===== Migrating decimal amounts =====
+
+/**
+ * Money fields per entity, all in the currency returned by the resolver passed
+ * to recordToMinorUnits(): the record's own currency, else its profile's base
+ * currency (goals: their contribution item's).
+ */
+function recordToMinorUnits(entity, record, currency) {
+  const minor = (amount) => (typeof amount === 'number' ? toMinorUnits(amount, currency) : amount);
+  switch (entity) {
+    case 'category': {
+      const result = { ...record };
+      if (record.monthlyLimit != null) result.monthlyLimit = minor(record.monthlyLimit);
+      return result;
+    }
+    case 'budgetItem': {
+      const result = { ...record };
+      if ('amount' in record) result.amount = minor(record.amount);
+      if (record.loan) result.loan = { ...record.loan, principal: minor(record.loan.principal) };
+      return result;
+    }
+    case 'goal': {
+      const result = { ...record };
+      if ('targetAmount' in record) result.targetAmount = minor(record.targetAmount);
+      if ('startingAmount' in record) result.startingAmount = minor(record.startingAmount);
+      return result;
+    }
+    case 'transaction': {
+      const result = { ...record };
+      if ('snapshotAmount' in record) result.snapshotAmount = minor(record.snapshotAmount);
+      if (record.actualAmount != null) result.actualAmount = minor(record.actualAmount);
+      if (Array.isArray(record.payments)) result.payments = record.payments.map((p) => ({ ...p, amount: minor(p.amount) }));
+      return result;
+    }
+    default:
+      return record;
+  }
+}
+
+/**
+ * Currency each record's amounts are in, for migrating a set of records to
+ * minor units. `lists` holds the records by entity (profiles, budgetItems, …);
+ * `fallbackCurrency` is used for profiles without a base currency.
+ */
+function createCurrencyResolver({ profiles = [], budgetItems = [], transactions = [], goals = [] }, fallbackCurrency) {
+  const baseByProfile = new Map(profiles.map((p) => [p.id, p.baseCurrency || fallbackCurrency]));
+  const byId = new Map([...budgetItems, ...transactions, ...goals].map((r) => [r.id, r]));
+
+  // `record` may be a partial update: missing fields come from the full record with the same id
+  return (entity, record) => {
+    const full = { ...byId.get(record.id), ...record };
+    const own = entity === 'goal' ? (byId.get(full.budgetItemId) || {}).currency : full.currency;
+    return own || baseByProfile.get(full.profileId) || fallbackCurrency;
+  };
+}
+
+export {
+  getMinorUnitDigits,
+  toMinorUnits,
+  fromMinorUnits,
+  parseMoney,
+  formatMoneyInput,
+  getMoneyStep,
+  convertMinorUnits,
+  recordToMinorUnits,
+  createCurrencyResolver,
+};
@@ -0,0 +1,224 @@
+// js/remote-sync.js — Sync the change log with a WebDAV or REST server: settings, pull → merge → push, Background Sync
+
+import { addWriteListener, STORES } from './db.js';
+import { getDeviceId, exportChangeLog, createSyncPayload, mergeChangeLog } from './sync.js';
+import { createAdapter } from './sync-adapters.js';
+import { REMOTE_SYNC_TYPE } from './models.js';
+
+const CONFIG_KEY = 'tyb_remote_sync';
+const STATE_KEY = 'tyb_remote_sync_state';
+const SECRET_KEY = 'tyb_remote_sync_secret';
+
+// Must match the tag sw.js listens for
+const SYNC_TAG = 'tyb-remote-sync';
+
+// Wait this long after a change before syncing, so a burst of edits goes up as one push
+const AUTO_SYNC_DELAY_MS = 5000;
+
+// Pull → push rounds before giving up when other devices keep pushing in between
+const MAX_ATTEMPTS = 3;
+
+const DEFAULT_CONFIG = { type: REMOTE_SYNC_TYPE.OFF, url: '', username: '', password: '', token: '', hasSecret: false, auto: true };
+
+let running = null;
+let timer = null;
+let onRemoteSync = null;
+
+function readJSON(storage, key) {
+  try {
+    return JSON.parse(storage.getItem(key) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * The server settings. The app password and access token live in
+ * sessionStorage only, so they are never written to disk and are asked for
+ * again once the tab is closed; localStorage keeps the rest and `hasSecret`.
+ */
+function getRemoteConfig() {
+  let stored = readJSON(localStorage, CONFIG_KEY);
+  // Settings saved before the secrets moved out of localStorage
+  if ('password' in stored || 'token' in stored) {
+    const { password = '', token = '', ...rest } = stored;
+    stored = { ...rest, hasSecret: !!(password || token) };
+    sessionStorage.setItem(SECRET_KEY, JSON.stringify({ password, token }));
+    localStorage.setItem(CONFIG_KEY, JSON.stringify(stored));
+  }
+  const { password = '', token = '' } = readJSON(sessionStorage, SECRET_KEY);
+  return { ...DEFAULT_CONFIG, ...stored, password, token };
+}
+
+/**
+ * Save the server settings. A different server (type or URL) starts from
+ * scratch: everything is pulled and this device's whole log pushed again.
+ */
+function setRemoteConfig(config) {
+  const previous = getRemoteConfig();
+  const { password, token, ...rest } = { ...DEFAULT_CONFIG, ...config, url: (config.url || '').trim() };
+  localStorage.setItem(CONFIG_KEY, JSON.stringify({ ...rest, hasSecret: !!(password || token) }));
+  sessionStorage.setItem(SECRET_KEY, JSON.stringify({ password, token }));
+  if (rest.type !== previous.type || rest.url !== previous.url) localStorage.removeItem(STATE_KEY);
+}
+
+function isRemoteSyncEnabled() {
+  const { type, url } = getRemoteConfig();
+  return type !== REMOTE_SYNC_TYPE.OFF && !!url;
+}
+
+// A password or token was saved, but not in this tab
+function needsRemoteSecret() {
+  const { hasSecret, password, token } = getRemoteConfig();
+  return isRemoteSyncEnabled() && hasSecret && !password && !token;
+}
+
+function isAutoSyncOn() {
+  return isRemoteSyncEnabled() && !needsRemoteSecret() && getRemoteConfig().auto;
+}
+
+/**
+ * What the last sync left behind: { cursor, pushedTs, lastSyncAt, lastError }.
+ * `pushedTs` is the timestamp of the newest own change the server has.
+ */
+function getRemoteState() {
+  try {
+    return { cursor: null, pushedTs: -1, lastSyncAt: null, lastError: null, ...JSON.parse(localStorage.getItem(STATE_KEY) || '{}') };
+  } catch {
+    return { cursor: null, pushedTs: -1, lastSyncAt: null, lastError: null };
+  }
+}
+
+function saveRemoteState(state) {
+  localStorage.setItem(STATE_KEY, JSON.stringify(state));
+}
+
+function setRemoteSyncCallback(cb) {
+  onRemoteSync = cb;
+}
+
+/**
+ * Pull what other devices pushed, merge it, then push this device's new
+ * changes. A push the server rejects because it moved on in the meantime
+ * (conflict) starts another round. Only one sync runs at a time.
+ * Returns { pulled, updated, pushed }.
+ */
+function syncNow() {
+  if (!running) {
+    running = runSync().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+async function runSync() {
+  if (needsRemoteSecret()) throw new Error('Enter the password or token again — it is only kept until the tab is closed');
+  const adapter = createAdapter(getRemoteConfig());
+  const state = getRemoteState();
+  const deviceId = getDeviceId();
+  const result = { pulled: 0, updated: 0, pushed: 0 };
+
+  try {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const pulled = await adapter.pull(state.cursor);
+      if (pulled.changes.length > 0) {
+        const merged = await mergeChangeLog(createSyncPayload(pulled.changes));
+        result.pulled += merged.added;
+        result.updated += merged.updated;
+      }
+      state.cursor = pulled.cursor;
+      saveRemoteState(state);
+
+      // Only this device's own changes are pushed; every device pushes its own
+      const own = (await exportChangeLog()).changes.filter((c) => c.deviceId === deviceId && c.ts > state.pushedTs);
+      if (own.length > 0) {
+        const pushed = await adapter.push(own, state.cursor);
+        if (pushed.conflict) continue;
+        state.cursor = pushed.cursor;
+        state.pushedTs = own[own.length - 1].ts;
+        result.pushed += own.length;
+      }
+
+      state.lastSyncAt = new Date().toISOString();
+      state.lastError = null;
+      saveRemoteState(state);
+      if (onRemoteSync) await onRemoteSync(result);
+      return result;
+    }
+    throw new Error('Other devices kept syncing at the same time — try again');
+  } catch (err) {
+    saveRemoteState({ ...state, lastError: err.message });
+    throw err;
+  }
+}
+
+/**
+ * Ask for a sync soon. With Background Sync (Chromium) the service worker
+ * fires it once the device is online, even after a failed attempt; otherwise
+ * it runs straight away and again when the connection comes back.
+ */
+async function requestRemoteSync() {
+  if (!isRemoteSyncEnabled()) return;
+  const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+  if (registration && 'sync' in registration) {
+    try {
+      await registration.sync.register(SYNC_TAG);
+      return;
+    } catch (err) {
+      // Permission denied — fall back to syncing from the page
+    }
+  }
+  syncNow().catch(() => {});
+}
+
+/**
+ * Wire up automatic syncing: on start, when the tab becomes visible, when the
+ * connection returns, a few seconds after local changes, and when the service
+ * worker's Background Sync fires.
+ */
+function initRemoteSync() {
+  addWriteListener((change) => {
+    if (change.storeName !== STORES.CHANGE_LOG || !change.after || change.after.deviceId !== getDeviceId()) return;
+    if (!isAutoSyncOn()) return;
+    clearTimeout(timer);
+    timer = setTimeout(requestRemoteSync, AUTO_SYNC_DELAY_MS);
+  });
+
+  window.addEventListener('online', () => {
+    if (isAutoSyncOn()) syncNow().catch(() => {});
+  });
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && isAutoSyncOn()) requestRemoteSync();
+  });
+
+  // sw.js runs Background Sync by asking an open window to sync and waits for the answer
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      if (!e.data || e.data.type !== SYNC_TAG || !e.ports[0]) return;
+      const reply = e.ports[0];
+      if (!isRemoteSyncEnabled() || needsRemoteSecret()) {
+        reply.postMessage({ ok: true });
+        return;
+      }
+      syncNow().then(
+        () => reply.postMessage({ ok: true }),
+        (err) => reply.postMessage({ ok: false, error: err.message })
+      );
+    });
+  }
+
+  if (isAutoSyncOn()) requestRemoteSync();
+}
+
+export {
+  getRemoteConfig,
+  setRemoteConfig,
+  isRemoteSyncEnabled,
+  needsRemoteSecret,
+  getRemoteState,
+  setRemoteSyncCallback,
+  syncNow,
+  requestRemoteSync,
+  initRemoteSync,
+};
@@ -0,0 +1,124 @@
+// js/reports.js — Yearly overview: 12 months of totals per category, paid vs. pending & year to date
+
+import { isIncome, getTransactionCategoryId, getTransactionAmount, getPaidAmount } from './models.js';
+
+const PROJECTION_KEY = 'tyb_report_projection';
+
+// Whether Reports fills the months still to come from budget items (on by default)
+function getReportProjection() {
+  return localStorage.getItem(PROJECTION_KEY) !== 'false';
+}
+
+function setReportProjection(enabled) {
+  localStorage.setItem(PROJECTION_KEY, String(!!enabled));
+}
+
+/**
+ * Months of `year` counted in its year-to-date totals, as the index of the last
+ * one: every month of a past year, up to the current month of this year, and
+ * none (-1) of a future year.
+ */
+function getLastYearToDateMonth(year, today = new Date().toISOString().split('T')[0]) {
+  const thisYear = parseInt(today.substring(0, 4), 10);
+  if (year < thisYear) return 11;
+  if (year > thisYear) return -1;
+  return parseInt(today.substring(5, 7), 10) - 1;
+}
+
+/**
+ * Totals of a year's transactions (all in one currency), month by month.
+ *
+ * - `transactions` are the recorded ones; `projected` are unsaved transactions
+ *   planned from budget items for months still to come. Both count the same,
+ *   and months holding projected amounts are flagged.
+ * - Each category gets a row of 12 monthly amounts (actual when known, planned
+ *   otherwise) with its year-to-date and full-year total. Sub-categories keep
+ *   their own row, named after their parent; transactions without a known
+ *   category share an "Uncategorized" row.
+ * - Paid and pending cover expenses only, like the Home summary.
+ *
+ * Returns { year, lastYearToDateMonth, months, incomeRows, expenseRows, yearToDate, total }.
+ */
+function buildYearReport({ year, categories, budgetItems, transactions, projected = [], today }) {
+  const itemMap = new Map(budgetItems.map((i) => [i.id, i]));
+  const catMap = new Map(categories.map((c) => [c.id, c]));
+  const lastYearToDateMonth = getLastYearToDateMonth(year, today);
+
+  const months = Array.from({ length: 12 }, (_, month) => ({
+    month, income: 0, expenses: 0, net: 0, paid: 0, pending: 0, projected: false,
+  }));
+  const incomeRows = new Map();
+  const expenseRows = new Map();
+
+  const add = (txn, isProjected) => {
+    const month = parseInt(txn.date.substring(5, 7), 10) - 1;
+    if (txn.date.substring(0, 4) !== String(year) || !months[month]) return;
+    const totals = months[month];
+    const amount = getTransactionAmount(txn);
+    const rows = isIncome(txn) ? incomeRows : expenseRows;
+
+    if (isIncome(txn)) {
+      totals.income += amount;
+    } else {
+      const paid = getPaidAmount(txn);
+      totals.expenses += amount;
+      totals.paid += paid;
+      totals.pending += Math.max(0, amount - paid);
+    }
+    if (isProjected) totals.projected = true;
+
+    const catId = getTransactionCategoryId(txn, itemMap);
+    const key = catMap.has(catId) ? catId : '_uncategorized';
+    if (!rows.has(key)) {
+      rows.set(key, { categoryId: key, name: getCategoryLabel(catMap.get(key), catMap), months: new Array(12).fill(0), yearToDate: 0, total: 0 });
+    }
+    const row = rows.get(key);
+    row.months[month] += amount;
+    row.total += amount;
+    if (month <= lastYearToDateMonth) row.yearToDate += amount;
+  };
+
+  for (const txn of transactions) add(txn, false);
+  for (const txn of projected) add(txn, true);
+
+  for (const m of months) m.net = m.income - m.expenses;
+
+  const sumMonths = (until) => {
+    const sum = { income: 0, expenses: 0, net: 0, paid: 0, pending: 0 };
+    for (const m of months.slice(0, until + 1)) {
+      for (const key of Object.keys(sum)) sum[key] += m[key];
+    }
+    return sum;
+  };
+
+  return {
+    year,
+    lastYearToDateMonth,
+    months,
+    incomeRows: sortRows(incomeRows),
+    expenseRows: sortRows(expenseRows),
+    yearToDate: sumMonths(lastYearToDateMonth),
+    total: sumMonths(11),
+  };
+}
+
+function getCategoryLabel(category, catMap) {
+  if (!category) return 'Uncategorized';
+  const parent = category.parentId ? catMap.get(category.parentId) : null;
+  return parent ? `${parent.name} › ${category.name}` : category.name;
+}
+
+// Largest yearly total first; Uncategorized last
+function sortRows(rows) {
+  return [...rows.values()].sort((a, b) =>
+    (a.categoryId === '_uncategorized') - (b.categoryId === '_uncategorized') ||
+    b.total - a.total ||
+    a.name.localeCompare(b.name));
+}
+
+export {
+  getReportProjection,
+  setReportProjection,
+  getLastYearToDateMonth,
+  buildYearReport,
+};
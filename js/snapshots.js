@@ -0,0 +1,130 @@
+// js/snapshots.js — Automatic local snapshots of all data: daily & before risky operations, with rotation
+
+import { exportAllData, dbGet, dbGetAll, runBatch, STORES } from './db.js';
+import { prepareImport } from './export-schema.js';
+import { createSnapshot, SNAPSHOT_REASON } from './models.js';
+
+const KEEP_KEY = 'tyb_snapshot_keep';
+const DEFAULT_KEEP = 10;
+
+// "Keep the last N" choices shown in Config
+const KEEP_OPTIONS = [5, 10, 20, 50];
+
+const DAILY_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Stores a restore replaces (trash and snapshots are left alone)
+const DATA_STORES = [
+  STORES.PROFILES, STORES.CATEGORIES, STORES.BUDGET_ITEMS, STORES.GOALS, STORES.TRANSACTIONS, STORES.EXCHANGE_RATES,
+];
+
+function getSnapshotKeepCount() {
+  const count = parseInt(localStorage.getItem(KEEP_KEY), 10);
+  return isNaN(count) || count < 1 ? DEFAULT_KEEP : count;
+}
+
+function setSnapshotKeepCount(count) {
+  localStorage.setItem(KEEP_KEY, String(count));
+}
+
+/**
+ * Save a copy of all data, then drop the oldest snapshots beyond the keep count.
+ * Returns the snapshot, or null when there is no data to save.
+ */
+async function takeSnapshot(reason) {
+  const data = await exportAllData();
+  if (data.profiles.length === 0) return null;
+
+  const snapshot = createSnapshot({ reason, data });
+  await runBatch([STORES.SNAPSHOTS], async (batch) => {
+    await batch.add(STORES.SNAPSHOTS, snapshot);
+    await rotate(batch);
+  });
+  return snapshot;
+}
+
+/**
+ * Take the daily snapshot when the last one is a day old or missing. Called on
+ * app start and whenever the tab becomes visible again.
+ */
+async function takeDailySnapshot(now = Date.now()) {
+  const latest = (await getSnapshots()).find((s) => s.reason === SNAPSHOT_REASON.DAILY);
+  if (latest && now - new Date(latest.createdAt).getTime() < DAILY_INTERVAL_MS) return null;
+  return takeSnapshot(SNAPSHOT_REASON.DAILY);
+}
+
+// Newest first
+async function getSnapshots() {
+  const snapshots = await dbGetAll(STORES.SNAPSHOTS);
+  return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function getSnapshot(id) {
+  return dbGet(STORES.SNAPSHOTS, id);
+}
+
+/**
+ * Replace all profiles, categories, items, goals, transactions and exchange rates
+ * with a snapshot's data, in one transaction. The current data is snapshotted first, so a restore
+ * can itself be reverted. Older snapshots are migrated like imports.
+ */
+async function restoreSnapshot(id, tag = null) {
+  const snapshot = await getSnapshot(id);
+  if (!snapshot) throw new Error('Snapshot no longer exists');
+  const { profiles, categories, budgetItems, goals, transactions, exchangeRates } = prepareImport(snapshot.data);
+
+  await takeSnapshot(SNAPSHOT_REASON.BEFORE_RESTORE);
+
+  const records = {
+    [STORES.PROFILES]: profiles,
+    [STORES.CATEGORIES]: categories,
+    [STORES.BUDGET_ITEMS]: budgetItems,
+    [STORES.GOALS]: goals,
+    [STORES.TRANSACTIONS]: transactions,
+    [STORES.EXCHANGE_RATES]: exchangeRates,
+  };
+  await runBatch(DATA_STORES, async (batch) => {
+    for (const storeName of DATA_STORES) await batch.clear(storeName);
+    for (const storeName of DATA_STORES) {
+      for (const record of records[storeName]) await batch.put(storeName, record);
+    }
+  }, tag);
+  return snapshot;
+}
+
+async function deleteSnapshot(id) {
+  await runBatch([STORES.SNAPSHOTS], (batch) => batch.delete(STORES.SNAPSHOTS, id));
+}
+
+/**
+ * Apply a lowered keep count right away. Returns how many snapshots were removed.
+ */
+async function pruneSnapshots() {
+  return runBatch([STORES.SNAPSHOTS], rotate);
+}
+
+/**
+ * Delete the oldest snapshots beyond the keep count. The newest daily snapshot is
+ * kept on top of it, so a run of imports, restores or merges can't push out the
+ * last state from before them.
+ */
+async function rotate(batch) {
+  const snapshots = (await batch.getAll(STORES.SNAPSHOTS))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  const latestDaily = snapshots.find((s) => s.reason === SNAPSHOT_REASON.DAILY);
+  const expired = snapshots.slice(getSnapshotKeepCount()).filter((s) => s !== latestDaily);
+  for (const snapshot of expired) await batch.delete(STORES.SNAPSHOTS, snapshot.id);
+  return expired.length;
+}
+
+export {
+  KEEP_OPTIONS,
+  getSnapshotKeepCount,
+  setSnapshotKeepCount,
+  takeSnapshot,
+  takeDailySnapshot,
+  getSnapshots,
+  getSnapshot,
+  restoreSnapshot,
+  deleteSnapshot,
+  pruneSnapshots,
+};
@@ -0,0 +1,553 @@
+// js/statement-import.js — Bank statement parsing (CSV, OFX/QFX, QIF), column mapping presets & reconciliation
+
+import {
+  ITEM_TYPE, isIncome, isSettled, isAdHoc, getTransactionAmount, getDisplayLocale, getDateDisplayFormat,
+} from './models.js';
+import { toMinorUnits, fromMinorUnits } from './money.js';
+
+const PRESETS_KEY = 'tyb_statement_presets';
+
+// Days a statement line may be away from the scheduled transaction date
+const MATCH_DATE_WINDOW = 5;
+
+// A non-exact amount still matches when within this share of the planned amount and the names agree
+const MATCH_AMOUNT_TOLERANCE = 0.1;
+const MATCH_MIN_SIMILARITY = 0.5;
+
+const DATE_FORMAT = {
+  YMD: 'YYYY-MM-DD',
+  DMY: 'DD/MM/YYYY',
+  MDY: 'MM/DD/YYYY',
+};
+
+const AMOUNT_MODE = {
+  SINGLE: 'single', // one signed amount column
+  SPLIT: 'split', // separate debit (money out) and credit (money in) columns
+};
+
+const MATCH_STATUS = {
+  MATCHED: 'matched', // pairs with a pending transaction
+  DUPLICATE: 'duplicate', // already ticked off or imported earlier
+  UNMATCHED: 'unmatched',
+};
+
+const STATEMENT_FORMAT = {
+  CSV: 'csv',
+  OFX: 'ofx', // also QFX (Quicken's OFX variant)
+  QIF: 'qif',
+};
+
+/**
+ * Tell the statement format from the file name, falling back to the content.
+ */
+function detectStatementFormat(fileName, text) {
+  const ext = (fileName.match(/\.([a-z]+)$/i) || [])[1] || '';
+  if (/^(ofx|qfx)$/i.test(ext) || /OFXHEADER|<OFX>/i.test(text.slice(0, 2000))) return STATEMENT_FORMAT.OFX;
+  if (/^qif$/i.test(ext) || /^!Type:/im.test(text.slice(0, 500))) return STATEMENT_FORMAT.QIF;
+  return STATEMENT_FORMAT.CSV;
+}
+
+// ===== CSV =====
+
+/**
+ * Parse CSV text into an array of rows (arrays of trimmed cells).
+ * The delimiter (comma, semicolon or tab) is detected from the first line;
+ * quoted cells may contain delimiters, doubled quotes and line breaks.
+ */
+function parseCsv(text) {
+  const src = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(src.split(/\r?\n/, 1)[0] || '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      if (row.some((c) => c !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell.trim());
+  if (row.some((c) => c !== '')) rows.push(row);
+  return rows;
+}
+
+function detectDelimiter(line) {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let quoted = false;
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && ch in counts) counts[ch]++;
+  }
+  return Object.keys(counts).reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+}
+
+// ===== Column mapping =====
+
+const HEADER_HINTS = {
+  date: /date|posted|booking|valuta|datum/i,
+  description: /desc|narrat|detail|memo|payee|merchant|particular|reference|name|text/i,
+  amount: /amount|amt|value|betrag|sum/i,
+  debit: /debit|withdraw|paid out|money out|outflow/i,
+  credit: /credit|deposit|paid in|money in|inflow/i,
+};
+
+/**
+ * Guess a column mapping from the first rows of a statement.
+ * Column values are indexes into each row (null = not mapped).
+ */
+function guessMapping(rows) {
+  const header = rows[0] || [];
+  const hasHeader = header.length > 0 && header.every((c) => !parseAmount(c) && !looksLikeDate(c));
+  const find = (re, exclude = []) => {
+    const idx = header.findIndex((c, i) => re.test(c) && !exclude.includes(i));
+    return hasHeader && idx >= 0 ? idx : null;
+  };
+
+  const dateColumn = find(HEADER_HINTS.date);
+  const debitColumn = find(HEADER_HINTS.debit, [dateColumn]);
+  const creditColumn = find(HEADER_HINTS.credit, [dateColumn, debitColumn]);
+  const amountColumn = find(HEADER_HINTS.amount, [dateColumn, debitColumn, creditColumn]);
+  const descriptionColumn = find(HEADER_HINTS.description, [dateColumn, debitColumn, creditColumn, amountColumn]);
+  const split = amountColumn == null && debitColumn != null && creditColumn != null;
+
+  const sample = rows.slice(hasHeader ? 1 : 0, 20);
+  const dateIdx = dateColumn ?? 0;
+
+  return {
+    hasHeader,
+    dateColumn: dateIdx,
+    dateFormat: detectDateFormat(sample.map((r) => r[dateIdx])),
+    descriptionColumn: descriptionColumn ?? Math.min(1, header.length - 1),
+    amountMode: split ? AMOUNT_MODE.SPLIT : AMOUNT_MODE.SINGLE,
+    amountColumn: split ? null : amountColumn ?? header.length - 1,
+    debitColumn: split ? debitColumn : null,
+    creditColumn: split ? creditColumn : null,
+    expensesPositive: false,
+  };
+}
+
+/**
+ * Turn parsed CSV rows into statement lines using a mapping.
+ * Returns { lines: [{ date, description, amount, type }], skipped } where
+ * `amount` is always positive and `type` is Expense (money out) or Income.
+ */
+function applyMapping(rows, mapping) {
+  const lines = [];
+  let skipped = 0;
+
+  for (const row of rows.slice(mapping.hasHeader ? 1 : 0)) {
+    const date = parseDate(row[mapping.dateColumn], mapping.dateFormat);
+    let signed = null;
+    if (mapping.amountMode === AMOUNT_MODE.SPLIT) {
+      const debit = parseAmount(row[mapping.debitColumn]);
+      const credit = parseAmount(row[mapping.creditColumn]);
+      if (debit) signed = -Math.abs(debit);
+      else if (credit) signed = Math.abs(credit);
+    } else {
+      const amount = parseAmount(row[mapping.amountColumn]);
+      if (amount) signed = mapping.expensesPositive ? -amount : amount;
+    }
+
+    if (!date || !signed) {
+      skipped++;
+      continue;
+    }
+    lines.push(createStatementLine({ date, description: row[mapping.descriptionColumn], amount: signed }));
+  }
+  assignHashIds(lines, STATEMENT_FORMAT.CSV);
+  return { lines, skipped };
+}
+
+/**
+ * A statement line as used by the matcher. `amount` is signed (negative = money out)
+ * and in the statement's currency — the line keeps it in minor units.
+ * `statementId` identifies the entry across repeated imports (stored on the transaction).
+ */
+function createStatementLine({ date, description, amount, statementId = null }) {
+  return {
+    date,
+    description: (description || '').replace(/\s+/g, ' ').trim().slice(0, 100) || 'Statement entry',
+    amount: toMinorUnits(Math.abs(amount), getStatementCurrency()),
+    type: amount < 0 ? ITEM_TYPE.EXPENSE : ITEM_TYPE.INCOME,
+    statementId,
+  };
+}
+
+/**
+ * Give lines without a bank-issued id a content hash. Identical lines in one
+ * file (two coffees on the same day) are told apart by their position.
+ */
+function assignHashIds(lines, prefix, extra = () => '') {
+  const seen = new Map();
+  for (const line of lines) {
+    if (line.statementId) continue;
+    // Decimal amount with two places, as before amounts were minor units, so ids stay the same
+    const amount = fromMinorUnits(line.amount, getStatementCurrency()).toFixed(2);
+    const key = `${line.date}|${line.type}|${amount}|${line.description.toLowerCase()}|${extra(line)}`;
+    const n = (seen.get(key) || 0) + 1;
+    seen.set(key, n);
+    line.statementId = `${prefix}:${hashString(`${key}#${n}`)}`;
+  }
+}
+
+// Statements are in the profile's base currency (mirrored into localStorage like the display currency)
+function getStatementCurrency() {
+  return localStorage.getItem('tyb_currency') || 'INR';
+}
+
+// 32-bit FNV-1a, hex — stable ids, not security
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// ===== OFX / QFX =====
+
+/**
+ * Parse an OFX or QFX statement (SGML 1.x or XML 2.x). Each STMTTRN becomes a line
+ * whose statementId is "ofx:<account>:<FITID>". Returns { lines, skipped }.
+ */
+function parseOfx(text) {
+  const lines = [];
+  let skipped = 0;
+
+  // A file can hold several accounts; FITIDs are only unique within one
+  const blocks = text.split(/<(?:CC)?STMTRS>/i).slice(1);
+  for (const block of blocks) {
+    const account = ofxValue(block, 'ACCTID') || 'account';
+    for (const trn of block.split(/<STMTTRN>/i).slice(1)) {
+      const body = trn.split(/<\/STMTTRN>/i)[0];
+      const posted = (ofxValue(body, 'DTPOSTED') || '').match(/^(\d{4})(\d{2})(\d{2})/);
+      const amount = parseAmount(ofxValue(body, 'TRNAMT'));
+      const date = posted ? parseDate(`${posted[1]}-${posted[2]}-${posted[3]}`, DATE_FORMAT.YMD) : null;
+      if (!date || !amount) {
+        skipped++;
+        continue;
+      }
+      const fitId = ofxValue(body, 'FITID');
+      lines.push(createStatementLine({
+        date,
+        description: ofxValue(body, 'NAME') || ofxValue(body, 'PAYEE') || ofxValue(body, 'MEMO'),
+        amount,
+        statementId: fitId ? `${STATEMENT_FORMAT.OFX}:${account}:${fitId}` : null,
+      }));
+    }
+  }
+  assignHashIds(lines, STATEMENT_FORMAT.OFX);
+  return { lines, skipped };
+}
+
+// Value of an OFX element: "<TAG>value" up to the next tag or line break (closing tag optional)
+function ofxValue(body, tag) {
+  const match = body.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeOfxEntities(match[1].trim()) : '';
+}
+
+function decodeOfxEntities(str) {
+  return str.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+// ===== QIF =====
+
+/**
+ * Parse a QIF statement. Records are lines of "<code><value>" ending with "^":
+ * D date, T/U amount, P payee, M memo, N check number. QIF has no ids, so each
+ * line gets a content hash. Returns { lines, skipped }.
+ */
+function parseQif(text) {
+  const records = [];
+  let current = {};
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('!')) continue;
+    if (line === '^') {
+      if (Object.keys(current).length > 0) records.push(current);
+      current = {};
+      continue;
+    }
+    const code = line[0];
+    if (!(code in current)) current[code] = line.slice(1).trim();
+  }
+  if (Object.keys(current).length > 0) records.push(current);
+
+  // QIF dates look like 03/15/2026, 3/15'26 or 15.03.2026 — pick the format that fits them all
+  const dates = records.map((r) => (r.D || '').replace(/'/g, '/').replace(/\s+/g, ''));
+  const format = detectDateFormat(dates);
+
+  const lines = [];
+  const checkNumbers = new Map();
+  let skipped = 0;
+  records.forEach((r, i) => {
+    const date = parseDate(dates[i], format);
+    const amount = parseAmount(r.T ?? r.U);
+    if (!date || !amount) {
+      skipped++;
+      return;
+    }
+    const line = createStatementLine({ date, description: r.P || r.M, amount });
+    checkNumbers.set(line, r.N || '');
+    lines.push(line);
+  });
+  assignHashIds(lines, STATEMENT_FORMAT.QIF, (line) => checkNumbers.get(line));
+  return { lines, skipped };
+}
+
+/**
+ * Parse "1,234.56", "-12.00", "(12.00)", "1.234,56" or "12,50 €" into a number.
+ * Returns null for empty or unparseable values.
+ */
+function parseAmount(value) {
+  if (value == null) return null;
+  let str = String(value).trim();
+  if (!str) return null;
+  const negative = /^\(.*\)$/.test(str) || /^-|-$/.test(str.replace(/[^\d\-()]/g, '')) || /\bDR$/i.test(str);
+  str = str.replace(/[^\d.,]/g, '');
+  if (!/\d/.test(str)) return null;
+
+  const lastComma = str.lastIndexOf(',');
+  const lastDot = str.lastIndexOf('.');
+  if (lastComma > lastDot && str.length - lastComma - 1 <= 2) {
+    // Comma is the decimal separator
+    str = str.replace(/\./g, '').replace(',', '.');
+  } else {
+    str = str.replace(/,/g, '');
+  }
+  const num = parseFloat(str);
+  if (isNaN(num)) return null;
+  return negative ? -num : num;
+}
+
+// ===== Dates =====
+
+function looksLikeDate(value) {
+  return /^\s*\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}/.test(value || '');
+}
+
+/**
+ * Pick the date format that fits every sample value (day > 12 rules out day/month swaps).
+ */
+function detectDateFormat(values) {
+  const parts = values.filter(looksLikeDate).map((v) => v.trim().split(/[-/.\s]/).map(Number));
+  if (parts.length === 0 || parts.some((p) => String(p[0]).length === 4 || p[0] > 31)) {
+    return parts.length > 0 ? DATE_FORMAT.YMD : DATE_FORMAT.DMY;
+  }
+  if (parts.some((p) => p[0] > 12)) return DATE_FORMAT.DMY;
+  if (parts.some((p) => p[1] > 12)) return DATE_FORMAT.MDY;
+  // Ambiguous: the profile's date order, else its language's
+  const preferred = getDateDisplayFormat();
+  if (preferred === DATE_FORMAT.MDY || preferred === DATE_FORMAT.DMY) return preferred;
+  return /^en-US$/i.test(getDisplayLocale() || navigator.language || '') ? DATE_FORMAT.MDY : DATE_FORMAT.DMY;
+}
+
+/**
+ * Parse a statement date into YYYY-MM-DD (null when invalid).
+ * Two-digit years are read as 20xx.
+ */
+function parseDate(value, format) {
+  if (!looksLikeDate(value)) return null;
+  const [a, b, c] = value.trim().split(/[-/.\s]/).map((p) => parseInt(p, 10));
+  let y, m, d;
+  if (format === DATE_FORMAT.YMD) [y, m, d] = [a, b, c];
+  else if (format === DATE_FORMAT.MDY) [m, d, y] = [a, b, c];
+  else [d, m, y] = [a, b, c];
+  if (y < 100) y += 2000;
+
+  const date = new Date(y, m - 1, d);
+  if (date.getFullYear() !== y || date.getMonth() !== m - 1 || date.getDate() !== d) return null;
+  return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+function daysBetween(a, b) {
+  return Math.round(Math.abs(new Date(a + 'T00:00:00') - new Date(b + 'T00:00:00')) / 86400000);
+}
+
+/**
+ * The months ({ year, month } with 0-indexed month) a set of lines can match in,
+ * including the date window on either side.
+ */
+function getStatementMonths(lines) {
+  const keys = new Map();
+  for (const line of lines) {
+    for (const offset of [-MATCH_DATE_WINDOW, 0, MATCH_DATE_WINDOW]) {
+      const d = new Date(line.date + 'T00:00:00');
+      d.setDate(d.getDate() + offset);
+      keys.set(`${d.getFullYear()}-${d.getMonth()}`, { year: d.getFullYear(), month: d.getMonth() });
+    }
+  }
+  return [...keys.values()];
+}
+
+// ===== Matching =====
+
+function nameTokens(name) {
+  return (name || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length >= 3 && !/^\d+$/.test(t));
+}
+
+/**
+ * Similarity of a statement description and a transaction name, 0–1.
+ * Tokens match when equal or when one starts with the other ("netflix" / "netflixcom").
+ */
+function nameSimilarity(a, b) {
+  const ta = nameTokens(a);
+  const tb = nameTokens(b);
+  if (ta.length === 0 || tb.length === 0) return 0;
+  const compactA = ta.join('');
+  const compactB = tb.join('');
+  if (compactA.includes(compactB) || compactB.includes(compactA)) return 1;
+
+  let hits = 0;
+  for (const x of ta) {
+    if (tb.some((y) => x === y || (Math.min(x.length, y.length) >= 4 && (x.startsWith(y) || y.startsWith(x))))) hits++;
+  }
+  return (2 * hits) / (ta.length + tb.length);
+}
+
+/**
+ * Pair statement lines with pending transactions.
+ * A pair needs the same type, a date within MATCH_DATE_WINDOW days, and either the
+ * exact amount or a close amount with similar names. Best-scoring pairs win; each
+ * transaction is used once. Lines left over that match an already settled (or
+ * previously imported ad-hoc) transaction are reported as duplicates.
+ * Returns [{ line, status, transaction }] in line order.
+ */
+function matchStatementLines(lines, transactions) {
+  // Entries imported before (same statementId) are duplicates whatever their amount or date
+  const byStatementId = new Map(transactions.filter((t) => t.statementId).map((t) => [t.statementId, t]));
+  const imported = lines.map((line) => (line.statementId && byStatementId.get(line.statementId)) || null);
+
+  const pending = transactions.filter((t) => !isSettled(t) && !t.statementId);
+  const pairs = [];
+
+  lines.forEach((line, li) => {
+    if (imported[li]) return;
+    pending.forEach((txn, ti) => {
+      const score = scorePair(line, txn);
+      if (score > 0) pairs.push({ li, ti, score });
+    });
+  });
+  pairs.sort((a, b) => b.score - a.score);
+
+  const results = lines.map((line, li) => imported[li]
+    ? { line, status: MATCH_STATUS.DUPLICATE, transaction: imported[li] }
+    : { line, status: MATCH_STATUS.UNMATCHED, transaction: null });
+  const usedTxns = new Set();
+  for (const { li, ti } of pairs) {
+    if (results[li].transaction || usedTxns.has(ti)) continue;
+    results[li] = { line: lines[li], status: MATCH_STATUS.MATCHED, transaction: pending[ti] };
+    usedTxns.add(ti);
+  }
+
+  // Entries with a statementId were matched exactly above; the rest are compared by content
+  const settled = transactions.filter((t) => (isSettled(t) || isAdHoc(t)) && !t.statementId);
+  const usedSettled = new Set();
+  for (const result of results) {
+    if (result.transaction) continue;
+    const dup = settled.find((t) =>
+      !usedSettled.has(t.id) &&
+      isIncome(t) === (result.line.type === ITEM_TYPE.INCOME) &&
+      getTransactionAmount(t) === result.line.amount &&
+      daysBetween(t.date, result.line.date) <= (isAdHoc(t) ? 0 : MATCH_DATE_WINDOW) &&
+      (isAdHoc(t) ? t.snapshotName === result.line.description : true)
+    );
+    if (dup) {
+      usedSettled.add(dup.id);
+      result.status = MATCH_STATUS.DUPLICATE;
+      result.transaction = dup;
+    }
+  }
+  return results;
+}
+
+function scorePair(line, txn) {
+  if (isIncome(txn) !== (line.type === ITEM_TYPE.INCOME)) return 0;
+  const days = daysBetween(line.date, txn.date);
+  if (days > MATCH_DATE_WINDOW) return 0;
+
+  const expected = getTransactionAmount(txn);
+  const exact = expected === line.amount;
+  const similarity = nameSimilarity(line.description, txn.snapshotName);
+  const close = Math.abs(expected - line.amount) <= expected * MATCH_AMOUNT_TOLERANCE;
+  if (!exact && !(close && similarity >= MATCH_MIN_SIMILARITY)) return 0;
+
+  return (exact ? 1 : 0.5) + similarity + 0.5 * (1 - days / (MATCH_DATE_WINDOW + 1));
+}
+
+// ===== Presets (localStorage) =====
+
+function getMappingPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(PRESETS_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Save (or overwrite, by case-insensitive name) a column mapping preset.
+ */
+function saveMappingPreset(name, mapping) {
+  const presets = getMappingPresets().filter((p) => p.name.toLowerCase() !== name.toLowerCase());
+  presets.push({ name, mapping });
+  presets.sort((a, b) => a.name.localeCompare(b.name));
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  return presets;
+}
+
+function deleteMappingPreset(name) {
+  const presets = getMappingPresets().filter((p) => p.name !== name);
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  return presets;
+}
+
+export {
+  DATE_FORMAT,
+  AMOUNT_MODE,
+  MATCH_STATUS,
+  MATCH_DATE_WINDOW,
+  STATEMENT_FORMAT,
+  detectStatementFormat,
+  parseCsv,
+  parseOfx,
+  parseQif,
+  guessMapping,
+  applyMapping,
+  createStatementLine,
+  parseAmount,
+  parseDate,
+  getStatementMonths,
+  getStatementCurrency,
+  nameSimilarity,
+  matchStatementLines,
+  getMappingPresets,
+  saveMappingPreset,
+  deleteMappingPreset,
+};
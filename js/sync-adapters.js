@@ -0,0 +1,165 @@
+// js/sync-adapters.js — Remote sync adapters: WebDAV (e.g. Nextcloud) and a simple REST API
+//
+// An adapter moves change log entries (see sync.js) to and from a server:
+//   pull(cursor)          → { cursor, changes }   entries added to the server after `cursor`
+//   push(changes, cursor) → { cursor } | { conflict: true }
+// `cursor` is opaque to the caller (null = nothing pulled yet) and is stored between syncs.
+// A push is only accepted when nothing was added to the server since `cursor`;
+// otherwise it reports a conflict and the caller pulls, merges and pushes again.
+
+import { REMOTE_SYNC_TYPE } from './models.js';
+
+const INDEX_FILE = 'index.json';
+const INDEX_FORMAT = 'tickyourbudget-remote';
+
+function createAdapter(config) {
+  switch (config.type) {
+    case REMOTE_SYNC_TYPE.WEBDAV:
+      return createWebDavAdapter(config);
+    case REMOTE_SYNC_TYPE.REST:
+      return createRestAdapter(config);
+    default:
+      throw new Error('Remote sync is off');
+  }
+}
+
+// ===== WebDAV =====
+
+/**
+ * Keeps the log in a folder: one `chunk-<revision>-<device>-<time>.json` file per push
+ * and an `index.json` listing them with the current revision. The index is
+ * written with If-Match on its ETag, so two devices pushing at once can't both win.
+ */
+function createWebDavAdapter({ url, username = '', password = '' }) {
+  const folder = url.endsWith('/') ? url : `${url}/`;
+  const headers = username ? { Authorization: basicAuth(username, password) } : {};
+
+  async function readIndex(etag) {
+    const res = await send(`${folder}${INDEX_FILE}`, {
+      headers: { ...headers, ...(etag ? { 'If-None-Match': etag } : {}) },
+    }, [200, 304, 404]);
+    if (res.status === 304) return { unchanged: true };
+    if (res.status === 404) return { index: emptyIndex(), etag: null };
+    const index = await res.json();
+    if (index.format !== INDEX_FORMAT || !Array.isArray(index.chunks)) {
+      throw new Error(`${INDEX_FILE} on the server is not a tickyourbudget sync folder`);
+    }
+    return { index, etag: res.headers.get('ETag') };
+  }
+
+  return {
+    async pull(cursor) {
+      const since = cursor ? cursor.revision : 0;
+      const { unchanged, index, etag } = await readIndex(cursor && cursor.etag);
+      if (unchanged) return { cursor, changes: [] };
+
+      const changes = [];
+      for (const chunk of index.chunks.filter((c) => c.revision > since)) {
+        const res = await send(`${folder}${chunk.file}`, { headers });
+        changes.push(...(await res.json()).changes);
+      }
+      return { cursor: { revision: index.revision, etag }, changes };
+    },
+
+    async push(changes, cursor) {
+      const revision = cursor ? cursor.revision : 0;
+      // Without an ETag the index can't be replaced safely — pull first
+      if (revision > 0 && !cursor.etag) return { conflict: true };
+
+      const index = revision > 0 ? (await readIndex()).index : emptyIndex();
+      if (index.revision !== revision) return { conflict: true };
+
+      if (revision === 0) await ensureFolder();
+      const deviceId = changes[0].deviceId;
+      const file = `chunk-${String(revision + 1).padStart(6, '0')}-${deviceId.slice(0, 8)}-${Date.now().toString(36)}.json`;
+      await send(`${folder}${file}`, {
+        method: 'PUT',
+        headers: { ...headers, 'Content-Type': 'application/json', 'If-None-Match': '*' },
+        body: JSON.stringify({ changes }),
+      }, [200, 201, 204]);
+
+      const next = {
+        ...index,
+        revision: revision + 1,
+        chunks: [...index.chunks, { file, revision: revision + 1, deviceId, count: changes.length }],
+      };
+      const res = await send(`${folder}${INDEX_FILE}`, {
+        method: 'PUT',
+        headers: {
+          ...headers,
+          'Content-Type': 'application/json',
+          ...(revision > 0 ? { 'If-Match': cursor.etag } : { 'If-None-Match': '*' }),
+        },
+        body: JSON.stringify(next),
+      }, [200, 201, 204, 412]);
+
+      if (res.status === 412) {
+        // Another device updated the index first; our chunk is not listed, remove it
+        await send(`${folder}${file}`, { method: 'DELETE', headers }, [200, 204, 404]).catch(() => {});
+        return { conflict: true };
+      }
+      return { cursor: { revision: next.revision, etag: res.headers.get('ETag') } };
+    },
+  };
+
+  async function ensureFolder() {
+    // 405 = the folder already exists
+    await send(folder, { method: 'MKCOL', headers }, [200, 201, 405]);
+  }
+}
+
+function basicAuth(username, password) {
+  const bytes = new TextEncoder().encode(`${username}:${password}`);
+  return `Basic ${btoa(String.fromCharCode(...bytes))}`;
+}
+
+function emptyIndex() {
+  return { format: INDEX_FORMAT, version: 1, revision: 0, chunks: [] };
+}
+
+// ===== REST =====
+
+/**
+ * A minimal JSON API (see tools/sync-test-server.js):
+ *   GET  <url>/changes?since=<n> → { cursor, changes }
+ *   POST <url>/changes { baseCursor, changes } → { cursor }, or 409 when the server is past baseCursor
+ */
+function createRestAdapter({ url, token = '' }) {
+  const base = url.replace(/\/+$/, '');
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+
+  return {
+    async pull(cursor) {
+      const res = await send(`${base}/changes?since=${encodeURIComponent(cursor || 0)}`, { headers });
+      const body = await res.json();
+      return { cursor: body.cursor, changes: body.changes || [] };
+    },
+
+    async push(changes, cursor) {
+      const res = await send(`${base}/changes`, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ baseCursor: cursor || 0, changes }),
+      }, [200, 201, 409]);
+      if (res.status === 409) return { conflict: true };
+      return { cursor: (await res.json()).cursor };
+    },
+  };
+}
+
+// ===== HTTP =====
+
+async function send(url, options = {}, okStatuses = [200]) {
+  let res;
+  try {
+    res = await fetch(url, { cache: 'no-store', ...options });
+  } catch (err) {
+    throw new Error('Could not reach the sync server — check the URL and your connection');
+  }
+  if (okStatuses.includes(res.status)) return res;
+  if (res.status === 401 || res.status === 403) throw new Error(`The server refused the login (${res.status})`);
+  if (res.status === 404) throw new Error(`Not found on the server: ${url}`);
+  throw new Error(`Sync server error ${res.status}`);
+}
+
+export { createAdapter, createWebDavAdapter, createRestAdapter };
@@ -0,0 +1,410 @@
+// js/sync.js — Device-to-device sync: a change log of every write, exchanged as a file or text and merged last-writer-wins per field
+
+import { addWriteListener, dbGetAll, runBatch, canonicalJSON, STORES } from './db.js';
+import { validateRecord } from './export-schema.js';
+import { generateId, createChange, CHANGE_OP, TX_STATUS } from './models.js';
+import { recordToMinorUnits, createCurrencyResolver } from './money.js';
+import { getBaseCurrency } from './currency.js';
+
+const DEVICE_KEY = 'tyb_device_id';
+const CLOCK_KEY = 'tyb_sync_clock';
+
+const SYNC_FORMAT = 'tickyourbudget-sync';
+// 2: amounts are integer minor units (version 1 payloads carry decimal amounts)
+const SYNC_VERSION = 2;
+const TEXT_PREFIX = 'TYBSYNC1:';
+
+// Stores whose records are synced. Trash, snapshots and the log itself stay on the device.
+const SYNCED_STORES = [
+  STORES.PROFILES, STORES.CATEGORIES, STORES.BUDGET_ITEMS, STORES.GOALS, STORES.TRANSACTIONS, STORES.EXCHANGE_RATES,
+];
+
+const ENTITY_BY_STORE = {
+  [STORES.PROFILES]: 'profile',
+  [STORES.CATEGORIES]: 'category',
+  [STORES.BUDGET_ITEMS]: 'budgetItem',
+  [STORES.GOALS]: 'goal',
+  [STORES.TRANSACTIONS]: 'transaction',
+  [STORES.EXCHANGE_RATES]: 'exchangeRate',
+};
+
+const ENTITY_LABELS = {
+  [STORES.PROFILES]: 'Profile',
+  [STORES.CATEGORIES]: 'Category',
+  [STORES.BUDGET_ITEMS]: 'Budget item',
+  [STORES.GOALS]: 'Goal',
+  [STORES.TRANSACTIONS]: 'Transaction',
+  [STORES.EXCHANGE_RATES]: 'Exchange rate',
+};
+
+let pending = []; // entries waiting to be written to the log
+let flushing = null;
+
+// Every committed write to a synced store becomes a log entry — except writes
+// tagged by withoutChangeLog(), like a merge writing records whose changes are
+// already in the log. Entries are written in their own transaction right after,
+// in the order the writes happened.
+addWriteListener((change) => {
+  if ((change.tag && change.tag.changeLog === false) || !SYNCED_STORES.includes(change.storeName)) return;
+  const entry = describeChange(change);
+  if (!entry) return;
+  pending.push(entry);
+  if (!flushing) flushing = flush();
+});
+
+async function flush() {
+  try {
+    while (pending.length > 0) {
+      const entries = pending;
+      pending = [];
+      await runBatch([STORES.CHANGE_LOG], async (batch) => {
+        for (const entry of entries) await batch.add(STORES.CHANGE_LOG, entry);
+      });
+    }
+  } catch (err) {
+    console.error('Failed to record changes for sync:', err);
+  } finally {
+    flushing = null;
+  }
+}
+
+// Wait until every write made so far is in the log
+async function flushChanges() {
+  while (flushing) await flushing;
+}
+
+function getDeviceId() {
+  let id = localStorage.getItem(DEVICE_KEY);
+  if (!id) {
+    id = generateId();
+    localStorage.setItem(DEVICE_KEY, id);
+  }
+  return id;
+}
+
+/**
+ * Next log timestamp (ms). Never goes backwards and always lands after every
+ * change merged from other devices, so a device whose clock runs behind still
+ * orders its new edits after what it has already seen.
+ */
+function nextTimestamp() {
+  const last = parseInt(localStorage.getItem(CLOCK_KEY), 10) || 0;
+  const ts = Math.max(Date.now(), last + 1);
+  localStorage.setItem(CLOCK_KEY, String(ts));
+  return ts;
+}
+
+function observeTimestamp(ts) {
+  const last = parseInt(localStorage.getItem(CLOCK_KEY), 10) || 0;
+  if (ts > last) localStorage.setItem(CLOCK_KEY, String(ts));
+}
+
+// Turn a db.js write notification into a log entry (null when nothing changed)
+function describeChange({ storeName, key, before, after }) {
+  const base = { deviceId: getDeviceId(), storeName, recordId: key };
+  if (!after) return createChange({ ...base, ts: nextTimestamp(), op: CHANGE_OP.DELETE });
+  if (!before) return createChange({ ...base, ts: nextTimestamp(), op: CHANGE_OP.CREATE, fields: after });
+
+  const fields = {};
+  const unset = [];
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (after[field] === undefined) {
+      if (before[field] !== undefined) unset.push(field);
+    } else if (canonicalJSON(before[field]) !== canonicalJSON(after[field])) {
+      fields[field] = after[field];
+    }
+  }
+  if (Object.keys(fields).length === 0 && unset.length === 0) return null;
+  return createChange({ ...base, ts: nextTimestamp(), op: CHANGE_OP.UPDATE, fields, unset });
+}
+
+/**
+ * Start the log on a device that has data but no log yet (data created before
+ * sync existed): one create entry per record, at timestamp 0 so any later
+ * edit on any device wins over it. Returns the number of entries written.
+ */
+async function initSync() {
+  const deviceId = getDeviceId();
+  return runBatch([STORES.CHANGE_LOG, ...SYNCED_STORES], async (batch) => {
+    if (await batch.count(STORES.CHANGE_LOG) > 0) return 0;
+    let count = 0;
+    for (const storeName of SYNCED_STORES) {
+      for (const record of await batch.getAll(storeName)) {
+        await batch.add(STORES.CHANGE_LOG, createChange({
+          deviceId, ts: 0, storeName, recordId: record.id, op: CHANGE_OP.CREATE, fields: record,
+        }));
+        count++;
+      }
+    }
+    return count;
+  });
+}
+
+/**
+ * The whole log as a sync payload for another device:
+ * { format, version, deviceId, exportedAt, changes }
+ */
+async function exportChangeLog() {
+  await flushChanges();
+  const changes = await dbGetAll(STORES.CHANGE_LOG);
+  return createSyncPayload(changes.sort(compareChanges));
+}
+
+function createSyncPayload(changes) {
+  return {
+    format: SYNC_FORMAT,
+    version: SYNC_VERSION,
+    deviceId: getDeviceId(),
+    exportedAt: new Date().toISOString(),
+    changes,
+  };
+}
+
+async function getSyncStatus() {
+  await flushChanges();
+  const changes = await dbGetAll(STORES.CHANGE_LOG);
+  const devices = new Set(changes.map((c) => c.deviceId));
+  devices.add(getDeviceId());
+  return { deviceId: getDeviceId(), changeCount: changes.length, deviceCount: devices.size };
+}
+
+/**
+ * Merge another device's payload into this one, in one transaction:
+ * 1. Entries not yet in the log are added.
+ * 2. Every record they touch is rebuilt from all its entries in timestamp order
+ *    (last writer wins per field; a delete wins over earlier edits).
+ * 3. Budgeted transactions generated on both devices for the same item and date
+ *    are collapsed to one.
+ * Returns { received, added, updated, duplicates }.
+ */
+async function mergeChangeLog(payload, tag = null) {
+  let incoming = readPayload(payload);
+  await flushChanges();
+  if ((payload.version ?? 1) < 2) incoming = await changesToMinorUnits(incoming);
+
+  return runBatch([STORES.CHANGE_LOG, ...SYNCED_STORES], async (batch) => {
+    const records = new Map(); // "store/id" → { storeName, recordId }
+    let added = 0;
+    let latest = 0;
+    for (const entry of incoming) {
+      if (await batch.get(STORES.CHANGE_LOG, entry.id)) continue;
+      await batch.add(STORES.CHANGE_LOG, entry);
+      records.set(`${entry.storeName}/${entry.recordId}`, { storeName: entry.storeName, recordId: entry.recordId });
+      latest = Math.max(latest, entry.ts);
+      added++;
+    }
+    if (added === 0) return { received: incoming.length, added: 0, updated: 0, duplicates: 0 };
+    observeTimestamp(latest);
+
+    let updated = 0;
+    const transactions = [];
+    for (const { storeName, recordId } of records.values()) {
+      const entries = await batch.getByIndex(STORES.CHANGE_LOG, 'record', [storeName, recordId]);
+      const local = await batch.get(storeName, recordId);
+      const merged = foldChanges(entries, local);
+      if (merged) {
+        const problems = validateRecord(ENTITY_BY_STORE[storeName], merged);
+        if (problems.length > 0) {
+          const name = merged.name || merged.snapshotName || recordId;
+          throw new Error(`${ENTITY_LABELS[storeName]} "${name}": ${problems[0]}`);
+        }
+      }
+      if (canonicalJSON(merged) === canonicalJSON(local)) continue;
+
+      if (merged) await batch.put(storeName, merged);
+      else await batch.delete(storeName, recordId);
+      updated++;
+      if (merged && storeName === STORES.TRANSACTIONS) transactions.push(merged);
+    }
+
+    const duplicates = await removeDuplicateTransactions(batch, transactions);
+    return { received: incoming.length, added, updated, duplicates };
+  }, withoutChangeLog(tag));
+}
+
+/**
+ * Changes from a version 1 payload with their amounts in minor units. The
+ * currency of each record is looked up in this device's records, or in the
+ * payload's own creates for records this device doesn't have yet.
+ */
+async function changesToMinorUnits(changes) {
+  const lists = {};
+  for (const [storeName, key] of [
+    [STORES.PROFILES, 'profiles'], [STORES.BUDGET_ITEMS, 'budgetItems'], [STORES.TRANSACTIONS, 'transactions'], [STORES.GOALS, 'goals'],
+  ]) {
+    const created = changes.filter((c) => c.storeName === storeName && c.op === CHANGE_OP.CREATE).map((c) => c.fields);
+    lists[key] = [...created, ...await dbGetAll(storeName)];
+  }
+  const resolve = createCurrencyResolver(lists, getBaseCurrency(null));
+
+  return changes.map((change) => {
+    const entity = ENTITY_BY_STORE[change.storeName];
+    if (change.op === CHANGE_OP.DELETE) return change;
+    const currency = resolve(entity, { id: change.recordId, ...change.fields });
+    return { ...change, fields: recordToMinorUnits(entity, change.fields, currency) };
+  });
+}
+
+/**
+ * Rebuild a record from its log entries. Updates only apply to a record that
+ * exists at that point, so an edit made on one device after another device
+ * deleted the record is dropped (the tombstone wins); a later create — a trash
+ * restore or an undo — brings it back. Records with only updates in the log
+ * start from the local copy.
+ */
+function foldChanges(entries, local) {
+  const sorted = [...entries].sort(compareChanges);
+  let record = sorted.some((e) => e.op !== CHANGE_OP.UPDATE) ? null : local;
+  for (const entry of sorted) {
+    if (entry.op === CHANGE_OP.DELETE) {
+      record = null;
+    } else if (entry.op === CHANGE_OP.CREATE) {
+      record = structuredClone(entry.fields);
+    } else if (record) {
+      record = { ...record, ...structuredClone(entry.fields) };
+      for (const field of entry.unset || []) delete record[field];
+    }
+  }
+  return record;
+}
+
+/**
+ * Each device generates its own copy of a month's budgeted transactions, with
+ * its own ids. Keep one per item and date: the one with the most progress
+ * (settled, then with payments or an actual amount), ties to the smaller id so
+ * every device keeps the same one. The others are deleted and logged.
+ */
+async function removeDuplicateTransactions(batch, transactions) {
+  const checked = new Set();
+  let removed = 0;
+  for (const txn of transactions) {
+    const key = `${txn.budgetItemId}|${txn.date}`;
+    if (!txn.budgetItemId || checked.has(key)) continue;
+    checked.add(key);
+
+    const copies = (await batch.getByIndex(STORES.TRANSACTIONS, 'budgetItemId', txn.budgetItemId))
+      .filter((t) => t.date === txn.date)
+      .sort((a, b) => progress(b) - progress(a) || a.id.localeCompare(b.id));
+    for (const copy of copies.slice(1)) {
+      await batch.delete(STORES.TRANSACTIONS, copy.id);
+      await batch.add(STORES.CHANGE_LOG, createChange({
+        deviceId: getDeviceId(),
+        ts: nextTimestamp(),
+        storeName: STORES.TRANSACTIONS,
+        recordId: copy.id,
+        op: CHANGE_OP.DELETE,
+      }));
+      removed++;
+    }
+  }
+  return removed;
+}
+
+function progress(txn) {
+  if (txn.status !== TX_STATUS.PENDING) return 2;
+  return (txn.payments && txn.payments.length > 0) || txn.actualAmount != null ? 1 : 0;
+}
+
+function compareChanges(a, b) {
+  return a.ts - b.ts || a.deviceId.localeCompare(b.deviceId) || a.id.localeCompare(b.id);
+}
+
+/**
+ * Copy of a write tag (db.js) whose writes are not logged, e.g.
+ * `dbClearAll(withoutChangeLog(tag))`. Used by merges and by Clear All Data,
+ * which empties the log too: clearing this device is not sent to the others.
+ */
+function withoutChangeLog(tag = null) {
+  return { ...tag, changeLog: false };
+}
+
+// ===== Payload =====
+
+function isSyncPayload(data) {
+  return !!data && typeof data === 'object' && data.format === SYNC_FORMAT;
+}
+
+// Check a payload's shape and return its changes; throws before anything is written
+function readPayload(data) {
+  if (!isSyncPayload(data)) throw new Error('Not a tickyourbudget sync file');
+  if (data.version > SYNC_VERSION) {
+    throw new Error('This sync file was made by a newer version of the app. Update the app to sync.');
+  }
+  if (!Array.isArray(data.changes)) throw new Error('The sync file has no change list');
+  data.changes.forEach((change, i) => {
+    const problem = checkChange(change);
+    if (problem) throw new Error(`Change #${i + 1}: ${problem}`);
+  });
+  return data.changes;
+}
+
+function checkChange(change) {
+  if (!change || typeof change !== 'object') return 'is not an object';
+  for (const field of ['id', 'deviceId', 'recordId']) {
+    if (typeof change[field] !== 'string' || !change[field]) return `${field} is required`;
+  }
+  if (typeof change.ts !== 'number' || !Number.isFinite(change.ts)) return 'ts must be a number';
+  if (!SYNCED_STORES.includes(change.storeName)) return `unknown store "${change.storeName}"`;
+  if (!Object.values(CHANGE_OP).includes(change.op)) return `unknown op "${change.op}"`;
+  if (change.op !== CHANGE_OP.DELETE) {
+    if (!change.fields || typeof change.fields !== 'object' || Array.isArray(change.fields)) return 'fields are required';
+    if (change.op === CHANGE_OP.CREATE && change.fields.id !== change.recordId) return 'fields.id does not match recordId';
+  }
+  if (change.unset !== undefined && !Array.isArray(change.unset)) return 'unset must be a list';
+  return null;
+}
+
+/**
+ * Sync payload as one line of text for copy & paste (chat, notes, e-mail):
+ * "TYBSYNC1:" + base64 of the gzipped JSON.
+ */
+async function encodeSyncText(payload) {
+  const json = new TextEncoder().encode(JSON.stringify(payload));
+  const gzipped = await new Response(
+    new Response(json).body.pipeThrough(new CompressionStream('gzip'))
+  ).arrayBuffer();
+  return TEXT_PREFIX + toBase64(new Uint8Array(gzipped));
+}
+
+async function decodeSyncText(text) {
+  const compact = text.replace(/\s+/g, '');
+  if (!compact.startsWith(TEXT_PREFIX)) throw new Error(`Sync text should start with "${TEXT_PREFIX}"`);
+  try {
+    const gzipped = fromBase64(compact.slice(TEXT_PREFIX.length));
+    const json = await new Response(
+      new Response(gzipped).body.pipeThrough(new DecompressionStream('gzip'))
+    ).text();
+    return JSON.parse(json);
+  } catch (err) {
+    throw new Error('The sync text is incomplete or damaged');
+  }
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  // Chunked — String.fromCharCode(...bytes) overflows the stack on large logs
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(str) {
+  const binary = atob(str);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+export {
+  getDeviceId,
+  initSync,
+  exportChangeLog,
+  createSyncPayload,
+  getSyncStatus,
+  mergeChangeLog,
+  withoutChangeLog,
+  isSyncPayload,
+  encodeSyncText,
+  decodeSyncText,
+};
@@ -2,23 +2,63 @@
 
 import {
   FREQUENCY,
+  SHIFT_POLICY,
+  RECURRENCE_UNIT,
+  MONTH_DAY_RULE,
+  ITEM_TYPE,
   TX_STATUS,
+  TRASH_KIND,
   createTransaction,
+  getSettledStatus,
+  getPaymentsTotal,
+  getTransactionAmount,
+  isSettled,
+  isAdHoc,
+  isLoan,
+  toISODate,
 } from './models.js';
 import {
   getProfileBudgetItems,
   getTransactionsForMonth,
   dbAdd,
   dbPut,
-  dbDelete,
+  dbGet,
+  dbGetByIndex,
   STORES,
 } from './db.js';
+import { moveToTrash } from './trash.js';
+import { getHolidaySet, isBusinessDay, shiftToBusinessDay } from './holidays.js';
+import { getAmortizationSchedule, getPaymentNumber } from './loan.js';
 
 /**
  * Determines if a budget item should produce an occurrence in the given month.
- * Returns an array of dates (YYYY-MM-DD strings) on which it occurs.
+ * Returns an array of dates (YYYY-MM-DD strings) on which it occurs, after
+ * applying the item's weekend/holiday shift policy.
+ * `holidays` is an optional Set of YYYY-MM-DD strings (see getHolidaySet).
  */
-function getOccurrencesInMonth(item, year, month) {
+function getOccurrencesInMonth(item, year, month, holidays = null) {
+  if (!item.shiftPolicy || item.shiftPolicy === SHIFT_POLICY.NONE) {
+    return getScheduledOccurrencesInMonth(item, year, month, holidays);
+  }
+
+  // A shifted date can cross a month boundary (e.g. Sun 1st → Fri 30th),
+  // so look at the neighbouring months too and keep what lands in this one.
+  const prefix = toISODate(new Date(year, month, 1)).substring(0, 7);
+  const dates = new Set();
+  for (let offset = -1; offset <= 1; offset++) {
+    const cursor = new Date(year, month + offset, 1);
+    for (const d of getScheduledOccurrencesInMonth(item, cursor.getFullYear(), cursor.getMonth(), holidays)) {
+      const shifted = shiftToBusinessDay(d, item.shiftPolicy, holidays);
+      if (shifted.startsWith(prefix)) dates.add(shifted);
+    }
+  }
+  return [...dates].sort();
+}
+
+/**
+ * Occurrence dates as scheduled by the item's frequency, before any shifting.
+ */
+function getScheduledOccurrencesInMonth(item, year, month, holidays = null) {
   const startDate = new Date(item.startDate + 'T00:00:00');
   const monthStart = new Date(year, month, 1);
   const monthEnd = new Date(year, month + 1, 0); // last day of month
@@ -49,42 +89,19 @@ function getOccurrencesInMonth(item, year, month) {
       const day = Math.min(startDate.getDate(), monthEnd.getDate());
       const occDate = new Date(year, month, day);
       if (occDate >= startDate) {
-        dates.push(formatDateISO(occDate));
+        dates.push(toISODate(occDate));
       }
       break;
     }
 
     case FREQUENCY.WEEKLY: {
       // Every 7 days from start
-      let cursor = new Date(startDate);
-      // Fast-forward to the beginning of the target month or just before
-      if (cursor < monthStart) {
-        const daysDiff = Math.floor((monthStart - cursor) / 86400000);
-        const weeksBehind = Math.floor(daysDiff / 7);
-        cursor = new Date(cursor.getTime() + weeksBehind * 7 * 86400000);
-      }
-      while (cursor <= monthEnd) {
-        if (cursor >= monthStart && cursor >= startDate) {
-          dates.push(formatDateISO(cursor));
-        }
-        cursor = new Date(cursor.getTime() + 7 * 86400000);
-      }
+      dates.push(...getIntervalOccurrences(startDate, 7, monthStart, monthEnd));
       break;
     }
 
     case FREQUENCY.BI_WEEKLY: {
-      let cursor = new Date(startDate);
-      if (cursor < monthStart) {
-        const daysDiff = Math.floor((monthStart - cursor) / 86400000);
-        const periodsBehind = Math.floor(daysDiff / 14);
-        cursor = new Date(cursor.getTime() + periodsBehind * 14 * 86400000);
-      }
-      while (cursor <= monthEnd) {
-        if (cursor >= monthStart && cursor >= startDate) {
-          dates.push(formatDateISO(cursor));
-        }
-        cursor = new Date(cursor.getTime() + 14 * 86400000);
-      }
+      dates.push(...getIntervalOccurrences(startDate, 14, monthStart, monthEnd));
       break;
     }
 
@@ -95,7 +112,7 @@ function getOccurrencesInMonth(item, year, month) {
       const diff = targetMonth - startMonth;
       if (diff >= 0 && diff % 3 === 0) {
         const day = Math.min(startDate.getDate(), monthEnd.getDate());
-        dates.push(formatDateISO(new Date(year, month, day)));
+        dates.push(toISODate(new Date(year, month, day)));
       }
       break;
     }
@@ -104,10 +121,15 @@ function getOccurrencesInMonth(item, year, month) {
       // Same month and day each year
       if (startDate.getMonth() === month && year >= startDate.getFullYear()) {
         const day = Math.min(startDate.getDate(), monthEnd.getDate());
-        dates.push(formatDateISO(new Date(year, month, day)));
+        dates.push(toISODate(new Date(year, month, day)));
       }
       break;
     }
+
+    case FREQUENCY.CUSTOM: {
+      dates.push(...getCustomOccurrences(item.recurrence, startDate, year, month, holidays));
+      break;
+    }
   }
 
   // Filter out occurrences after endDate
@@ -118,11 +140,107 @@ function getOccurrencesInMonth(item, year, month) {
   return dates;
 }
 
-function formatDateISO(date) {
-  const y = date.getFullYear();
-  const m = String(date.getMonth() + 1).padStart(2, '0');
-  const d = String(date.getDate()).padStart(2, '0');
-  return `${y}-${m}-${d}`;
+/**
+ * Dates every `periodDays` days from startDate that fall within [monthStart, monthEnd].
+ * Uses calendar-day arithmetic so DST changes never shift an occurrence.
+ */
+function getIntervalOccurrences(startDate, periodDays, monthStart, monthEnd) {
+  const dates = [];
+  let offset = 0;
+  // Fast-forward to the beginning of the target month or just before
+  if (startDate < monthStart) {
+    const daysDiff = Math.round((monthStart - startDate) / 86400000);
+    offset = Math.floor(daysDiff / periodDays) * periodDays;
+  }
+  let cursor = addDays(startDate, offset);
+  while (cursor <= monthEnd) {
+    if (cursor >= monthStart) {
+      dates.push(toISODate(cursor));
+    }
+    offset += periodDays;
+    cursor = addDays(startDate, offset);
+  }
+  return dates;
+}
+
+/**
+ * Occurrences of a custom recurrence rule in the given month.
+ * Day/week rules repeat every N days from the start date; month/year rules
+ * pick a day inside every Nth month (same day, nth weekday, last day or
+ * last business day).
+ */
+function getCustomOccurrences(rule, startDate, year, month, holidays = null) {
+  if (!rule) return [];
+  const interval = Math.max(1, rule.interval || 1);
+  const monthStart = new Date(year, month, 1);
+  const monthEnd = new Date(year, month + 1, 0);
+
+  if (rule.unit === RECURRENCE_UNIT.DAY || rule.unit === RECURRENCE_UNIT.WEEK) {
+    const periodDays = rule.unit === RECURRENCE_UNIT.WEEK ? interval * 7 : interval;
+    return getIntervalOccurrences(startDate, periodDays, monthStart, monthEnd);
+  }
+
+  // Month / year rules: only every Nth month counted from the start month
+  const step = rule.unit === RECURRENCE_UNIT.YEAR ? interval * 12 : interval;
+  const diff = (year * 12 + month) - (startDate.getFullYear() * 12 + startDate.getMonth());
+  if (diff < 0 || diff % step !== 0) return [];
+
+  const occDate = getRuleDayInMonth(rule, startDate, year, month, holidays);
+  if (!occDate || occDate < startDate) return [];
+  return [toISODate(occDate)];
+}
+
+function getRuleDayInMonth(rule, startDate, year, month, holidays) {
+  const lastDay = new Date(year, month + 1, 0).getDate();
+
+  switch (rule.monthDay) {
+    case MONTH_DAY_RULE.NTH_WEEKDAY: {
+      if (rule.nth === -1) {
+        // Last <weekday> of the month
+        const last = new Date(year, month, lastDay);
+        const back = (last.getDay() - rule.weekday + 7) % 7;
+        return new Date(year, month, lastDay - back);
+      }
+      const first = new Date(year, month, 1);
+      const firstMatch = 1 + ((rule.weekday - first.getDay() + 7) % 7);
+      const day = firstMatch + (rule.nth - 1) * 7;
+      return day <= lastDay ? new Date(year, month, day) : null;
+    }
+
+    case MONTH_DAY_RULE.LAST_DAY:
+      return new Date(year, month, lastDay);
+
+    case MONTH_DAY_RULE.LAST_BUSINESS_DAY: {
+      let day = lastDay;
+      while (day > 1 && !isBusinessDay(new Date(year, month, day), holidays)) day--;
+      return new Date(year, month, day);
+    }
+
+    default:
+      // Same day as the start date (clamped to month length)
+      return new Date(year, month, Math.min(startDate.getDate(), lastDay));
+  }
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Next `count` occurrence dates of a budget item on or after `fromDate` (YYYY-MM-DD).
+ * Walks forward month by month (at most `maxMonths`) — used for rule previews.
+ */
+function getNextOccurrences(item, fromDate, count = 5, maxMonths = 60, holidays = null) {
+  const from = new Date(fromDate + 'T00:00:00');
+  const results = [];
+  for (let i = 0; i < maxMonths && results.length < count; i++) {
+    const cursor = new Date(from.getFullYear(), from.getMonth() + i, 1);
+    const dates = getOccurrencesInMonth(item, cursor.getFullYear(), cursor.getMonth(), holidays);
+    for (const d of dates) {
+      if (d >= fromDate && results.length < count) results.push(d);
+    }
+  }
+  return results;
 }
 
 /**
@@ -131,14 +249,39 @@ function formatDateISO(date) {
  * - Uses count-based dedup: if a budget item already has enough transactions
  *   for this month (matching expected occurrence count), no new ones are created.
  *   This prevents duplicates when an item's start date is changed.
+ * - Applies each item's weekend/holiday shift policy using the profile's holidays.
+ * - Loan items follow their amortization schedule: nothing after the payoff,
+ *   and the last payment is only what is left.
  * - Does NOT delete transactions for removed budget items (orphan preservation).
  * Returns the full list of transactions for the month.
  */
 async function generateTransactionsForMonth(profileId, year, month) {
   const budgetItems = await getProfileBudgetItems(profileId);
   const existingTxns = await getTransactionsForMonth(profileId, year, month);
+  const holidays = getHolidaySet(await dbGet(STORES.PROFILES, profileId));
+
+  const schedules = new Map();
+  for (const item of budgetItems.filter(isLoan)) {
+    schedules.set(item.id, getAmortizationSchedule(item, await dbGetByIndex(STORES.TRANSACTIONS, 'budgetItemId', item.id)));
+  }
+
+  const newTxns = planMonthTransactions(profileId, budgetItems, existingTxns, year, month, holidays, schedules);
+  for (const txn of newTxns) {
+    await dbAdd(STORES.TRANSACTIONS, txn);
+  }
 
+  // Return all transactions for the month (existing + newly created)
+  return [...existingTxns, ...newTxns].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * The transactions generateTransactionsForMonth() would create for a month,
+ * without saving them — also used to project future months in Reports.
+ * `schedules` maps each loan item's id to its amortization schedule.
+ */
+function planMonthTransactions(profileId, budgetItems, existingTxns, year, month, holidays = null, schedules = new Map()) {
   // Count existing transactions per budgetItemId for this month
+  // (ad-hoc transactions have no budgetItemId and never match an item)
   const existingCountByItem = new Map();
   const existingKeys = new Set();
   for (const t of existingTxns) {
@@ -149,7 +292,11 @@ async function generateTransactionsForMonth(profileId, year, month) {
   const newTxns = [];
 
   for (const item of budgetItems) {
-    const occurrences = getOccurrencesInMonth(item, year, month);
+    const schedule = isLoan(item) ? schedules.get(item.id) || [] : null;
+    // Nothing planned, nothing to tick (e.g. a reached goal's contribution)
+    if (!schedule && item.amount === 0) continue;
+    const occurrences = getOccurrencesInMonth(item, year, month, holidays)
+      .filter((date) => !schedule || getPaymentNumber(item, date) <= schedule.length);
     const existingCount = existingCountByItem.get(item.id) || 0;
     // Only create if there are fewer existing transactions than expected occurrences
     let remaining = occurrences.length - existingCount;
@@ -158,56 +305,157 @@ async function generateTransactionsForMonth(profileId, year, month) {
       if (remaining <= 0) break;
       const key = `${item.id}|${date}`;
       if (!existingKeys.has(key)) {
-        const txn = createTransaction({
+        newTxns.push(createTransaction({
           budgetItemId: item.id,
           profileId,
           date,
-          amount: item.amount,
+          amount: schedule ? schedule[getPaymentNumber(item, date) - 1].payment : item.amount,
           name: item.name,
-        });
-        await dbAdd(STORES.TRANSACTIONS, txn);
-        newTxns.push(txn);
+          type: item.type || ITEM_TYPE.EXPENSE,
+          currency: item.currency || null,
+        }));
         remaining--;
       }
     }
   }
 
-  // Return all transactions for the month (existing + newly created)
-  return [...existingTxns, ...newTxns].sort((a, b) => a.date.localeCompare(b.date));
+  return newTxns;
+}
+
+/**
+ * The transactions budget items would still add from `from` to `to` (YYYY-MM-DD,
+ * inclusive), month by month via planMonthTransactions() — nothing is saved.
+ * `transactions` are the profile's recorded ones: each month is planned on top
+ * of them, and loan schedules are worked out from them.
+ */
+function planTransactionsForRange(profileId, budgetItems, transactions, from, to, holidays = null) {
+  const schedules = new Map();
+  for (const item of budgetItems.filter(isLoan)) {
+    schedules.set(item.id, getAmortizationSchedule(item, transactions.filter((t) => t.budgetItemId === item.id)));
+  }
+
+  const planned = [];
+  let year = parseInt(from.substring(0, 4), 10);
+  let month = parseInt(from.substring(5, 7), 10) - 1;
+  const lastMonth = to.substring(0, 7);
+  for (let key = from.substring(0, 7); key <= lastMonth; key = toMonthKey(year, month)) {
+    const existing = transactions.filter((t) => t.date.startsWith(`${key}-`));
+    for (const txn of planMonthTransactions(profileId, budgetItems, existing, year, month, holidays, schedules)) {
+      if (txn.date >= from && txn.date <= to) planned.push(txn);
+    }
+    month++;
+    if (month > 11) {
+      month = 0;
+      year++;
+    }
+  }
+  return planned.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function toMonthKey(year, month) {
+  return `${year}-${String(month + 1).padStart(2, '0')}`;
 }
 
 /**
- * Toggle a transaction's status between Pending and Paid.
+ * Toggle a transaction's status between Pending and its settled state
+ * (Paid for expenses, Received for income).
  */
-async function toggleTransactionStatus(transaction) {
+async function toggleTransactionStatus(transaction, tag = null) {
   transaction.status =
-    transaction.status === TX_STATUS.PAID ? TX_STATUS.PENDING : TX_STATUS.PAID;
-  await dbPut(STORES.TRANSACTIONS, transaction);
+    isSettled(transaction) ? TX_STATUS.PENDING : getSettledStatus(transaction);
+  await dbPut(STORES.TRANSACTIONS, transaction, tag);
   return transaction;
 }
 
 /**
- * Update a transaction's snapshot amount.
+ * Record a transaction's actual amount (minor units). The planned `snapshotAmount`
+ * is kept (entering the planned amount again clears the actual). Ad-hoc
+ * transactions have no plan, so their amount is simply replaced.
  * Only modifies the transaction — the source budget item is NOT changed.
  */
-async function updateTransactionAmount(transaction, newAmount) {
-  transaction.snapshotAmount = parseFloat(newAmount);
-  await dbPut(STORES.TRANSACTIONS, transaction);
+async function updateTransactionAmount(transaction, newAmount, tag = null) {
+  setTransactionAmount(transaction, Math.round(newAmount));
+  await dbPut(STORES.TRANSACTIONS, transaction, tag);
+  return transaction;
+}
+
+function setTransactionAmount(transaction, amount) {
+  if (isAdHoc(transaction)) {
+    transaction.snapshotAmount = amount;
+  } else {
+    transaction.actualAmount = amount === transaction.snapshotAmount ? null : amount;
+  }
+}
+
+/**
+ * Mark a transaction Paid/Received, e.g. when a bank statement line matches it.
+ * An `amount` that differs from the expected one is recorded as the actual amount;
+ * `statementId` remembers the statement entry so it isn't imported twice.
+ */
+async function settleTransaction(transaction, { amount = null, statementId = null } = {}, tag = null) {
+  if (statementId) transaction.statementId = statementId;
+  if (amount != null && amount !== getTransactionAmount(transaction)) {
+    setTransactionAmount(transaction, amount);
+  }
+  transaction.status = getSettledStatus(transaction);
+  await dbPut(STORES.TRANSACTIONS, transaction, tag);
   return transaction;
 }
 
+/**
+ * Record a (partial) payment against a transaction. The transaction becomes
+ * Paid/Received once its payments cover the amount; otherwise it stays Pending
+ * and shows as partially paid.
+ */
+async function recordPayment(transaction, payment, tag = null) {
+  transaction.payments = [...(transaction.payments || []), payment];
+  transaction.status = getStatusFromPayments(transaction);
+  await dbPut(STORES.TRANSACTIONS, transaction, tag);
+  return transaction;
+}
+
+/**
+ * Remove a payment from a transaction's history and re-derive its status.
+ */
+async function deletePayment(transaction, paymentId, tag = null) {
+  transaction.payments = (transaction.payments || []).filter((p) => p.id !== paymentId);
+  transaction.status = getStatusFromPayments(transaction);
+  await dbPut(STORES.TRANSACTIONS, transaction, tag);
+  return transaction;
+}
+
+function getStatusFromPayments(transaction) {
+  const total = getPaymentsTotal(transaction);
+  return total > 0 && total >= getTransactionAmount(transaction)
+    ? getSettledStatus(transaction)
+    : TX_STATUS.PENDING;
+}
+
 /**
  * Delete a single transaction.
  * Does NOT affect the source budget item or other transactions.
  */
-async function deleteTransaction(transactionId) {
-  await dbDelete(STORES.TRANSACTIONS, transactionId);
+async function deleteTransaction(transactionId, tag = null) {
+  const txn = await dbGet(STORES.TRANSACTIONS, transactionId);
+  if (!txn) return;
+  await moveToTrash({
+    kind: TRASH_KIND.TRANSACTION,
+    label: txn.snapshotName,
+    profileId: txn.profileId,
+    records: { [STORES.TRANSACTIONS]: [txn] },
+  }, tag);
 }
 
 export {
   getOccurrencesInMonth,
+  getNextOccurrences,
   generateTransactionsForMonth,
+  planMonthTransactions,
+  planTransactionsForRange,
   toggleTransactionStatus,
+  settleTransaction,
   updateTransactionAmount,
+  recordPayment,
+  deletePayment,
   deleteTransaction,
 };
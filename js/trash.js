@@ -0,0 +1,162 @@
+// js/trash.js — Soft delete: move records to the trash, restore them, purge old entries
+
+import { dbGetAll, dbClear, runBatch, STORES } from './db.js';
+import { createTrashEntry, TRASH_KIND } from './models.js';
+
+const RETENTION_KEY = 'tyb_trash_retention';
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Retention choices shown in Config (0 = keep until deleted by hand)
+const RETENTION_OPTIONS = [7, 30, 90, 365, 0];
+
+// Parents are restored before the records that point at them (and deleted after them)
+const RESTORE_ORDER = [
+  STORES.PROFILES, STORES.CATEGORIES, STORES.BUDGET_ITEMS, STORES.GOALS, STORES.TRANSACTIONS, STORES.EXCHANGE_RATES,
+];
+
+function getTrashRetentionDays() {
+  const days = parseInt(localStorage.getItem(RETENTION_KEY), 10);
+  return isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+}
+
+function setTrashRetentionDays(days) {
+  localStorage.setItem(RETENTION_KEY, String(days));
+}
+
+/**
+ * Delete records and keep a copy in the trash, in one transaction.
+ * `records` maps store name → records, e.g. { categories: [parent, ...children] },
+ * or is an async function `(batch) => records` that reads them in that same
+ * transaction (so records added meanwhile aren't left behind).
+ */
+async function moveToTrash({ kind, label, profileId = null, records }, tag = null) {
+  return runBatch([STORES.TRASH, ...RESTORE_ORDER], async (batch) => {
+    const trashed = typeof records === 'function' ? await records(batch) : records;
+    const entry = createTrashEntry({ kind, label, profileId, records: trashed });
+    await batch.add(STORES.TRASH, entry);
+    for (const storeName of [...RESTORE_ORDER].reverse()) {
+      for (const record of trashed[storeName] || []) {
+        await batch.delete(storeName, record.id);
+      }
+    }
+    return entry;
+  }, tag);
+}
+
+/**
+ * Put every record of a trash entry back and remove the entry.
+ * Throws when the entry's profile no longer exists.
+ */
+async function restoreFromTrash(entryId, tag = null) {
+  return runBatch([STORES.TRASH, ...RESTORE_ORDER], async (batch) => {
+    const entry = await batch.get(STORES.TRASH, entryId);
+    if (!entry) throw new Error('Already removed from the trash');
+
+    if (entry.kind !== TRASH_KIND.PROFILE && entry.profileId) {
+      const profile = await batch.get(STORES.PROFILES, entry.profileId);
+      if (!profile) {
+        const trashed = (await batch.getAll(STORES.TRASH)).find(
+          (e) => e.kind === TRASH_KIND.PROFILE && e.profileId === entry.profileId
+        );
+        throw new Error(trashed ? `Restore profile "${trashed.label}" first` : 'Its profile no longer exists');
+      }
+    }
+
+    const { records } = entry;
+    for (const storeName of RESTORE_ORDER) {
+      for (const record of records[storeName] || []) {
+        if (storeName === STORES.CATEGORIES && record.parentId) {
+          // A sub-category whose parent is gone comes back as a root category
+          const parentRestored = (records[STORES.CATEGORIES] || []).some((c) => c.id === record.parentId);
+          if (!parentRestored && !(await batch.get(STORES.CATEGORIES, record.parentId))) {
+            await batch.put(storeName, { ...record, parentId: null });
+            continue;
+          }
+        }
+        await batch.put(storeName, record);
+      }
+    }
+
+    const restoredTxns = records[STORES.TRANSACTIONS] || [];
+    await removeRegeneratedCopies(batch, restoredTxns, new Set(restoredTxns.map((t) => t.id)));
+    await batch.delete(STORES.TRASH, entryId);
+    return entry;
+  }, tag);
+}
+
+/**
+ * A deleted budgeted transaction is regenerated (with a new id) the next time
+ * its month is rendered. When the original comes back, drop that copy so the
+ * occurrence isn't listed twice. `keepIds` are transactions being restored.
+ * Runs inside the caller's runBatch() transaction.
+ */
+async function removeRegeneratedCopies(batch, restoredTxns, keepIds) {
+  for (const restored of restoredTxns) {
+    if (!restored.budgetItemId) continue;
+    const siblings = await batch.getByIndex(STORES.TRANSACTIONS, 'budgetItemId', restored.budgetItemId);
+    for (const txn of siblings) {
+      if (txn.date === restored.date && !keepIds.has(txn.id)) {
+        await batch.delete(STORES.TRANSACTIONS, txn.id);
+      }
+    }
+  }
+}
+
+// Newest first
+async function getTrashEntries() {
+  const entries = await dbGetAll(STORES.TRASH);
+  return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Permanently delete a trash entry. Deleting a profile's entry also drops the
+ * entries that belonged to it, since they can no longer be restored.
+ */
+async function deleteFromTrash(entryId, tag = null) {
+  await runBatch([STORES.TRASH], async (batch) => {
+    const entry = await batch.get(STORES.TRASH, entryId);
+    if (!entry) return;
+    await batch.delete(STORES.TRASH, entryId);
+    if (entry.kind === TRASH_KIND.PROFILE) {
+      for (const other of await batch.getAll(STORES.TRASH)) {
+        if (other.profileId === entry.profileId) await batch.delete(STORES.TRASH, other.id);
+      }
+    }
+  }, tag);
+}
+
+async function emptyTrash(tag = null) {
+  await dbClear(STORES.TRASH, tag);
+}
+
+/**
+ * Remove entries older than the retention period. Returns how many were removed.
+ */
+async function purgeExpiredTrash(now = Date.now()) {
+  const days = getTrashRetentionDays();
+  if (days === 0) return 0;
+  const cutoff = new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+  return runBatch([STORES.TRASH], async (batch) => {
+    let purged = 0;
+    for (const entry of await batch.getAll(STORES.TRASH)) {
+      if (entry.deletedAt < cutoff) {
+        await batch.delete(STORES.TRASH, entry.id);
+        purged++;
+      }
+    }
+    return purged;
+  });
+}
+
+export {
+  RETENTION_OPTIONS,
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  moveToTrash,
+  restoreFromTrash,
+  removeRegeneratedCopies,
+  getTrashEntries,
+  deleteFromTrash,
+  emptyTrash,
+  purgeExpiredTrash,
+};
@@ -0,0 +1,110 @@
+// js/undo.js — Undo/redo history over the db.js write helpers
+
+import { addWriteListener, runBatch, STORES } from './db.js';
+import { removeRegeneratedCopies } from './trash.js';
+
+const MAX_HISTORY = 50;
+
+let undoStack = [];
+let redoStack = [];
+let replayQueue = Promise.resolve(); // undo/redo run one at a time
+let onHistoryChange = null;
+
+// Only writes carrying a step's tag (see runUndoable()) are recorded, so writes
+// made meanwhile by anything else (transaction generation when a month is
+// rendered, a remote sync merge) stay out of the step. Replays are not tagged.
+// Snapshots and the sync change log sit outside the history and are never undone.
+const UNTRACKED_STORES = [STORES.SNAPSHOTS, STORES.CHANGE_LOG];
+
+addWriteListener((change) => {
+  const entry = change.tag && change.tag.undoStep;
+  if (!entry || entry.closed || UNTRACKED_STORES.includes(change.storeName)) return;
+  entry.changes.push(change);
+});
+
+function setUndoCallback(cb) {
+  onHistoryChange = cb;
+}
+
+/**
+ * Run `fn(tag)` as one undoable step. `fn` passes `tag` to the db.js write
+ * helpers (or the functions built on them) it calls; only writes carrying it
+ * are recorded. Other options can be added to a copy, e.g. `{ ...tag, x }`.
+ */
+async function runUndoable(label, fn) {
+  const entry = { label, changes: [], closed: false };
+  try {
+    return await fn({ undoStep: entry });
+  } finally {
+    entry.closed = true;
+    if (entry.changes.length > 0) {
+      undoStack.push({ label, changes: entry.changes });
+      if (undoStack.length > MAX_HISTORY) undoStack.shift();
+      redoStack = [];
+    }
+  }
+}
+
+/**
+ * Revert the most recent step. Returns its label, or null when there is nothing
+ * to undo. When the replay fails the step stays on the stack and the error is thrown.
+ */
+function undo() {
+  return queueReplay(undoStack, redoStack, 'undo');
+}
+
+/**
+ * Re-apply the most recently undone step. Returns its label, or null.
+ */
+function redo() {
+  return queueReplay(redoStack, undoStack, 'redo');
+}
+
+function queueReplay(from, to, action) {
+  const run = async () => {
+    const entry = from[from.length - 1];
+    if (!entry) return null;
+    if (action === 'undo') await replay([...entry.changes].reverse(), 'before', entry);
+    else await replay(entry.changes, 'after', entry);
+    // Moved only once the replay has committed
+    from.pop();
+    to.push(entry);
+    if (onHistoryChange) await onHistoryChange(action, entry);
+    return entry.label;
+  };
+  const result = replayQueue.then(run, run);
+  replayQueue = result.catch(() => {});
+  return result;
+}
+
+function canUndo() {
+  return undoStack.length > 0;
+}
+
+function canRedo() {
+  return redoStack.length > 0;
+}
+
+// A step is replayed in one transaction, so it is reverted (or re-applied) completely or not at all
+async function replay(changes, side, entry) {
+  const storeNames = [...new Set(changes.map((c) => c.storeName))];
+  await runBatch(storeNames, async (batch) => {
+    for (const change of changes) {
+      const record = change[side];
+      if (record) {
+        await batch.put(change.storeName, record);
+        if (side === 'before' && !change.after && change.storeName === STORES.TRANSACTIONS) {
+          await removeRegeneratedCopies(batch, [record], transactionKeys(entry));
+        }
+      } else {
+        await batch.delete(change.storeName, change.key);
+      }
+    }
+  });
+}
+
+function transactionKeys(entry) {
+  return new Set(entry.changes.filter((c) => c.storeName === STORES.TRANSACTIONS).map((c) => c.key));
+}
+
+export { runUndoable, undo, redo, canUndo, canRedo, setUndoCallback };
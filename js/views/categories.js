@@ -1,7 +1,16 @@
 // js/views/categories.js — Categories management view
 
-import { getProfileCategories, dbAdd, dbPut, dbDelete, dbGetByIndex, STORES } from '../db.js';
-import { createCategory } from '../models.js';
+import {
+  getProfileCategories, getProfileBudgetItems, getProfileTransactions, getProfileExchangeRates,
+  dbAdd, dbGet, dbGetByIndex, runBatch, STORES,
+} from '../db.js';
+import { createCategory, formatCurrency, getMonthLabel, isAdHoc, TRASH_KIND } from '../models.js';
+import { moveToTrash } from '../trash.js';
+import { generateTransactionsForMonth } from '../transaction-engine.js';
+import { computeCategoryLimits, getLimitPercent } from '../category-limits.js';
+import { getBaseCurrency, convertTransactions } from '../currency.js';
+import { parseMoney, formatMoneyInput, getMoneyStep } from '../money.js';
+import { runUndoable, undo } from '../undo.js';
 import { getActiveProfileId } from '../components/profile.js';
 import { openModal, showConfirm } from '../components/modal.js';
 import { showToast } from '../components/toast.js';
@@ -33,6 +42,16 @@ async function renderCategories() {
 
   emptyState.classList.add('hidden');
 
+  // Spent vs. limit for the current month
+  const now = new Date();
+  const budgetItems = await getProfileBudgetItems(profileId);
+  const transactions = await generateTransactionsForMonth(profileId, now.getFullYear(), now.getMonth());
+  // Limits are in the base currency, so other currencies are converted first
+  const baseCurrency = getBaseCurrency(await dbGet(STORES.PROFILES, profileId));
+  const { converted } = convertTransactions(transactions, baseCurrency, await getProfileExchangeRates(profileId));
+  const limits = computeCategoryLimits(categories, budgetItems, converted);
+  const monthLabel = getMonthLabel(now.getFullYear(), now.getMonth());
+
   // Build parent-child structure
   const parents = categories.filter((c) => !c.parentId);
   const childMap = new Map();
@@ -46,14 +65,14 @@ async function renderCategories() {
   let html = '';
   for (const parent of parents) {
     const children = childMap.get(parent.id) || [];
-    html += renderCategoryNode(parent, children);
+    html += renderCategoryNode(parent, children, limits, monthLabel);
   }
 
   // Orphan sub-categories (parent was deleted)
   const parentIds = new Set(parents.map((p) => p.id));
   const orphans = categories.filter((c) => c.parentId && !parentIds.has(c.parentId));
   for (const orphan of orphans) {
-    html += renderCategoryNode(orphan, []);
+    html += renderCategoryNode(orphan, [], limits, monthLabel);
   }
 
   container.innerHTML = html;
@@ -74,16 +93,18 @@ async function renderCategories() {
   });
 }
 
-function renderCategoryNode(category, children) {
+function renderCategoryNode(category, children, limits, monthLabel) {
   let childrenHTML = '';
   if (children.length > 0) {
     childrenHTML = `<ul class="category-children">`;
     for (const child of children) {
+      const childLimit = limits.get(child.id);
       childrenHTML += `
-        <li class="category-node" data-cat-id="${child.id}">
+        <li class="category-node${childLimit.over ? ' category-node--over' : ''}" data-cat-id="${child.id}">
           <div class="category-node__header">
             <span class="category-node__name">${escapeHTML(child.name)}</span>
             ${child.description ? `<span class="category-node__desc" title="${escapeAttr(child.description)}">${escapeHTML(child.description)}</span>` : ''}
+            ${renderLimitMeter(childLimit, monthLabel)}
             <div class="category-node__actions">
               <button class="btn-icon" data-action="edit" title="Edit">
                 <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
@@ -105,11 +126,13 @@ function renderCategoryNode(category, children) {
     childrenHTML += `</ul>`;
   }
 
+  const limit = limits.get(category.id);
   return `
-    <li class="category-node" data-cat-id="${category.id}">
+    <li class="category-node${limit.over ? ' category-node--over' : ''}" data-cat-id="${category.id}">
       <div class="category-node__header">
         <span class="category-node__name">${escapeHTML(category.name)}</span>
         ${category.description ? `<span class="category-node__desc" title="${escapeAttr(category.description)}">${escapeHTML(category.description)}</span>` : ''}
+        ${renderLimitMeter(limit, monthLabel)}
         <div class="category-node__actions">
           ${!category.parentId ? `
           <button class="btn-icon" data-action="add-sub" title="Add sub-category">
@@ -138,10 +161,26 @@ function renderCategoryNode(category, children) {
   `;
 }
 
+/**
+ * Spent-vs-limit meter for a category header (empty when no limit applies).
+ */
+function renderLimitMeter(limit, monthLabel) {
+  if (limit.limit == null) return '';
+  const title = `${monthLabel}: ${formatCurrency(limit.spent)} of ${formatCurrency(limit.limit)}${limit.over ? ' — over budget' : ''}`;
+  return `
+    <span class="limit-meter${limit.over ? ' limit-meter--over' : ''}" title="${escapeAttr(title)}">
+      <span class="limit-meter__text">${formatCurrency(limit.spent)} / ${formatCurrency(limit.limit)}</span>
+      <span class="limit-meter__bar"><span class="limit-meter__fill" style="width:${getLimitPercent(limit)}%"></span></span>
+    </span>
+  `;
+}
+
 async function handleDeleteCategory(category, allCategories) {
   // Check if any budget items use this category
   const items = await dbGetByIndex(STORES.BUDGET_ITEMS, 'categoryId', category.id);
   const children = allCategories.filter((c) => c.parentId === category.id);
+  const adHocTxns = (await getProfileTransactions(category.profileId))
+    .filter((t) => isAdHoc(t) && t.categoryId === category.id);
 
   let message = `Delete category "${category.name}"?`;
   if (children.length > 0) {
@@ -150,6 +189,9 @@ async function handleDeleteCategory(category, allCategories) {
   if (items.length > 0) {
     message += ` ${items.length} budget item(s) use this category and will become uncategorized.`;
   }
+  if (adHocTxns.length > 0) {
+    message += ` ${adHocTxns.length} one-off transaction(s) will become uncategorized.`;
+  }
 
   const confirmed = await showConfirm('Delete Category', message, {
     danger: true,
@@ -158,13 +200,20 @@ async function handleDeleteCategory(category, allCategories) {
 
   if (!confirmed) return;
 
-  // Delete children first
-  for (const child of children) {
-    await dbDelete(STORES.CATEGORIES, child.id);
-  }
-  await dbDelete(STORES.CATEGORIES, category.id);
-
-  showToast(`"${category.name}" deleted`, 'success');
+  // Sub-categories go to the trash with their parent and come back with it
+  await runUndoable(`Delete "${category.name}"`, (tag) => moveToTrash({
+    kind: TRASH_KIND.CATEGORY,
+    label: category.name,
+    profileId: category.profileId,
+    records: async (batch) => ({
+      [STORES.CATEGORIES]: [
+        category,
+        ...(await batch.getByIndex(STORES.CATEGORIES, 'parentId', category.id)),
+      ],
+    }),
+  }, tag));
+
+  showToast(`"${category.name}" moved to trash`, 'success', { actionText: 'Undo', onAction: undo });
   renderCategories();
 }
 
@@ -182,6 +231,9 @@ async function openCategoryForm(existingCategory = null, parentId = null) {
       ? 'Add Sub-category'
       : 'Add Category';
 
+  // Limits are in the profile's base currency
+  const baseCurrency = getBaseCurrency(await dbGet(STORES.PROFILES, profileId));
+
   // Build parent dropdown options for moving categories
   const allCategories = await getProfileCategories(profileId);
   const currentParentId = isEdit ? existingCategory.parentId : parentId;
@@ -216,6 +268,10 @@ async function openCategoryForm(existingCategory = null, parentId = null) {
         <label for="catDesc">Description</label>
         <input type="text" id="catDesc" maxlength="200" value="${existingCategory ? escapeAttr(existingCategory.description || '') : ''}" placeholder="Optional description">
       </div>
+      <div class="form-group">
+        <label for="catLimit">Monthly Limit <small style="color:var(--text-muted);font-weight:400;">(optional)</small></label>
+        <input type="number" id="catLimit" step="${getMoneyStep(baseCurrency)}" min="0" value="${existingCategory && existingCategory.monthlyLimit != null ? formatMoneyInput(existingCategory.monthlyLimit, baseCurrency) : ''}" placeholder="No limit">
+      </div>
       <button type="submit" class="btn btn--primary">${isEdit ? 'Update Category' : 'Add Category'}</button>
     </form>
   `;
@@ -228,23 +284,32 @@ async function openCategoryForm(existingCategory = null, parentId = null) {
     const name = modal.overlay.querySelector('#catName').value.trim();
     const description = modal.overlay.querySelector('#catDesc').value.trim();
     const selectedParentId = modal.overlay.querySelector('#catParent').value || null;
+    const limitValue = modal.overlay.querySelector('#catLimit').value.trim();
+    const monthlyLimit = limitValue === '' ? null : parseMoney(limitValue, baseCurrency);
 
     if (!name) {
       showToast('Category name is required', 'error');
       return;
     }
 
+    if (limitValue !== '' && (monthlyLimit == null || monthlyLimit < 0)) {
+      showToast('Monthly limit must be a positive number', 'error');
+      return;
+    }
+
     if (isEdit) {
-      // If moving a root category to become a sub-category, re-parent its children to root
-      if (selectedParentId && !existingCategory.parentId) {
-        const children = allCategories.filter((c) => c.parentId === existingCategory.id);
-        for (const child of children) {
-          await dbPut(STORES.CATEGORIES, { ...child, parentId: null });
+      await runUndoable(`Edit "${name}"`, (tag) => runBatch([STORES.CATEGORIES], async (batch) => {
+        // If moving a root category to become a sub-category, re-parent its children to root
+        if (selectedParentId && !existingCategory.parentId) {
+          const children = await batch.getByIndex(STORES.CATEGORIES, 'parentId', existingCategory.id);
+          for (const child of children) {
+            await batch.put(STORES.CATEGORIES, { ...child, parentId: null });
+          }
         }
-      }
-      // If making a sub-category into root, that's fine — no children to worry about
-      const updated = { ...existingCategory, name, description, parentId: selectedParentId };
-      await dbPut(STORES.CATEGORIES, updated);
+        // If making a sub-category into root, that's fine — no children to worry about
+        const updated = { ...existingCategory, name, description, parentId: selectedParentId, monthlyLimit };
+        await batch.put(STORES.CATEGORIES, updated);
+      }, tag));
       showToast(`"${name}" updated`, 'success');
     } else {
       const category = createCategory({
@@ -252,8 +317,9 @@ async function openCategoryForm(existingCategory = null, parentId = null) {
         name,
         description,
         parentId: selectedParentId,
+        monthlyLimit,
       });
-      await dbAdd(STORES.CATEGORIES, category);
+      await runUndoable(`Add "${name}"`, (tag) => dbAdd(STORES.CATEGORIES, category, tag));
       showToast(`"${name}" added`, 'success');
     }
 
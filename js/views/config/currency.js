@@ -0,0 +1,169 @@
+// js/views/config/currency.js — Config → Base Currency & Exchange Rates sections
+
+import { dbAdd, dbGet, dbDelete, runBatch, getProfileExchangeRates, STORES } from '../../db.js';
+import { getBaseCurrency, convertAmount } from '../../currency.js';
+import { runUndoable, undo } from '../../undo.js';
+import { getActiveProfileId, getCurrency, setCurrency, pinProfileCurrencies, CURRENCY_OPTIONS } from '../../components/profile.js';
+import { showToast } from '../../components/toast.js';
+import { formatDate, createExchangeRate, getDisplayLocale } from '../../models.js';
+
+let onChange = null;
+
+// `onBaseCurrencyChange` re-renders the Config view: most sections show base-currency amounts
+function initCurrencySection(onBaseCurrencyChange) {
+  onChange = onBaseCurrencyChange;
+  initCurrencySelector();
+  initExchangeRates();
+}
+
+function renderCurrencySection() {
+  document.getElementById('currencySelect').value = getCurrency();
+  renderExchangeRates();
+}
+
+function initCurrencySelector() {
+  const select = document.getElementById('currencySelect');
+  const currentCurrency = getCurrency();
+
+  select.innerHTML = CURRENCY_OPTIONS.map(
+    c => `<option value="${c.code}" ${c.code === currentCurrency ? 'selected' : ''}>${c.symbol} — ${c.name} (${c.code})</option>`
+  ).join('');
+
+  select.addEventListener('change', (e) => {
+    setBaseCurrency(e.target.value);
+  });
+}
+
+/**
+ * Change the active profile's base currency. Items and transactions without a
+ * currency of their own were in the old base currency, so they keep it (and are
+ * converted from now on); those already in the new one drop theirs. The opening
+ * balance (at the rate for its date) and category limits (at today's) are in the
+ * base currency, so they are converted when a rate is known.
+ */
+async function setBaseCurrency(code) {
+  const profileId = getActiveProfileId();
+  if (!profileId || !(await dbGet(STORES.PROFILES, profileId))) {
+    setCurrency(code);
+    if (onChange) onChange();
+    return;
+  }
+
+  // Profiles without a base currency are pinned first, so undo has one to go back to
+  await pinProfileCurrencies();
+  const profile = await dbGet(STORES.PROFILES, profileId);
+  const previous = getBaseCurrency(profile);
+  if (code === previous) return;
+
+  // Without a rate an amount keeps its number, and the toast asks to check it
+  const rates = await getProfileExchangeRates(profileId);
+  const today = new Date().toISOString().split('T')[0];
+  const unconverted = new Set();
+  const convert = (amount, date, label) => {
+    if (amount == null) return amount;
+    const converted = convertAmount(amount, previous, code, date, rates);
+    if (converted != null) return converted;
+    unconverted.add(label);
+    return amount;
+  };
+  const openingBalance = convert(profile.openingBalance ?? null, profile.openingBalanceDate, 'the opening balance');
+
+  const stores = [STORES.BUDGET_ITEMS, STORES.TRANSACTIONS];
+  await runUndoable(`Set base currency to ${code}`, (tag) => runBatch([STORES.PROFILES, STORES.CATEGORIES, ...stores], async (batch) => {
+    for (const storeName of stores) {
+      for (const record of await batch.getByIndex(storeName, 'profileId', profileId)) {
+        if (!record.currency) await batch.put(storeName, { ...record, currency: previous });
+        else if (record.currency === code) await batch.put(storeName, { ...record, currency: null });
+      }
+    }
+    for (const category of await batch.getByIndex(STORES.CATEGORIES, 'profileId', profileId)) {
+      if (category.monthlyLimit == null) continue;
+      await batch.put(STORES.CATEGORIES, { ...category, monthlyLimit: convert(category.monthlyLimit, today, 'category limits') });
+    }
+    await batch.put(STORES.PROFILES, { ...profile, baseCurrency: code, openingBalance });
+  }, tag));
+  setCurrency(code);
+  if (onChange) onChange();
+  showToast(
+    unconverted.size > 0
+      ? `Base currency set to ${code} — no rate for ${[...unconverted].join(' and ')}, please check them`
+      : `Base currency set to ${code}`,
+    'success'
+  );
+}
+
+// ===== Exchange rates (per profile) =====
+
+function initExchangeRates() {
+  document.getElementById('rateDate').value = new Date().toISOString().split('T')[0];
+
+  document.getElementById('rateAddForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const profileId = getActiveProfileId();
+    const profile = profileId ? await dbGet(STORES.PROFILES, profileId) : null;
+    if (!profile) {
+      showToast('No profile selected', 'error');
+      return;
+    }
+    const currency = document.getElementById('rateCurrency').value;
+    const rateInput = document.getElementById('rateValue');
+    const rate = parseFloat(rateInput.value);
+    const date = document.getElementById('rateDate').value;
+    if (!currency || !(rate > 0) || !date) {
+      showToast('Enter a rate above 0 and a date', 'error');
+      return;
+    }
+
+    const baseCurrency = getBaseCurrency(profile);
+    const record = createExchangeRate({ profileId, currency, baseCurrency, date, rate });
+    await runUndoable(`Add ${currency} exchange rate`, (tag) => dbAdd(STORES.EXCHANGE_RATES, record, tag));
+    rateInput.value = '';
+    renderExchangeRates();
+    showToast(`1 ${currency} = ${formatRate(rate)} ${baseCurrency} from ${formatDate(date)}`, 'success');
+  });
+}
+
+async function renderExchangeRates() {
+  const list = document.getElementById('rateList');
+  const select = document.getElementById('rateCurrency');
+  const profileId = getActiveProfileId();
+  const profile = profileId ? await dbGet(STORES.PROFILES, profileId) : null;
+  const baseCurrency = getBaseCurrency(profile);
+  const rates = profile ? await getProfileExchangeRates(profileId) : [];
+
+  const selected = select.value;
+  select.innerHTML = CURRENCY_OPTIONS
+    .filter((c) => c.code !== baseCurrency)
+    .map((c) => `<option value="${c.code}" ${c.code === selected ? 'selected' : ''}>${c.code}</option>`)
+    .join('');
+
+  // Per currency, newest first
+  rates.sort((a, b) => a.currency.localeCompare(b.currency) || b.date.localeCompare(a.date));
+  list.innerHTML = rates.map((r) => `
+    <li class="holiday-list__item" data-rate-id="${r.id}">
+      <span class="holiday-list__date">1 ${r.currency} = ${formatRate(r.rate)} ${r.baseCurrency}</span>
+      <span class="holiday-list__name">From ${formatDate(r.date)}</span>
+      <button class="btn-icon btn-icon--danger" data-action="remove" title="Remove">
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <line x1="18" y1="6" x2="6" y2="18"/>
+          <line x1="6" y1="6" x2="18" y2="18"/>
+        </svg>
+      </button>
+    </li>
+  `).join('');
+
+  list.querySelectorAll('[data-action="remove"]').forEach((btn) => {
+    btn.addEventListener('click', async () => {
+      const rate = rates.find((r) => r.id === btn.closest('[data-rate-id]').dataset.rateId);
+      await runUndoable(`Remove ${rate.currency} exchange rate`, (tag) => dbDelete(STORES.EXCHANGE_RATES, rate.id, tag));
+      renderExchangeRates();
+      showToast('Exchange rate removed', 'success', { actionText: 'Undo', onAction: undo });
+    });
+  });
+}
+
+function formatRate(rate) {
+  return rate.toLocaleString(getDisplayLocale(), { maximumFractionDigits: 6 });
+}
+
+export { initCurrencySection, renderCurrencySection };
@@ -0,0 +1,98 @@
+// js/views/config/encrypted-backup.js — Passphrase-encrypted backups: download form & passphrase prompt on import
+
+import { exportAllData } from '../../db.js';
+import { MIN_PASSPHRASE_LENGTH, encryptBackup, decryptBackup } from '../../crypto-backup.js';
+import { openModal } from '../../components/modal.js';
+import { showToast } from '../../components/toast.js';
+import { downloadBlob } from './dom.js';
+
+/**
+ * Download all data as a passphrase-encrypted backup (see crypto-backup.js).
+ * It imports like a plain .json file, after asking for the passphrase.
+ */
+function handleDownloadEncrypted() {
+  const contentHTML = `
+    <form id="encryptForm">
+      <p class="data-section__hint">The backup can only be opened with this passphrase. There is no way to recover it if you forget it.</p>
+      <div class="form-group">
+        <label for="backupPassphrase">Passphrase</label>
+        <input type="password" id="backupPassphrase" minlength="${MIN_PASSPHRASE_LENGTH}" autocomplete="new-password" required>
+      </div>
+      <div class="form-group">
+        <label for="backupPassphraseConfirm">Repeat passphrase</label>
+        <input type="password" id="backupPassphraseConfirm" autocomplete="new-password" required>
+      </div>
+      <button type="submit" class="btn btn--primary">Download Encrypted Backup</button>
+    </form>
+  `;
+
+  const modal = openModal('Encrypted Backup', contentHTML);
+  setTimeout(() => modal.overlay.querySelector('#backupPassphrase').focus(), 100);
+
+  modal.overlay.querySelector('#encryptForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const passphrase = modal.overlay.querySelector('#backupPassphrase').value;
+    const confirmation = modal.overlay.querySelector('#backupPassphraseConfirm').value;
+
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      showToast(`Use at least ${MIN_PASSPHRASE_LENGTH} characters`, 'error');
+      return;
+    }
+    if (passphrase !== confirmation) {
+      showToast('Passphrases do not match', 'error');
+      return;
+    }
+
+    const submitBtn = e.target.querySelector('[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Encrypting…';
+    try {
+      const envelope = await encryptBackup(await exportAllData(), passphrase);
+      const blob = new Blob([JSON.stringify(envelope)], { type: 'application/json' });
+      downloadBlob(blob, `tickyourbudget-${new Date().toISOString().split('T')[0]}-encrypted.json`);
+      modal.close();
+      showToast('Encrypted backup download started', 'success');
+    } catch (err) {
+      showToast(`Encryption failed: ${err.message}`, 'error');
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Download Encrypted Backup';
+    }
+  });
+}
+
+// Ask for an encrypted backup's passphrase, then hand the decrypted data to `onDecrypted`
+function openDecryptPrompt(envelope, onDecrypted) {
+  const contentHTML = `
+    <form id="decryptForm">
+      <p class="data-section__hint">This backup is encrypted. Enter the passphrase it was saved with.</p>
+      <div class="form-group">
+        <label for="importPassphrase">Passphrase</label>
+        <input type="password" id="importPassphrase" autocomplete="current-password" required>
+      </div>
+      <button type="submit" class="btn btn--primary">Decrypt</button>
+    </form>
+  `;
+
+  const modal = openModal('Encrypted Backup', contentHTML);
+  setTimeout(() => modal.overlay.querySelector('#importPassphrase').focus(), 100);
+
+  modal.overlay.querySelector('#decryptForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const input = modal.overlay.querySelector('#importPassphrase');
+    const submitBtn = e.target.querySelector('[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Decrypting…';
+    try {
+      await onDecrypted(await decryptBackup(envelope, input.value));
+      modal.close();
+    } catch (err) {
+      // Stay open so a mistyped passphrase can be corrected
+      showToast(`Import failed: ${err.message}`, 'error');
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Decrypt';
+      input.select();
+    }
+  });
+}
+
+export { handleDownloadEncrypted, openDecryptPrompt };
@@ -0,0 +1,169 @@
+// js/views/config/export.js — Config → JSON Preview & Export sections: copy, .json and .csv downloads
+
+import { exportProfileData, exportAllData } from '../../db.js';
+import { getBaseCurrency } from '../../currency.js';
+import { formatMoneyInput } from '../../money.js';
+import { getActiveProfileId } from '../../components/profile.js';
+import { showToast } from '../../components/toast.js';
+import {
+  ITEM_TYPE, describeFrequency, getTransactionState, getPaidAmount, isAdHoc, getPlannedAmount,
+  getTransactionAmount, getVariance,
+} from '../../models.js';
+import { downloadBlob } from './dom.js';
+import { handleDownloadEncrypted } from './encrypted-backup.js';
+
+function initExportSection() {
+  document.getElementById('btnCopyJson').addEventListener('click', handleCopyJson);
+  document.getElementById('btnDownloadJson').addEventListener('click', handleDownloadJson);
+  document.getElementById('btnDownloadCsv').addEventListener('click', handleDownloadCsv);
+  document.getElementById('btnDownloadEncrypted').addEventListener('click', handleDownloadEncrypted);
+}
+
+// The active profile's data as it would be exported
+async function renderJsonPreview() {
+  const preview = document.getElementById('jsonPreview');
+  const profileId = getActiveProfileId();
+
+  if (!profileId) {
+    preview.value = JSON.stringify({ message: 'No profile selected' }, null, 2);
+    return;
+  }
+
+  try {
+    const data = await exportProfileData(profileId);
+    preview.value = JSON.stringify(data, null, 2);
+  } catch (err) {
+    preview.value = `Error: ${err.message}`;
+  }
+}
+
+async function handleCopyJson() {
+  const preview = document.getElementById('jsonPreview');
+  try {
+    await navigator.clipboard.writeText(preview.value);
+    showToast('Copied to clipboard!', 'success');
+  } catch {
+    // Fallback
+    preview.select();
+    document.execCommand('copy');
+    showToast('Copied to clipboard!', 'success');
+  }
+}
+
+async function handleDownloadJson() {
+  const profileId = getActiveProfileId();
+  const data = await exportAllData();
+  const json = JSON.stringify(data, null, 2);
+  const blob = new Blob([json], { type: 'application/json' });
+  downloadBlob(blob, `tickyourbudget-${new Date().toISOString().split('T')[0]}.json`);
+  showToast('Download started', 'success');
+}
+
+async function handleDownloadCsv() {
+  const profileId = getActiveProfileId();
+  if (!profileId) {
+    showToast('No profile selected', 'error');
+    return;
+  }
+
+  try {
+    const data = await exportProfileData(profileId);
+    if (!data) { showToast('No data to export', 'error'); return; }
+
+    const { profile, categories, budgetItems, transactions } = data;
+    const baseCurrency = getBaseCurrency(profile);
+    const catMap = new Map(categories.map((c) => [c.id, c]));
+    const itemMap = new Map(budgetItems.map((i) => [i.id, i]));
+
+    // Build a lookup: budgetItemId → transactions[]
+    const txnsByItem = new Map();
+    for (const t of transactions) {
+      if (!txnsByItem.has(t.budgetItemId)) txnsByItem.set(t.budgetItemId, []);
+      txnsByItem.get(t.budgetItemId).push(t);
+    }
+
+    // Ad-hoc transactions (logged on Home, no budget item)
+    const adHocTxns = transactions.filter(t => isAdHoc(t));
+
+    // Collect orphan transactions (budget item deleted)
+    const knownItemIds = new Set(budgetItems.map(i => i.id));
+    const orphanTxns = transactions.filter(t => !isAdHoc(t) && !knownItemIds.has(t.budgetItemId));
+
+    const headers = [
+      'Profile', 'Category', 'Item Name', 'Type', 'Item Amount', 'Frequency',
+      'Start Date', 'End Date', 'Description',
+      'Transaction Date', 'Transaction Status', 'Planned Amount', 'Actual Amount', 'Variance', 'Amount Paid', 'Currency'
+    ];
+
+    const rows = [];
+
+    // One row per transaction, grouped by item
+    for (const item of budgetItems) {
+      const catName = catMap.has(item.categoryId) ? catMap.get(item.categoryId).name : 'Uncategorized';
+      const itemTxns = txnsByItem.get(item.id) || [];
+
+      if (itemTxns.length === 0) {
+        // Item with no transactions yet
+        rows.push([
+          csvEscape(profile.name), csvEscape(catName), csvEscape(item.name),
+          item.type || ITEM_TYPE.EXPENSE, formatMoneyInput(item.amount, item.currency || baseCurrency), csvEscape(describeFrequency(item)), item.startDate, item.endDate || '',
+          csvEscape(item.description || ''), '', '', '', '', '', '', item.currency || baseCurrency
+        ].join(','));
+      } else {
+        for (const txn of itemTxns) {
+          rows.push([
+            csvEscape(profile.name), csvEscape(catName), csvEscape(item.name),
+            item.type || ITEM_TYPE.EXPENSE, formatMoneyInput(item.amount, item.currency || baseCurrency), csvEscape(describeFrequency(item)), item.startDate, item.endDate || '',
+            csvEscape(item.description || ''),
+            txn.date, getTransactionState(txn), ...csvAmounts(txn, txn.currency || baseCurrency), txn.currency || baseCurrency
+          ].join(','));
+        }
+      }
+    }
+
+    // Ad-hoc transactions: category from the transaction, no item columns
+    for (const txn of adHocTxns) {
+      const catName = catMap.has(txn.categoryId) ? catMap.get(txn.categoryId).name : 'Uncategorized';
+      rows.push([
+        csvEscape(profile.name), csvEscape(catName), csvEscape(txn.snapshotName),
+        txn.type || ITEM_TYPE.EXPENSE, '', 'Ad-hoc', '', '', '',
+        txn.date, getTransactionState(txn), ...csvAmounts(txn, txn.currency || baseCurrency), txn.currency || baseCurrency
+      ].join(','));
+    }
+
+    // Orphan transactions
+    for (const txn of orphanTxns) {
+      rows.push([
+        csvEscape(profile.name), '', csvEscape(txn.snapshotName),
+        txn.type || ITEM_TYPE.EXPENSE, '', '', '', '', '',
+        txn.date, getTransactionState(txn), ...csvAmounts(txn, txn.currency || baseCurrency), txn.currency || baseCurrency
+      ].join(','));
+    }
+
+    const csv = [headers.join(','), ...rows].join('\n');
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    downloadBlob(blob, `tickyourbudget-${new Date().toISOString().split('T')[0]}.csv`);
+    showToast('CSV download started', 'success');
+  } catch (err) {
+    showToast(`CSV export failed: ${err.message}`, 'error');
+  }
+}
+
+/**
+ * Planned, actual, variance and paid amounts of a transaction for CSV rows, as
+ * decimals in the transaction's currency.
+ */
+function csvAmounts(txn, currency) {
+  return [getPlannedAmount(txn), getTransactionAmount(txn), getVariance(txn), getPaidAmount(txn)]
+    .map((amount) => formatMoneyInput(amount, currency));
+}
+
+function csvEscape(str) {
+  if (!str) return '';
+  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+  return str;
+}
+
+export { initExportSection, renderJsonPreview };
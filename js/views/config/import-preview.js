@@ -0,0 +1,206 @@
+// js/views/config/import-preview.js — Config → Import section: JSON file & paste, preview with conflict choices
+
+import { planImport, commitImport, STORES } from '../../db.js';
+import { isEncryptedBackup } from '../../crypto-backup.js';
+import { takeSnapshot } from '../../snapshots.js';
+import { isSyncPayload } from '../../sync.js';
+import { runUndoable, undo } from '../../undo.js';
+import { openModal } from '../../components/modal.js';
+import { showToast } from '../../components/toast.js';
+import { formatDate, IMPORT_RESOLUTION, IMPORT_RESOLUTION_LABELS, SNAPSHOT_REASON } from '../../models.js';
+import { escapeHTML, escapeAttr } from './dom.js';
+import { openDecryptPrompt } from './encrypted-backup.js';
+import { applySync } from './sync.js';
+
+let onChange = null;
+
+function initImportSection(onDataChange) {
+  onChange = onDataChange;
+  document.getElementById('btnImportFile').addEventListener('click', () => {
+    document.getElementById('importFileInput').click();
+  });
+  document.getElementById('importFileInput').addEventListener('change', handleImportFile);
+  document.getElementById('btnImportPaste').addEventListener('click', handleImportPaste);
+}
+
+async function handleImportFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  try {
+    const text = await file.text();
+    const data = JSON.parse(text);
+    await startImport(data);
+  } catch (err) {
+    showToast(`Import failed: ${err.message}`, 'error');
+  }
+
+  // Reset input
+  e.target.value = '';
+}
+
+function handleImportPaste() {
+  const contentHTML = `
+    <form id="pasteForm">
+      <div class="form-group">
+        <label for="pasteInput">Paste JSON data</label>
+        <textarea id="pasteInput" class="json-preview" placeholder='{"profiles": [...], ...}'></textarea>
+      </div>
+      <button type="submit" class="btn btn--primary">Import</button>
+    </form>
+  `;
+
+  const modal = openModal('Import JSON', contentHTML);
+
+  modal.overlay.querySelector('#pasteForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const text = modal.overlay.querySelector('#pasteInput').value.trim();
+
+    try {
+      const data = JSON.parse(text);
+      if (isEncryptedBackup(data) || isSyncPayload(data)) {
+        modal.close();
+        await startImport(data);
+        return;
+      }
+      const plan = await planImport(data);
+      modal.close();
+      openImportPreview(plan);
+    } catch (err) {
+      showToast(`Import failed: ${err.message}`, 'error');
+    }
+  });
+}
+
+// Encrypted backups ask for their passphrase first; both end in the preview
+async function startImport(data) {
+  if (isSyncPayload(data)) {
+    await applySync(data);
+    return;
+  }
+  if (isEncryptedBackup(data)) {
+    openDecryptPrompt(data, async (decrypted) => openImportPreview(await planImport(decrypted)));
+    return;
+  }
+  openImportPreview(await planImport(data));
+}
+
+const IMPORT_STORE_LABELS = {
+  [STORES.PROFILES]: 'Profiles',
+  [STORES.CATEGORIES]: 'Categories',
+  [STORES.BUDGET_ITEMS]: 'Budget items',
+  [STORES.GOALS]: 'Goals',
+  [STORES.TRANSACTIONS]: 'Transactions',
+  [STORES.EXCHANGE_RATES]: 'Exchange rates',
+};
+
+/**
+ * Show what an import would change before writing anything: per store how many
+ * records are new, identical or conflicting, with a choice for each conflict.
+ */
+function openImportPreview(plan) {
+  const storeNames = Object.keys(IMPORT_STORE_LABELS);
+  const totals = { added: 0, identical: 0, conflicts: 0 };
+  for (const name of storeNames) {
+    for (const key of Object.keys(totals)) totals[key] += plan.stores[name][key].length;
+  }
+
+  const rowsHTML = storeNames.map((name) => {
+    const { added, identical, conflicts } = plan.stores[name];
+    return `
+      <tr>
+        <td>${IMPORT_STORE_LABELS[name]}</td>
+        <td>${added.length}</td>
+        <td>${identical.length}</td>
+        <td${conflicts.length > 0 ? ' class="import-preview__conflicts"' : ''}>${conflicts.length}</td>
+      </tr>
+    `;
+  }).join('');
+
+  const resolutionOptions = (selected) => Object.values(IMPORT_RESOLUTION)
+    .map((r) => `<option value="${r}" ${r === selected ? 'selected' : ''}>${IMPORT_RESOLUTION_LABELS[r]}</option>`)
+    .join('');
+
+  const conflictsHTML = storeNames
+    .filter((name) => plan.stores[name].conflicts.length > 0)
+    .map((name) => `
+      <div class="import-conflicts">
+        <div class="import-conflicts__head">
+          <h4>${IMPORT_STORE_LABELS[name]}</h4>
+          <select data-store-all="${name}" aria-label="Set all ${IMPORT_STORE_LABELS[name].toLowerCase()}">
+            <option value="">Set all…</option>
+            ${resolutionOptions(null)}
+          </select>
+        </div>
+        <ul class="import-conflicts__list">
+          ${plan.stores[name].conflicts.map(({ local, imported, changes }) => `
+            <li class="import-conflict">
+              <div class="import-conflict__body">
+                <span class="import-conflict__name">${escapeHTML(describeImportRecord(name, local))}</span>
+                <span class="import-conflict__meta">Changed: ${escapeHTML(changes.join(', '))}</span>
+              </div>
+              <select data-conflict="${name}:${escapeAttr(imported.id)}" data-store="${name}" aria-label="Resolution">
+                ${resolutionOptions(IMPORT_RESOLUTION.LOCAL)}
+              </select>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `).join('');
+
+  const contentHTML = `
+    <p class="data-section__hint">Nothing has been written yet. ${totals.added + totals.conflicts === 0
+      ? 'Everything in this file is already here.'
+      : 'Review the changes, then import them in one step.'}</p>
+    <div class="import-preview">
+      <table>
+        <thead><tr><th></th><th>New</th><th>Identical</th><th>Conflicts</th></tr></thead>
+        <tbody>${rowsHTML}</tbody>
+      </table>
+    </div>
+    ${conflictsHTML}
+    ${plan.stores[STORES.PROFILES].conflicts.length > 0
+      ? '<p class="data-section__hint">Keeping both for a profile imports its data as a separate profile.</p>'
+      : ''}
+    <button type="button" class="btn btn--primary" id="btnCommitImport" ${totals.added + totals.conflicts === 0 ? 'disabled' : ''}>Import</button>
+  `;
+
+  const modal = openModal('Import Preview', contentHTML);
+
+  modal.overlay.querySelectorAll('[data-store-all]').forEach((select) => {
+    select.addEventListener('change', () => {
+      if (!select.value) return;
+      modal.overlay.querySelectorAll(`[data-store="${select.dataset.storeAll}"]`).forEach((s) => {
+        s.value = select.value;
+      });
+    });
+  });
+
+  modal.overlay.querySelector('#btnCommitImport').addEventListener('click', async () => {
+    const resolutions = {};
+    modal.overlay.querySelectorAll('[data-conflict]').forEach((select) => {
+      resolutions[select.dataset.conflict] = select.value;
+    });
+
+    try {
+      await takeSnapshot(SNAPSHOT_REASON.BEFORE_IMPORT);
+      const result = await runUndoable('Import data', (tag) => commitImport(plan, resolutions, tag));
+      modal.close();
+      if (onChange) await onChange();
+      showToast(`Imported: ${result.added} new, ${result.replaced} replaced, ${result.copied} copied`, 'success', {
+        actionText: 'Undo',
+        onAction: undo,
+      });
+    } catch (err) {
+      showToast(`Import failed: ${err.message}`, 'error');
+    }
+  });
+}
+
+function describeImportRecord(storeName, record) {
+  if (storeName === STORES.TRANSACTIONS) return `${record.snapshotName} · ${formatDate(record.date)}`;
+  if (storeName === STORES.EXCHANGE_RATES) return `1 ${record.currency} in ${record.baseCurrency} · ${formatDate(record.date)}`;
+  return record.name;
+}
+
+export { initImportSection };
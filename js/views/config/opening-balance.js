@@ -0,0 +1,56 @@
+// js/views/config/opening-balance.js — Config → Opening Balance section (per profile)
+
+import { dbGet, dbPut, STORES } from '../../db.js';
+import { getBaseCurrency } from '../../currency.js';
+import { parseMoney, formatMoneyInput, getMoneyStep } from '../../money.js';
+import { runUndoable } from '../../undo.js';
+import { getActiveProfileId } from '../../components/profile.js';
+import { showToast } from '../../components/toast.js';
+import { formatDate } from '../../models.js';
+
+function initOpeningBalance() {
+  document.getElementById('openingBalanceForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const profileId = getActiveProfileId();
+    const profile = profileId ? await dbGet(STORES.PROFILES, profileId) : null;
+    if (!profile) {
+      showToast('No profile selected', 'error');
+      return;
+    }
+
+    const text = document.getElementById('openingBalance').value.trim();
+    const date = document.getElementById('openingBalanceDate').value;
+    const today = new Date().toISOString().split('T')[0];
+    // An empty amount clears the balance
+    const amount = text === '' ? null : parseMoney(text, getBaseCurrency(profile));
+    if (text !== '' && amount === null) {
+      showToast('Enter the balance as a number', 'error');
+      return;
+    }
+    if (amount !== null && (!date || date > today)) {
+      showToast('Enter the date of the balance (today or earlier)', 'error');
+      return;
+    }
+
+    const updated = { ...profile, openingBalance: amount, openingBalanceDate: amount === null ? null : date };
+    await runUndoable(amount === null ? 'Clear opening balance' : 'Set opening balance', (tag) => dbPut(STORES.PROFILES, updated, tag));
+    renderOpeningBalance();
+    showToast(amount === null ? 'Opening balance cleared' : `Opening balance set for ${formatDate(date)}`, 'success');
+  });
+}
+
+async function renderOpeningBalance() {
+  const profileId = getActiveProfileId();
+  const profile = profileId ? await dbGet(STORES.PROFILES, profileId) : null;
+  const currency = getBaseCurrency(profile);
+  const amountInput = document.getElementById('openingBalance');
+  const hasBalance = profile && profile.openingBalance != null;
+
+  amountInput.step = getMoneyStep(currency);
+  amountInput.value = hasBalance ? formatMoneyInput(profile.openingBalance, currency) : '';
+  document.getElementById('openingBalanceDate').value =
+    hasBalance ? profile.openingBalanceDate : new Date().toISOString().split('T')[0];
+  document.getElementById('openingBalanceCurrency').textContent = currency;
+}
+
+export { initOpeningBalance, renderOpeningBalance };
@@ -0,0 +1,201 @@
+// js/views/config/region.js — Config → Region & Holidays sections (per profile)
+
+import { dbGet, dbPut, STORES } from '../../db.js';
+import { parseHolidayList, mergeHolidays } from '../../holidays.js';
+import { runUndoable } from '../../undo.js';
+import { getActiveProfileId, getDisplaySettings, applyProfileSettings, LOCALE_OPTIONS } from '../../components/profile.js';
+import { openModal } from '../../components/modal.js';
+import { showToast } from '../../components/toast.js';
+import { formatDate, WEEKDAY_NAMES, DATE_DISPLAY_FORMAT, getDisplayLocale, getLocaleWeekStart } from '../../models.js';
+import { escapeHTML } from './dom.js';
+
+let onChange = null;
+
+// `onSettingsChange` re-renders the Config view in the new format
+function initRegionSection(onSettingsChange) {
+  onChange = onSettingsChange;
+  initRegionSettings();
+  initHolidays();
+}
+
+function renderRegionSection() {
+  renderRegionSettings();
+  renderHolidays();
+}
+
+// Select → profile field, and how the change is named in undo & toasts
+const REGION_SETTINGS = {
+  localeSelect: { field: 'locale', label: 'Number format' },
+  weekStartSelect: { field: 'weekStart', label: 'First day of week' },
+  dateFormatSelect: { field: 'dateFormat', label: 'Date format' },
+};
+
+function initRegionSettings() {
+  for (const [id, { field, label }] of Object.entries(REGION_SETTINGS)) {
+    document.getElementById(id).addEventListener('change', (e) => {
+      const { value } = e.target;
+      // '' = follow the browser's language
+      const parsed = value === '' ? null : field === 'weekStart' ? Number(value) : value;
+      setProfileSetting(field, parsed, label);
+    });
+  }
+}
+
+/**
+ * Save one region setting on the active profile (an undo step) and point the
+ * formatters at it.
+ */
+async function setProfileSetting(field, value, label) {
+  const profileId = getActiveProfileId();
+  const profile = profileId ? await dbGet(STORES.PROFILES, profileId) : null;
+  if (!profile) {
+    showToast('Please create a profile first', 'error');
+    renderRegionSettings();
+    return;
+  }
+  await runUndoable(`Change ${label.toLowerCase()}`, (tag) => dbPut(STORES.PROFILES, { ...profile, [field]: value }, tag));
+  await applyProfileSettings();
+  if (onChange) onChange();
+  showToast(`${label} updated`, 'success');
+}
+
+function renderRegionSettings() {
+  const { locale, weekStart, dateFormat } = getDisplaySettings();
+  const browserLocale = navigator.language || 'en-US';
+  const sampleNumber = (code) => new Intl.NumberFormat(code, { maximumFractionDigits: 2 }).format(1234567.89);
+
+  document.getElementById('localeSelect').innerHTML =
+    `<option value="">Browser default — ${sampleNumber(browserLocale)}</option>` +
+    LOCALE_OPTIONS.map((l) =>
+      `<option value="${l.code}" ${l.code === locale ? 'selected' : ''}>${l.name} — ${sampleNumber(l.code)}</option>`
+    ).join('');
+
+  const localeStart = getLocaleWeekStart(getDisplayLocale() || browserLocale);
+  document.getElementById('weekStartSelect').innerHTML =
+    `<option value="">Locale default (${WEEKDAY_NAMES[localeStart]})</option>` +
+    WEEKDAY_NAMES.map((name, i) =>
+      `<option value="${i}" ${i === weekStart ? 'selected' : ''}>${name}</option>`
+    ).join('');
+
+  // Examples use today's date in each format
+  const today = new Date().toISOString().split('T')[0];
+  const [y, m, d] = today.split('-');
+  const examples = {
+    [DATE_DISPLAY_FORMAT.LOCALE]: new Date(today + 'T00:00:00')
+      .toLocaleDateString(getDisplayLocale(), { month: 'short', day: 'numeric', year: 'numeric' }),
+    [DATE_DISPLAY_FORMAT.DMY]: `${d}/${m}/${y}`,
+    [DATE_DISPLAY_FORMAT.MDY]: `${m}/${d}/${y}`,
+    [DATE_DISPLAY_FORMAT.YMD]: today,
+  };
+  document.getElementById('dateFormatSelect').innerHTML = Object.values(DATE_DISPLAY_FORMAT)
+    .map((f) => {
+      const name = f === DATE_DISPLAY_FORMAT.LOCALE ? 'Locale default' : f;
+      const selected = f === (dateFormat || DATE_DISPLAY_FORMAT.LOCALE) ? 'selected' : '';
+      return `<option value="${f === DATE_DISPLAY_FORMAT.LOCALE ? '' : f}" ${selected}>${name} (${examples[f]})</option>`;
+    }).join('');
+}
+
+// ===== Holidays (per profile) =====
+
+function initHolidays() {
+  document.getElementById('holidayAddForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const dateInput = document.getElementById('holidayDate');
+    const nameInput = document.getElementById('holidayName');
+    if (!dateInput.value) return;
+    const added = await addHolidays([{ date: dateInput.value, name: nameInput.value.trim() }]);
+    if (added === null) return;
+    dateInput.value = '';
+    nameInput.value = '';
+    showToast('Holiday added', 'success');
+  });
+
+  document.getElementById('btnImportHolidays').addEventListener('click', () => {
+    document.getElementById('holidayFileInput').click();
+  });
+
+  document.getElementById('holidayFileInput').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    await importHolidayText(await file.text());
+    e.target.value = '';
+  });
+
+  document.getElementById('btnPasteHolidays').addEventListener('click', () => {
+    const contentHTML = `
+      <form id="holidayPasteForm">
+        <div class="form-group">
+          <label for="holidayPasteInput">One holiday per line: YYYY-MM-DD, Name</label>
+          <textarea id="holidayPasteInput" class="json-preview" placeholder="2026-12-25, Christmas Day"></textarea>
+        </div>
+        <button type="submit" class="btn btn--primary">Import Holidays</button>
+      </form>
+    `;
+    const modal = openModal('Paste Holidays', contentHTML);
+    modal.overlay.querySelector('#holidayPasteForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const ok = await importHolidayText(modal.overlay.querySelector('#holidayPasteInput').value);
+      if (ok) modal.close();
+    });
+  });
+}
+
+async function importHolidayText(text) {
+  const parsed = parseHolidayList(text);
+  if (parsed.length === 0) {
+    showToast('No valid holidays found', 'error');
+    return false;
+  }
+  const added = await addHolidays(parsed);
+  if (added === null) return false;
+  showToast(`Imported ${parsed.length} holiday${parsed.length === 1 ? '' : 's'}`, 'success');
+  return true;
+}
+
+// Merge holidays into the active profile; returns the new list (null if no profile)
+async function addHolidays(holidays) {
+  const profileId = getActiveProfileId();
+  const profile = profileId ? await dbGet(STORES.PROFILES, profileId) : null;
+  if (!profile) {
+    showToast('No profile selected', 'error');
+    return null;
+  }
+  const merged = mergeHolidays(profile.holidays, holidays);
+  await runUndoable('Add holidays', (tag) => dbPut(STORES.PROFILES, { ...profile, holidays: merged }, tag));
+  if (onChange) onChange();
+  return merged;
+}
+
+async function removeHoliday(date) {
+  const profile = await dbGet(STORES.PROFILES, getActiveProfileId());
+  if (!profile) return;
+  const holidays = (profile.holidays || []).filter((h) => h.date !== date);
+  await runUndoable('Remove holiday', (tag) => dbPut(STORES.PROFILES, { ...profile, holidays }, tag));
+  if (onChange) onChange();
+}
+
+async function renderHolidays() {
+  const list = document.getElementById('holidayList');
+  const profileId = getActiveProfileId();
+  const profile = profileId ? await dbGet(STORES.PROFILES, profileId) : null;
+  const holidays = (profile && profile.holidays) || [];
+
+  list.innerHTML = holidays.map((h) => `
+    <li class="holiday-list__item" data-date="${h.date}">
+      <span class="holiday-list__date">${formatDate(h.date)}</span>
+      <span class="holiday-list__name">${escapeHTML(h.name || '')}</span>
+      <button class="btn-icon btn-icon--danger" data-action="remove" title="Remove">
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <line x1="18" y1="6" x2="6" y2="18"/>
+          <line x1="6" y1="6" x2="18" y2="18"/>
+        </svg>
+      </button>
+    </li>
+  `).join('');
+
+  list.querySelectorAll('[data-action="remove"]').forEach((btn) => {
+    btn.addEventListener('click', () => removeHoliday(btn.closest('[data-date]').dataset.date));
+  });
+}
+
+export { initRegionSection, renderRegionSection };
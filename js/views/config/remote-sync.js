@@ -0,0 +1,97 @@
+// js/views/config/remote-sync.js — Config → Remote Sync section: server settings, status & Sync Now
+
+import {
+  getRemoteConfig,
+  setRemoteConfig,
+  isRemoteSyncEnabled,
+  needsRemoteSecret,
+  getRemoteState,
+  syncNow,
+} from '../../remote-sync.js';
+import { showToast } from '../../components/toast.js';
+import { REMOTE_SYNC_TYPE, REMOTE_SYNC_TYPE_LABELS } from '../../models.js';
+import { escapeHTML } from './dom.js';
+import { formatSnapshotTime } from './snapshots.js';
+import { renderSyncStatus } from './sync.js';
+
+function initRemoteSyncSection() {
+  const form = document.getElementById('remoteSyncForm');
+  const typeSelect = document.getElementById('remoteType');
+  typeSelect.innerHTML = Object.values(REMOTE_SYNC_TYPE)
+    .map((type) => `<option value="${type}">${escapeHTML(REMOTE_SYNC_TYPE_LABELS[type])}</option>`)
+    .join('');
+
+  const config = getRemoteConfig();
+  typeSelect.value = config.type;
+  document.getElementById('remoteUrl').value = config.url;
+  document.getElementById('remoteUsername').value = config.username;
+  document.getElementById('remotePassword').value = config.password;
+  document.getElementById('remoteToken').value = config.token;
+  document.getElementById('remoteAuto').checked = config.auto;
+  showRemoteFields(config.type);
+
+  typeSelect.addEventListener('change', (e) => showRemoteFields(e.target.value));
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    setRemoteConfig({
+      type: typeSelect.value,
+      url: document.getElementById('remoteUrl').value,
+      username: document.getElementById('remoteUsername').value.trim(),
+      password: document.getElementById('remotePassword').value,
+      token: document.getElementById('remoteToken').value.trim(),
+      auto: document.getElementById('remoteAuto').checked,
+    });
+    renderRemoteSyncStatus();
+    if (!isRemoteSyncEnabled()) {
+      showToast('Remote sync is off', 'info');
+      return;
+    }
+    showToast('Remote sync settings saved', 'success');
+    await handleRemoteSyncNow();
+  });
+
+  document.getElementById('btnRemoteSyncNow').addEventListener('click', handleRemoteSyncNow);
+}
+
+// Only show the fields the chosen server type needs
+function showRemoteFields(type) {
+  const form = document.getElementById('remoteSyncForm');
+  form.querySelectorAll('[data-remote-field]').forEach((el) => {
+    const field = el.dataset.remoteField;
+    const visible = type !== REMOTE_SYNC_TYPE.OFF && (field === 'any' || field === type);
+    el.classList.toggle('hidden', !visible);
+  });
+}
+
+function renderRemoteSyncStatus() {
+  const status = document.getElementById('remoteSyncStatus');
+  document.getElementById('btnRemoteSyncNow').disabled = !isRemoteSyncEnabled();
+  if (!isRemoteSyncEnabled()) {
+    status.textContent = '';
+    return;
+  }
+  const { lastSyncAt, lastError } = getRemoteState();
+  if (needsRemoteSecret()) status.textContent = 'Enter the password or token again and save to sync from this tab';
+  else if (lastError) status.textContent = `Last sync failed: ${lastError}`;
+  else if (lastSyncAt) status.textContent = `Last synced ${formatSnapshotTime(lastSyncAt)}`;
+  else status.textContent = 'Not synced yet';
+}
+
+async function handleRemoteSyncNow() {
+  const btn = document.getElementById('btnRemoteSyncNow');
+  btn.disabled = true;
+  btn.textContent = 'Syncing…';
+  try {
+    const { pulled, pushed } = await syncNow();
+    showToast(`Synced: ${pulled} change${pulled === 1 ? '' : 's'} received, ${pushed} sent`, 'success');
+  } catch (err) {
+    showToast(`Sync failed: ${err.message}`, 'error');
+  } finally {
+    btn.textContent = 'Sync Now';
+    renderRemoteSyncStatus();
+    renderSyncStatus();
+  }
+}
+
+export { initRemoteSyncSection, renderRemoteSyncStatus };
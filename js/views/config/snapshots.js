@@ -0,0 +1,132 @@
+// js/views/config/snapshots.js — Config → Snapshots section: keep count, take, restore, download & delete
+
+import {
+  KEEP_OPTIONS,
+  getSnapshotKeepCount,
+  setSnapshotKeepCount,
+  takeSnapshot,
+  getSnapshots,
+  restoreSnapshot,
+  deleteSnapshot,
+  pruneSnapshots,
+} from '../../snapshots.js';
+import { runUndoable, undo } from '../../undo.js';
+import { showConfirm } from '../../components/modal.js';
+import { showToast } from '../../components/toast.js';
+import { formatDate, SNAPSHOT_REASON, SNAPSHOT_REASON_LABELS } from '../../models.js';
+import { escapeHTML, downloadBlob } from './dom.js';
+
+let onChange = null;
+
+function initSnapshots(onDataChange) {
+  onChange = onDataChange;
+  const select = document.getElementById('snapshotKeep');
+  select.innerHTML = KEEP_OPTIONS.map((n) => `<option value="${n}">${n} snapshots</option>`).join('');
+
+  select.addEventListener('change', async (e) => {
+    setSnapshotKeepCount(parseInt(e.target.value, 10));
+    const removed = await pruneSnapshots();
+    renderSnapshots();
+    showToast(removed > 0 ? `Snapshot limit updated — ${removed} old snapshot${removed === 1 ? '' : 's'} removed` : 'Snapshot limit updated', 'success');
+  });
+
+  document.getElementById('btnTakeSnapshot').addEventListener('click', async () => {
+    const snapshot = await takeSnapshot(SNAPSHOT_REASON.MANUAL);
+    renderSnapshots();
+    showToast(snapshot ? 'Snapshot saved' : 'Nothing to save yet', snapshot ? 'success' : 'info');
+  });
+}
+
+async function renderSnapshots() {
+  const list = document.getElementById('snapshotList');
+  document.getElementById('snapshotKeep').value = String(getSnapshotKeepCount());
+
+  const snapshots = await getSnapshots();
+  if (snapshots.length === 0) {
+    list.innerHTML = '<li class="trash-list__empty">No snapshots yet</li>';
+    return;
+  }
+
+  list.innerHTML = snapshots.map((snapshot) => `
+    <li class="trash-list__item" data-snapshot-id="${snapshot.id}">
+      <div class="trash-list__info">
+        <div class="trash-list__name">${escapeHTML(formatSnapshotTime(snapshot.createdAt))}</div>
+        <div class="trash-list__meta">${escapeHTML(`${SNAPSHOT_REASON_LABELS[snapshot.reason] || snapshot.reason} · ${describeSnapshotCounts(snapshot.counts)}`)}</div>
+      </div>
+      <button class="btn-card-action btn-card-action--edit" data-action="restore">Restore</button>
+      <button class="btn-icon" data-action="download" title="Download as .json">
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+          <polyline points="7 10 12 15 17 10"/>
+          <line x1="12" y1="15" x2="12" y2="3"/>
+        </svg>
+      </button>
+      <button class="btn-icon btn-icon--danger" data-action="delete" title="Delete snapshot">
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <line x1="18" y1="6" x2="6" y2="18"/>
+          <line x1="6" y1="6" x2="18" y2="18"/>
+        </svg>
+      </button>
+    </li>
+  `).join('');
+
+  list.querySelectorAll('.trash-list__item').forEach((li) => {
+    const snapshot = snapshots.find((s) => s.id === li.dataset.snapshotId);
+    li.querySelector('[data-action="restore"]').addEventListener('click', () => handleRestoreSnapshot(snapshot));
+    li.querySelector('[data-action="download"]').addEventListener('click', () => handleDownloadSnapshot(snapshot));
+    li.querySelector('[data-action="delete"]').addEventListener('click', () => handleDeleteSnapshot(snapshot));
+  });
+}
+
+// e.g. "Oct 19, 2026, 08:30"
+function formatSnapshotTime(iso) {
+  const d = new Date(iso);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${formatDate(`${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`)}, ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function describeSnapshotCounts(counts) {
+  return [
+    `${counts.profiles} profile${counts.profiles === 1 ? '' : 's'}`,
+    `${counts.budgetItems} item${counts.budgetItems === 1 ? '' : 's'}`,
+    `${counts.transactions} transaction${counts.transactions === 1 ? '' : 's'}`,
+  ].join(', ');
+}
+
+async function handleRestoreSnapshot(snapshot) {
+  const confirmed = await showConfirm(
+    'Restore Snapshot',
+    `Replace all current profiles, categories, items, goals and transactions with the snapshot from ${escapeHTML(formatSnapshotTime(snapshot.createdAt))}? The current data is saved as a snapshot first.`,
+    { danger: true, okText: 'Restore' }
+  );
+  if (!confirmed) return;
+
+  try {
+    await runUndoable('Restore snapshot', (tag) => restoreSnapshot(snapshot.id, tag));
+  } catch (err) {
+    showToast(`Restore failed: ${err.message}`, 'error');
+    return;
+  }
+  if (onChange) await onChange();
+  showToast('Snapshot restored', 'success', { actionText: 'Undo', onAction: undo });
+}
+
+function handleDownloadSnapshot(snapshot) {
+  const blob = new Blob([JSON.stringify(snapshot.data, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, `tickyourbudget-snapshot-${snapshot.createdAt.slice(0, 16).replace(/:/g, '-')}.json`);
+  showToast('Download started', 'success');
+}
+
+async function handleDeleteSnapshot(snapshot) {
+  const confirmed = await showConfirm(
+    'Delete Snapshot',
+    `Permanently delete the snapshot from ${escapeHTML(formatSnapshotTime(snapshot.createdAt))}?`,
+    { danger: true, okText: 'Delete' }
+  );
+  if (!confirmed) return;
+  await deleteSnapshot(snapshot.id);
+  renderSnapshots();
+  showToast('Snapshot deleted', 'success');
+}
+
+export { initSnapshots, renderSnapshots, formatSnapshotTime };
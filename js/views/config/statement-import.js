@@ -0,0 +1,369 @@
+// js/views/config/statement-import.js — Config → Import Bank Statement: column mapping & review
+
+import { dbAdd, getProfileCategories, STORES } from '../../db.js';
+import { generateTransactionsForMonth, settleTransaction } from '../../transaction-engine.js';
+import {
+  DATE_FORMAT,
+  AMOUNT_MODE,
+  MATCH_STATUS,
+  STATEMENT_FORMAT,
+  detectStatementFormat,
+  parseCsv,
+  parseOfx,
+  parseQif,
+  guessMapping,
+  applyMapping,
+  getStatementMonths,
+  getStatementCurrency,
+  matchStatementLines,
+  getMappingPresets,
+  saveMappingPreset,
+  deleteMappingPreset,
+} from '../../statement-import.js';
+import { getRecordCurrency } from '../../currency.js';
+import { runUndoable, undo } from '../../undo.js';
+import { getActiveProfileId } from '../../components/profile.js';
+import { openModal } from '../../components/modal.js';
+import { showToast } from '../../components/toast.js';
+import { ITEM_TYPE, formatCurrency, formatDate, createAdHocTransaction, getSettledStatus } from '../../models.js';
+import { escapeHTML } from './dom.js';
+
+let onChange = null;
+
+function initStatementImport(onDataChange) {
+  onChange = onDataChange;
+  document.getElementById('btnImportStatement').addEventListener('click', () => {
+    document.getElementById('statementFileInput').click();
+  });
+  document.getElementById('statementFileInput').addEventListener('change', handleStatementFile);
+}
+
+async function handleStatementFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  e.target.value = '';
+
+  if (!getActiveProfileId()) {
+    showToast('No profile selected', 'error');
+    return;
+  }
+
+  const text = await file.text();
+  const format = detectStatementFormat(file.name || '', text);
+
+  // OFX/QFX and QIF have fixed fields, so they skip the column mapping step
+  if (format !== STATEMENT_FORMAT.CSV) {
+    const { lines, skipped } = format === STATEMENT_FORMAT.OFX ? parseOfx(text) : parseQif(text);
+    if (lines.length === 0) {
+      showToast('No transactions found in the statement', 'error');
+      return;
+    }
+    openStatementReview(lines, skipped);
+    return;
+  }
+
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    showToast('The statement file is empty', 'error');
+    return;
+  }
+  openColumnMapping(rows);
+}
+
+/**
+ * Step 1: map the statement's columns to date, description and amount.
+ */
+function openColumnMapping(rows) {
+  const columnCount = Math.max(...rows.slice(0, 20).map((r) => r.length));
+  const dateFormatOptions = Object.values(DATE_FORMAT)
+    .map((f) => `<option value="${f}">${f}</option>`)
+    .join('');
+
+  const contentHTML = `
+    <form id="mappingForm">
+      <div class="form-group">
+        <label for="mapPreset">Preset</label>
+        <div class="statement-preset">
+          <select id="mapPreset"></select>
+          <button type="button" class="btn-icon btn-icon--danger hidden" id="btnDeletePreset" title="Delete preset">
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <line x1="18" y1="6" x2="6" y2="18"/>
+              <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+          </button>
+        </div>
+      </div>
+      <div class="statement-preview">
+        <table>
+          ${rows.slice(0, 4).map((r) => `<tr>${r.map((c) => `<td>${escapeHTML(c)}</td>`).join('')}</tr>`).join('')}
+        </table>
+      </div>
+      <label class="form-check">
+        <input type="checkbox" id="mapHasHeader"> First row is a header
+      </label>
+      <div class="form-row">
+        <div class="form-group">
+          <label for="mapDate">Date column</label>
+          <select id="mapDate" data-column></select>
+        </div>
+        <div class="form-group">
+          <label for="mapDateFormat">Date format</label>
+          <select id="mapDateFormat">${dateFormatOptions}</select>
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="mapDescription">Description column</label>
+        <select id="mapDescription" data-column></select>
+      </div>
+      <div class="form-group">
+        <label for="mapAmountMode">Amounts</label>
+        <select id="mapAmountMode">
+          <option value="${AMOUNT_MODE.SINGLE}">One amount column</option>
+          <option value="${AMOUNT_MODE.SPLIT}">Separate debit &amp; credit columns</option>
+        </select>
+      </div>
+      <div class="form-row" id="mapSingle">
+        <div class="form-group">
+          <label for="mapAmount">Amount column</label>
+          <select id="mapAmount" data-column></select>
+        </div>
+        <div class="form-group">
+          <label for="mapSign">Money out is</label>
+          <select id="mapSign">
+            <option value="negative">Negative</option>
+            <option value="positive">Positive</option>
+          </select>
+        </div>
+      </div>
+      <div class="form-row hidden" id="mapSplit">
+        <div class="form-group">
+          <label for="mapDebit">Debit (money out)</label>
+          <select id="mapDebit" data-column></select>
+        </div>
+        <div class="form-group">
+          <label for="mapCredit">Credit (money in)</label>
+          <select id="mapCredit" data-column></select>
+        </div>
+      </div>
+      <div class="holiday-add statement-preset-save">
+        <input type="text" id="mapPresetName" maxlength="40" placeholder="Preset name, e.g. My Bank" aria-label="Preset name">
+        <button type="button" class="btn btn--secondary btn--sm" id="btnSavePreset">Save Preset</button>
+      </div>
+      <button type="submit" class="btn btn--primary">Continue</button>
+    </form>
+  `;
+
+  const modal = openModal('Import Bank Statement', contentHTML);
+  const form = modal.overlay.querySelector('#mappingForm');
+  const detected = guessMapping(rows);
+
+  const renderColumnOptions = () => {
+    const header = form.querySelector('#mapHasHeader').checked ? rows[0] : null;
+    const sample = rows[header ? 1 : 0] || [];
+    const options = Array.from({ length: columnCount }, (_, i) => {
+      const hint = header ? header[i] : sample[i];
+      return `<option value="${i}">Column ${i + 1}${hint ? ` — ${escapeHTML(hint.slice(0, 30))}` : ''}</option>`;
+    }).join('');
+    form.querySelectorAll('[data-column]').forEach((select) => {
+      const value = select.value;
+      select.innerHTML = options;
+      if (value) select.value = value;
+    });
+  };
+
+  const renderPresets = (selected = '') => {
+    const presets = getMappingPresets();
+    form.querySelector('#mapPreset').innerHTML = '<option value="">Detected automatically</option>' +
+      presets.map((p) => `<option value="${escapeHTML(p.name)}">${escapeHTML(p.name)}</option>`).join('');
+    form.querySelector('#mapPreset').value = selected;
+    form.querySelector('#btnDeletePreset').classList.toggle('hidden', !selected);
+  };
+
+  const fillMapping = (mapping) => {
+    form.querySelector('#mapHasHeader').checked = mapping.hasHeader;
+    renderColumnOptions();
+    const setColumn = (id, value) => {
+      if (value != null) form.querySelector(id).value = String(value);
+    };
+    setColumn('#mapDate', mapping.dateColumn);
+    setColumn('#mapDescription', mapping.descriptionColumn);
+    setColumn('#mapAmount', mapping.amountColumn);
+    setColumn('#mapDebit', mapping.debitColumn);
+    setColumn('#mapCredit', mapping.creditColumn);
+    form.querySelector('#mapDateFormat').value = mapping.dateFormat;
+    form.querySelector('#mapAmountMode').value = mapping.amountMode;
+    form.querySelector('#mapSign').value = mapping.expensesPositive ? 'positive' : 'negative';
+    toggleAmountMode();
+  };
+
+  const readMapping = () => {
+    const split = form.querySelector('#mapAmountMode').value === AMOUNT_MODE.SPLIT;
+    const column = (id) => parseInt(form.querySelector(id).value, 10);
+    return {
+      hasHeader: form.querySelector('#mapHasHeader').checked,
+      dateColumn: column('#mapDate'),
+      dateFormat: form.querySelector('#mapDateFormat').value,
+      descriptionColumn: column('#mapDescription'),
+      amountMode: split ? AMOUNT_MODE.SPLIT : AMOUNT_MODE.SINGLE,
+      amountColumn: split ? null : column('#mapAmount'),
+      debitColumn: split ? column('#mapDebit') : null,
+      creditColumn: split ? column('#mapCredit') : null,
+      expensesPositive: !split && form.querySelector('#mapSign').value === 'positive',
+    };
+  };
+
+  const toggleAmountMode = () => {
+    const split = form.querySelector('#mapAmountMode').value === AMOUNT_MODE.SPLIT;
+    form.querySelector('#mapSingle').classList.toggle('hidden', split);
+    form.querySelector('#mapSplit').classList.toggle('hidden', !split);
+  };
+
+  form.querySelector('#mapHasHeader').addEventListener('change', renderColumnOptions);
+  form.querySelector('#mapAmountMode').addEventListener('change', toggleAmountMode);
+
+  form.querySelector('#mapPreset').addEventListener('change', (e) => {
+    const preset = getMappingPresets().find((p) => p.name === e.target.value);
+    fillMapping(preset ? preset.mapping : detected);
+    form.querySelector('#mapPresetName').value = preset ? preset.name : '';
+    form.querySelector('#btnDeletePreset').classList.toggle('hidden', !preset);
+  });
+
+  form.querySelector('#btnSavePreset').addEventListener('click', () => {
+    const name = form.querySelector('#mapPresetName').value.trim();
+    if (!name) {
+      showToast('Please enter a preset name', 'error');
+      return;
+    }
+    saveMappingPreset(name, readMapping());
+    renderPresets(name);
+    showToast(`Preset "${name}" saved`, 'success');
+  });
+
+  form.querySelector('#btnDeletePreset').addEventListener('click', () => {
+    const name = form.querySelector('#mapPreset').value;
+    deleteMappingPreset(name);
+    renderPresets();
+    form.querySelector('#mapPresetName').value = '';
+    showToast(`Preset "${name}" deleted`, 'success');
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const { lines, skipped } = applyMapping(rows, readMapping());
+    if (lines.length === 0) {
+      showToast('No statement lines found — check the column mapping', 'error');
+      return;
+    }
+    modal.close();
+    openStatementReview(lines, skipped);
+  });
+
+  renderPresets();
+  fillMapping(detected);
+}
+
+/**
+ * Step 2: match statement lines against pending transactions, let the user
+ * untick anything, then tick off matches and add the rest as one-off transactions.
+ */
+async function openStatementReview(lines, skipped = 0) {
+  const profileId = getActiveProfileId();
+  const transactions = [];
+  for (const { year, month } of getStatementMonths(lines)) {
+    transactions.push(...(await generateTransactionsForMonth(profileId, year, month)));
+  }
+  // Statement amounts are in the base currency: transactions in another one can't pair by amount,
+  // but those already carrying a statement id still mark re-imported lines as duplicates
+  const currency = getStatementCurrency();
+  const comparable = transactions.filter((t) => getRecordCurrency(t, currency) === currency || t.statementId);
+  const results = matchStatementLines(lines, comparable);
+  const categories = await getProfileCategories(profileId);
+
+  const count = (status) => results.filter((r) => r.status === status).length;
+  const summary = [
+    `${count(MATCH_STATUS.MATCHED)} matched`,
+    `${count(MATCH_STATUS.UNMATCHED)} new`,
+    `${count(MATCH_STATUS.DUPLICATE)} already recorded`,
+  ];
+  if (skipped > 0) summary.push(`${skipped} row${skipped === 1 ? '' : 's'} skipped`);
+
+  const listHTML = results.map((r, i) => {
+    const { line, status, transaction } = r;
+    const income = line.type === ITEM_TYPE.INCOME;
+    let note;
+    if (status === MATCH_STATUS.MATCHED) {
+      note = `✓ ${transaction.snapshotName} (${formatDate(transaction.date)})`;
+    } else if (status === MATCH_STATUS.DUPLICATE) {
+      note = `Already recorded: ${transaction.snapshotName}`;
+    } else {
+      note = categories.length > 0 ? 'Add as one-off' : 'No match';
+    }
+    const disabled = status === MATCH_STATUS.DUPLICATE || (status === MATCH_STATUS.UNMATCHED && categories.length === 0);
+    return `
+      <li class="statement-line statement-line--${status}">
+        <input type="checkbox" id="stmtLine${i}" data-line="${i}" ${disabled ? 'disabled' : 'checked'}>
+        <label for="stmtLine${i}" class="statement-line__body">
+          <span class="statement-line__top">
+            <span class="statement-line__desc">${escapeHTML(line.description)}</span>
+            <span class="statement-line__amount${income ? ' statement-line__amount--income' : ''}">${income ? '+' : '−'}${formatCurrency(line.amount)}</span>
+          </span>
+          <span class="statement-line__meta">${formatDate(line.date)} · ${escapeHTML(note)}</span>
+        </label>
+      </li>
+    `;
+  }).join('');
+
+  const catOptions = categories
+    .map((c) => `<option value="${c.id}">${escapeHTML(c.name)}${c.parentId ? ' (sub)' : ''}</option>`)
+    .join('');
+
+  const contentHTML = `
+    <p class="data-section__hint">${summary.join(' · ')}</p>
+    <ul class="statement-list">${listHTML}</ul>
+    ${count(MATCH_STATUS.UNMATCHED) > 0 && categories.length > 0 ? `
+      <div class="form-group">
+        <label for="statementCategory">Category for one-off transactions</label>
+        <select id="statementCategory">${catOptions}</select>
+      </div>
+    ` : ''}
+    <button type="button" class="btn btn--primary" id="btnApplyStatement">Apply</button>
+  `;
+
+  const modal = openModal('Review Statement', contentHTML);
+
+  modal.overlay.querySelector('#btnApplyStatement').addEventListener('click', async () => {
+    const selected = [...modal.overlay.querySelectorAll('[data-line]:checked')].map((el) => results[el.dataset.line]);
+    const categorySelect = modal.overlay.querySelector('#statementCategory');
+    let settled = 0;
+    let added = 0;
+
+    await runUndoable('Import bank statement', async (tag) => {
+      for (const { line, status, transaction } of selected) {
+        if (status === MATCH_STATUS.MATCHED) {
+          await settleTransaction(transaction, { amount: line.amount, statementId: line.statementId }, tag);
+          settled++;
+        } else if (status === MATCH_STATUS.UNMATCHED && categorySelect) {
+          const txn = createAdHocTransaction({
+            profileId,
+            categoryId: categorySelect.value,
+            date: line.date,
+            amount: line.amount,
+            name: line.description,
+            type: line.type,
+          });
+          // The statement shows the money already moved
+          txn.status = getSettledStatus(txn);
+          txn.statementId = line.statementId;
+          await dbAdd(STORES.TRANSACTIONS, txn, tag);
+          added++;
+        }
+      }
+    });
+
+    modal.close();
+    if (onChange) await onChange();
+    showToast(`Statement imported: ${settled} ticked off, ${added} added`, 'success', { actionText: 'Undo', onAction: undo });
+  });
+}
+
+export { initStatementImport };
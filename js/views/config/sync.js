@@ -0,0 +1,123 @@
+// js/views/config/sync.js — Config → Sync Between Devices section: sync files & text, merge
+
+import { takeSnapshot } from '../../snapshots.js';
+import { getSyncStatus, exportChangeLog, mergeChangeLog, encodeSyncText, decodeSyncText } from '../../sync.js';
+import { runUndoable, undo } from '../../undo.js';
+import { openModal } from '../../components/modal.js';
+import { showToast } from '../../components/toast.js';
+import { SNAPSHOT_REASON } from '../../models.js';
+import { escapeHTML, downloadBlob } from './dom.js';
+
+let onChange = null;
+
+function initSyncSection(onDataChange) {
+  onChange = onDataChange;
+  document.getElementById('btnSyncSave').addEventListener('click', handleSyncSave);
+  document.getElementById('btnSyncCopy').addEventListener('click', handleSyncCopy);
+  document.getElementById('btnSyncOpen').addEventListener('click', () => {
+    document.getElementById('syncFileInput').click();
+  });
+  document.getElementById('syncFileInput').addEventListener('change', handleSyncFile);
+  document.getElementById('btnSyncPaste').addEventListener('click', handleSyncPaste);
+}
+
+async function renderSyncStatus() {
+  const { deviceId, changeCount, deviceCount } = await getSyncStatus();
+  const others = deviceCount - 1;
+  document.getElementById('syncStatus').textContent =
+    `This device: ${deviceId.slice(0, 8)} · ${changeCount} change${changeCount === 1 ? '' : 's'} recorded` +
+    (others > 0 ? ` · synced with ${others} other device${others === 1 ? '' : 's'}` : '');
+}
+
+async function handleSyncSave() {
+  const payload = await exportChangeLog();
+  const blob = new Blob([JSON.stringify(payload)], { type: 'application/json' });
+  downloadBlob(blob, `tickyourbudget-sync-${new Date().toISOString().split('T')[0]}.json`);
+  showToast('Download started', 'success');
+}
+
+async function handleSyncCopy() {
+  const text = await encodeSyncText(await exportChangeLog());
+  try {
+    await navigator.clipboard.writeText(text);
+    showToast('Sync text copied — paste it on the other device', 'success');
+  } catch {
+    // No clipboard access (e.g. not HTTPS) — show the text to copy by hand
+    const modal = openModal('Sync Text', `
+      <div class="form-group">
+        <label for="syncTextOutput">Copy this text and paste it on the other device</label>
+        <textarea id="syncTextOutput" class="json-preview" readonly>${escapeHTML(text)}</textarea>
+      </div>
+    `);
+    modal.overlay.querySelector('#syncTextOutput').select();
+  }
+}
+
+async function handleSyncFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  try {
+    await applySync(JSON.parse(await file.text()));
+  } catch (err) {
+    showToast(`Sync failed: ${err.message}`, 'error');
+  }
+
+  // Reset input
+  e.target.value = '';
+}
+
+function handleSyncPaste() {
+  const contentHTML = `
+    <form id="syncPasteForm">
+      <div class="form-group">
+        <label for="syncTextInput">Paste the sync text from the other device</label>
+        <textarea id="syncTextInput" class="json-preview" placeholder="TYBSYNC1:…"></textarea>
+      </div>
+      <button type="submit" class="btn btn--primary">Sync</button>
+    </form>
+  `;
+
+  const modal = openModal('Paste Sync Text', contentHTML);
+
+  modal.overlay.querySelector('#syncPasteForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    let payload;
+    try {
+      payload = await decodeSyncText(modal.overlay.querySelector('#syncTextInput').value);
+    } catch (err) {
+      showToast(`Sync failed: ${err.message}`, 'error');
+      return;
+    }
+    modal.close();
+    await applySync(payload);
+  });
+}
+
+/**
+ * Merge another device's changes (one undo step, after a "Before sync" snapshot)
+ * and refresh everything they touched.
+ */
+async function applySync(payload) {
+  let result;
+  try {
+    await takeSnapshot(SNAPSHOT_REASON.BEFORE_SYNC);
+    result = await runUndoable('Sync', (tag) => mergeChangeLog(payload, tag));
+  } catch (err) {
+    showToast(`Sync failed: ${err.message}`, 'error');
+    return;
+  }
+
+  if (result.added === 0) {
+    showToast('Already up to date', 'info');
+    return;
+  }
+  if (onChange) await onChange();
+  const updated = `${result.updated} record${result.updated === 1 ? '' : 's'} updated`;
+  showToast(`Synced: ${result.added} new change${result.added === 1 ? '' : 's'}, ${updated}`, 'success', {
+    actionText: 'Undo',
+    onAction: undo,
+  });
+}
+
+export { initSyncSection, renderSyncStatus, applySync };
@@ -0,0 +1,123 @@
+// js/views/config/tools.js — Config → Tools section: load sample data & clear all data
+
+import { importData, dbClearAll } from '../../db.js';
+import { getLoanPayment } from '../../loan.js';
+import { toMinorUnits, fromMinorUnits } from '../../money.js';
+import { takeSnapshot } from '../../snapshots.js';
+import { withoutChangeLog } from '../../sync.js';
+import { runUndoable, undo } from '../../undo.js';
+import { setActiveProfileId, getCurrency } from '../../components/profile.js';
+import { showConfirm } from '../../components/modal.js';
+import { showToast } from '../../components/toast.js';
+import { generateId, FREQUENCY, ITEM_TYPE, IMPORT_RESOLUTION, SNAPSHOT_REASON, createLoan } from '../../models.js';
+
+let onChange = null;
+
+function initToolsSection(onDataChange) {
+  onChange = onDataChange;
+  document.getElementById('btnLoadSample').addEventListener('click', handleLoadSample);
+  document.getElementById('btnClearData').addEventListener('click', handleClearData);
+}
+
+async function handleLoadSample() {
+  const confirmed = await showConfirm(
+    'Load Sample Data',
+    'This will add sample profiles, categories, and budget items to your database. Existing data will not be affected.',
+    { okText: 'Load Sample' }
+  );
+
+  if (!confirmed) return;
+
+  try {
+    const sampleData = generateSampleData();
+    await runUndoable('Load sample data', (tag) => importData(sampleData, IMPORT_RESOLUTION.IMPORTED, tag));
+    setActiveProfileId(sampleData.profiles[0].id);
+    if (onChange) await onChange();
+    showToast('Sample data loaded!', 'success');
+  } catch (err) {
+    showToast(`Failed: ${err.message}`, 'error');
+  }
+}
+
+async function handleClearData() {
+  const confirmed = await showConfirm(
+    'Clear All Data',
+    'This will delete ALL profiles, categories, items, goals and transactions. You can undo this until the page is reloaded, and restore the snapshot taken just before from Config → Snapshots. Synced devices keep their data.',
+    { danger: true, okText: 'Clear Everything' }
+  );
+
+  if (!confirmed) return;
+
+  try {
+    await takeSnapshot(SNAPSHOT_REASON.BEFORE_CLEAR);
+  } catch (err) {
+    showToast(`Could not save a snapshot, nothing was cleared: ${err.message}`, 'error');
+    return;
+  }
+  // Clearing is local — it resets this device's change log instead of deleting on the others
+  await runUndoable('Clear all data', (tag) => dbClearAll(withoutChangeLog(tag)));
+  localStorage.removeItem('tyb_active_profile');
+  if (onChange) await onChange();
+  showToast('All data cleared', 'success', { actionText: 'Undo', onAction: undo });
+}
+
+function generateSampleData() {
+  const profileId = generateId();
+  const catHousing = generateId();
+  const catUtils = generateId();
+  const catTransport = generateId();
+  const catFood = generateId();
+  const catEnt = generateId();
+  const catSub = generateId();
+  const catInsurance = generateId();
+  const catIncome = generateId();
+  const catDebt = generateId();
+
+  const today = new Date().toISOString().split('T')[0];
+  const firstOfMonth = today.substring(0, 8) + '01';
+
+  // Loans taken out a while ago, so they show a balance part-way down
+  const monthsAgo = (n) => {
+    const d = new Date(Number(today.substring(0, 4)), Number(today.substring(5, 7)) - 1 - n, 1);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-01`;
+  };
+  // Written like an export from before versioning, with decimal amounts in the display
+  // currency: importing migrates it to the current shape (amounts in minor units)
+  const currency = getCurrency();
+  const carLoan = createLoan({ principal: 18000, annualRate: 6.9, termMonths: 60 });
+  const studentLoan = createLoan({ principal: 12000, annualRate: 4.5, termMonths: 120 });
+  const loanPayment = (loan) => fromMinorUnits(getLoanPayment({ ...loan, principal: toMinorUnits(loan.principal, currency) }), currency);
+
+  return {
+    profiles: [{ id: profileId, name: 'Sample Budget', holidays: [] }],
+    categories: [
+      { id: catHousing, profileId, name: 'Housing', description: 'Rent, mortgage, and housing costs', parentId: null },
+      { id: catUtils, profileId, name: 'Utilities', description: 'Electric, water, gas, internet', parentId: catHousing, monthlyLimit: 200 },
+      { id: catTransport, profileId, name: 'Transportation', description: 'Car, gas, public transit', parentId: null, monthlyLimit: 650 },
+      { id: catFood, profileId, name: 'Food & Dining', description: 'Groceries and restaurants', parentId: null, monthlyLimit: 450 },
+      { id: catEnt, profileId, name: 'Entertainment', description: 'Movies, games, hobbies', parentId: null },
+      { id: catSub, profileId, name: 'Subscriptions', description: 'Digital subscriptions', parentId: catEnt },
+      { id: catInsurance, profileId, name: 'Insurance', description: 'Health, auto, life', parentId: null },
+      { id: catIncome, profileId, name: 'Income', description: 'Salary and side income', parentId: null },
+      { id: catDebt, profileId, name: 'Debt', description: 'Loan repayments', parentId: null },
+    ],
+    budgetItems: [
+      { id: generateId(), profileId, categoryId: catIncome, name: 'Salary', amount: 4200, type: ITEM_TYPE.INCOME, description: 'Monthly take-home pay', frequency: FREQUENCY.MONTHLY, startDate: firstOfMonth },
+      { id: generateId(), profileId, categoryId: catHousing, name: 'Rent', amount: 1500, description: 'Monthly apartment rent', frequency: FREQUENCY.MONTHLY, startDate: firstOfMonth },
+      { id: generateId(), profileId, categoryId: catUtils, name: 'Electric Bill', amount: 85, description: '', frequency: FREQUENCY.MONTHLY, startDate: firstOfMonth },
+      { id: generateId(), profileId, categoryId: catUtils, name: 'Internet', amount: 65, description: 'Fiber internet', frequency: FREQUENCY.MONTHLY, startDate: firstOfMonth },
+      { id: generateId(), profileId, categoryId: catUtils, name: 'Water Bill', amount: 40, description: '', frequency: FREQUENCY.MONTHLY, startDate: firstOfMonth },
+      { id: generateId(), profileId, categoryId: catTransport, name: 'Car Payment', amount: loanPayment(carLoan), description: 'Car loan', frequency: FREQUENCY.MONTHLY, startDate: monthsAgo(14), loan: carLoan },
+      { id: generateId(), profileId, categoryId: catDebt, name: 'Student Loan', amount: loanPayment(studentLoan), description: '', frequency: FREQUENCY.MONTHLY, startDate: monthsAgo(30), loan: studentLoan },
+      { id: generateId(), profileId, categoryId: catTransport, name: 'Gas', amount: 50, description: 'Weekly fill-up', frequency: FREQUENCY.WEEKLY, startDate: firstOfMonth },
+      { id: generateId(), profileId, categoryId: catFood, name: 'Grocery Run', amount: 120, description: 'Weekly groceries', frequency: FREQUENCY.WEEKLY, startDate: firstOfMonth },
+      { id: generateId(), profileId, categoryId: catSub, name: 'Netflix', amount: 15.99, description: 'Standard plan', frequency: FREQUENCY.MONTHLY, startDate: firstOfMonth },
+      { id: generateId(), profileId, categoryId: catSub, name: 'Spotify', amount: 9.99, description: 'Premium individual', frequency: FREQUENCY.MONTHLY, startDate: firstOfMonth },
+      { id: generateId(), profileId, categoryId: catInsurance, name: 'Health Insurance', amount: 320, description: 'Monthly premium', frequency: FREQUENCY.MONTHLY, startDate: firstOfMonth },
+      { id: generateId(), profileId, categoryId: catInsurance, name: 'Car Insurance', amount: 180, description: '', frequency: FREQUENCY.QUARTERLY, startDate: firstOfMonth },
+    ],
+    transactions: [],
+  };
+}
+
+export { initToolsSection };
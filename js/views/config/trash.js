@@ -0,0 +1,146 @@
+// js/views/config/trash.js — Config → Trash section: retention, restore & delete forever
+
+import { dbGetAll, STORES } from '../../db.js';
+import { runUndoable, undo } from '../../undo.js';
+import {
+  RETENTION_OPTIONS,
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  getTrashEntries,
+  restoreFromTrash,
+  deleteFromTrash,
+  emptyTrash,
+  purgeExpiredTrash,
+} from '../../trash.js';
+import { setActiveProfileId } from '../../components/profile.js';
+import { showConfirm } from '../../components/modal.js';
+import { showToast } from '../../components/toast.js';
+import { formatDate, TRASH_KIND, TRASH_KIND_LABELS } from '../../models.js';
+import { escapeHTML } from './dom.js';
+
+let onChange = null;
+
+// The store holding the record the user deleted; anything else in the entry went with it
+const TRASH_KIND_STORE = {
+  [TRASH_KIND.PROFILE]: STORES.PROFILES,
+  [TRASH_KIND.CATEGORY]: STORES.CATEGORIES,
+  [TRASH_KIND.BUDGET_ITEM]: STORES.BUDGET_ITEMS,
+  [TRASH_KIND.GOAL]: STORES.GOALS,
+  [TRASH_KIND.TRANSACTION]: STORES.TRANSACTIONS,
+};
+
+const TRASH_COUNT_NOUNS = [
+  [STORES.CATEGORIES, 'category', 'categories'],
+  [STORES.BUDGET_ITEMS, 'item', 'items'],
+  [STORES.GOALS, 'goal', 'goals'],
+  [STORES.TRANSACTIONS, 'transaction', 'transactions'],
+];
+
+function initTrash(onDataChange) {
+  onChange = onDataChange;
+  const select = document.getElementById('trashRetention');
+  select.innerHTML = RETENTION_OPTIONS.map(
+    (days) => `<option value="${days}">${days === 0 ? 'Until deleted' : days === 365 ? '1 year' : `${days} days`}</option>`
+  ).join('');
+
+  select.addEventListener('change', async (e) => {
+    setTrashRetentionDays(parseInt(e.target.value, 10));
+    const purged = await purgeExpiredTrash();
+    renderTrash();
+    showToast(purged > 0 ? `Trash retention updated — ${purged} old entr${purged === 1 ? 'y' : 'ies'} removed` : 'Trash retention updated', 'success');
+  });
+
+  document.getElementById('btnEmptyTrash').addEventListener('click', async () => {
+    const confirmed = await showConfirm(
+      'Empty Trash',
+      'Permanently delete everything in the trash?',
+      { danger: true, okText: 'Empty Trash' }
+    );
+    if (!confirmed) return;
+    await runUndoable('Empty trash', (tag) => emptyTrash(tag));
+    renderTrash();
+    showToast('Trash emptied', 'success', { actionText: 'Undo', onAction: undo });
+  });
+}
+
+async function renderTrash() {
+  const list = document.getElementById('trashList');
+  document.getElementById('trashRetention').value = String(getTrashRetentionDays());
+
+  const entries = await getTrashEntries();
+  document.getElementById('btnEmptyTrash').disabled = entries.length === 0;
+  if (entries.length === 0) {
+    list.innerHTML = '<li class="trash-list__empty">Trash is empty</li>';
+    return;
+  }
+
+  const profileNames = new Map((await dbGetAll(STORES.PROFILES)).map((p) => [p.id, p.name]));
+
+  list.innerHTML = entries.map((entry) => {
+    const meta = [`Deleted ${formatDate(entry.deletedAt.split('T')[0])}`];
+    const contents = describeTrashContents(entry);
+    if (contents) meta.push(`with ${contents}`);
+    if (entry.kind !== TRASH_KIND.PROFILE && profileNames.has(entry.profileId)) {
+      meta.push(profileNames.get(entry.profileId));
+    }
+    return `
+      <li class="trash-list__item" data-trash-id="${entry.id}">
+        <span class="badge">${TRASH_KIND_LABELS[entry.kind]}</span>
+        <div class="trash-list__info">
+          <div class="trash-list__name">${escapeHTML(entry.label)}</div>
+          <div class="trash-list__meta">${escapeHTML(meta.join(' · '))}</div>
+        </div>
+        <button class="btn-card-action btn-card-action--edit" data-action="restore">Restore</button>
+        <button class="btn-icon btn-icon--danger" data-action="purge" title="Delete forever">
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <line x1="18" y1="6" x2="6" y2="18"/>
+            <line x1="6" y1="6" x2="18" y2="18"/>
+          </svg>
+        </button>
+      </li>
+    `;
+  }).join('');
+
+  list.querySelectorAll('.trash-list__item').forEach((li) => {
+    const entry = entries.find((e) => e.id === li.dataset.trashId);
+    li.querySelector('[data-action="restore"]').addEventListener('click', () => handleRestore(entry));
+    li.querySelector('[data-action="purge"]').addEventListener('click', () => handlePurge(entry));
+  });
+}
+
+// e.g. "2 categories, 14 transactions" — the records deleted along with the entry's main record
+function describeTrashContents(entry) {
+  const parts = [];
+  for (const [storeName, one, many] of TRASH_COUNT_NOUNS) {
+    let count = (entry.records[storeName] || []).length;
+    if (storeName === TRASH_KIND_STORE[entry.kind]) count--;
+    if (count > 0) parts.push(`${count} ${count === 1 ? one : many}`);
+  }
+  return parts.join(', ');
+}
+
+async function handleRestore(entry) {
+  try {
+    await runUndoable(`Restore "${entry.label}"`, (tag) => restoreFromTrash(entry.id, tag));
+  } catch (err) {
+    showToast(`Restore failed: ${err.message}`, 'error');
+    return;
+  }
+  if (entry.kind === TRASH_KIND.PROFILE) setActiveProfileId(entry.profileId);
+  if (onChange) await onChange();
+  showToast(`"${entry.label}" restored`, 'success');
+}
+
+async function handlePurge(entry) {
+  const confirmed = await showConfirm(
+    'Delete Forever',
+    `Permanently delete "${escapeHTML(entry.label)}"${entry.kind === TRASH_KIND.PROFILE ? ' and everything deleted from this profile' : ''}?`,
+    { danger: true, okText: 'Delete' }
+  );
+  if (!confirmed) return;
+  await runUndoable(`Delete "${entry.label}" forever`, (tag) => deleteFromTrash(entry.id, tag));
+  renderTrash();
+  showToast(`"${entry.label}" deleted forever`, 'success', { actionText: 'Undo', onAction: undo });
+}
+
+export { initTrash, renderTrash };
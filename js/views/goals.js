@@ -0,0 +1,282 @@
+// js/views/goals.js — Savings goals view: progress over time & the monthly contribution saving towards each goal
+
+import {
+  getProfileGoals,
+  getProfileCategories,
+  dbGetByIndex,
+  dbGet,
+  STORES,
+} from '../db.js';
+import { moveToTrash } from '../trash.js';
+import { getBaseCurrency } from '../currency.js';
+import { parseMoney, formatMoneyInput, getMoneyStep } from '../money.js';
+import { getGoalProgress, addGoal, updateGoal, refreshGoalContributions } from '../goals.js';
+import {
+  createGoal,
+  formatCurrency,
+  formatDate,
+  getDisplayLocale,
+  GOAL_STATUS,
+  GOAL_STATUS_LABELS,
+  TRASH_KIND,
+} from '../models.js';
+import { runUndoable, undo } from '../undo.js';
+import { getActiveProfileId } from '../components/profile.js';
+import { openModal, showConfirm } from '../components/modal.js';
+import { showToast } from '../components/toast.js';
+
+// Size of the progress chart's drawing area (it stretches to the card width)
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 64;
+
+function initGoalsView() {
+  document.getElementById('fabAddGoal').addEventListener('click', () => {
+    openGoalForm();
+  });
+}
+
+async function renderGoals() {
+  const profileId = getActiveProfileId();
+  const container = document.getElementById('goalsContainer');
+  const emptyState = document.getElementById('emptyGoals');
+
+  if (!profileId) {
+    container.innerHTML = '';
+    emptyState.classList.remove('hidden');
+    return;
+  }
+
+  // Contributions may have been paid or skipped since the last render
+  await refreshGoalContributions(profileId);
+
+  const goals = await getProfileGoals(profileId);
+  if (goals.length === 0) {
+    container.innerHTML = '';
+    emptyState.classList.remove('hidden');
+    return;
+  }
+  emptyState.classList.add('hidden');
+
+  const categories = await getProfileCategories(profileId);
+  const catMap = new Map(categories.map((c) => [c.id, c]));
+  goals.sort((a, b) => a.targetDate.localeCompare(b.targetDate) || a.name.localeCompare(b.name));
+
+  let html = '';
+  for (const goal of goals) {
+    const item = goal.budgetItemId ? await dbGet(STORES.BUDGET_ITEMS, goal.budgetItemId) : null;
+    const contributions = item ? await dbGetByIndex(STORES.TRANSACTIONS, 'budgetItemId', item.id) : [];
+    const progress = getGoalProgress(goal, item, contributions);
+    const catName = catMap.has(goal.categoryId) ? catMap.get(goal.categoryId).name : 'Uncategorized';
+    // A goal is saved in its contribution item's currency
+    const currency = item ? item.currency : null;
+
+    html += `
+      <div class="card goal-card" data-goal-id="${goal.id}">
+        <div class="card__header">
+          <div class="card__title">${escapeHTML(goal.name)}</div>
+          <div class="card__amount">${formatCurrency(goal.targetAmount, currency)}</div>
+        </div>
+        <div class="progress-bar">
+          <div class="progress-bar__fill" style="width: ${progress.percent}%"></div>
+        </div>
+        <div class="progress-bar__label">${formatCurrency(progress.saved, currency)} saved · ${progress.percent}%</div>
+        ${renderChart(goal, progress.history, currency)}
+        <div class="card__meta">
+          <span class="badge badge--goal-${progress.status}">${GOAL_STATUS_LABELS[progress.status]}</span>
+          <span class="badge badge--category">${escapeHTML(catName)}</span>
+          <span class="badge">By ${formatDate(goal.targetDate)}</span>
+          ${describeContribution(item, progress)}
+        </div>
+        <div class="card__actions">
+          <button class="btn-card-action btn-card-action--edit" data-action="edit">Edit</button>
+          <button class="btn-card-action btn-card-action--delete" data-action="delete">Delete</button>
+        </div>
+      </div>
+    `;
+  }
+
+  container.innerHTML = html;
+
+  container.querySelectorAll('.goal-card').forEach((card) => {
+    const goal = goals.find((g) => g.id === card.dataset.goalId);
+    card.querySelector('[data-action="edit"]').addEventListener('click', () => openGoalForm(goal));
+    card.querySelector('[data-action="delete"]').addEventListener('click', () => handleDeleteGoal(goal));
+  });
+}
+
+function describeContribution(item, progress) {
+  if (!item) return '<span class="badge badge--end-date">No contribution item — edit to add it back</span>';
+  if (progress.status === GOAL_STATUS.REACHED) return '';
+  if (progress.openCount === 0) return '<span class="badge badge--end-date">No contributions left — move the target date</span>';
+  const left = `${progress.openCount} contribution${progress.openCount === 1 ? '' : 's'} left`;
+  return `<span class="badge badge--frequency">${formatCurrency(progress.contribution, item.currency)} / month · ${left}</span>`;
+}
+
+/**
+ * Saved balance per month as bars, against the straight-line plan as a dashed
+ * line, with the first and last month underneath.
+ */
+function renderChart(goal, history, currency = null) {
+  if (history.length < 2) return '';
+  const top = Math.max(goal.targetAmount, ...history.map((h) => h.saved || 0)) || 1;
+  const slot = CHART_WIDTH / history.length;
+  const y = (amount) => CHART_HEIGHT - (amount / top) * CHART_HEIGHT;
+
+  const bars = history.map((h, i) => {
+    if (h.saved == null) return '';
+    const height = CHART_HEIGHT - y(h.saved);
+    return `<rect class="goal-chart__bar" x="${(i * slot + slot * 0.15).toFixed(1)}" y="${y(h.saved).toFixed(1)}" width="${(slot * 0.7).toFixed(1)}" height="${height.toFixed(1)}"><title>${monthName(h.month)}: ${formatCurrency(h.saved, currency)}</title></rect>`;
+  }).join('');
+  const plan = history.map((h, i) => `${((i + 0.5) * slot).toFixed(1)},${y(h.planned).toFixed(1)}`).join(' ');
+
+  return `
+    <div class="goal-chart">
+      <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" preserveAspectRatio="none" role="img" aria-label="Saved per month against the plan">
+        ${bars}
+        <polyline class="goal-chart__plan" points="${plan}" />
+      </svg>
+      <div class="goal-chart__axis">
+        <span>${monthName(history[0].month)}</span>
+        <span>${monthName(history[history.length - 1].month)}</span>
+      </div>
+    </div>
+  `;
+}
+
+function monthName(month) {
+  const d = new Date(month + '-01T00:00:00');
+  return d.toLocaleDateString(getDisplayLocale(), { month: 'short', year: 'numeric' });
+}
+
+async function handleDeleteGoal(goal) {
+  const confirmed = await showConfirm(
+    'Delete Goal',
+    `Delete "${escapeHTML(goal.name)}" and its monthly contribution item? Contributions already made stay on Home.`,
+    { danger: true, okText: 'Delete' }
+  );
+  if (!confirmed) return;
+
+  await runUndoable(`Delete goal "${goal.name}"`, (tag) => moveToTrash({
+    kind: TRASH_KIND.GOAL,
+    label: goal.name,
+    profileId: goal.profileId,
+    records: async (batch) => {
+      const item = goal.budgetItemId ? await batch.get(STORES.BUDGET_ITEMS, goal.budgetItemId) : null;
+      return {
+        [STORES.GOALS]: [goal],
+        [STORES.BUDGET_ITEMS]: item ? [item] : [],
+      };
+    },
+  }, tag));
+  showToast(`"${goal.name}" moved to trash`, 'success', { actionText: 'Undo', onAction: undo });
+  renderGoals();
+}
+
+async function openGoalForm(existingGoal = null) {
+  const profileId = getActiveProfileId();
+  if (!profileId) {
+    showToast('Please create a profile first', 'error');
+    return;
+  }
+
+  const categories = await getProfileCategories(profileId);
+  if (categories.length === 0) {
+    showToast('Please create a category first', 'error');
+    return;
+  }
+
+  const isEdit = !!existingGoal;
+  const today = new Date().toISOString().split('T')[0];
+  // Amounts are in the contribution item's currency (a new goal's item is in the base currency)
+  const item = isEdit ? await dbGet(STORES.BUDGET_ITEMS, existingGoal.budgetItemId) : null;
+  const currency = (item && item.currency) || getBaseCurrency(await dbGet(STORES.PROFILES, profileId));
+  const step = getMoneyStep(currency);
+
+  const catOptions = categories
+    .map(
+      (c) =>
+        `<option value="${c.id}" ${existingGoal && existingGoal.categoryId === c.id ? 'selected' : ''}>${escapeHTML(c.name)}${c.parentId ? ' (sub)' : ''}</option>`
+    )
+    .join('');
+
+  const contentHTML = `
+    <form id="goalForm">
+      <div class="form-group">
+        <label for="goalName">Name *</label>
+        <input type="text" id="goalName" required maxlength="100" value="${existingGoal ? escapeAttr(existingGoal.name) : ''}" placeholder="e.g. Car insurance, Summer holiday">
+      </div>
+      <div class="form-row">
+        <div class="form-group">
+          <label for="goalTarget">Target Amount *</label>
+          <input type="number" id="goalTarget" required min="${step}" step="${step}" value="${existingGoal ? formatMoneyInput(existingGoal.targetAmount, currency) : ''}" placeholder="0.00">
+        </div>
+        <div class="form-group">
+          <label for="goalDate">Target Date *</label>
+          <input type="date" id="goalDate" required value="${existingGoal ? existingGoal.targetDate : ''}">
+        </div>
+      </div>
+      <div class="form-row">
+        <div class="form-group">
+          <label for="goalCategory">Category *</label>
+          <select id="goalCategory" required>${catOptions}</select>
+        </div>
+        <div class="form-group">
+          <label for="goalStarting">Already Saved</label>
+          <input type="number" id="goalStarting" min="0" step="${step}" value="${existingGoal ? formatMoneyInput(existingGoal.startingAmount, currency) : 0}">
+        </div>
+      </div>
+      <p class="data-section__hint">A monthly contribution item is ${isEdit ? 'kept' : 'created'} in Items. Its amount is what is left to save, spread over the months until the target date, and is recalculated when contributions are skipped or paid differently.</p>
+      <button type="submit" class="btn btn--primary">${isEdit ? 'Update Goal' : 'Add Goal'}</button>
+    </form>
+  `;
+
+  const modal = openModal(isEdit ? 'Edit Goal' : 'Add Goal', contentHTML);
+  const form = modal.overlay.querySelector('#goalForm');
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const name = form.querySelector('#goalName').value.trim();
+    const targetAmount = parseMoney(form.querySelector('#goalTarget').value, currency);
+    const targetDate = form.querySelector('#goalDate').value;
+    const categoryId = form.querySelector('#goalCategory').value;
+    const startingAmount = parseMoney(form.querySelector('#goalStarting').value, currency) || 0;
+
+    if (!name || !(targetAmount > 0) || !targetDate) {
+      showToast('Name, target amount and target date are required', 'error');
+      return;
+    }
+    // An unchanged past target date may stay (overdue goals can still be renamed)
+    if (targetDate < today && !(isEdit && targetDate === existingGoal.targetDate)) {
+      showToast('The target date must not be in the past', 'error');
+      return;
+    }
+
+    if (isEdit) {
+      const updated = { ...existingGoal, name, targetAmount, targetDate, categoryId, startingAmount };
+      await runUndoable(`Edit goal "${name}"`, (tag) => updateGoal(updated, tag));
+      showToast(`"${name}" updated`, 'success');
+    } else {
+      const goal = createGoal({ profileId, categoryId, name, targetAmount, targetDate, startingAmount });
+      await runUndoable(`Add goal "${name}"`, (tag) => addGoal(goal, tag));
+      showToast(`"${name}" added — its monthly contribution is in Items`, 'success');
+    }
+
+    modal.close();
+    renderGoals();
+  });
+
+  setTimeout(() => modal.overlay.querySelector('#goalName').focus(), 100);
+}
+
+function escapeHTML(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+function escapeAttr(str) {
+  return str.replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export { initGoalsView, renderGoals };
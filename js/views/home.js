@@ -1,13 +1,28 @@
 // js/views/home.js — Home View (Transactions checklist with chart + progress)
 
-import { getTransactionsForMonth, getProfileCategories, getProfileBudgetItems } from '../db.js';
-import { generateTransactionsForMonth, toggleTransactionStatus, updateTransactionAmount, deleteTransaction } from '../transaction-engine.js';
-import { formatCurrency, formatDate, getMonthLabel, TX_STATUS } from '../models.js';
-import { getActiveProfileId } from '../components/profile.js';
+import {
+  getTransactionsForMonth, getProfileCategories, getProfileBudgetItems, getProfileExchangeRates,
+  dbAdd, dbGet, dbGetByIndex, STORES,
+} from '../db.js';
+import { generateTransactionsForMonth, toggleTransactionStatus, updateTransactionAmount, recordPayment, deletePayment, deleteTransaction } from '../transaction-engine.js';
+import {
+  TX_STATUS, ITEM_TYPE, ITEM_TYPE_LIST, createPayment, createAdHocTransaction,
+  formatCurrency, formatDate, getMonthLabel, isIncome, isSettled, isAdHoc,
+  getTransactionCategoryId, getPaidAmount, getTransactionState,
+  getPlannedAmount, getTransactionAmount, getVariance, hasActualAmount, isLoan,
+} from '../models.js';
+import { computeCategoryLimits } from '../category-limits.js';
+import { refreshGoalContributions } from '../goals.js';
+import { refreshLoanPayments, getPaymentSplits } from '../loan.js';
+import { getBaseCurrency, getRecordCurrency, convertTransactions } from '../currency.js';
+import { parseMoney, formatMoneyInput, getMoneyStep } from '../money.js';
+import { runUndoable, undo } from '../undo.js';
+import { getActiveProfileId, CURRENCY_OPTIONS } from '../components/profile.js';
 import { openModal, showConfirm } from '../components/modal.js';
+import { showToast } from '../components/toast.js';
 
 let currentYear, currentMonth;
-let lastCategoryTotals = null, lastTotal = 0;
+let lastCategoryTotals = null;
 
 const CHART_COLORS = [
   '#a78bfa', '#f472b6', '#60a5fa', '#34d399', '#fbbf24',
@@ -45,6 +60,11 @@ function initHomeView() {
     renderHome();
   });
 
+  // Ad-hoc transaction
+  document.getElementById('fabAddTransaction').addEventListener('click', () => {
+    openAddTransactionModal();
+  });
+
   // Chart modal
   document.getElementById('btnShowChart').addEventListener('click', () => {
     showChartModal();
@@ -76,11 +96,6 @@ async function renderHome() {
   const monthLabel = document.getElementById('monthLabel');
   const container = document.getElementById('checklistContainer');
   const emptyState = document.getElementById('emptyHome');
-  const summaryTotal = document.getElementById('summaryTotal');
-  const summaryPaid = document.getElementById('summaryPaid');
-  const summaryPending = document.getElementById('summaryPending');
-  const progressFill = document.getElementById('progressFill');
-  const progressLabel = document.getElementById('progressLabel');
   const progressWrapper = document.getElementById('progressWrapper');
   const chartBtn = document.getElementById('btnShowChart');
   const comparisonEl = document.getElementById('monthComparison');
@@ -94,18 +109,16 @@ async function renderHome() {
   if (!profileId) {
     container.innerHTML = '';
     emptyState.classList.remove('hidden');
-    summaryTotal.textContent = formatCurrency(0);
-    summaryPaid.textContent = formatCurrency(0);
-    summaryPending.textContent = formatCurrency(0);
-    progressFill.style.width = '0%';
-    progressLabel.textContent = '0% paid';
+    renderSummary(computeSummary([]));
     progressWrapper.style.display = 'none';
     chartBtn.classList.add('hidden');
     comparisonEl.classList.add('hidden');
     return;
   }
 
-  // Generate/reconcile transactions for this month
+  // Resize goal contributions and loan payments to what is left, then generate/reconcile this month
+  await refreshGoalContributions(profileId);
+  await refreshLoanPayments(profileId);
   const transactions = await generateTransactionsForMonth(profileId, currentYear, currentMonth);
 
   // Get budget items and categories for grouping
@@ -114,42 +127,36 @@ async function renderHome() {
 
   const itemMap = new Map(budgetItems.map((i) => [i.id, i]));
   const catMap = new Map(categories.map((c) => [c.id, c]));
+  const loanSplits = await getLoanSplits(transactions, itemMap);
+
+  // Totals are in the base currency; rows keep showing each transaction's own amount
+  const baseCurrency = getBaseCurrency(await dbGet(STORES.PROFILES, profileId));
+  const rates = await getProfileExchangeRates(profileId);
+  const toBase = (txns) => convertTransactions(txns, baseCurrency, rates);
+  const { converted, missing } = toBase(transactions);
+  const convertedById = new Map(converted.map((t) => [t.id, t]));
 
   // Calculate summary
-  let total = 0, paid = 0, pending = 0;
+  const summary = computeSummary(converted);
   const categoryTotals = new Map();
 
-  for (const txn of transactions) {
-    total += txn.snapshotAmount;
-    if (txn.status === TX_STATUS.PAID) {
-      paid += txn.snapshotAmount;
-    } else {
-      pending += txn.snapshotAmount;
-    }
-
-    // Track category totals for chart
-    const item = itemMap.get(txn.budgetItemId);
-    const catId = item ? item.categoryId : '_uncategorized';
+  for (const txn of converted) {
+    // Track expense category totals for chart
+    if (isIncome(txn)) continue;
+    const catId = getTransactionCategoryId(txn, itemMap) || '_uncategorized';
     const catName = catMap.has(catId) ? catMap.get(catId).name : 'Uncategorized';
     if (!categoryTotals.has(catId)) {
-      categoryTotals.set(catId, { name: catName, total: 0 });
+      categoryTotals.set(catId, { name: catName, planned: 0, actual: 0 });
     }
-    categoryTotals.get(catId).total += txn.snapshotAmount;
+    categoryTotals.get(catId).planned += getPlannedAmount(txn);
+    categoryTotals.get(catId).actual += getTransactionAmount(txn);
   }
 
-  summaryTotal.textContent = formatCurrency(total);
-  summaryPaid.textContent = formatCurrency(paid);
-  summaryPending.textContent = formatCurrency(pending);
-
-  // Update progress bar
-  const pct = total > 0 ? Math.round((paid / total) * 100) : 0;
-  progressFill.style.width = pct + '%';
-  progressLabel.textContent = pct + '% paid';
+  renderSummary(summary);
   progressWrapper.style.display = '';
 
   // Store chart data for modal
   lastCategoryTotals = categoryTotals;
-  lastTotal = total;
 
   if (transactions.length === 0) {
     container.innerHTML = '';
@@ -164,13 +171,12 @@ async function renderHome() {
   chartBtn.classList.remove('hidden');
 
   // Month-over-month comparison
-  renderMonthComparison(profileId, total, comparisonEl);
+  renderMonthComparison(profileId, summary.expenses, comparisonEl, toBase);
 
   // Group by category
   const groups = new Map();
   for (const txn of transactions) {
-    const item = itemMap.get(txn.budgetItemId);
-    const catId = item ? item.categoryId : '_uncategorized';
+    const catId = getTransactionCategoryId(txn, itemMap) || '_uncategorized';
     const catName = catMap.has(catId) ? catMap.get(catId).name : 'Uncategorized';
     if (!groups.has(catId)) {
       groups.set(catId, { name: catName, transactions: [] });
@@ -178,15 +184,22 @@ async function renderHome() {
     groups.get(catId).transactions.push(txn);
   }
 
+  // Spent vs. monthly limit per category (sub-categories roll up into parents)
+  const limits = computeCategoryLimits(categories, budgetItems, converted);
+
   // Render grouped checklist
-  let html = '';
+  let html = renderLimitAlert(categories, limits) + renderMissingRateAlert(missing, baseCurrency);
   for (const [catId, group] of groups) {
+    const groupConverted = group.transactions.map((t) => convertedById.get(t.id)).filter(Boolean);
     html += `<li class="checklist-group">`;
-    html += `<div class="checklist-group__title">${escapeHTML(group.name)}</div>`;
+    html += renderGroupTitle(group.name, limits.get(catId), sumVariance(groupConverted));
     for (const txn of group.transactions) {
-      const checked = txn.status === TX_STATUS.PAID ? 'checked' : '';
+      const checked = isSettled(txn) ? 'checked' : '';
+      const partial = getTransactionState(txn) === TX_STATUS.PARTIALLY_PAID ? 'partial' : '';
+      const income = isIncome(txn);
+      const currency = getRecordCurrency(txn, baseCurrency);
       html += `
-        <div class="checklist-item ${checked}" data-txn-id="${txn.id}">
+        <div class="checklist-item ${checked} ${partial} ${income ? 'checklist-item--income' : ''}" data-txn-id="${txn.id}">
           <div class="checklist-item__check">
             <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round">
               <polyline points="20 6 9 17 4 12"/>
@@ -194,10 +207,10 @@ async function renderHome() {
           </div>
           <div class="checklist-item__info">
             <div class="checklist-item__name">${escapeHTML(txn.snapshotName)}</div>
-            <div class="checklist-item__date">${formatDate(txn.date)}</div>
+            <div class="checklist-item__date">${describeItemMeta(txn, loanSplits.get(txn.id), baseCurrency, convertedById.get(txn.id) || null)}</div>
           </div>
           <div class="checklist-item__amount" data-edit-txn="${txn.id}">
-            <span>${formatCurrency(txn.snapshotAmount)}</span>
+            <span>${income ? '+' : ''}${formatCurrency(getTransactionAmount(txn), currency)}</span>
             <svg class="edit-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17 3a2.83 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z"/></svg>
           </div>
         </div>
@@ -216,7 +229,7 @@ async function renderHome() {
       if (amountEl) {
         const txnId = amountEl.dataset.editTxn;
         const txn = transactions.find((t) => t.id === txnId);
-        if (txn) openEditAmountModal(txn);
+        if (txn) openTransactionModal(txn, getRecordCurrency(txn, baseCurrency));
         return;
       }
 
@@ -224,40 +237,211 @@ async function renderHome() {
       const txn = transactions.find((t) => t.id === txnId);
       if (!txn) return;
 
-      await toggleTransactionStatus(txn);
+      const { status } = txn;
+      try {
+        await runUndoable(`Tick "${txn.snapshotName}"`, (tag) => toggleTransactionStatus(txn, tag));
+      } catch (err) {
+        txn.status = status;
+        showToast(`Could not update "${txn.snapshotName}": ${err.message}`, 'error');
+        return;
+      }
 
-      // Toggle visual state
-      el.classList.toggle('checked');
+      // Update visual state (unticking keeps recorded payments → partially paid)
+      el.classList.toggle('checked', isSettled(txn));
+      el.classList.toggle('partial', getTransactionState(txn) === TX_STATUS.PARTIALLY_PAID);
+      const baseTxn = toBase([txn]).converted[0] || null;
+      el.querySelector('.checklist-item__date').textContent = describeItemMeta(txn, loanSplits.get(txn.id), baseCurrency, baseTxn);
 
-      // Recalculate summary
-      let newTotal = 0, newPaid = 0, newPending = 0;
-      for (const t of transactions) {
-        newTotal += t.snapshotAmount;
-        if (t.status === TX_STATUS.PAID) {
-          newPaid += t.snapshotAmount;
-        } else {
-          newPending += t.snapshotAmount;
-        }
-      }
-      summaryTotal.textContent = formatCurrency(newTotal);
-      summaryPaid.textContent = formatCurrency(newPaid);
-      summaryPending.textContent = formatCurrency(newPending);
-
-      // Update progress bar
-      const newPct = newTotal > 0 ? Math.round((newPaid / newTotal) * 100) : 0;
-      progressFill.style.width = newPct + '%';
-      progressLabel.textContent = newPct + '% paid';
+      // Recalculate summary & progress bar
+      renderSummary(computeSummary(toBase(transactions).converted));
     });
   });
 }
 
-function openEditAmountModal(txn) {
+/**
+ * Group header with the group's variance vs. plan and the category's
+ * spent vs. limit (each only when it applies).
+ */
+function renderGroupTitle(name, limit, variance) {
+  const hasLimit = limit && limit.limit != null;
+  const parts = [];
+  if (variance.amount !== 0) {
+    parts.push(`<span class="variance ${variance.overspend > 0 ? 'variance--over' : 'variance--under'}" title="Actual vs. planned">${formatVariance(variance.amount)}</span>`);
+  }
+  if (hasLimit) {
+    parts.push(`<span class="checklist-group__limit" title="${limit.over ? 'Over budget' : 'Spent of monthly limit'}">${limit.over ? '⚠ ' : ''}${formatCurrency(limit.spent)} / ${formatCurrency(limit.limit)}</span>`);
+  }
+  if (parts.length === 0) {
+    return `<div class="checklist-group__title">${escapeHTML(name)}</div>`;
+  }
+  return `<div class="checklist-group__title${hasLimit && limit.over ? ' checklist-group__title--over' : ''}">
+    <span>${escapeHTML(name)}</span>
+    <span class="checklist-group__meta">${parts.join('')}</span>
+  </div>`;
+}
+
+/**
+ * Net variance (actual − planned) of a set of transactions. `overspend` weighs
+ * it from the budget's point of view: spending more or receiving less is positive.
+ */
+function sumVariance(transactions) {
+  let amount = 0, overspend = 0;
+  for (const txn of transactions) {
+    const v = getVariance(txn);
+    amount += v;
+    overspend += isIncome(txn) ? -v : v;
+  }
+  return { amount, overspend };
+}
+
+function formatVariance(amount, currency = null) {
+  return `${amount > 0 ? '+' : '\u2212'}${formatCurrency(Math.abs(amount), currency)}`;
+}
+
+/**
+ * Alert row listing every category over its limit this month — includes parents,
+ * which have no group of their own when all their items sit in sub-categories.
+ */
+function renderLimitAlert(categories, limits) {
+  const over = categories.filter((c) => limits.get(c.id).over);
+  if (over.length === 0) return '';
+  const names = over.map((c) => escapeHTML(c.name)).join(', ');
+  return `<li class="limit-alert">⚠ Over budget: ${names}</li>`;
+}
+
+/**
+ * Alert row for transactions left out of the totals because their currency has
+ * no exchange rate into the base currency.
+ */
+function renderMissingRateAlert(missing, baseCurrency) {
+  if (missing.length === 0) return '';
+  const currencies = [...new Set(missing.map((t) => t.currency))].map((c) => `${c} → ${baseCurrency}`).join(', ');
+  const count = `${missing.length} transaction${missing.length === 1 ? '' : 's'}`;
+  return `<li class="limit-alert">⚠ No exchange rate for ${currencies}: ${count} left out of the totals. Add one in Config → Exchange Rates.</li>`;
+}
+
+/**
+ * Principal/interest split of this month's loan payments, as Map<transactionId, schedule row>.
+ */
+async function getLoanSplits(transactions, itemMap) {
+  const splits = new Map();
+  const loanIds = new Set(transactions.filter((t) => isLoan(itemMap.get(t.budgetItemId))).map((t) => t.budgetItemId));
+  for (const itemId of loanIds) {
+    const payments = await dbGetByIndex(STORES.TRANSACTIONS, 'budgetItemId', itemId);
+    for (const [txnId, row] of getPaymentSplits(itemMap.get(itemId), payments)) splits.set(txnId, row);
+  }
+  return splits;
+}
+
+/**
+ * Secondary line of a checklist row: date, income marker, the amount in the base
+ * currency (for another currency), a loan payment's principal/interest split and
+ * partial-payment progress. `baseTxn` is the transaction converted into the base
+ * currency (null when there is no rate).
+ */
+function describeItemMeta(txn, loanRow = null, baseCurrency = null, baseTxn = txn) {
+  const currency = getRecordCurrency(txn, baseCurrency);
+  let meta = formatDate(txn.date);
+  if (isIncome(txn)) meta += ' · Income';
+  if (isAdHoc(txn)) meta += ' · One-off';
+  if (currency !== baseCurrency) {
+    meta += baseTxn ? ` · ≈ ${formatCurrency(getTransactionAmount(baseTxn), baseCurrency)}` : ' · No exchange rate';
+  }
+  if (loanRow) {
+    meta += ` · Principal ${formatCurrency(loanRow.principal, currency)}, interest ${formatCurrency(loanRow.interest, currency)} · ${formatCurrency(loanRow.balance, currency)} left`;
+  }
+  if (hasActualAmount(txn) && getVariance(txn) !== 0) {
+    meta += ` · Planned ${formatCurrency(txn.snapshotAmount, currency)} (${formatVariance(getVariance(txn), currency)})`;
+  }
+  if (getTransactionState(txn) === TX_STATUS.PARTIALLY_PAID) {
+    meta += ` · ${isIncome(txn) ? 'Received' : 'Paid'} ${formatCurrency(getPaidAmount(txn), currency)} of ${formatCurrency(getTransactionAmount(txn), currency)}`;
+  }
+  return meta;
+}
+
+/**
+ * Totals for a month's transactions. Paid/Pending cover expenses only;
+ * income is tracked separately so the net balance can be shown.
+ * Amounts are actual where known; Paid/Received use the amount actually
+ * paid, so partial payments count. `planned`/`variance` compare expenses to plan.
+ */
+function computeSummary(transactions) {
+  const summary = {
+    income: 0, received: 0, expenses: 0, paid: 0, pending: 0, net: 0,
+    planned: 0, variance: 0,
+  };
+  for (const txn of transactions) {
+    const amount = getTransactionAmount(txn);
+    const paid = getPaidAmount(txn);
+    if (isIncome(txn)) {
+      summary.income += amount;
+      summary.received += paid;
+    } else {
+      summary.expenses += amount;
+      summary.planned += getPlannedAmount(txn);
+      summary.paid += paid;
+      summary.pending += Math.max(0, amount - paid);
+    }
+  }
+  summary.net = summary.income - summary.expenses;
+  summary.variance = summary.expenses - summary.planned;
+  return summary;
+}
+
+function renderSummary(summary) {
+  document.getElementById('summaryTotal').textContent = formatCurrency(summary.expenses);
+  document.getElementById('summaryPaid').textContent = formatCurrency(summary.paid);
+  document.getElementById('summaryPending').textContent = formatCurrency(summary.pending);
+
+  // Cash flow: income vs expenses for the month
+  document.getElementById('summaryIncome').textContent = formatCurrency(summary.income);
+  document.getElementById('summaryExpenses').textContent = formatCurrency(summary.expenses);
+  const netEl = document.getElementById('summaryNet');
+  netEl.textContent = formatCurrency(summary.net);
+  netEl.classList.toggle('cashflow-bar__value--negative', summary.net < 0);
+
+  // Progress bar
+  const pct = summary.expenses > 0 ? Math.min(100, Math.round((summary.paid / summary.expenses) * 100)) : 0;
+  document.getElementById('progressFill').style.width = pct + '%';
+  document.getElementById('progressLabel').textContent = pct + '% paid';
+
+  // Month variance: actual expenses vs. plan (ad-hoc spending counts as unplanned)
+  const varianceEl = document.getElementById('monthVariance');
+  if (summary.variance === 0) {
+    varianceEl.classList.add('hidden');
+  } else {
+    varianceEl.innerHTML = `
+      <span>Planned ${formatCurrency(summary.planned)} · Actual ${formatCurrency(summary.expenses)}</span>
+      <span class="variance ${summary.variance > 0 ? 'variance--over' : 'variance--under'}">${formatVariance(summary.variance)} ${summary.variance > 0 ? 'over' : 'under'} plan</span>
+    `;
+    varianceEl.classList.remove('hidden');
+  }
+}
+
+function openTransactionModal(txn, currency) {
+  const step = getMoneyStep(currency);
   const html = `
     <form id="editAmountForm" class="form-group" style="margin-bottom:0">
-      <label for="editAmountInput">Amount</label>
-      <input type="number" id="editAmountInput" step="0.01" min="0" value="${txn.snapshotAmount}" required>
+      <label for="editAmountInput">${isAdHoc(txn) ? 'Amount' : `Actual Amount <small style="color:var(--text-muted);font-weight:400;">(planned ${formatCurrency(txn.snapshotAmount, currency)})</small>`}</label>
+      <input type="number" id="editAmountInput" step="${step}" min="0" value="${formatMoneyInput(getTransactionAmount(txn), currency)}" required>
       <button type="submit" class="btn btn--primary" style="margin-top:16px">Save</button>
+      ${hasActualAmount(txn) ? '<button type="button" id="btnResetAmount" class="btn btn--secondary btn--sm" style="margin-top:8px;width:100%">Reset to Planned</button>' : ''}
     </form>
+    <div class="payments">
+      <div class="payments__header">
+        <span>${isIncome(txn) ? 'Received' : 'Payments'}</span>
+        <span class="payments__progress" id="paymentsProgress"></span>
+      </div>
+      <ul class="payment-list" id="paymentList"></ul>
+      <form id="addPaymentForm" class="payment-add">
+        <div class="form-row">
+          <input type="date" id="paymentDate" required aria-label="Payment date">
+          <input type="number" id="paymentAmount" step="${step}" min="${step}" required placeholder="Amount" aria-label="Payment amount">
+        </div>
+        <input type="text" id="paymentNote" maxlength="100" placeholder="Note (optional)" aria-label="Payment note">
+        <button type="submit" class="btn btn--secondary btn--sm">Add Payment</button>
+      </form>
+    </div>
     <button type="button" id="btnDeleteTxn" class="btn btn--danger btn--sm" style="margin-top:12px;width:100%">Delete Transaction</button>
   `;
 
@@ -265,32 +449,237 @@ function openEditAmountModal(txn) {
   const input = overlay.querySelector('#editAmountInput');
   setTimeout(() => { input.focus(); input.select(); }, 100);
 
+  const renderPayments = () => {
+    const payments = [...(txn.payments || [])].sort((a, b) => a.date.localeCompare(b.date));
+    overlay.querySelector('#paymentList').innerHTML = payments.map((p) => `
+      <li class="payment-list__item">
+        <span class="payment-list__date">${formatDate(p.date)}</span>
+        <span class="payment-list__note">${escapeHTML(p.note || '')}</span>
+        <span class="payment-list__amount">${formatCurrency(p.amount, currency)}</span>
+        <button type="button" class="btn-icon btn-icon--danger" data-remove-payment="${p.id}" title="Remove payment">×</button>
+      </li>
+    `).join('');
+    overlay.querySelector('#paymentsProgress').textContent =
+      `${formatCurrency(getPaidAmount(txn), currency)} of ${formatCurrency(getTransactionAmount(txn), currency)} · ${getTransactionState(txn)}`;
+
+    const remaining = Math.max(0, getTransactionAmount(txn) - getPaidAmount(txn));
+    overlay.querySelector('#paymentAmount').value = remaining > 0 ? formatMoneyInput(remaining, currency) : '';
+  };
+
+  overlay.querySelector('#paymentDate').value = new Date().toISOString().split('T')[0];
+  renderPayments();
+
   overlay.querySelector('#editAmountForm').addEventListener('submit', async (e) => {
     e.preventDefault();
-    const newAmount = parseFloat(input.value);
-    if (isNaN(newAmount) || newAmount < 0) return;
-    await updateTransactionAmount(txn, newAmount);
+    const newAmount = parseMoney(input.value, currency);
+    if (newAmount == null || newAmount < 0) return;
+    await runUndoable(`Edit amount of "${txn.snapshotName}"`, (tag) => updateTransactionAmount(txn, newAmount, tag));
     close();
     renderHome();
   });
 
+  const resetBtn = overlay.querySelector('#btnResetAmount');
+  if (resetBtn) {
+    resetBtn.addEventListener('click', async () => {
+      await runUndoable(`Reset amount of "${txn.snapshotName}"`, (tag) =>
+        updateTransactionAmount(txn, txn.snapshotAmount, tag)
+      );
+      close();
+      renderHome();
+    });
+  }
+
+  overlay.querySelector('#addPaymentForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const date = overlay.querySelector('#paymentDate').value;
+    const amount = parseMoney(overlay.querySelector('#paymentAmount').value, currency);
+    if (!date || amount == null || amount <= 0) return;
+    const payment = createPayment({
+      date,
+      amount,
+      note: overlay.querySelector('#paymentNote').value,
+    });
+    await runUndoable(`Add payment to "${txn.snapshotName}"`, (tag) => recordPayment(txn, payment, tag));
+    overlay.querySelector('#paymentNote').value = '';
+    renderPayments();
+    renderHome();
+  });
+
+  overlay.querySelector('#paymentList').addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-remove-payment]');
+    if (!btn) return;
+    await runUndoable(`Remove payment from "${txn.snapshotName}"`, (tag) =>
+      deletePayment(txn, btn.dataset.removePayment, tag)
+    );
+    renderPayments();
+    renderHome();
+  });
+
   overlay.querySelector('#btnDeleteTxn').addEventListener('click', async () => {
     close();
     const confirmed = await showConfirm(
       'Delete Transaction',
-      `Delete "${escapeHTML(txn.snapshotName)}"? This won\u2019t affect the budget item.`,
+      isAdHoc(txn)
+        ? `Delete "${escapeHTML(txn.snapshotName)}"?`
+        : `Delete "${escapeHTML(txn.snapshotName)}"? This won\u2019t affect the budget item.`,
       { danger: true, okText: 'Delete' }
     );
     if (!confirmed) return;
-    await deleteTransaction(txn.id);
+    await runUndoable(`Delete "${txn.snapshotName}"`, (tag) => deleteTransaction(txn.id, tag));
+    showToast(`"${txn.snapshotName}" moved to trash`, 'success', { actionText: 'Undo', onAction: undo });
     renderHome();
   });
 }
 
+/**
+ * Log an ad-hoc (unbudgeted) transaction in the month being viewed.
+ */
+async function openAddTransactionModal() {
+  const profileId = getActiveProfileId();
+  if (!profileId) {
+    showToast('Please create a profile first', 'error');
+    return;
+  }
+
+  const categories = await getProfileCategories(profileId);
+  if (categories.length === 0) {
+    showToast('Please create a category first', 'error');
+    return;
+  }
+
+  const catOptions = categories
+    .map((c) => `<option value="${c.id}">${escapeHTML(c.name)}${c.parentId ? ' (sub)' : ''}</option>`)
+    .join('');
+  const typeOptions = ITEM_TYPE_LIST.map(
+    (t) => `<option value="${t}" ${t === ITEM_TYPE.EXPENSE ? 'selected' : ''}>${t}</option>`
+  ).join('');
+  const baseCurrency = getBaseCurrency(await dbGet(STORES.PROFILES, profileId));
+  const currencyOptions = CURRENCY_OPTIONS.map(
+    (c) => `<option value="${c.code}" ${c.code === baseCurrency ? 'selected' : ''}>${c.code} — ${c.name}</option>`
+  ).join('');
+
+  // Default to today when viewing the current month, otherwise the 1st of the viewed month
+  const today = new Date().toISOString().split('T')[0];
+  const monthPrefix = `${currentYear}-${String(currentMonth + 1).padStart(2, '0')}`;
+  const defaultDate = today.startsWith(monthPrefix) ? today : `${monthPrefix}-01`;
+
+  const contentHTML = `
+    <form id="transactionForm">
+      <div class="form-group">
+        <label for="transactionName">Name *</label>
+        <input type="text" id="transactionName" required maxlength="100" placeholder="e.g. Coffee, Parking">
+      </div>
+      <div class="form-row">
+        <div class="form-group">
+          <label for="transactionAmount">Amount *</label>
+          <input type="number" id="transactionAmount" required min="0" step="${getMoneyStep(baseCurrency)}" placeholder="0.00">
+        </div>
+        <div class="form-group">
+          <label for="transactionCategory">Category *</label>
+          <select id="transactionCategory" required>${catOptions}</select>
+        </div>
+      </div>
+      <div class="form-row">
+        <div class="form-group">
+          <label for="transactionDate">Date *</label>
+          <input type="date" id="transactionDate" required value="${defaultDate}">
+        </div>
+        <div class="form-group">
+          <label for="transactionType">Type</label>
+          <select id="transactionType">${typeOptions}</select>
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="transactionCurrency">Currency</label>
+        <select id="transactionCurrency">${currencyOptions}</select>
+      </div>
+      <button type="submit" class="btn btn--primary">Add Transaction</button>
+    </form>
+  `;
+
+  const modal = openModal('Add Transaction', contentHTML);
+  modal.overlay.querySelector('#transactionCurrency').addEventListener('change', (e) => {
+    modal.overlay.querySelector('#transactionAmount').step = getMoneyStep(e.target.value);
+  });
+
+  modal.overlay.querySelector('#transactionForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const name = modal.overlay.querySelector('#transactionName').value.trim();
+    // Amounts in the base currency carry no currency of their own
+    const currency = modal.overlay.querySelector('#transactionCurrency').value;
+    const amount = parseMoney(modal.overlay.querySelector('#transactionAmount').value, currency);
+    const date = modal.overlay.querySelector('#transactionDate').value;
+
+    if (!name || amount == null || amount < 0 || !date) {
+      showToast('Please fill in name, amount and date', 'error');
+      return;
+    }
+
+    const txn = createAdHocTransaction({
+      profileId,
+      categoryId: modal.overlay.querySelector('#transactionCategory').value,
+      date,
+      amount,
+      name,
+      type: modal.overlay.querySelector('#transactionType').value,
+      currency: currency === baseCurrency ? null : currency,
+    });
+    await runUndoable(`Add "${name}"`, (tag) => dbAdd(STORES.TRANSACTIONS, txn, tag));
+    showToast(`"${name}" added`, 'success');
+    modal.close();
+
+    // Jump to the month the transaction landed in
+    const [y, m] = date.split('-').map(Number);
+    currentYear = y;
+    currentMonth = m - 1;
+    renderHome();
+  });
+
+  setTimeout(() => modal.overlay.querySelector('#transactionName').focus(), 100);
+}
+
+const CHART_MODES = { planned: 'Planned', actual: 'Actual' };
+
 function showChartModal() {
-  if (!lastCategoryTotals || lastTotal === 0) return;
+  if (!lastCategoryTotals || lastCategoryTotals.size === 0) return;
+
+  const html = `<div class="chart-toggle" role="group" aria-label="Chart amounts">
+      ${Object.entries(CHART_MODES).map(([mode, label]) =>
+        `<button type="button" class="chart-toggle__btn" data-chart-mode="${mode}">${label}</button>`).join('')}
+    </div>
+    <div id="chartBody"></div>`;
+
+  const { overlay } = openModal('Category Breakdown', html);
+
+  // Colors follow the actual ranking so a category keeps its color in both modes
+  const colorMap = new Map(
+    [...lastCategoryTotals.entries()]
+      .sort((a, b) => b[1].actual - a[1].actual)
+      .map(([catId], i) => [catId, CHART_COLORS[i % CHART_COLORS.length]])
+  );
+
+  const render = (mode) => {
+    overlay.querySelectorAll('[data-chart-mode]').forEach((btn) => {
+      btn.classList.toggle('active', btn.dataset.chartMode === mode);
+    });
+    overlay.querySelector('#chartBody').innerHTML = renderDonutChart(mode, colorMap);
+  };
+
+  overlay.querySelectorAll('[data-chart-mode]').forEach((btn) => {
+    btn.addEventListener('click', () => render(btn.dataset.chartMode));
+  });
+  render('actual');
+}
+
+function renderDonutChart(mode, colorMap) {
+  const entries = [...lastCategoryTotals.entries()]
+    .filter(([, data]) => data[mode] > 0)
+    .sort((a, b) => b[1][mode] - a[1][mode]);
+  const total = entries.reduce((sum, [, data]) => sum + data[mode], 0);
+  if (total === 0) {
+    return `<div class="chart-empty">No ${CHART_MODES[mode].toLowerCase()} expenses this month.</div>`;
+  }
 
-  const entries = [...lastCategoryTotals.entries()].sort((a, b) => b[1].total - a[1].total);
   const cx = 100, cy = 100, r = 70;
   const circumference = 2 * Math.PI * r;
 
@@ -298,10 +687,10 @@ function showChartModal() {
   let legendHTML = '';
   let cumulativeOffset = 0;
 
-  entries.forEach(([catId, data], i) => {
-    const pct = data.total / lastTotal;
+  entries.forEach(([catId, data]) => {
+    const pct = data[mode] / total;
     const dashLength = pct * circumference;
-    const color = CHART_COLORS[i % CHART_COLORS.length];
+    const color = colorMap.get(catId);
 
     svgHTML += `<circle cx="${cx}" cy="${cy}" r="${r}" fill="none"
       stroke="${color}" stroke-width="28"
@@ -311,24 +700,22 @@ function showChartModal() {
 
     legendHTML += `<div class="chart-legend__item">
       <span class="chart-legend__dot" style="background:${color}"></span>
-      ${escapeHTML(data.name)} — ${formatCurrency(data.total)} (${Math.round(pct * 100)}%)
+      ${escapeHTML(data.name)} — ${formatCurrency(data[mode])} (${Math.round(pct * 100)}%)
     </div>`;
 
     cumulativeOffset += dashLength;
   });
 
-  svgHTML += `<text x="${cx}" y="${cy - 6}" text-anchor="middle" fill="var(--text-primary)" font-size="14" font-weight="700">${formatCurrency(lastTotal)}</text>`;
-  svgHTML += `<text x="${cx}" y="${cy + 12}" text-anchor="middle" fill="var(--text-muted)" font-size="10">Total</text>`;
+  svgHTML += `<text x="${cx}" y="${cy - 6}" text-anchor="middle" fill="var(--text-primary)" font-size="14" font-weight="700">${formatCurrency(total)}</text>`;
+  svgHTML += `<text x="${cx}" y="${cy + 12}" text-anchor="middle" fill="var(--text-muted)" font-size="10">${CHART_MODES[mode]}</text>`;
 
-  const html = `<div class="modal-chart">
+  return `<div class="modal-chart">
     <svg class="donut-chart" viewBox="0 0 200 200">${svgHTML}</svg>
     <div class="chart-legend">${legendHTML}</div>
   </div>`;
-
-  openModal('Category Breakdown', html);
 }
 
-async function renderMonthComparison(profileId, currentTotal, el) {
+async function renderMonthComparison(profileId, currentTotal, el, toBase) {
   try {
     // Get previous month
     let prevYear = currentYear;
@@ -339,10 +726,7 @@ async function renderMonthComparison(profileId, currentTotal, el) {
     }
 
     const prevTransactions = await generateTransactionsForMonth(profileId, prevYear, prevMonth);
-    let prevTotal = 0;
-    for (const txn of prevTransactions) {
-      prevTotal += txn.snapshotAmount;
-    }
+    const prevTotal = computeSummary(toBase(prevTransactions).converted).expenses;
 
     if (prevTotal === 0 && currentTotal === 0) {
       el.classList.add('hidden');
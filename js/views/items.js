@@ -3,27 +3,62 @@
 import {
   getProfileBudgetItems,
   getProfileCategories,
+  getProfileGoals,
+  getProfileExchangeRates,
+  dbGet,
+  dbGetByIndex,
   dbAdd,
-  dbPut,
-  dbDelete,
+  runBatch,
   STORES,
 } from '../db.js';
-import { deleteTransactionsByBudgetItem } from '../db.js';
+import { moveToTrash } from '../trash.js';
+import { getNextOccurrences } from '../transaction-engine.js';
+import { getHolidaySet } from '../holidays.js';
+import { getLoanPayment, getPaymentNumber, getAmortizationSchedule, getLoanStatus, comparePayoffStrategies } from '../loan.js';
+import { getBaseCurrency, findRate } from '../currency.js';
+import { parseMoney, formatMoneyInput, getMoneyStep, convertMinorUnits } from '../money.js';
 import {
   createBudgetItem,
+  createLoan,
+  createRecurrence,
+  FREQUENCY,
   FREQUENCY_LIST,
+  RECURRENCE_UNIT,
+  MONTH_DAY_RULE,
+  WEEKDAY_NAMES,
+  SHIFT_POLICY,
+  SHIFT_POLICY_LABELS,
+  ITEM_TYPE,
+  ITEM_TYPE_LIST,
+  LOAN_STRATEGY,
+  LOAN_STRATEGY_LABELS,
+  isIncome,
+  isLoan,
+  isSettled,
   formatCurrency,
   formatDate,
+  describeFrequency,
+  getDisplayLocale,
+  getWeekStart,
+  TRASH_KIND,
 } from '../models.js';
-import { getActiveProfileId } from '../components/profile.js';
+import { runUndoable, undo } from '../undo.js';
+import { getActiveProfileId, CURRENCY_OPTIONS } from '../components/profile.js';
 import { openModal, showConfirm } from '../components/modal.js';
 import { showToast } from '../components/toast.js';
 
+// Form-only choice in the Type dropdown: stored as an expense with `loan` terms
+const LOAN_TYPE = 'Loan';
+
 function initItemsView() {
   document.getElementById('fabAddItem').addEventListener('click', () => {
     openItemForm();
   });
 
+  document.getElementById('btnPayoffPlanner').addEventListener('click', () => {
+    openPayoffPlanner();
+  });
+
   // Search filter
   document.getElementById('itemsSearch').addEventListener('input', (e) => {
     const query = e.target.value.toLowerCase().trim();
@@ -46,6 +81,9 @@ async function renderItems() {
   const searchInput = document.getElementById('itemsSearch');
   if (searchInput) searchInput.value = '';
 
+  const plannerBtn = document.getElementById('btnPayoffPlanner');
+  plannerBtn.classList.add('hidden');
+
   if (!profileId) {
     container.innerHTML = '';
     emptyState.classList.remove('hidden');
@@ -55,6 +93,8 @@ async function renderItems() {
   const items = await getProfileBudgetItems(profileId);
   const categories = await getProfileCategories(profileId);
   const catMap = new Map(categories.map((c) => [c.id, c]));
+  const goalByItem = new Map((await getProfileGoals(profileId)).map((g) => [g.budgetItemId, g]));
+  const loanStatus = await getLoanStatuses(items);
 
   if (items.length === 0) {
     container.innerHTML = '';
@@ -63,6 +103,7 @@ async function renderItems() {
   }
 
   emptyState.classList.add('hidden');
+  plannerBtn.classList.toggle('hidden', ![...loanStatus.values()].some((s) => !s.paidOff));
 
   let html = '';
   for (const item of items) {
@@ -70,20 +111,30 @@ async function renderItems() {
       ? catMap.get(item.categoryId).name
       : 'Uncategorized';
 
+    const income = isIncome(item);
+    const goal = goalByItem.get(item.id);
+    const loan = loanStatus.get(item.id);
+
     html += `
       <div class="card" data-item-id="${item.id}">
         <div class="card__header">
           <div class="card__title">${escapeHTML(item.name)}</div>
-          <div class="card__amount">${formatCurrency(item.amount)}</div>
+          <div class="card__amount ${income ? 'card__amount--income' : ''}">${income ? '+' : ''}${formatCurrency(item.amount, item.currency)}</div>
         </div>
         ${item.description ? `<div class="card__description">${escapeHTML(item.description)}</div>` : ''}
         <div class="card__meta">
+          ${income ? `<span class="badge badge--income">${ITEM_TYPE.INCOME}</span>` : ''}
+          ${goal ? `<span class="badge badge--goal" title="Amount is recalculated by the goal">Goal</span>` : ''}
+          ${loan ? `<span class="badge badge--loan" title="${formatCurrency(item.loan.principal, item.currency)} at ${item.loan.annualRate}% over ${item.loan.termMonths} months">Loan</span>` : ''}
           <span class="badge badge--category">${escapeHTML(catName)}</span>
-          <span class="badge badge--frequency">${item.frequency}</span>
+          <span class="badge badge--frequency">${escapeHTML(describeFrequency(item))}</span>
           <span class="badge">From ${formatDate(item.startDate)}</span>
           ${item.endDate ? `<span class="badge badge--end-date">Until ${formatDate(item.endDate)}</span>` : ''}
+          ${loan ? describeLoan(loan, item.currency) : ''}
+          ${item.shiftPolicy && item.shiftPolicy !== SHIFT_POLICY.NONE ? `<span class="badge badge--shift">${SHIFT_POLICY_LABELS[item.shiftPolicy]}</span>` : ''}
         </div>
         <div class="card__actions">
+          ${loan ? '<button class="btn-card-action btn-card-action--schedule" data-action="schedule">Schedule</button>' : ''}
           <button class="btn-card-action btn-card-action--edit" data-action="edit">Edit</button>
           <button class="btn-card-action btn-card-action--delete" data-action="delete">Delete</button>
         </div>
@@ -97,15 +148,20 @@ async function renderItems() {
   container.querySelectorAll('.card').forEach((card) => {
     const id = card.dataset.itemId;
     const item = items.find((i) => i.id === id);
+    const goal = goalByItem.get(id);
 
     card.querySelector('[data-action="edit"]').addEventListener('click', () => {
       openItemForm(item);
     });
 
+    card.querySelector('[data-action="schedule"]')?.addEventListener('click', () => {
+      openLoanSchedule(item, loanStatus.get(id));
+    });
+
     card.querySelector('[data-action="delete"]').addEventListener('click', async () => {
       const confirmed = await showConfirm(
         'Delete Budget Item',
-        `Delete "${item.name}"? You can choose to also remove all related transactions.`,
+        `Delete "${item.name}"? You can choose to also remove all related transactions.${goal ? ` Goal "${escapeHTML(goal.name)}" stops saving until you edit it.` : ''}`,
         { danger: true, okText: 'Delete Item Only' }
       );
 
@@ -117,18 +173,172 @@ async function renderItems() {
           { danger: true, okText: 'Yes, delete transactions', cancelText: 'No, keep them' }
         );
 
-        if (cascadeDelete) {
-          await deleteTransactionsByBudgetItem(id);
-        }
-
-        await dbDelete(STORES.BUDGET_ITEMS, id);
-        showToast(`"${item.name}" deleted`, 'success');
+        await runUndoable(`Delete "${item.name}"`, (tag) => moveToTrash({
+          kind: TRASH_KIND.BUDGET_ITEM,
+          label: item.name,
+          profileId: item.profileId,
+          records: async (batch) => ({
+            [STORES.BUDGET_ITEMS]: [item],
+            [STORES.TRANSACTIONS]: cascadeDelete
+              ? await batch.getByIndex(STORES.TRANSACTIONS, 'budgetItemId', id)
+              : [],
+          }),
+        }, tag));
+        showToast(`"${item.name}" moved to trash`, 'success', { actionText: 'Undo', onAction: undo });
         renderItems();
       }
     });
   });
 }
 
+// Map<itemId, getLoanStatus()> for the loan items among `items`
+async function getLoanStatuses(items) {
+  const statuses = new Map();
+  for (const item of items.filter(isLoan)) {
+    const payments = await dbGetByIndex(STORES.TRANSACTIONS, 'budgetItemId', item.id);
+    statuses.set(item.id, getLoanStatus(item, payments));
+  }
+  return statuses;
+}
+
+function describeLoan(status, currency = null) {
+  if (status.paidOff) return '<span class="badge badge--income">Paid off</span>';
+  const balance = `<span class="badge">Balance ${formatCurrency(status.balance, currency)}</span>`;
+  if (!status.payoffMonth) {
+    return `${balance}<span class="badge badge--end-date">Payment doesn't cover the interest</span>`;
+  }
+  return `${balance}<span class="badge badge--end-date">Paid off ${monthName(status.payoffMonth)}</span>`;
+}
+
+function openLoanSchedule(item, status) {
+  const thisMonth = new Date().toISOString().substring(0, 7);
+  const money = (amount) => formatCurrency(amount, item.currency);
+  const rows = status.schedule.map((row) => `
+    <tr class="${row.actual ? 'loan-schedule__row--paid' : ''} ${row.month === thisMonth ? 'loan-schedule__row--current' : ''}">
+      <td>${row.number}</td>
+      <td>${monthName(row.month)}</td>
+      <td>${money(row.payment)}</td>
+      <td>${money(row.principal)}</td>
+      <td>${money(row.interest)}</td>
+      <td>${money(row.balance)}</td>
+    </tr>
+  `).join('');
+
+  openModal('Loan Schedule', `
+    <p class="data-section__hint">
+      <strong>${escapeHTML(item.name)}</strong>: ${money(item.loan.principal)} at ${item.loan.annualRate}% over ${item.loan.termMonths} months.
+      Balance ${money(status.balance)} · ${status.paymentsLeft} payment${status.paymentsLeft === 1 ? '' : 's'} left ·
+      interest paid ${money(status.interestPaid)}, still to pay ${money(status.interestLeft)}.
+      Past months show what was paid; a month left unpaid adds its interest to the balance.
+    </p>
+    <div class="loan-schedule">
+      <table>
+        <thead><tr><th>#</th><th>Month</th><th>Payment</th><th>Principal</th><th>Interest</th><th>Balance</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `);
+}
+
+/**
+ * Compare paying the active loans off with regular payments only against the
+ * snowball and avalanche strategies with an extra amount each month. Loans in
+ * another currency are converted into the base currency at today's rate.
+ */
+async function openPayoffPlanner() {
+  const profileId = getActiveProfileId();
+  if (!profileId) return;
+
+  const items = (await getProfileBudgetItems(profileId)).filter(isLoan);
+  const statuses = await getLoanStatuses(items);
+  const baseCurrency = getBaseCurrency(await dbGet(STORES.PROFILES, profileId));
+  const rates = await getProfileExchangeRates(profileId);
+  const today = new Date().toISOString().split('T')[0];
+  const rateOf = (item) => findRate(rates, item.currency || baseCurrency, baseCurrency, today);
+
+  const open = items.filter((item) => !statuses.get(item.id).paidOff);
+  const active = open.filter((item) => rateOf(item) != null);
+  const unconverted = open.filter((item) => rateOf(item) == null);
+  if (active.length === 0) {
+    showToast(open.length > 0 ? 'Add an exchange rate for your loans\u2019 currency first' : 'No loans left to pay off', 'info');
+    return;
+  }
+
+  const debts = active.map((item) => ({
+    id: item.id,
+    name: item.name,
+    balance: convertMinorUnits(statuses.get(item.id).balance, item.currency || baseCurrency, baseCurrency, rateOf(item)),
+    annualRate: item.loan.annualRate,
+    payment: convertMinorUnits(item.amount, item.currency || baseCurrency, baseCurrency, rateOf(item)),
+  }));
+  // Month 1 of the simulation is the earliest payment still to be made
+  const firstMonth = active
+    .map((item) => statuses.get(item.id).schedule.find((row) => !row.actual && !isPast(row.month)))
+    .filter(Boolean)
+    .map((row) => row.month)
+    .sort()[0] || new Date().toISOString().substring(0, 7);
+
+  const modal = openModal('Payoff Planner', `
+    <p class="data-section__hint">
+      ${debts.length} loan${debts.length === 1 ? '' : 's'}, ${formatCurrency(debts.reduce((sum, d) => sum + d.balance, 0))} owed.
+      <strong>Snowball</strong> puts the extra on the smallest balance first, <strong>avalanche</strong> on the highest interest rate.
+      When a loan is paid off, its payment moves to the next one.
+      ${unconverted.length > 0 ? `Left out for lack of an exchange rate: ${unconverted.map((item) => escapeHTML(item.name)).join(', ')}.` : ''}
+    </p>
+    <div class="form-group">
+      <label for="payoffExtra">Extra per month</label>
+      <input type="number" id="payoffExtra" min="0" step="${getMoneyStep(baseCurrency)}" value="100">
+    </div>
+    <div id="payoffResults"></div>
+  `);
+
+  const extraInput = modal.overlay.querySelector('#payoffExtra');
+  const render = () => {
+    const extra = Math.max(0, parseMoney(extraInput.value, baseCurrency) || 0);
+    const results = comparePayoffStrategies(debts, extra);
+    const baseline = results[LOAN_STRATEGY.MINIMUM];
+    modal.overlay.querySelector('#payoffResults').innerHTML = Object.values(LOAN_STRATEGY).map((strategy) => {
+      const result = results[strategy];
+      if (!result.complete) {
+        return `<div class="payoff-result"><div class="payoff-result__title">${LOAN_STRATEGY_LABELS[strategy]}</div>
+          <div class="payoff-result__meta">The payments don't cover the interest — these loans are never paid off.</div></div>`;
+      }
+      const saved = strategy === LOAN_STRATEGY.MINIMUM || !baseline.complete ? 0 : baseline.totalInterest - result.totalInterest;
+      const order = result.payoffs
+        .map((p) => `${escapeHTML(p.name)} (${monthName(addMonths(firstMonth, p.months - 1))})`)
+        .join(' → ');
+      return `
+        <div class="payoff-result">
+          <div class="payoff-result__title">${LOAN_STRATEGY_LABELS[strategy]}${strategy === LOAN_STRATEGY.MINIMUM ? '' : ` + ${formatCurrency(extra)}`}</div>
+          <div class="payoff-result__meta">
+            Debt-free ${monthName(addMonths(firstMonth, result.months - 1))} (${result.months} months) ·
+            interest ${formatCurrency(result.totalInterest)}${saved > 0 ? ` · <strong>saves ${formatCurrency(saved)}</strong>` : ''}
+          </div>
+          <div class="payoff-result__order">${order}</div>
+        </div>
+      `;
+    }).join('');
+  };
+
+  extraInput.addEventListener('input', render);
+  render();
+}
+
+function isPast(month) {
+  return month < new Date().toISOString().substring(0, 7);
+}
+
+function addMonths(month, count) {
+  const d = new Date(month + '-01T00:00:00');
+  const next = new Date(d.getFullYear(), d.getMonth() + count, 1);
+  return `${next.getFullYear()}-${String(next.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function monthName(month) {
+  const d = new Date(month + '-01T00:00:00');
+  return d.toLocaleDateString(getDisplayLocale(), { month: 'short', year: 'numeric' });
+}
+
 async function openItemForm(existingItem = null) {
   const profileId = getActiveProfileId();
   if (!profileId) {
@@ -143,6 +353,10 @@ async function openItemForm(existingItem = null) {
     return;
   }
 
+  const profile = await dbGet(STORES.PROFILES, profileId);
+  const holidays = getHolidaySet(profile);
+  const baseCurrency = getBaseCurrency(profile);
+
   const isEdit = !!existingItem;
   const title = isEdit ? 'Edit Budget Item' : 'Add Budget Item';
 
@@ -153,11 +367,54 @@ async function openItemForm(existingItem = null) {
     )
     .join('');
 
+  const currentType = isLoan(existingItem) ? LOAN_TYPE : (existingItem && existingItem.type) || ITEM_TYPE.EXPENSE;
+  const typeOptions = [...ITEM_TYPE_LIST, LOAN_TYPE].map(
+    (t) => `<option value="${t}" ${currentType === t ? 'selected' : ''}>${t === LOAN_TYPE ? 'Loan / Debt' : t}</option>`
+  ).join('');
+  const loan = isLoan(existingItem) ? existingItem.loan : null;
+
+  const currentCurrency = (existingItem && existingItem.currency) || baseCurrency;
+  const currencyOptions = CURRENCY_OPTIONS.map(
+    (c) => `<option value="${c.code}" ${c.code === currentCurrency ? 'selected' : ''}>${c.code} — ${c.name}</option>`
+  ).join('');
+  const step = getMoneyStep(currentCurrency);
+
   const freqOptions = FREQUENCY_LIST.map(
     (f) =>
       `<option value="${f}" ${existingItem && existingItem.frequency === f ? 'selected' : ''}>${f}</option>`
   ).join('');
 
+  const rule = (existingItem && existingItem.recurrence) || createRecurrence();
+  const isCustom = !!existingItem && existingItem.frequency === FREQUENCY.CUSTOM;
+
+  const unitOptions = [
+    [RECURRENCE_UNIT.DAY, 'Days'],
+    [RECURRENCE_UNIT.WEEK, 'Weeks'],
+    [RECURRENCE_UNIT.MONTH, 'Months'],
+    [RECURRENCE_UNIT.YEAR, 'Years'],
+  ].map(([v, label]) => `<option value="${v}" ${rule.unit === v ? 'selected' : ''}>${label}</option>`).join('');
+
+  const monthDayOptions = [
+    [MONTH_DAY_RULE.SAME_DAY, 'Same day as start date'],
+    [MONTH_DAY_RULE.NTH_WEEKDAY, 'A specific weekday'],
+    [MONTH_DAY_RULE.LAST_DAY, 'Last day of the month'],
+    [MONTH_DAY_RULE.LAST_BUSINESS_DAY, 'Last business day (Mon–Fri)'],
+  ].map(([v, label]) => `<option value="${v}" ${rule.monthDay === v ? 'selected' : ''}>${label}</option>`).join('');
+
+  const nthOptions = [[1, 'First'], [2, 'Second'], [3, 'Third'], [4, 'Fourth'], [-1, 'Last']]
+    .map(([v, label]) => `<option value="${v}" ${rule.nth === v ? 'selected' : ''}>${label}</option>`).join('');
+
+  const currentShift = (existingItem && existingItem.shiftPolicy) || SHIFT_POLICY.NONE;
+  const shiftOptions = Object.values(SHIFT_POLICY)
+    .map((p) => `<option value="${p}" ${currentShift === p ? 'selected' : ''}>${SHIFT_POLICY_LABELS[p]}</option>`).join('');
+
+  // Listed from the profile's first day of the week
+  const weekStart = getWeekStart();
+  const weekdayOptions = WEEKDAY_NAMES
+    .map((name, i) => ({ name, i }))
+    .sort((a, b) => ((a.i - weekStart + 7) % 7) - ((b.i - weekStart + 7) % 7))
+    .map(({ name, i }) => `<option value="${i}" ${rule.weekday === i ? 'selected' : ''}>${name}</option>`).join('');
+
   const contentHTML = `
     <form id="itemForm">
       <div class="form-group">
@@ -167,13 +424,39 @@ async function openItemForm(existingItem = null) {
       <div class="form-row">
         <div class="form-group">
           <label for="itemAmount">Amount *</label>
-          <input type="number" id="itemAmount" required min="0" step="0.01" value="${existingItem ? existingItem.amount : ''}" placeholder="0.00">
+          <input type="number" id="itemAmount" required min="0" step="${step}" value="${existingItem ? formatMoneyInput(existingItem.amount, currentCurrency) : ''}" placeholder="0.00">
         </div>
         <div class="form-group">
           <label for="itemCategory">Category *</label>
           <select id="itemCategory" required>${catOptions}</select>
         </div>
       </div>
+      <div class="form-row">
+        <div class="form-group">
+          <label for="itemType">Type</label>
+          <select id="itemType">${typeOptions}</select>
+        </div>
+        <div class="form-group">
+          <label for="itemCurrency">Currency</label>
+          <select id="itemCurrency">${currencyOptions}</select>
+        </div>
+      </div>
+      <div class="loan-fields ${loan ? '' : 'hidden'}" id="loanFields">
+        <div class="form-row">
+          <div class="form-group">
+            <label for="loanPrincipal">Amount Borrowed *</label>
+            <input type="number" id="loanPrincipal" min="${step}" step="${step}" value="${loan ? formatMoneyInput(loan.principal, currentCurrency) : ''}" placeholder="0.00">
+          </div>
+          <div class="form-group">
+            <label for="loanRate">Interest (% a year)</label>
+            <input type="number" id="loanRate" min="0" step="0.01" value="${loan ? loan.annualRate : ''}" placeholder="0">
+          </div>
+        </div>
+        <div class="form-group">
+          <label for="loanTerm">Term (months) *</label>
+          <input type="number" id="loanTerm" min="1" max="1200" step="1" value="${loan ? loan.termMonths : ''}" placeholder="e.g. 60">
+        </div>
+      </div>
       <div class="form-row">
         <div class="form-group">
           <label for="itemFrequency">Frequency</label>
@@ -184,7 +467,38 @@ async function openItemForm(existingItem = null) {
           <input type="date" id="itemStartDate" value="${existingItem ? existingItem.startDate : new Date().toISOString().split('T')[0]}">
         </div>
       </div>
+      <div class="rule-builder ${isCustom ? '' : 'hidden'}" id="ruleBuilder">
+        <div class="form-row">
+          <div class="form-group">
+            <label for="ruleInterval">Repeat every</label>
+            <input type="number" id="ruleInterval" min="1" max="366" step="1" value="${rule.interval}">
+          </div>
+          <div class="form-group">
+            <label for="ruleUnit">Unit</label>
+            <select id="ruleUnit">${unitOptions}</select>
+          </div>
+        </div>
+        <div class="form-group" id="ruleMonthDayGroup">
+          <label for="ruleMonthDay">On</label>
+          <select id="ruleMonthDay">${monthDayOptions}</select>
+        </div>
+        <div class="form-row" id="ruleWeekdayRow">
+          <div class="form-group">
+            <label for="ruleNth">Week</label>
+            <select id="ruleNth">${nthOptions}</select>
+          </div>
+          <div class="form-group">
+            <label for="ruleWeekday">Weekday</label>
+            <select id="ruleWeekday">${weekdayOptions}</select>
+          </div>
+        </div>
+      </div>
       <div class="form-group">
+        <label for="itemShift">On weekends &amp; holidays</label>
+        <select id="itemShift">${shiftOptions}</select>
+      </div>
+      <div class="rule-preview" id="rulePreview"></div>
+      <div class="form-group" id="itemEndDateGroup">
         <label for="itemEndDate">End Date <small style="color:var(--text-muted);font-weight:400;">(optional)</small></label>
         <input type="date" id="itemEndDate" value="${existingItem && existingItem.endDate ? existingItem.endDate : ''}">
       </div>
@@ -197,19 +511,79 @@ async function openItemForm(existingItem = null) {
   `;
 
   const modal = openModal(title, contentHTML);
+  const form = modal.overlay.querySelector('#itemForm');
+
+  // Loans are paid monthly until the balance is gone — no frequency or end date to pick,
+  // and the payment follows from the terms (it can still be overridden)
+  const updateLoanFields = (e) => {
+    const isLoanType = form.querySelector('#itemType').value === LOAN_TYPE;
+    const frequencySelect = form.querySelector('#itemFrequency');
+    form.querySelector('#loanFields').classList.toggle('hidden', !isLoanType);
+    form.querySelector('#itemEndDateGroup').classList.toggle('hidden', isLoanType);
+    form.querySelector('label[for="itemAmount"]').textContent = isLoanType ? 'Monthly Payment *' : 'Amount *';
+    frequencySelect.disabled = isLoanType;
+    if (isLoanType) frequencySelect.value = FREQUENCY.MONTHLY;
+
+    const terms = isLoanType ? readLoan(form) : null;
+    if (terms && e && e.target.closest('#loanFields')) {
+      form.querySelector('#itemAmount').value = formatMoneyInput(getLoanPayment(terms), form.querySelector('#itemCurrency').value);
+    }
+  };
+
+  // Amounts are typed in the chosen currency, to its number of decimals
+  form.querySelector('#itemCurrency').addEventListener('change', (e) => {
+    const currencyStep = getMoneyStep(e.target.value);
+    form.querySelector('#itemAmount').step = currencyStep;
+    form.querySelector('#loanPrincipal').step = currencyStep;
+    form.querySelector('#loanPrincipal').min = currencyStep;
+  });
+
+  // Rule builder: show custom fields only when needed and keep the preview in sync
+  const updateRuleBuilder = (e) => {
+    updateLoanFields(e);
+    const frequency = form.querySelector('#itemFrequency').value;
+    const unit = form.querySelector('#ruleUnit').value;
+    const monthDay = form.querySelector('#ruleMonthDay').value;
+    const byMonth = unit === RECURRENCE_UNIT.MONTH || unit === RECURRENCE_UNIT.YEAR;
+
+    form.querySelector('#ruleBuilder').classList.toggle('hidden', frequency !== FREQUENCY.CUSTOM);
+    form.querySelector('#ruleMonthDayGroup').classList.toggle('hidden', !byMonth);
+    form.querySelector('#ruleWeekdayRow').classList.toggle('hidden', !byMonth || monthDay !== MONTH_DAY_RULE.NTH_WEEKDAY);
+
+    renderRulePreview(form, holidays);
+  };
+
+  form.addEventListener('input', updateRuleBuilder);
+  form.addEventListener('change', updateRuleBuilder);
+  updateRuleBuilder();
 
-  modal.overlay.querySelector('#itemForm').addEventListener('submit', async (e) => {
+  form.addEventListener('submit', async (e) => {
     e.preventDefault();
 
     const name = modal.overlay.querySelector('#itemName').value.trim();
-    const amount = modal.overlay.querySelector('#itemAmount').value;
     const categoryId = modal.overlay.querySelector('#itemCategory').value;
+    const chosenType = modal.overlay.querySelector('#itemType').value;
+    const loan = chosenType === LOAN_TYPE ? readLoan(form) : null;
+    const type = chosenType === LOAN_TYPE ? ITEM_TYPE.EXPENSE : chosenType;
     const frequency = modal.overlay.querySelector('#itemFrequency').value;
+    const recurrence = frequency === FREQUENCY.CUSTOM ? readRecurrence(form) : null;
+    const shiftPolicy = form.querySelector('#itemShift').value;
     const startDate = modal.overlay.querySelector('#itemStartDate').value;
-    const endDate = modal.overlay.querySelector('#itemEndDate').value || null;
+    const endDate = loan ? null : modal.overlay.querySelector('#itemEndDate').value || null;
     const description = modal.overlay.querySelector('#itemDesc').value.trim();
+    // Amounts in the base currency carry no currency of their own
+    const chosenCurrency = form.querySelector('#itemCurrency').value;
+    const currency = chosenCurrency === baseCurrency ? null : chosenCurrency;
+    // A loan's payment defaults to what pays it off over its term
+    const amountInput = modal.overlay.querySelector('#itemAmount').value;
+    const amount = amountInput ? parseMoney(amountInput, chosenCurrency) : (loan ? getLoanPayment(loan) : null);
+
+    if (chosenType === LOAN_TYPE && !loan) {
+      showToast('Amount borrowed and term are required for a loan', 'error');
+      return;
+    }
 
-    if (!name || !amount) {
+    if (!name || amount == null) {
       showToast('Name and amount are required', 'error');
       return;
     }
@@ -218,14 +592,27 @@ async function openItemForm(existingItem = null) {
       const updated = {
         ...existingItem,
         name,
-        amount: parseFloat(amount),
+        amount,
+        type,
         categoryId,
         frequency,
+        recurrence,
+        shiftPolicy,
         startDate,
         endDate,
         description,
+        loan,
+        currency,
       };
-      await dbPut(STORES.BUDGET_ITEMS, updated);
+      // Switching between income and expense carries over to transactions not settled yet
+      const retyped = type !== (existingItem.type || ITEM_TYPE.EXPENSE);
+      await runUndoable(`Edit "${name}"`, (tag) => runBatch([STORES.BUDGET_ITEMS, STORES.TRANSACTIONS], async (batch) => {
+        await batch.put(STORES.BUDGET_ITEMS, updated);
+        if (!retyped) return;
+        for (const t of await batch.getByIndex(STORES.TRANSACTIONS, 'budgetItemId', updated.id)) {
+          if (!isSettled(t)) await batch.put(STORES.TRANSACTIONS, { ...t, type });
+        }
+      }, tag));
       showToast(`"${name}" updated`, 'success');
     } else {
       const item = createBudgetItem({
@@ -233,12 +620,17 @@ async function openItemForm(existingItem = null) {
         categoryId,
         name,
         amount,
+        type,
         description,
         frequency,
+        recurrence,
+        shiftPolicy,
         startDate,
         endDate,
+        loan,
+        currency,
       });
-      await dbAdd(STORES.BUDGET_ITEMS, item);
+      await runUndoable(`Add "${name}"`, (tag) => dbAdd(STORES.BUDGET_ITEMS, item, tag));
       showToast(`"${name}" added`, 'success');
     }
 
@@ -250,6 +642,68 @@ async function openItemForm(existingItem = null) {
   setTimeout(() => modal.overlay.querySelector('#itemName').focus(), 100);
 }
 
+function readRecurrence(form) {
+  return createRecurrence({
+    interval: form.querySelector('#ruleInterval').value,
+    unit: form.querySelector('#ruleUnit').value,
+    monthDay: form.querySelector('#ruleMonthDay').value,
+    nth: form.querySelector('#ruleNth').value,
+    weekday: form.querySelector('#ruleWeekday').value,
+  });
+}
+
+// Loan terms from the form, or null while the amount borrowed or term is missing
+function readLoan(form) {
+  const principal = parseMoney(form.querySelector('#loanPrincipal').value, form.querySelector('#itemCurrency').value);
+  const termMonths = parseInt(form.querySelector('#loanTerm').value, 10);
+  if (!(principal > 0) || !(termMonths >= 1)) return null;
+  return createLoan({ principal, annualRate: form.querySelector('#loanRate').value, termMonths });
+}
+
+// Preview the next few dates the form's schedule would produce (and when a loan is paid off)
+function renderRulePreview(form, holidays) {
+  const preview = form.querySelector('#rulePreview');
+  const frequency = form.querySelector('#itemFrequency').value;
+  const startDate = form.querySelector('#itemStartDate').value;
+  if (!startDate) {
+    preview.innerHTML = '';
+    return;
+  }
+
+  const draft = {
+    frequency,
+    recurrence: frequency === FREQUENCY.CUSTOM ? readRecurrence(form) : null,
+    shiftPolicy: form.querySelector('#itemShift').value,
+    startDate,
+    endDate: form.querySelector('#itemEndDate').value || null,
+  };
+  const today = new Date().toISOString().split('T')[0];
+  let dates = getNextOccurrences(draft, today, 5, 60, holidays);
+
+  const loan = form.querySelector('#itemType').value === LOAN_TYPE ? readLoan(form) : null;
+  let loanPlan = '';
+  if (loan) {
+    const item = { ...draft, endDate: null, loan, amount: parseMoney(form.querySelector('#itemAmount').value, form.querySelector('#itemCurrency').value) || getLoanPayment(loan) };
+    const schedule = getAmortizationSchedule(item);
+    dates = dates.filter((d) => getPaymentNumber(item, d) <= schedule.length);
+    loanPlan = describeLoanPlan(schedule, form.querySelector('#itemCurrency').value);
+  }
+
+  preview.innerHTML = (dates.length
+    ? `<span class="rule-preview__label">Next:</span> ${dates.map((d) => `<span class="badge">${formatDate(d)}</span>`).join(' ')}`
+    : '<span class="rule-preview__label">No upcoming occurrences</span>') + loanPlan;
+}
+
+// "Paid off … after N payments · … interest" for a loan scheduled from its start
+function describeLoanPlan(schedule, currency = null) {
+  const last = schedule[schedule.length - 1];
+  if (!last || last.balance > 0) {
+    return '<div class="rule-preview__label rule-preview__loan">The payment doesn\'t cover the interest</div>';
+  }
+  const interest = schedule.reduce((sum, row) => sum + row.interest, 0);
+  return `<div class="rule-preview__label rule-preview__loan">Paid off ${monthName(last.month)} after ${schedule.length} payments · ${formatCurrency(interest, currency)} interest</div>`;
+}
+
 function escapeHTML(str) {
   const div = document.createElement('div');
   div.textContent = str;
@@ -0,0 +1,425 @@
+// js/views/reports.js — Reports view: a year at a glance (totals per category per month, trend, year to date) & cash-flow forecast
+
+import {
+  getProfileTransactions, getProfileCategories, getProfileBudgetItems, getProfileExchangeRates,
+  dbGet, STORES,
+} from '../db.js';
+import { planTransactionsForRange } from '../transaction-engine.js';
+import { buildYearReport, getReportProjection, setReportProjection } from '../reports.js';
+import {
+  buildForecast, getForecastMonths, setForecastMonths, getForecastEndDate, FORECAST_MONTH_OPTIONS,
+} from '../forecast.js';
+import { refreshGoalContributions } from '../goals.js';
+import { refreshLoanPayments } from '../loan.js';
+import { getHolidaySet } from '../holidays.js';
+import { getBaseCurrency, convertTransactions } from '../currency.js';
+import { formatCurrency, formatDate, getDisplayLocale } from '../models.js';
+import { getActiveProfileId } from '../components/profile.js';
+
+// Size of the trend chart's drawing area (it stretches to the view width)
+const CHART_WIDTH = 360;
+const CHART_HEIGHT = 120;
+
+let currentYear;
+// 'year' (12-month overview) or 'forecast' (running balance)
+let currentMode = 'year';
+
+function initReportsView() {
+  currentYear = new Date().getFullYear();
+
+  document.querySelectorAll('[data-report-mode]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      currentMode = btn.dataset.reportMode;
+      renderReports();
+    });
+  });
+
+  document.getElementById('btnPrevYear').addEventListener('click', () => {
+    currentYear--;
+    renderReports();
+  });
+
+  document.getElementById('btnNextYear').addEventListener('click', () => {
+    currentYear++;
+    renderReports();
+  });
+
+  document.getElementById('btnThisYear').addEventListener('click', () => {
+    currentYear = new Date().getFullYear();
+    renderReports();
+  });
+
+  const projection = document.getElementById('reportProjection');
+  projection.checked = getReportProjection();
+  projection.addEventListener('change', () => {
+    setReportProjection(projection.checked);
+    renderReports();
+  });
+
+  const months = document.getElementById('forecastMonths');
+  months.innerHTML = FORECAST_MONTH_OPTIONS.map((n) => `<option value="${n}">Next ${n} months</option>`).join('');
+  months.value = String(getForecastMonths());
+  months.addEventListener('change', () => {
+    setForecastMonths(Number(months.value));
+    renderReports();
+  });
+}
+
+async function renderReports() {
+  const profileId = getActiveProfileId();
+  const container = document.getElementById('reportContainer');
+  const emptyState = document.getElementById('emptyReports');
+
+  document.getElementById('yearLabel').textContent = String(currentYear);
+  document.querySelectorAll('[data-report-mode]').forEach((btn) => {
+    btn.classList.toggle('active', btn.dataset.reportMode === currentMode);
+  });
+  document.getElementById('reportYearControls').classList.toggle('hidden', currentMode !== 'year');
+  document.getElementById('reportForecastControls').classList.toggle('hidden', currentMode !== 'forecast');
+
+  if (!profileId) {
+    container.innerHTML = '';
+    emptyState.classList.remove('hidden');
+    return;
+  }
+
+  // Pending goal contributions and loan payments hold what is left, as on Home
+  await refreshGoalContributions(profileId);
+  await refreshLoanPayments(profileId);
+
+  const profile = await dbGet(STORES.PROFILES, profileId);
+  const budgetItems = await getProfileBudgetItems(profileId);
+  const allTransactions = await getProfileTransactions(profileId);
+  // Totals are in the base currency
+  const baseCurrency = getBaseCurrency(profile);
+  const rates = await getProfileExchangeRates(profileId);
+
+  if (currentMode === 'forecast') {
+    emptyState.classList.add('hidden');
+    container.innerHTML = renderForecast(profile, budgetItems, allTransactions, baseCurrency, rates);
+    return;
+  }
+
+  const categories = await getProfileCategories(profileId);
+  const transactions = allTransactions.filter((t) => t.date.startsWith(`${currentYear}-`));
+  const projected = getReportProjection()
+    ? projectYear(profile, budgetItems, allTransactions)
+    : [];
+  const actual = convertTransactions(transactions, baseCurrency, rates);
+  const planned = convertTransactions(projected, baseCurrency, rates);
+
+  if (transactions.length === 0 && projected.length === 0) {
+    container.innerHTML = '';
+    emptyState.classList.remove('hidden');
+    return;
+  }
+  emptyState.classList.add('hidden');
+
+  const report = buildYearReport({
+    year: currentYear,
+    categories,
+    budgetItems,
+    transactions: actual.converted,
+    projected: planned.converted,
+  });
+
+  container.innerHTML =
+    renderMissingRateAlert([...actual.missing, ...planned.missing], baseCurrency) +
+    renderYearSummary(report, baseCurrency) +
+    renderTrendChart(report) +
+    renderTable(report, baseCurrency);
+}
+
+/**
+ * Unsaved transactions budget items would create from this month to the end of
+ * the viewed year — on top of the ones already generated. Past months are
+ * reported as they were recorded.
+ */
+function projectYear(profile, budgetItems, allTransactions) {
+  const now = new Date();
+  if (currentYear < now.getFullYear()) return [];
+  const fromMonth = currentYear === now.getFullYear() ? now.getMonth() : 0;
+  const from = `${currentYear}-${String(fromMonth + 1).padStart(2, '0')}-01`;
+  return planTransactionsForRange(profile.id, budgetItems, allTransactions, from, `${currentYear}-12-31`, getHolidaySet(profile));
+}
+
+function renderMissingRateAlert(missing, baseCurrency) {
+  if (missing.length === 0) return '';
+  const currencies = [...new Set(missing.map((t) => t.currency))].map((c) => `${c} → ${baseCurrency}`).join(', ');
+  const count = `${missing.length} transaction${missing.length === 1 ? '' : 's'}`;
+  return `<div class="limit-alert">⚠ No exchange rate for ${currencies}: ${count} left out of the totals. Add one in Config → Exchange Rates.</div>`;
+}
+
+// Year-to-date income, expenses and net (the whole year once it is over, the plan for a future one)
+function renderYearSummary(report, baseCurrency) {
+  const { year, yearToDate, total, lastYearToDateMonth } = report;
+  const totals = lastYearToDateMonth < 0 ? total : yearToDate;
+  let prefix = 'YTD';
+  if (lastYearToDateMonth < 0) prefix = 'Planned';
+  else if (lastYearToDateMonth === 11) prefix = String(year);
+
+  return `
+    <div class="cashflow-bar report-summary">
+      <div class="cashflow-bar__item cashflow-bar__item--income">
+        <span class="cashflow-bar__label">${prefix} income</span>
+        <span class="cashflow-bar__value">${formatCurrency(totals.income, baseCurrency)}</span>
+      </div>
+      <div class="cashflow-bar__item cashflow-bar__item--expenses">
+        <span class="cashflow-bar__label">${prefix} expenses</span>
+        <span class="cashflow-bar__value">${formatCurrency(totals.expenses, baseCurrency)}</span>
+      </div>
+      <div class="cashflow-bar__item cashflow-bar__item--net">
+        <span class="cashflow-bar__label">${prefix} net</span>
+        <span class="cashflow-bar__value ${totals.net < 0 ? 'cashflow-bar__value--negative' : ''}">${formatCurrency(totals.net, baseCurrency)}</span>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Income and expenses per month as two lines; the stretch through projected
+ * months is dashed.
+ */
+function renderTrendChart(report) {
+  const { months } = report;
+  const top = Math.max(...months.map((m) => Math.max(m.income, m.expenses))) || 1;
+  const slot = CHART_WIDTH / months.length;
+  const x = (i) => ((i + 0.5) * slot).toFixed(1);
+  const y = (amount) => (CHART_HEIGHT - (amount / top) * (CHART_HEIGHT - 4) - 2).toFixed(1);
+  const firstProjected = months.findIndex((m) => m.projected);
+
+  const line = (key, modifier) => {
+    const points = months.map((m, i) => `${x(i)},${y(m[key])}`);
+    const actual = firstProjected < 0 ? points : points.slice(0, firstProjected);
+    const planned = firstProjected < 0 ? [] : points.slice(Math.max(0, firstProjected - 1));
+    return `
+      ${actual.length > 1 ? `<polyline class="report-chart__line report-chart__line--${modifier}" points="${actual.join(' ')}" />` : ''}
+      ${planned.length > 1 ? `<polyline class="report-chart__line report-chart__line--${modifier} report-chart__line--projected" points="${planned.join(' ')}" />` : ''}
+    `;
+  };
+
+  return `
+    <div class="report-chart">
+      <div class="report-chart__legend">
+        <span class="report-chart__key report-chart__key--income">Income</span>
+        <span class="report-chart__key report-chart__key--expenses">Expenses</span>
+        ${firstProjected >= 0 ? '<span class="report-chart__key report-chart__key--projected">Projected</span>' : ''}
+      </div>
+      <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" preserveAspectRatio="none" role="img" aria-label="Income and expenses per month">
+        ${line('income', 'income')}
+        ${line('expenses', 'expenses')}
+      </svg>
+      <div class="report-chart__axis">
+        ${months.map((m) => `<span>${monthName(m.month, 'narrow')}</span>`).join('')}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Categories down, months across, with year-to-date and full-year totals.
+ * Projected months are marked in the header.
+ */
+function renderTable(report, baseCurrency) {
+  const { months, incomeRows, expenseRows, yearToDate, total, lastYearToDateMonth } = report;
+  const cell = (amount, className = '') =>
+    `<td class="report-table__amount ${className}">${amount ? formatCurrency(amount, baseCurrency) : '—'}</td>`;
+  const ytdCell = (amount) => (lastYearToDateMonth < 0 ? '<td class="report-table__amount">—</td>' : cell(amount));
+
+  const header = `
+    <tr>
+      <th class="report-table__name">Category</th>
+      ${months.map((m) => `<th class="${m.projected ? 'report-table__projected' : ''}" ${m.projected ? 'title="Includes projected amounts"' : ''}>${monthName(m.month)}${m.projected ? '*' : ''}</th>`).join('')}
+      <th>YTD</th>
+      <th>Year</th>
+    </tr>
+  `;
+
+  const categoryRows = (rows) => rows.map((row) => `
+    <tr>
+      <td class="report-table__name">${escapeHTML(row.name)}</td>
+      ${row.months.map((amount) => cell(amount)).join('')}
+      ${ytdCell(row.yearToDate)}
+      ${cell(row.total)}
+    </tr>
+  `).join('');
+
+  const totalRow = (label, key, className = '') => `
+    <tr class="report-table__total ${className}">
+      <td class="report-table__name">${label}</td>
+      ${months.map((m) => cell(m[key], key === 'net' && m[key] < 0 ? 'report-table__amount--negative' : '')).join('')}
+      ${ytdCell(yearToDate[key])}
+      ${cell(total[key], key === 'net' && total[key] < 0 ? 'report-table__amount--negative' : '')}
+    </tr>
+  `;
+
+  const section = (title) => `<tr class="report-table__section"><td class="report-table__name" colspan="${months.length + 3}">${title}</td></tr>`;
+
+  return `
+    <div class="report-table-wrap">
+      <table class="report-table">
+        <thead>${header}</thead>
+        <tbody>
+          ${incomeRows.length > 0 ? section('Income') + categoryRows(incomeRows) + totalRow('Total income', 'income') : ''}
+          ${section('Expenses')}
+          ${categoryRows(expenseRows)}
+          ${totalRow('Total expenses', 'expenses')}
+          ${totalRow('Paid', 'paid', 'report-table__total--sub')}
+          ${totalRow('Pending', 'pending', 'report-table__total--sub')}
+          ${totalRow('Net', 'net', 'report-table__total--net')}
+        </tbody>
+      </table>
+    </div>
+    ${months.some((m) => m.projected) ? '<p class="data-section__hint">* Includes amounts projected from budget items that have not been generated yet.</p>' : ''}
+  `;
+}
+
+// ===== Cash-flow forecast =====
+
+/**
+ * Running balance from today to the end of the forecast, starting from the
+ * profile's opening balance. Months from the opening balance on are planned
+ * from budget items as well, so months never opened on Home still count.
+ */
+function renderForecast(profile, budgetItems, allTransactions, baseCurrency, rates) {
+  const today = new Date().toISOString().split('T')[0];
+  const hasOpening = profile.openingBalance != null && !!profile.openingBalanceDate;
+  const openingDate = hasOpening ? profile.openingBalanceDate : null;
+  const from = openingDate && openingDate > today ? openingDate : today;
+  const to = getForecastEndDate(getForecastMonths(), today);
+  const planFrom = openingDate && openingDate < from ? openingDate : from;
+
+  const recorded = allTransactions.filter((t) => t.date >= planFrom && t.date <= to);
+  const projected = planTransactionsForRange(profile.id, budgetItems, allTransactions, planFrom, to, getHolidaySet(profile));
+  const actual = convertTransactions(recorded, baseCurrency, rates);
+  const planned = convertTransactions(projected, baseCurrency, rates);
+
+  const forecast = buildForecast({
+    openingBalance: hasOpening ? profile.openingBalance : null,
+    openingDate,
+    from,
+    to,
+    transactions: actual.converted,
+    projected: planned.converted,
+  });
+
+  const hint = hasOpening
+    ? ''
+    : '<p class="data-section__hint">No opening balance yet, so the forecast starts from 0 today. Enter what your account holds in Config → Opening Balance.</p>';
+  const alert = forecast.firstNegativeDate
+    ? `<div class="limit-alert">⚠ The balance goes below zero on ${formatDate(forecast.firstNegativeDate)} — lowest ${formatCurrency(forecast.lowest.balance, baseCurrency)} on ${formatDate(forecast.lowest.date)}.</div>`
+    : '';
+
+  return renderMissingRateAlert([...actual.missing, ...planned.missing], baseCurrency) +
+    alert +
+    hint +
+    renderForecastSummary(forecast, today, baseCurrency) +
+    renderBalanceChart(forecast) +
+    renderForecastDays(forecast, baseCurrency);
+}
+
+function renderForecastSummary(forecast, today, baseCurrency) {
+  const item = (label, balance) => `
+    <div class="cashflow-bar__item cashflow-bar__item--net">
+      <span class="cashflow-bar__label">${label}</span>
+      <span class="cashflow-bar__value ${balance < 0 ? 'cashflow-bar__value--negative' : ''}">${formatCurrency(balance, baseCurrency)}</span>
+    </div>
+  `;
+  return `
+    <div class="cashflow-bar report-summary">
+      ${item(forecast.from === today ? 'Today' : formatDate(forecast.from), forecast.startBalance)}
+      ${item('Lowest', forecast.lowest.balance)}
+      ${item(formatDate(forecast.to), forecast.endBalance)}
+    </div>
+  `;
+}
+
+/**
+ * The balance as a step line over every day of the forecast, red below the
+ * dashed zero line.
+ */
+function renderBalanceChart(forecast) {
+  const dayCount = daysBetween(forecast.from, forecast.to) + 1;
+  const balances = [forecast.startBalance, ...forecast.days.map((d) => d.balance)];
+  const top = Math.max(0, ...balances);
+  const bottom = Math.min(0, ...balances);
+  const range = top - bottom || 1;
+  const x = (day) => ((day / dayCount) * CHART_WIDTH).toFixed(1);
+  const y = (amount) => (CHART_HEIGHT - 2 - ((amount - bottom) / range) * (CHART_HEIGHT - 4)).toFixed(1);
+
+  let balance = forecast.startBalance;
+  const points = [`${x(0)},${y(balance)}`];
+  for (const day of forecast.days) {
+    const index = daysBetween(forecast.from, day.date);
+    points.push(`${x(index)},${y(balance)}`, `${x(index)},${y(day.balance)}`);
+    balance = day.balance;
+  }
+  points.push(`${x(dayCount)},${y(balance)}`);
+  const zero = y(0);
+
+  return `
+    <div class="report-chart">
+      <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" preserveAspectRatio="none" role="img" aria-label="Account balance per day">
+        <defs>
+          <clipPath id="forecastAboveZero"><rect x="0" y="0" width="${CHART_WIDTH}" height="${zero}" /></clipPath>
+          <clipPath id="forecastBelowZero"><rect x="0" y="${zero}" width="${CHART_WIDTH}" height="${(CHART_HEIGHT - zero).toFixed(1)}" /></clipPath>
+        </defs>
+        <line class="forecast-chart__zero" x1="0" y1="${zero}" x2="${CHART_WIDTH}" y2="${zero}" />
+        <polyline class="forecast-chart__line" clip-path="url(#forecastAboveZero)" points="${points.join(' ')}" />
+        <polyline class="forecast-chart__line forecast-chart__line--negative" clip-path="url(#forecastBelowZero)" points="${points.join(' ')}" />
+      </svg>
+      <div class="goal-chart__axis">
+        <span>${formatDate(forecast.from)}</span>
+        <span>${formatDate(forecast.to)}</span>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * One row per day with money in or out: what moves and the balance after it.
+ * Days ending below zero are flagged; planned amounts are marked.
+ */
+function renderForecastDays(forecast, baseCurrency) {
+  if (forecast.days.length === 0) {
+    return '<div class="chart-empty">Nothing comes in or goes out in this period.</div>';
+  }
+  let previous = forecast.startBalance;
+  const rows = forecast.days.map((day) => {
+    const dips = day.negative && previous >= 0;
+    previous = day.balance;
+    const entries = day.entries.map((e) => `
+      <div class="forecast-day__entry ${e.projected ? 'forecast-day__entry--projected' : ''}">
+        <span>${escapeHTML(e.name)}${e.projected ? ' (planned)' : ''}</span>
+        <span class="${e.amount >= 0 ? 'forecast-day__in' : ''}">${e.amount >= 0 ? '+' : '−'}${formatCurrency(Math.abs(e.amount), baseCurrency)}</span>
+      </div>
+    `).join('');
+    return `
+      <li class="forecast-day ${day.negative ? 'forecast-day--negative' : ''}" data-date="${day.date}">
+        <div class="forecast-day__header">
+          <span class="forecast-day__date">${formatDate(day.date)}${dips ? ' <span class="badge badge--negative">Below zero</span>' : ''}</span>
+          <span class="forecast-day__balance">${formatCurrency(day.balance, baseCurrency)}</span>
+        </div>
+        ${entries}
+      </li>
+    `;
+  }).join('');
+  return `<ul class="forecast-list">${rows}</ul>`;
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(to + 'T00:00:00') - new Date(from + 'T00:00:00')) / 86400000);
+}
+
+function monthName(month, format = 'short') {
+  const d = new Date(currentYear, month, 1);
+  return d.toLocaleDateString(getDisplayLocale(), { month: format });
+}
+
+function escapeHTML(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+export { initReportsView, renderReports };
@@ -1,6 +1,6 @@
 // sw.js — Service Worker for tickyourbudget PWA
 
-const CACHE_VERSION = '2026-03-08T1';
+const CACHE_VERSION = '2026-10-19T36';
 const CACHE_NAME = `tyb-cache-${CACHE_VERSION}`;
 const ASSETS = [
   '/',
@@ -10,14 +10,46 @@ const ASSETS = [
   '/js/db.js',
   '/js/models.js',
   '/js/transaction-engine.js',
+  '/js/holidays.js',
+  '/js/category-limits.js',
+  '/js/undo.js',
+  '/js/trash.js',
+  '/js/statement-import.js',
+  '/js/export-schema.js',
+  '/js/crypto-backup.js',
+  '/js/snapshots.js',
+  '/js/sync.js',
+  '/js/sync-adapters.js',
+  '/js/remote-sync.js',
+  '/js/goals.js',
+  '/js/loan.js',
+  '/js/currency.js',
+  '/js/money.js',
+  '/js/reports.js',
+  '/js/forecast.js',
   '/js/components/modal.js',
   '/js/components/toast.js',
   '/js/components/theme.js',
   '/js/components/profile.js',
   '/js/views/home.js',
   '/js/views/items.js',
+  '/js/views/goals.js',
+  '/js/views/reports.js',
   '/js/views/categories.js',
   '/js/views/data.js',
+  '/js/views/config/currency.js',
+  '/js/views/config/opening-balance.js',
+  '/js/views/config/region.js',
+  '/js/views/config/export.js',
+  '/js/views/config/encrypted-backup.js',
+  '/js/views/config/import-preview.js',
+  '/js/views/config/statement-import.js',
+  '/js/views/config/sync.js',
+  '/js/views/config/remote-sync.js',
+  '/js/views/config/trash.js',
+  '/js/views/config/snapshots.js',
+  '/js/views/config/tools.js',
+  '/js/views/config/dom.js',
   '/manifest.json',
   '/icons/icon-192.png',
   '/icons/icon-512.png',
@@ -51,8 +83,8 @@ self.addEventListener('activate', (event) => {
 // Always fetches the latest from the network so users see the newest UI.
 // Falls back to cache only when offline.
 self.addEventListener('fetch', (event) => {
-  // Only handle same-origin GET requests
-  if (event.request.method !== 'GET') return;
+  // Only handle same-origin GET requests (sync server requests go straight to the network)
+  if (event.request.method !== 'GET' || new URL(event.request.url).origin !== self.location.origin) return;
 
   event.respondWith(
     fetch(event.request)
@@ -72,3 +104,31 @@ self.addEventListener('fetch', (event) => {
       })
   );
 });
+
+// Background Sync — fired once the device is online after the app asked for a
+// remote sync (see js/remote-sync.js). The sync needs the app's modules and
+// settings, so an open window runs it; the event waits for its answer. When no
+// window is open, or the sync fails, the browser retries the event later.
+const SYNC_TAG = 'tyb-remote-sync';
+const SYNC_TIMEOUT_MS = 60000;
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== SYNC_TAG) return;
+  event.waitUntil(syncFromWindow());
+});
+
+async function syncFromWindow() {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  if (windows.length === 0) throw new Error('No open window to sync from');
+
+  const answer = await new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const timeout = setTimeout(() => resolve({ ok: false, error: 'Timed out' }), SYNC_TIMEOUT_MS);
+    channel.port1.onmessage = (e) => {
+      clearTimeout(timeout);
+      resolve(e.data);
+    };
+    windows[0].postMessage({ type: SYNC_TAG }, [channel.port2]);
+  });
+  if (!answer || !answer.ok) throw new Error((answer && answer.error) || 'Remote sync failed');
+}
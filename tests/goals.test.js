@@ -0,0 +1,112 @@
+// tests/goals.test.js — Savings goal progress and auto-sized monthly contributions
+//
+//   node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createContributionItem, getGoalProgress, planContribution } from '../js/goals.js';
+import { planMonthTransactions } from '../js/transaction-engine.js';
+import { createGoal, createTransaction, TX_STATUS, GOAL_STATUS } from '../js/models.js';
+
+// A 600.00 goal from September to next June, saved monthly on the 1st
+function setup() {
+  const goal = createGoal({
+    profileId: 'p1', categoryId: 'c1', name: 'Holiday',
+    targetAmount: 60000, targetDate: '2027-06-30', startDate: '2026-09-01',
+  });
+  const item = { ...createContributionItem(goal), amount: 6000 };
+  return { goal: { ...goal, budgetItemId: item.id }, item };
+}
+
+function contribution(item, date, amount, status = TX_STATUS.PENDING) {
+  return { ...createTransaction({ budgetItemId: item.id, profileId: 'p1', date, amount, name: item.name }), status };
+}
+
+test('the contribution item saves monthly until the target date', () => {
+  const { goal } = setup();
+  const item = createContributionItem(goal);
+  assert.equal(item.startDate, '2026-09-01');
+  assert.equal(item.endDate, goal.targetDate);
+  assert.equal(item.amount, 0);
+});
+
+test('what is left is spread over the contributions still to come', () => {
+  const { goal, item } = setup();
+  const progress = getGoalProgress(goal, item, [], '2026-09-01');
+  assert.equal(progress.openCount, 10);
+  assert.equal(progress.contribution, 6000);
+  assert.equal(progress.status, GOAL_STATUS.ON_TRACK);
+
+  const { item: planned } = planContribution(goal, item, [], '2026-09-01');
+  assert.equal(planned.amount, 6000);
+});
+
+test('paying more than planned lowers the rest, and open contributions take the new amount', () => {
+  const { goal, item } = setup();
+  const open = contribution(item, '2026-10-01', 6000);
+  const contributions = [contribution(item, '2026-09-01', 15000, TX_STATUS.PAID), open];
+
+  const result = planContribution(goal, item, contributions, '2026-10-03');
+  assert.equal(result.item.amount, 5000);
+  assert.deepEqual(result.transactions.map((t) => [t.id, t.snapshotAmount]), [[open.id, 5000]]);
+});
+
+test('a goal short of last month\'s plan is behind; a reached goal stops saving', () => {
+  const { goal, item } = setup();
+  const behind = getGoalProgress(goal, item, [contribution(item, '2026-09-01', 1000, TX_STATUS.PAID)], '2026-10-15');
+  assert.equal(behind.status, GOAL_STATUS.BEHIND);
+
+  const reached = planContribution(goal, item, [contribution(item, '2026-09-01', 60000, TX_STATUS.PAID)], '2026-10-15');
+  assert.equal(reached.item.amount, 0);
+  assert.equal(reached.item.endDate, '2026-10-15');
+});
+
+test('a goal reached in October stays ended when evaluated in November', () => {
+  const { goal, item } = setup();
+  const contributions = [
+    contribution(item, '2026-09-01', 6000, TX_STATUS.PAID),
+    contribution(item, '2026-10-01', 54000, TX_STATUS.PAID),
+  ];
+
+  const october = planContribution(goal, item, contributions, '2026-10-20');
+  assert.equal(october.goal.reachedDate, '2026-10-20');
+  assert.equal(october.item.amount, 0);
+  assert.equal(october.item.endDate, '2026-10-20');
+
+  const november = planContribution(october.goal, october.item, contributions, '2026-11-03');
+  assert.equal(november.goal.reachedDate, '2026-10-20');
+  assert.equal(november.item.endDate, '2026-10-20');
+  assert.deepEqual(november.item, october.item);
+
+  const planned = planMonthTransactions('p1', [november.item], contributions, 2026, 10);
+  assert.deepEqual(planned, []);
+});
+
+test('a reached goal removes its open contributions from the current month', () => {
+  const { goal, item } = setup();
+  const open = contribution(item, '2026-11-01', 6000);
+  const contributions = [contribution(item, '2026-10-01', 60000, TX_STATUS.PAID), open];
+
+  const result = planContribution(goal, item, contributions, '2026-11-03');
+  assert.deepEqual(result.removed, [open.id]);
+  assert.deepEqual(result.transactions, []);
+});
+
+test('a zero amount generates nothing even before the end date', () => {
+  const { item } = setup();
+  assert.deepEqual(planMonthTransactions('p1', [{ ...item, amount: 0 }], [], 2026, 10), []);
+  assert.equal(planMonthTransactions('p1', [item], [], 2026, 10).length, 1);
+});
+
+test('falling short of the target again clears the reach date', () => {
+  const { goal, item } = setup();
+  const reached = { ...goal, reachedDate: '2026-10-20' };
+  const ended = { ...item, amount: 0, endDate: '2026-10-20' };
+  const contributions = [contribution(item, '2026-09-01', 6000, TX_STATUS.PAID)];
+
+  const result = planContribution(reached, ended, contributions, '2026-11-03');
+  assert.equal(result.goal.reachedDate, null);
+  assert.equal(result.item.endDate, '2027-06-30');
+  assert.equal(result.item.amount, 6750); // 540.00 over the 8 contributions left
+});
@@ -0,0 +1,78 @@
+// tests/loan.test.js — Loan payments, amortization schedules and keeping open payments on schedule
+//
+//   node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getLoanPayment, getAmortizationSchedule, planLoanPayments } from '../js/loan.js';
+import { createLoan, createTransaction, TX_STATUS } from '../js/models.js';
+
+// 10,000.00 at 12% a year over 12 months, paid on the 15th from January (amounts in minor units)
+function loanItem(overrides = {}) {
+  const loan = createLoan({ principal: 1000000, annualRate: 12, termMonths: 12 });
+  return { id: 'loan1', name: 'Car loan', startDate: '2026-01-15', amount: getLoanPayment(loan), loan, ...overrides };
+}
+
+function payment(item, date, status = TX_STATUS.PENDING, amount = item.amount) {
+  return { ...createTransaction({ budgetItemId: item.id, profileId: 'p1', date, amount, name: item.name }), status };
+}
+
+const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+
+test('the monthly payment is rounded up to the minor unit', () => {
+  assert.equal(getLoanPayment(createLoan({ principal: 1000000, annualRate: 12, termMonths: 12 })), 88849);
+  assert.equal(getLoanPayment(createLoan({ principal: 100000, annualRate: 0, termMonths: 3 })), 33334);
+});
+
+test('the schedule pays the principal off over the term, the last payment only what is left', () => {
+  const schedule = getAmortizationSchedule(loanItem(), [], '2026-01-01');
+  assert.equal(schedule.length, 12);
+  assert.deepEqual(schedule[0], {
+    number: 1, month: '2026-01', payment: 88849, interest: 10000, principal: 78849, balance: 921151, actual: false,
+  });
+  assert.equal(schedule[11].month, '2026-12');
+  assert.equal(schedule[11].balance, 0);
+  assert.ok(schedule[11].payment < 88849);
+  assert.equal(sum(schedule, 'principal'), 1000000);
+  assert.equal(sum(schedule, 'payment'), 1000000 + sum(schedule, 'interest'));
+});
+
+test('a zero-rate loan splits the principal evenly', () => {
+  const item = loanItem({ amount: 33334, loan: createLoan({ principal: 100000, annualRate: 0, termMonths: 3 }) });
+  const schedule = getAmortizationSchedule(item, [], '2026-01-01');
+  assert.deepEqual(schedule.map((row) => row.payment), [33334, 33334, 33332]);
+  assert.deepEqual(schedule.map((row) => row.interest), [0, 0, 0]);
+});
+
+test('past months use what was actually paid: extra shortens the loan, a skipped payment lengthens it', () => {
+  const item = loanItem();
+  const extra = getAmortizationSchedule(item, [payment(item, '2026-01-15', TX_STATUS.PAID, 288849)], '2026-02-01');
+  assert.equal(extra[0].actual, true);
+  assert.equal(extra[0].balance, 721151);
+  assert.ok(extra.length < 12);
+
+  const skipped = getAmortizationSchedule(item, [payment(item, '2026-01-15')], '2026-02-01');
+  assert.equal(skipped[0].payment, 0);
+  assert.equal(skipped[0].balance, 1010000);
+  assert.ok(skipped.length > 12);
+});
+
+test('open payments from this month on take the scheduled amount; those after the payoff go', () => {
+  const item = loanItem();
+  const paid = payment(item, '2026-01-15', TX_STATUS.PAID, 588849);
+  const march = payment(item, '2026-03-15');
+  const settled = payment(item, '2026-02-16', TX_STATUS.PAID);
+  const afterPayoff = payment(item, '2026-12-15');
+  const { transactions, removed } = planLoanPayments(item, [paid, settled, march, afterPayoff], '2026-03-01');
+
+  assert.deepEqual(removed.map((t) => t.id), [afterPayoff.id]);
+  assert.deepEqual(transactions, []);
+
+  // The last payment only covers what is left
+  const schedule = getAmortizationSchedule(item, [paid, settled, march, afterPayoff], '2026-03-01');
+  const last = schedule[schedule.length - 1];
+  const lastOpen = payment(item, `${last.month}-15`);
+  const planned = planLoanPayments(item, [paid, settled, march, lastOpen], '2026-03-01');
+  assert.deepEqual(planned.transactions.map((t) => [t.id, t.snapshotAmount]), [[lastOpen.id, last.payment]]);
+});
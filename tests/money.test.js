@@ -0,0 +1,149 @@
+// tests/money.test.js — Minor units: rounding, currency precision, parsing, conversion & migrating older exports
+//
+//   node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  getMinorUnitDigits, toMinorUnits, fromMinorUnits, parseMoney, formatMoneyInput, getMoneyStep,
+  convertMinorUnits, recordToMinorUnits, createCurrencyResolver,
+} from '../js/money.js';
+import { prepareImport, EXPORT_FORMAT } from '../js/export-schema.js';
+import { createProfile, createCategory, createBudgetItem, createGoal, createTransaction, createPayment } from '../js/models.js';
+
+// Exports made before minor units fall back to the display currency, which the app keeps in localStorage
+const storage = new Map([['tyb_currency', 'USD']]);
+globalThis.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+test('halves round away from zero, through the decimal string rather than the float', () => {
+  assert.equal(toMinorUnits(1.005, 'USD'), 101);
+  assert.equal(toMinorUnits(-1.005, 'USD'), -101);
+  assert.equal(toMinorUnits(1.004, 'USD'), 100);
+  assert.equal(toMinorUnits(0.1 + 0.2, 'USD'), 30);
+  assert.equal(parseMoney('1.005', 'USD'), 101);
+  assert.equal(parseMoney('-1.005', 'USD'), -101);
+});
+
+test('JPY has no minor unit and KWD has three decimals', () => {
+  assert.equal(getMinorUnitDigits('JPY'), 0);
+  assert.equal(getMinorUnitDigits('KWD'), 3);
+  assert.equal(getMinorUnitDigits('EUR'), 2);
+
+  assert.equal(toMinorUnits(1234.5, 'JPY'), 1235);
+  assert.equal(parseMoney('500', 'JPY'), 500);
+  assert.equal(formatMoneyInput(500, 'JPY'), '500');
+  assert.equal(getMoneyStep('JPY'), '1');
+
+  assert.equal(toMinorUnits(1.2345, 'KWD'), 1235);
+  assert.equal(parseMoney('1.2345', 'KWD'), 1235);
+  assert.equal(fromMinorUnits(1235, 'KWD'), 1.235);
+  assert.equal(formatMoneyInput(1200, 'KWD'), '1.200');
+  assert.equal(getMoneyStep('KWD'), '0.001');
+});
+
+test('parseMoney reads plain decimals and rejects anything else', () => {
+  assert.equal(parseMoney('12.5', 'USD'), 1250);
+  assert.equal(parseMoney(' .5 ', 'USD'), 50);
+  assert.equal(parseMoney('7.', 'USD'), 700);
+  for (const input of ['', '.', '-', '1e3', '1,50', 'abc', null, undefined]) {
+    assert.equal(parseMoney(input, 'USD'), null, `${JSON.stringify(input)} is not an amount`);
+  }
+});
+
+test('conversion accounts for both currencies\' decimal places', () => {
+  assert.equal(convertMinorUnits(1000, 'USD', 'EUR', 0.9), 900);
+  assert.equal(convertMinorUnits(1000, 'JPY', 'USD', 0.0067), 670);
+  assert.equal(convertMinorUnits(1000, 'USD', 'KWD', 0.307), 3070);
+  assert.equal(convertMinorUnits(1500, 'KWD', 'JPY', 480), 720);
+  assert.equal(convertMinorUnits(1500, 'KWD', 'JPY', 1), 2);
+});
+
+test('recordToMinorUnits converts each entity\'s money fields and leaves the rest', () => {
+  const item = recordToMinorUnits('budgetItem', { id: 'i1', amount: 12.5, loan: { principal: 1000.005, annualRate: 5 } }, 'USD');
+  assert.deepEqual(item, { id: 'i1', amount: 1250, loan: { principal: 100001, annualRate: 5 } });
+
+  const txn = recordToMinorUnits('transaction', {
+    id: 't1', snapshotAmount: 1500, actualAmount: null, payments: [{ id: 'p', date: '2026-01-05', amount: 500.5 }],
+  }, 'JPY');
+  assert.deepEqual(txn, { id: 't1', snapshotAmount: 1500, actualAmount: null, payments: [{ id: 'p', date: '2026-01-05', amount: 501 }] });
+
+  assert.deepEqual(recordToMinorUnits('category', { id: 'c1', monthlyLimit: null }, 'USD'), { id: 'c1', monthlyLimit: null });
+  assert.deepEqual(recordToMinorUnits('goal', { id: 'g1', targetAmount: 1.5, startingAmount: 0 }, 'KWD'),
+    { id: 'g1', targetAmount: 1500, startingAmount: 0 });
+  assert.deepEqual(recordToMinorUnits('profile', { id: 'p1', name: 'Home' }, 'USD'), { id: 'p1', name: 'Home' });
+});
+
+test('createCurrencyResolver picks the record\'s currency, then its profile\'s base, then the fallback', () => {
+  const resolve = createCurrencyResolver({
+    profiles: [{ id: 'p1', baseCurrency: 'JPY' }, { id: 'p2', baseCurrency: null }],
+    budgetItems: [{ id: 'i1', profileId: 'p1', currency: 'KWD' }, { id: 'i2', profileId: 'p1', currency: null }],
+    transactions: [{ id: 't1', profileId: 'p2', currency: null }],
+    goals: [{ id: 'g1', profileId: 'p1', budgetItemId: 'i1' }, { id: 'g2', profileId: 'p1', budgetItemId: 'i2' }],
+  }, 'EUR');
+
+  assert.equal(resolve('budgetItem', { id: 'i1' }), 'KWD');
+  assert.equal(resolve('budgetItem', { id: 'i2', profileId: 'p1' }), 'JPY');
+  assert.equal(resolve('transaction', { id: 't1', actualAmount: 3 }), 'EUR');
+  assert.equal(resolve('goal', { id: 'g1', targetAmount: 5 }), 'KWD');
+  assert.equal(resolve('goal', { id: 'g2' }), 'JPY');
+  assert.equal(resolve('category', { id: 'c9', profileId: 'nobody' }), 'EUR');
+});
+
+// One profile's records as exported at `schemaVersion`
+function exportAt(schemaVersion, { profile, categories = [], budgetItems = [], goals = [], transactions = [] }) {
+  return { format: EXPORT_FORMAT, schemaVersion, profile, categories, budgetItems, goals, transactions, exchangeRates: [] };
+}
+
+test('a v8 export is migrated to v9: goals gain an empty reach date, amounts stay as they are', () => {
+  const profile = { ...createProfile('Home', { baseCurrency: 'USD' }), openingBalance: -2500, openingBalanceDate: '2026-01-01' };
+  const category = createCategory({ profileId: profile.id, name: 'Savings' });
+  const { reachedDate, ...goal } = createGoal({
+    profileId: profile.id, categoryId: category.id, name: 'Holiday',
+    targetAmount: 60000, targetDate: '2027-06-30', startDate: '2026-09-01',
+  });
+  assert.equal(reachedDate, null);
+
+  const data = prepareImport(exportAt(8, { profile, categories: [category], goals: [goal] }));
+  assert.equal(data.goals[0].reachedDate, null);
+  assert.equal(data.goals[0].targetAmount, 60000);
+  assert.equal(data.profiles[0].openingBalance, -2500);
+});
+
+test('an export from before minor units has its amounts converted in each record\'s currency', () => {
+  const { openingBalance, openingBalanceDate, ...profile } = createProfile('Home', { baseCurrency: 'JPY' });
+  assert.equal(openingBalance, null);
+  assert.equal(openingBalanceDate, null);
+  const category = { ...createCategory({ profileId: profile.id, name: 'Bills' }), monthlyLimit: 30000 };
+  // The factories round to whole minor units, so the decimal amounts are set afterwards
+  const item = {
+    ...createBudgetItem({ profileId: profile.id, categoryId: category.id, name: 'Rent', amount: 0, startDate: '2026-01-01', currency: 'KWD' }),
+    amount: 1.2345,
+  };
+  const txn = {
+    ...createTransaction({ budgetItemId: item.id, profileId: profile.id, date: '2026-01-01', amount: 0, name: 'Rent', currency: 'KWD' }),
+    snapshotAmount: 1.2345,
+    actualAmount: 1.3,
+    payments: [{ ...createPayment({ date: '2026-01-01', amount: 0 }), amount: 0.5 }],
+  };
+  const { reachedDate, ...goal } = {
+    ...createGoal({ profileId: profile.id, categoryId: category.id, name: 'Car', targetAmount: 800000, targetDate: '2027-01-31', startDate: '2026-01-01' }),
+    budgetItemId: item.id,
+    startingAmount: 10.5,
+  };
+  assert.equal(reachedDate, null);
+
+  const data = prepareImport(exportAt(6, { profile, categories: [category], budgetItems: [item], goals: [goal], transactions: [txn] }));
+  assert.equal(data.categories[0].monthlyLimit, 30000);
+  assert.equal(data.budgetItems[0].amount, 1235);
+  assert.equal(data.transactions[0].snapshotAmount, 1235);
+  assert.equal(data.transactions[0].actualAmount, 1300);
+  assert.equal(data.transactions[0].payments[0].amount, 500);
+  assert.equal(data.goals[0].targetAmount, 800000000);
+  assert.equal(data.goals[0].startingAmount, 10500);
+  assert.equal(data.profiles[0].openingBalance, null);
+});
@@ -0,0 +1,132 @@
+// tests/statement-import.test.js — Bank statement parsing (CSV, OFX/QFX, QIF) and column detection
+//
+//   node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  parseCsv, parseOfx, parseQif, guessMapping, applyMapping, detectStatementFormat,
+  AMOUNT_MODE, DATE_FORMAT, STATEMENT_FORMAT,
+} from '../js/statement-import.js';
+import { ITEM_TYPE } from '../js/models.js';
+
+// Statement amounts are minor units of the base currency, which the app mirrors into localStorage
+const storage = new Map([['tyb_currency', 'USD']]);
+globalThis.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const summary = (lines) => lines.map(({ date, description, amount, type }) => ({ date, description, amount, type }));
+
+test('CSV cells may be quoted, with delimiters, doubled quotes and line breaks inside', () => {
+  const rows = parseCsv('﻿Date,Description,Amount\r\n2026-03-15,"Coffee, ""large""",-3.50\r\n\r\n2026-03-16,"Two\nlines",4\r\n');
+  assert.deepEqual(rows, [
+    ['Date', 'Description', 'Amount'],
+    ['2026-03-15', 'Coffee, "large"', '-3.50'],
+    ['2026-03-16', 'Two\nlines', '4'],
+  ]);
+  assert.deepEqual(parseCsv('a;b;"c;d"\n1;2;3'), [['a', 'b', 'c;d'], ['1', '2', '3']]);
+  assert.deepEqual(parseCsv('a\tb\n1\t2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('a header names the date, description and signed amount columns', () => {
+  const rows = parseCsv('Posted,Merchant,Amount\n15/03/2026,Coffee,-3.50\n16/03/2026,Salary,"2,500.00"\n17/03/2026,Nothing,\n');
+  const mapping = guessMapping(rows);
+  assert.equal(mapping.hasHeader, true);
+  assert.equal(mapping.dateColumn, 0);
+  assert.equal(mapping.dateFormat, DATE_FORMAT.DMY);
+  assert.equal(mapping.descriptionColumn, 1);
+  assert.equal(mapping.amountMode, AMOUNT_MODE.SINGLE);
+  assert.equal(mapping.amountColumn, 2);
+
+  const { lines, skipped } = applyMapping(rows, mapping);
+  assert.equal(skipped, 1);
+  assert.deepEqual(summary(lines), [
+    { date: '2026-03-15', description: 'Coffee', amount: 350, type: ITEM_TYPE.EXPENSE },
+    { date: '2026-03-16', description: 'Salary', amount: 250000, type: ITEM_TYPE.INCOME },
+  ]);
+});
+
+test('separate debit and credit columns are detected, with comma decimals', () => {
+  const rows = parseCsv('Booking date;Details;Debit;Credit\n2026-03-02;Rent;1.200,00;\n2026-03-03;Refund;;45,10\n');
+  const mapping = guessMapping(rows);
+  assert.equal(mapping.dateFormat, DATE_FORMAT.YMD);
+  assert.equal(mapping.descriptionColumn, 1);
+  assert.equal(mapping.amountMode, AMOUNT_MODE.SPLIT);
+  assert.equal(mapping.debitColumn, 2);
+  assert.equal(mapping.creditColumn, 3);
+  assert.deepEqual(summary(applyMapping(rows, mapping).lines), [
+    { date: '2026-03-02', description: 'Rent', amount: 120000, type: ITEM_TYPE.EXPENSE },
+    { date: '2026-03-03', description: 'Refund', amount: 4510, type: ITEM_TYPE.INCOME },
+  ]);
+});
+
+test('without a header the first row is data, and month-first dates are recognised', () => {
+  const rows = parseCsv('03/15/2026,Coffee,3.50\n03/16/2026,Lunch,12.00\n');
+  const mapping = guessMapping(rows);
+  assert.equal(mapping.hasHeader, false);
+  assert.equal(mapping.dateFormat, DATE_FORMAT.MDY);
+  assert.equal(mapping.amountColumn, 2);
+
+  // Banks that list money out as positive amounts
+  const { lines } = applyMapping(rows, { ...mapping, expensesPositive: true });
+  assert.deepEqual(summary(lines), [
+    { date: '2026-03-15', description: 'Coffee', amount: 350, type: ITEM_TYPE.EXPENSE },
+    { date: '2026-03-16', description: 'Lunch', amount: 1200, type: ITEM_TYPE.EXPENSE },
+  ]);
+});
+
+test('the format comes from the file name, else from the content', () => {
+  assert.equal(detectStatementFormat('march.QFX', ''), STATEMENT_FORMAT.OFX);
+  assert.equal(detectStatementFormat('export.txt', 'OFXHEADER:100\nDATA:OFXSGML'), STATEMENT_FORMAT.OFX);
+  assert.equal(detectStatementFormat('export.txt', '!Type:Bank\nD03/15/2026'), STATEMENT_FORMAT.QIF);
+  assert.equal(detectStatementFormat('export.txt', 'Date,Amount'), STATEMENT_FORMAT.CSV);
+});
+
+test('OFX TRNAMT gives the amount and its sign the direction', () => {
+  const ofx = `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<BANKACCTFROM><ACCTID>12345</BANKACCTFROM>
+<BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260305120000[0:GMT]<TRNAMT>-42.50<FITID>A1<NAME>Grocer &amp; Co</STMTTRN>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20260306<TRNAMT>1500.00<FITID>A2<MEMO>Salary</STMTTRN>
+<STMTTRN><TRNTYPE>OTHER<DTPOSTED>20260307<TRNAMT>0.00<FITID>A3<NAME>Nothing</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+  const { lines, skipped } = parseOfx(ofx);
+  assert.equal(skipped, 1);
+  assert.deepEqual(summary(lines), [
+    { date: '2026-03-05', description: 'Grocer & Co', amount: 4250, type: ITEM_TYPE.EXPENSE },
+    { date: '2026-03-06', description: 'Salary', amount: 150000, type: ITEM_TYPE.INCOME },
+  ]);
+  assert.deepEqual(lines.map((l) => l.statementId), ['ofx:12345:A1', 'ofx:12345:A2']);
+});
+
+test('QIF amounts come from T, or U when T is missing', () => {
+  const qif = '!Type:Bank\nD03/15/2026\nT-12.34\nPCoffee\n^\nD03/16/2026\nU1,000.00\nPRefund\n^\nD03/17/2026\nPNo amount\n^\n';
+  const { lines, skipped } = parseQif(qif);
+  assert.equal(skipped, 1);
+  assert.deepEqual(summary(lines), [
+    { date: '2026-03-15', description: 'Coffee', amount: 1234, type: ITEM_TYPE.EXPENSE },
+    { date: '2026-03-16', description: 'Refund', amount: 100000, type: ITEM_TYPE.INCOME },
+  ]);
+
+  // No ids in QIF: the same entry gets the same content hash on every import
+  assert.ok(lines.every((l) => l.statementId.startsWith('qif:')));
+  assert.deepEqual(parseQif(qif).lines.map((l) => l.statementId), lines.map((l) => l.statementId));
+});
+
+test('amounts are rounded to the minor unit of the statement currency', () => {
+  const rows = [['2026-03-15', 'Ramen', '-1,200'], ['2026-03-16', 'Fuel', '-12.345']];
+  const mapping = { ...guessMapping(rows), descriptionColumn: 1, amountColumn: 2 };
+  try {
+    storage.set('tyb_currency', 'JPY');
+    assert.deepEqual(applyMapping(rows, mapping).lines.map((l) => l.amount), [1200, 12]);
+    storage.set('tyb_currency', 'KWD');
+    assert.deepEqual(applyMapping(rows, mapping).lines.map((l) => l.amount), [1200000, 12345]);
+  } finally {
+    storage.set('tyb_currency', 'USD');
+  }
+});
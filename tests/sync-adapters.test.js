@@ -0,0 +1,88 @@
+// tests/sync-adapters.test.js — WebDAV and REST adapters against tools/sync-test-server.js
+//
+//   node --test tests/
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { fileURLToPath } from 'node:url';
+
+import { createAdapter } from '../js/sync-adapters.js';
+import { REMOTE_SYNC_TYPE } from '../js/models.js';
+
+const SERVER = fileURLToPath(new URL('../tools/sync-test-server.js', import.meta.url));
+
+let server;
+let origin;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+before(async () => {
+  const port = await freePort();
+  origin = `http://localhost:${port}`;
+  server = spawn(process.execPath, [SERVER, String(port), '--user', 'me:pw', '--token', 'secret'], { stdio: ['ignore', 'pipe', 'inherit'] });
+  await new Promise((resolve, reject) => {
+    server.once('exit', (code) => reject(new Error(`Sync test server exited (${code})`)));
+    server.stdout.on('data', (data) => {
+      if (String(data).includes('Sync test server on')) resolve();
+    });
+  });
+});
+
+after(() => server.kill());
+
+function change(deviceId, ts) {
+  return { id: `${deviceId}-${ts}`, deviceId, ts, storeName: 'categories', recordId: `c${ts}`, op: 'create', fields: { id: `c${ts}`, name: `Category ${ts}` } };
+}
+
+// Two devices sharing one server: pushes go through in turn, a stale push conflicts
+async function checkAdapter(config) {
+  const a = createAdapter(config);
+  const b = createAdapter(config);
+
+  const emptyA = await a.pull(null);
+  assert.deepEqual(emptyA.changes, []);
+  const emptyB = await b.pull(null);
+
+  const pushedA = await a.push([change('device-a', 1), change('device-a', 2)], emptyA.cursor);
+  assert.ok(!pushedA.conflict);
+
+  assert.deepEqual(await b.push([change('device-b', 3)], emptyB.cursor), { conflict: true });
+  const pulledB = await b.pull(emptyB.cursor);
+  assert.deepEqual(pulledB.changes.map((c) => c.id), ['device-a-1', 'device-a-2']);
+  const pushedB = await b.push([change('device-b', 3)], pulledB.cursor);
+  assert.ok(!pushedB.conflict);
+
+  const pulledA = await a.pull(pushedA.cursor);
+  assert.deepEqual(pulledA.changes.map((c) => c.id), ['device-b-3']);
+  assert.deepEqual((await a.pull(pulledA.cursor)).changes, []);
+  assert.deepEqual((await a.pull(null)).changes.map((c) => c.id), ['device-a-1', 'device-a-2', 'device-b-3']);
+}
+
+test('WebDAV adapter pulls, pushes and reports conflicts', async () => {
+  await checkAdapter({ type: REMOTE_SYNC_TYPE.WEBDAV, url: `${origin}/dav/tickyourbudget`, username: 'me', password: 'pw' });
+});
+
+test('REST adapter pulls, pushes and reports conflicts', async () => {
+  await checkAdapter({ type: REMOTE_SYNC_TYPE.REST, url: `${origin}/rest/`, token: 'secret' });
+});
+
+test('a wrong password or token is refused', async () => {
+  const dav = createAdapter({ type: REMOTE_SYNC_TYPE.WEBDAV, url: `${origin}/dav/tickyourbudget/`, username: 'me', password: 'nope' });
+  await assert.rejects(dav.pull(null), /refused the login \(401\)/);
+  const rest = createAdapter({ type: REMOTE_SYNC_TYPE.REST, url: `${origin}/rest`, token: 'nope' });
+  await assert.rejects(rest.pull(null), /refused the login \(401\)/);
+});
+
+test('an unreachable server is reported as such', async () => {
+  const rest = createAdapter({ type: REMOTE_SYNC_TYPE.REST, url: `http://localhost:${await freePort()}/rest` });
+  await assert.rejects(rest.pull(null), /Could not reach the sync server/);
+});
@@ -0,0 +1,138 @@
+// tools/sync-test-server.js — Local stand-in sync server for trying out and testing remote sync
+//
+//   node tools/sync-test-server.js [port] [--user name:password] [--token secret]
+//
+// WebDAV folder: http://localhost:8787/dav/tickyourbudget/   (Config → Remote Sync → WebDAV)
+// REST API:      http://localhost:8787/rest                  (Config → Remote Sync → REST server)
+//
+// Serve the app from another port (e.g. python3 -m http.server 8080); CORS is open
+// to any origin. Everything is kept in memory and lost when the server stops.
+// Plain Node, no dependencies — CommonJS so it runs without a package.json.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const args = process.argv.slice(2);
+const port = parseInt(args.find((a) => /^\d+$/.test(a)), 10) || 8787;
+const user = optionValue('--user'); // WebDAV Basic auth, "name:password"
+const token = optionValue('--token'); // REST Bearer token
+
+function optionValue(name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : null;
+}
+
+// ===== WebDAV: a tiny in-memory file system =====
+
+const DAV_PREFIX = '/dav/';
+const files = new Map(); // path → { body, etag }
+const folders = new Set(['/dav/']);
+
+function handleDav(req, res, body) {
+  if (user && req.headers.authorization !== `Basic ${Buffer.from(user).toString('base64')}`) {
+    return send(res, 401, '', { 'WWW-Authenticate': 'Basic realm="tickyourbudget"' });
+  }
+  const path = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  const file = files.get(path);
+  const parent = path.replace(/[^/]+\/?$/, '');
+
+  switch (req.method) {
+    case 'GET':
+    case 'HEAD':
+      if (!file) return send(res, folders.has(path) ? 200 : 404, '');
+      if (req.headers['if-none-match'] === file.etag) return send(res, 304, '', { ETag: file.etag });
+      return send(res, 200, req.method === 'HEAD' ? '' : file.body, { ETag: file.etag, 'Content-Type': 'application/json' });
+
+    case 'PUT': {
+      if (!folders.has(parent)) return send(res, 409, 'Parent folder does not exist');
+      if (req.headers['if-none-match'] === '*' && file) return send(res, 412, 'Already exists');
+      if (req.headers['if-match'] && (!file || req.headers['if-match'] !== file.etag)) return send(res, 412, 'ETag mismatch');
+      const etag = `"${crypto.createHash('sha1').update(body).digest('hex').slice(0, 16)}"`;
+      files.set(path, { body, etag });
+      return send(res, file ? 204 : 201, '', { ETag: etag });
+    }
+
+    case 'DELETE':
+      if (!files.delete(path)) return send(res, 404, '');
+      return send(res, 204, '');
+
+    case 'MKCOL': {
+      const folder = path.endsWith('/') ? path : `${path}/`;
+      if (folders.has(folder)) return send(res, 405, 'Already exists');
+      if (!folders.has(folder.replace(/[^/]+\/$/, ''))) return send(res, 409, 'Parent folder does not exist');
+      folders.add(folder);
+      return send(res, 201, '');
+    }
+
+    default:
+      return send(res, 405, '');
+  }
+}
+
+// ===== REST: an append-only list of pushes =====
+
+const pushes = []; // pushes[i] = changes sent with revision i + 1
+
+function handleRest(req, res, body) {
+  if (token && req.headers.authorization !== `Bearer ${token}`) return send(res, 401, '');
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname.replace(/\/+$/, '') !== '/rest/changes') return send(res, 404, '');
+
+  if (req.method === 'GET') {
+    const since = parseInt(url.searchParams.get('since'), 10) || 0;
+    const changes = pushes.slice(since).flat();
+    return sendJSON(res, 200, { cursor: pushes.length, changes });
+  }
+
+  if (req.method === 'POST') {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch {
+      return send(res, 400, 'Invalid JSON');
+    }
+    if (!Array.isArray(data.changes)) return send(res, 400, 'changes must be a list');
+    // Conflict: another device pushed since the client last pulled
+    if (data.baseCursor !== pushes.length) return sendJSON(res, 409, { cursor: pushes.length });
+    pushes.push(data.changes);
+    return sendJSON(res, 200, { cursor: pushes.length });
+  }
+
+  return send(res, 405, '');
+}
+
+// ===== HTTP =====
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, PUT, POST, DELETE, MKCOL, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, If-None-Match, Depth',
+  'Access-Control-Expose-Headers': 'ETag',
+};
+
+function send(res, status, text, headers = {}) {
+  res.writeHead(status, { ...CORS_HEADERS, ...headers });
+  res.end(text);
+}
+
+function sendJSON(res, status, data) {
+  send(res, status, JSON.stringify(data), { 'Content-Type': 'application/json' });
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    console.log(`${req.method} ${req.url}`);
+    if (req.method === 'OPTIONS') return send(res, 204, '');
+    if (req.url.startsWith(DAV_PREFIX)) return handleDav(req, res, body);
+    if (req.url.startsWith('/rest')) return handleRest(req, res, body);
+    return send(res, 404, '');
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Sync test server on http://localhost:${port}`);
+  console.log(`  WebDAV: http://localhost:${port}/dav/tickyourbudget/`);
+  console.log(`  REST:   http://localhost:${port}/rest`);
+});